@@ -11,10 +11,12 @@ done
 mc mb --ignore-existing local/avatars
 mc mb --ignore-existing local/photos
 mc mb --ignore-existing local/audio
+mc mb --ignore-existing local/documents
 
 # Ensure all buckets are private (no anonymous access)
 mc anonymous set none local/avatars
 mc anonymous set none local/photos
 mc anonymous set none local/audio
+mc anonymous set none local/documents
 
-echo "MinIO buckets created: avatars, photos, audio (all private)"
+echo "MinIO buckets created: avatars, photos, audio, documents (all private)"
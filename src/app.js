@@ -9,8 +9,11 @@ import { configurePassport } from './config/passport.js';
 import authRoutes from './routes/auth.routes.js';
 import profileRoutes from './routes/profile.routes.js';
 import treeRoutes from './routes/tree.routes.js';
+import invitationsRoutes from './routes/invitations.routes.js';
 import relativesRoutes from './routes/relatives.routes.js';
 import relationshipsRoutes from './routes/relationships.routes.js';
+import placesRoutes from './routes/places.routes.js';
+import sourcesRoutes from './routes/sources.routes.js';
 import photosRoutes from './routes/photos.routes.js';
 import audioRoutes from './routes/audio.routes.js';
 import deathRoutes from './routes/death.routes.js';
@@ -75,8 +78,11 @@ app.use('/api/profile', profileRoutes);
 
 // Tree routes (Feature 2.1)
 app.use('/api/trees', treeRoutes);
+app.use('/api/invitations', invitationsRoutes);
 app.use('/api/relatives', relativesRoutes);
 app.use('/api/relationships', relationshipsRoutes);
+app.use('/api/places', placesRoutes);
+app.use('/api/sources', sourcesRoutes);
 
 // Media routes (Feature 2.2)
 app.use('/api/photos', photosRoutes);
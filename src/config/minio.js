@@ -19,4 +19,5 @@ export const BUCKETS = {
   AVATARS: 'avatars',
   PHOTOS: 'photos',
   AUDIO: 'audio',
+  DOCUMENTS: 'documents',
 };
@@ -0,0 +1,22 @@
+CREATE TABLE "tree_invitations" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"tree_id" uuid NOT NULL,
+	"email" text NOT NULL,
+	"role" text DEFAULT 'viewer',
+	"invited_by" uuid NOT NULL,
+	"token_hash" text NOT NULL,
+	"status" text DEFAULT 'PENDING',
+	"expires_at" timestamp with time zone NOT NULL,
+	"accepted_by" uuid,
+	"responded_at" timestamp with time zone,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	CONSTRAINT "tree_invitations_token_hash_unique" UNIQUE("token_hash"),
+	CONSTRAINT "tree_invitations_tree_email_unique" UNIQUE("tree_id","email")
+);
+--> statement-breakpoint
+ALTER TABLE "tree_invitations" ADD CONSTRAINT "tree_invitations_tree_id_family_trees_id_fk" FOREIGN KEY ("tree_id") REFERENCES "public"."family_trees"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "tree_invitations" ADD CONSTRAINT "tree_invitations_invited_by_profiles_id_fk" FOREIGN KEY ("invited_by") REFERENCES "public"."profiles"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "tree_invitations" ADD CONSTRAINT "tree_invitations_accepted_by_profiles_id_fk" FOREIGN KEY ("accepted_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "tree_invitations_tree_id_idx" ON "tree_invitations" USING btree ("tree_id");--> statement-breakpoint
+CREATE INDEX "tree_invitations_invited_by_idx" ON "tree_invitations" USING btree ("invited_by");--> statement-breakpoint
+CREATE INDEX "tree_invitations_accepted_by_idx" ON "tree_invitations" USING btree ("accepted_by");
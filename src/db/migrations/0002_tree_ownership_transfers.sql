@@ -0,0 +1,17 @@
+CREATE TABLE "tree_ownership_transfers" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"tree_id" uuid NOT NULL,
+	"from_user_id" uuid NOT NULL,
+	"to_user_id" uuid NOT NULL,
+	"status" text DEFAULT 'PENDING',
+	"expires_at" timestamp with time zone NOT NULL,
+	"responded_at" timestamp with time zone,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "tree_ownership_transfers" ADD CONSTRAINT "tree_ownership_transfers_tree_id_family_trees_id_fk" FOREIGN KEY ("tree_id") REFERENCES "public"."family_trees"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "tree_ownership_transfers" ADD CONSTRAINT "tree_ownership_transfers_from_user_id_profiles_id_fk" FOREIGN KEY ("from_user_id") REFERENCES "public"."profiles"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "tree_ownership_transfers" ADD CONSTRAINT "tree_ownership_transfers_to_user_id_profiles_id_fk" FOREIGN KEY ("to_user_id") REFERENCES "public"."profiles"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "tree_ownership_transfers_tree_id_idx" ON "tree_ownership_transfers" USING btree ("tree_id");--> statement-breakpoint
+CREATE INDEX "tree_ownership_transfers_from_user_id_idx" ON "tree_ownership_transfers" USING btree ("from_user_id");--> statement-breakpoint
+CREATE INDEX "tree_ownership_transfers_to_user_id_idx" ON "tree_ownership_transfers" USING btree ("to_user_id");
@@ -0,0 +1 @@
+ALTER TABLE "family_trees" ADD COLUMN "deletion_scheduled_at" timestamp with time zone;
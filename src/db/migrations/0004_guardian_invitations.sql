@@ -0,0 +1,4 @@
+ALTER TABLE "tree_guardians" ADD COLUMN "token_hash" text;--> statement-breakpoint
+ALTER TABLE "tree_guardians" ADD COLUMN "expires_at" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "tree_guardians" ADD COLUMN "responded_at" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "tree_guardians" ADD CONSTRAINT "tree_guardians_token_hash_unique" UNIQUE("token_hash");
@@ -0,0 +1,18 @@
+-- Search normalization: lowercase + Bulgarian transliteration.
+-- Must stay in sync with normalizeSearchText() in src/utils/search.js.
+CREATE OR REPLACE FUNCTION "kt_search_normalize"("input" text) RETURNS text
+LANGUAGE sql IMMUTABLE STRICT PARALLEL SAFE AS $$
+  SELECT translate(
+    replace(replace(replace(replace(replace(replace(replace(replace(replace(
+      lower("input"),
+      'щ', 'sht'), 'ж', 'zh'), 'ц', 'ts'), 'ч', 'ch'), 'ш', 'sh'),
+      'ю', 'yu'), 'я', 'ya'), 'j', 'y'), 'x', 'ks'),
+    'абвгдезийклмнопрстуфхъьэыw',
+    'abvgdeziyklmnoprstufhayeyv'
+  )
+$$;--> statement-breakpoint
+CREATE INDEX "relatives_full_name_search_idx" ON "relatives" USING gin (to_tsvector('simple', kt_search_normalize("full_name")));--> statement-breakpoint
+CREATE INDEX "relatives_bio_search_idx" ON "relatives" USING gin (to_tsvector('simple', kt_search_normalize("bio")));--> statement-breakpoint
+CREATE INDEX "stories_content_search_idx" ON "stories" USING gin (to_tsvector('simple', kt_search_normalize("content")));--> statement-breakpoint
+CREATE INDEX "comments_content_search_idx" ON "comments" USING gin (to_tsvector('simple', kt_search_normalize("content")));--> statement-breakpoint
+CREATE INDEX "photos_caption_search_idx" ON "photos" USING gin (to_tsvector('simple', kt_search_normalize("caption")));
@@ -0,0 +1 @@
+ALTER TABLE "relatives" ADD COLUMN "gender" text;
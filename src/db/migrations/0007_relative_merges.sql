@@ -0,0 +1,18 @@
+CREATE TABLE "relative_merges" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"tree_id" uuid NOT NULL,
+	"survivor_id" uuid,
+	"merged_relative_id" uuid NOT NULL,
+	"merged_snapshot" jsonb NOT NULL,
+	"survivor_before" jsonb NOT NULL,
+	"moved" jsonb NOT NULL,
+	"merged_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "relative_merges" ADD CONSTRAINT "relative_merges_tree_id_family_trees_id_fk" FOREIGN KEY ("tree_id") REFERENCES "public"."family_trees"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relative_merges" ADD CONSTRAINT "relative_merges_survivor_id_relatives_id_fk" FOREIGN KEY ("survivor_id") REFERENCES "public"."relatives"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relative_merges" ADD CONSTRAINT "relative_merges_merged_by_profiles_id_fk" FOREIGN KEY ("merged_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "relative_merges_tree_id_idx" ON "relative_merges" USING btree ("tree_id");--> statement-breakpoint
+CREATE INDEX "relative_merges_survivor_id_idx" ON "relative_merges" USING btree ("survivor_id");--> statement-breakpoint
+CREATE INDEX "relative_merges_merged_by_idx" ON "relative_merges" USING btree ("merged_by");
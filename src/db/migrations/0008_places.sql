@@ -0,0 +1,50 @@
+CREATE TABLE "places" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"tree_id" uuid NOT NULL,
+	"name" text NOT NULL,
+	"alternate_names" text[],
+	"place_type" text,
+	"parent_id" uuid,
+	"latitude" double precision,
+	"longitude" double precision,
+	"created_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "relative_residences" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"relative_id" uuid NOT NULL,
+	"place_id" uuid NOT NULL,
+	"from_year" integer,
+	"from_month" integer,
+	"from_day" integer,
+	"to_year" integer,
+	"to_month" integer,
+	"to_day" integer,
+	"note" text,
+	"created_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "birth_place_id" uuid;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "death_place_id" uuid;--> statement-breakpoint
+ALTER TABLE "relationships" ADD COLUMN "marriage_place_id" uuid;--> statement-breakpoint
+ALTER TABLE "places" ADD CONSTRAINT "places_tree_id_family_trees_id_fk" FOREIGN KEY ("tree_id") REFERENCES "public"."family_trees"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "places" ADD CONSTRAINT "places_parent_id_places_id_fk" FOREIGN KEY ("parent_id") REFERENCES "public"."places"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "places" ADD CONSTRAINT "places_created_by_profiles_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relative_residences" ADD CONSTRAINT "relative_residences_relative_id_relatives_id_fk" FOREIGN KEY ("relative_id") REFERENCES "public"."relatives"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relative_residences" ADD CONSTRAINT "relative_residences_place_id_places_id_fk" FOREIGN KEY ("place_id") REFERENCES "public"."places"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relative_residences" ADD CONSTRAINT "relative_residences_created_by_profiles_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relatives" ADD CONSTRAINT "relatives_birth_place_id_places_id_fk" FOREIGN KEY ("birth_place_id") REFERENCES "public"."places"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relatives" ADD CONSTRAINT "relatives_death_place_id_places_id_fk" FOREIGN KEY ("death_place_id") REFERENCES "public"."places"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relationships" ADD CONSTRAINT "relationships_marriage_place_id_places_id_fk" FOREIGN KEY ("marriage_place_id") REFERENCES "public"."places"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "places_tree_id_idx" ON "places" USING btree ("tree_id");--> statement-breakpoint
+CREATE INDEX "places_parent_id_idx" ON "places" USING btree ("parent_id");--> statement-breakpoint
+CREATE INDEX "places_created_by_idx" ON "places" USING btree ("created_by");--> statement-breakpoint
+CREATE INDEX "relative_residences_relative_id_idx" ON "relative_residences" USING btree ("relative_id");--> statement-breakpoint
+CREATE INDEX "relative_residences_place_id_idx" ON "relative_residences" USING btree ("place_id");--> statement-breakpoint
+CREATE INDEX "relative_residences_created_by_idx" ON "relative_residences" USING btree ("created_by");--> statement-breakpoint
+CREATE INDEX "relatives_birth_place_id_idx" ON "relatives" USING btree ("birth_place_id");--> statement-breakpoint
+CREATE INDEX "relatives_death_place_id_idx" ON "relatives" USING btree ("death_place_id");--> statement-breakpoint
+CREATE INDEX "relationships_marriage_place_id_idx" ON "relationships" USING btree ("marriage_place_id");
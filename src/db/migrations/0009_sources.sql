@@ -0,0 +1,48 @@
+CREATE TABLE "sources" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"tree_id" uuid NOT NULL,
+	"title" text NOT NULL,
+	"source_type" text NOT NULL,
+	"author" text,
+	"repository" text,
+	"reference" text,
+	"date_year" integer,
+	"date_month" integer,
+	"date_day" integer,
+	"notes" text,
+	"file_url" text,
+	"file_mime_type" text,
+	"created_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "citations" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"source_id" uuid NOT NULL,
+	"relative_id" uuid,
+	"relationship_id" uuid,
+	"death_record_id" uuid,
+	"field" text,
+	"page" text,
+	"note" text,
+	"confidence" text NOT NULL,
+	"created_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "sources" ADD CONSTRAINT "sources_tree_id_family_trees_id_fk" FOREIGN KEY ("tree_id") REFERENCES "public"."family_trees"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "sources" ADD CONSTRAINT "sources_created_by_profiles_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "citations" ADD CONSTRAINT "citations_source_id_sources_id_fk" FOREIGN KEY ("source_id") REFERENCES "public"."sources"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "citations" ADD CONSTRAINT "citations_relative_id_relatives_id_fk" FOREIGN KEY ("relative_id") REFERENCES "public"."relatives"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "citations" ADD CONSTRAINT "citations_relationship_id_relationships_id_fk" FOREIGN KEY ("relationship_id") REFERENCES "public"."relationships"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "citations" ADD CONSTRAINT "citations_death_record_id_death_records_id_fk" FOREIGN KEY ("death_record_id") REFERENCES "public"."death_records"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "citations" ADD CONSTRAINT "citations_created_by_profiles_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "sources_tree_id_idx" ON "sources" USING btree ("tree_id");--> statement-breakpoint
+CREATE INDEX "sources_created_by_idx" ON "sources" USING btree ("created_by");--> statement-breakpoint
+CREATE INDEX "citations_source_id_idx" ON "citations" USING btree ("source_id");--> statement-breakpoint
+CREATE INDEX "citations_relative_id_idx" ON "citations" USING btree ("relative_id");--> statement-breakpoint
+CREATE INDEX "citations_relationship_id_idx" ON "citations" USING btree ("relationship_id");--> statement-breakpoint
+CREATE INDEX "citations_death_record_id_idx" ON "citations" USING btree ("death_record_id");--> statement-breakpoint
+CREATE INDEX "citations_created_by_idx" ON "citations" USING btree ("created_by");
@@ -0,0 +1,24 @@
+CREATE TABLE "life_events" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"relative_id" uuid NOT NULL,
+	"event_type" text NOT NULL,
+	"title" text,
+	"description" text,
+	"event_year" integer,
+	"event_month" integer,
+	"event_day" integer,
+	"end_year" integer,
+	"end_month" integer,
+	"end_day" integer,
+	"place_id" uuid,
+	"created_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "life_events" ADD CONSTRAINT "life_events_relative_id_relatives_id_fk" FOREIGN KEY ("relative_id") REFERENCES "public"."relatives"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "life_events" ADD CONSTRAINT "life_events_place_id_places_id_fk" FOREIGN KEY ("place_id") REFERENCES "public"."places"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "life_events" ADD CONSTRAINT "life_events_created_by_profiles_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "life_events_relative_id_idx" ON "life_events" USING btree ("relative_id");--> statement-breakpoint
+CREATE INDEX "life_events_place_id_idx" ON "life_events" USING btree ("place_id");--> statement-breakpoint
+CREATE INDEX "life_events_created_by_idx" ON "life_events" USING btree ("created_by");
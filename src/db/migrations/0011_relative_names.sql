@@ -0,0 +1,33 @@
+CREATE TABLE "relative_names" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"relative_id" uuid NOT NULL,
+	"name_type" text DEFAULT 'birth' NOT NULL,
+	"given_name" text,
+	"patronymic" text,
+	"surname" text,
+	"maiden_surname" text,
+	"nickname" text,
+	"name_day_name" text,
+	"latin_name" text,
+	"created_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "relative_names" ADD CONSTRAINT "relative_names_relative_id_relatives_id_fk" FOREIGN KEY ("relative_id") REFERENCES "public"."relatives"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "relative_names" ADD CONSTRAINT "relative_names_created_by_profiles_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "relative_names_relative_id_idx" ON "relative_names" USING btree ("relative_id");--> statement-breakpoint
+CREATE INDEX "relative_names_created_by_idx" ON "relative_names" USING btree ("created_by");--> statement-breakpoint
+-- All searchable parts of a name record as one string.
+-- Must stay in sync with nameSearchText() in src/services/search.service.js.
+CREATE OR REPLACE FUNCTION "kt_relative_name_text"(
+	"given_name" text, "patronymic" text, "surname" text, "maiden_surname" text,
+	"nickname" text, "name_day_name" text, "latin_name" text
+) RETURNS text
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT coalesce("given_name", '') || ' ' || coalesce("patronymic", '') || ' ' ||
+    coalesce("surname", '') || ' ' || coalesce("maiden_surname", '') || ' ' ||
+    coalesce("nickname", '') || ' ' || coalesce("name_day_name", '') || ' ' ||
+    coalesce("latin_name", '')
+$$;--> statement-breakpoint
+CREATE INDEX "relative_names_search_idx" ON "relative_names" USING gin (to_tsvector('simple', kt_search_normalize(kt_relative_name_text("given_name", "patronymic", "surname", "maiden_surname", "nickname", "name_day_name", "latin_name"))));
@@ -0,0 +1,20 @@
+ALTER TABLE "relatives" ADD COLUMN "birth_calendar" text DEFAULT 'gregorian' NOT NULL;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "birth_qualifier" text;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "birth_to_year" integer;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "birth_to_month" integer;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "birth_to_day" integer;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "death_calendar" text DEFAULT 'gregorian' NOT NULL;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "death_qualifier" text;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "death_to_year" integer;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "death_to_month" integer;--> statement-breakpoint
+ALTER TABLE "relatives" ADD COLUMN "death_to_day" integer;--> statement-breakpoint
+ALTER TABLE "relationships" ADD COLUMN "marriage_calendar" text DEFAULT 'gregorian' NOT NULL;--> statement-breakpoint
+ALTER TABLE "relationships" ADD COLUMN "marriage_qualifier" text;--> statement-breakpoint
+ALTER TABLE "relationships" ADD COLUMN "marriage_to_year" integer;--> statement-breakpoint
+ALTER TABLE "relationships" ADD COLUMN "marriage_to_month" integer;--> statement-breakpoint
+ALTER TABLE "relationships" ADD COLUMN "marriage_to_day" integer;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "date_taken_calendar" text DEFAULT 'gregorian' NOT NULL;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "date_taken_qualifier" text;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "date_taken_to_year" integer;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "date_taken_to_month" integer;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "date_taken_to_day" integer;
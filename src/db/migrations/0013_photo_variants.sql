@@ -0,0 +1,2 @@
+ALTER TABLE "photos" ADD COLUMN "variants" jsonb;--> statement-breakpoint
+CREATE INDEX "photos_variants_pending_idx" ON "photos" USING btree ("created_at") WHERE "photos"."variants" IS NULL;
@@ -0,0 +1,7 @@
+ALTER TABLE "photos" ADD COLUMN "orientation" text;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "latitude" double precision;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "longitude" double precision;--> statement-breakpoint
+ALTER TABLE "photos" ADD COLUMN "metadata_scrubbed_at" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "story_attachments" ADD COLUMN "metadata_scrubbed_at" timestamp with time zone;--> statement-breakpoint
+CREATE INDEX "photos_metadata_pending_idx" ON "photos" USING btree ("created_at") WHERE "photos"."metadata_scrubbed_at" IS NULL;--> statement-breakpoint
+CREATE INDEX "story_attachments_metadata_pending_idx" ON "story_attachments" USING btree ("created_at") WHERE "story_attachments"."metadata_scrubbed_at" IS NULL AND "story_attachments"."file_type" = 'photo';
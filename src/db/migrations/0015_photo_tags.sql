@@ -0,0 +1,18 @@
+CREATE TABLE "photo_tags" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"photo_id" uuid NOT NULL,
+	"relative_id" uuid NOT NULL,
+	"box_x" double precision,
+	"box_y" double precision,
+	"box_width" double precision,
+	"box_height" double precision,
+	"tagged_by" uuid,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	CONSTRAINT "photo_tags_photo_relative_unique" UNIQUE("photo_id","relative_id")
+);
+--> statement-breakpoint
+ALTER TABLE "photo_tags" ADD CONSTRAINT "photo_tags_photo_id_photos_id_fk" FOREIGN KEY ("photo_id") REFERENCES "public"."photos"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "photo_tags" ADD CONSTRAINT "photo_tags_relative_id_relatives_id_fk" FOREIGN KEY ("relative_id") REFERENCES "public"."relatives"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "photo_tags" ADD CONSTRAINT "photo_tags_tagged_by_profiles_id_fk" FOREIGN KEY ("tagged_by") REFERENCES "public"."profiles"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "photo_tags_relative_id_idx" ON "photo_tags" USING btree ("relative_id");--> statement-breakpoint
+CREATE INDEX "photo_tags_tagged_by_idx" ON "photo_tags" USING btree ("tagged_by");
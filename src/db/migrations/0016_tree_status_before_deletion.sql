@@ -0,0 +1 @@
+ALTER TABLE "family_trees" ADD COLUMN "status_before_deletion" text;
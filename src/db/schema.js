@@ -6,6 +6,8 @@ import {
   boolean,
   timestamp,
   date,
+  jsonb,
+  doublePrecision,
   time,
   serial,
   unique,
@@ -61,6 +63,8 @@ export const familyTrees = pgTable(
     status: text('status').default('ACTIVE'),
     archivedAt: timestamp('archived_at', { withTimezone: true }),
     archiveReason: text('archive_reason'),
+    deletionScheduledAt: timestamp('deletion_scheduled_at', { withTimezone: true }),
+    statusBeforeDeletion: text('status_before_deletion'),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
   },
   (table) => [
@@ -101,12 +105,26 @@ export const relatives = pgTable(
       .notNull()
       .references(() => familyTrees.id, { onDelete: 'cascade' }),
     fullName: text('full_name').notNull(),
+    gender: text('gender'),
     birthYear: integer('birth_year'),
     birthMonth: integer('birth_month'),
     birthDay: integer('birth_day'),
+    // gregorian | julian; about | before | after | between (upper bound in birthTo*)
+    birthCalendar: text('birth_calendar').notNull().default('gregorian'),
+    birthQualifier: text('birth_qualifier'),
+    birthToYear: integer('birth_to_year'),
+    birthToMonth: integer('birth_to_month'),
+    birthToDay: integer('birth_to_day'),
     deathYear: integer('death_year'),
     deathMonth: integer('death_month'),
     deathDay: integer('death_day'),
+    deathCalendar: text('death_calendar').notNull().default('gregorian'),
+    deathQualifier: text('death_qualifier'),
+    deathToYear: integer('death_to_year'),
+    deathToMonth: integer('death_to_month'),
+    deathToDay: integer('death_to_day'),
+    birthPlaceId: uuid('birth_place_id').references(() => places.id, { onDelete: 'set null' }),
+    deathPlaceId: uuid('death_place_id').references(() => places.id, { onDelete: 'set null' }),
     causeOfDeath: text('cause_of_death'),
     avatarUrl: text('avatar_url'),
     bio: text('bio'),
@@ -118,6 +136,8 @@ export const relatives = pgTable(
   (table) => [
     index('relatives_tree_id_idx').on(table.treeId),
     index('relatives_created_by_idx').on(table.createdBy),
+    index('relatives_birth_place_id_idx').on(table.birthPlaceId),
+    index('relatives_death_place_id_idx').on(table.deathPlaceId),
   ]
 );
 
@@ -141,6 +161,12 @@ export const relationships = pgTable(
     marriageYear: integer('marriage_year'),
     marriageMonth: integer('marriage_month'),
     marriageDay: integer('marriage_day'),
+    marriageCalendar: text('marriage_calendar').notNull().default('gregorian'),
+    marriageQualifier: text('marriage_qualifier'),
+    marriageToYear: integer('marriage_to_year'),
+    marriageToMonth: integer('marriage_to_month'),
+    marriageToDay: integer('marriage_to_day'),
+    marriagePlaceId: uuid('marriage_place_id').references(() => places.id, { onDelete: 'set null' }),
     divorceYear: integer('divorce_year'),
     divorceMonth: integer('divorce_month'),
     divorceDay: integer('divorce_day'),
@@ -152,6 +178,7 @@ export const relationships = pgTable(
     index('relationships_person_a_id_idx').on(table.personAId),
     index('relationships_person_b_id_idx').on(table.personBId),
     index('relationships_created_by_idx').on(table.createdBy),
+    index('relationships_marriage_place_id_idx').on(table.marriagePlaceId),
   ]
 );
 
@@ -166,10 +193,24 @@ export const photos = pgTable(
       .notNull()
       .references(() => relatives.id, { onDelete: 'cascade' }),
     fileUrl: text('file_url').notNull(),
+    // WebP derivatives in the photos bucket: { thumb, medium, full } object keys.
+    // NULL until generated; {} when the original could not be rendered.
+    variants: jsonb('variants'),
     caption: text('caption'),
     dateTakenYear: integer('date_taken_year'),
     dateTakenMonth: integer('date_taken_month'),
     dateTakenDay: integer('date_taken_day'),
+    dateTakenCalendar: text('date_taken_calendar').notNull().default('gregorian'),
+    dateTakenQualifier: text('date_taken_qualifier'),
+    dateTakenToYear: integer('date_taken_to_year'),
+    dateTakenToMonth: integer('date_taken_to_month'),
+    dateTakenToDay: integer('date_taken_to_day'),
+    orientation: text('orientation'), // landscape | portrait | square
+    // Where the photo was taken, from its EXIF GPS — only kept when the uploader opts in
+    latitude: doublePrecision('latitude'),
+    longitude: doublePrecision('longitude'),
+    // When EXIF/device metadata was stripped from the stored original (NULL = not yet)
+    metadataScrubbedAt: timestamp('metadata_scrubbed_at', { withTimezone: true }),
     sortOrder: integer('sort_order').default(0),
     uploadedBy: uuid('uploaded_by').references(() => profiles.id, { onDelete: 'set null' }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
@@ -240,6 +281,8 @@ export const storyAttachments = pgTable(
     fileUrl: text('file_url').notNull(),
     fileType: text('file_type').notNull(),
     caption: text('caption'),
+    // When EXIF/device metadata was stripped from a photo attachment (NULL = not yet)
+    metadataScrubbedAt: timestamp('metadata_scrubbed_at', { withTimezone: true }),
     sortOrder: integer('sort_order').default(0),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
   },
@@ -431,6 +474,9 @@ export const treeGuardians = pgTable(
       .references(() => profiles.id, { onDelete: 'restrict' }),
     status: text('status').default('PENDING'),
     permissions: text('permissions').default('FULL'),
+    tokenHash: text('token_hash').unique(),
+    expiresAt: timestamp('expires_at', { withTimezone: true }),
+    respondedAt: timestamp('responded_at', { withTimezone: true }),
     createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
   },
   (table) => [
@@ -469,3 +515,306 @@ export const legacyKeys = pgTable(
     index('legacy_keys_used_by_idx').on(table.usedBy),
   ]
 );
+
+// ============================================================
+// 20. tree_invitations
+// ============================================================
+export const treeInvitations = pgTable(
+  'tree_invitations',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    treeId: uuid('tree_id')
+      .notNull()
+      .references(() => familyTrees.id, { onDelete: 'cascade' }),
+    email: text('email').notNull(),
+    role: text('role').default('viewer'),
+    invitedBy: uuid('invited_by')
+      .notNull()
+      .references(() => profiles.id, { onDelete: 'restrict' }),
+    tokenHash: text('token_hash').notNull().unique(),
+    status: text('status').default('PENDING'),
+    expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+    acceptedBy: uuid('accepted_by').references(() => profiles.id, { onDelete: 'set null' }),
+    respondedAt: timestamp('responded_at', { withTimezone: true }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    index('tree_invitations_tree_id_idx').on(table.treeId),
+    index('tree_invitations_invited_by_idx').on(table.invitedBy),
+    index('tree_invitations_accepted_by_idx').on(table.acceptedBy),
+    unique('tree_invitations_tree_email_unique').on(table.treeId, table.email),
+  ]
+);
+
+// ============================================================
+// 21. tree_ownership_transfers
+// ============================================================
+export const treeOwnershipTransfers = pgTable(
+  'tree_ownership_transfers',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    treeId: uuid('tree_id')
+      .notNull()
+      .references(() => familyTrees.id, { onDelete: 'cascade' }),
+    fromUserId: uuid('from_user_id')
+      .notNull()
+      .references(() => profiles.id, { onDelete: 'restrict' }),
+    toUserId: uuid('to_user_id')
+      .notNull()
+      .references(() => profiles.id, { onDelete: 'restrict' }),
+    status: text('status').default('PENDING'),
+    expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+    respondedAt: timestamp('responded_at', { withTimezone: true }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    index('tree_ownership_transfers_tree_id_idx').on(table.treeId),
+    index('tree_ownership_transfers_from_user_id_idx').on(table.fromUserId),
+    index('tree_ownership_transfers_to_user_id_idx').on(table.toUserId),
+  ]
+);
+
+// ============================================================
+// 22. relative_merges
+// ============================================================
+export const relativeMerges = pgTable(
+  'relative_merges',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    treeId: uuid('tree_id')
+      .notNull()
+      .references(() => familyTrees.id, { onDelete: 'cascade' }),
+    survivorId: uuid('survivor_id').references(() => relatives.id, { onDelete: 'set null' }),
+    // The merged relative is deleted — its ID and a copy of its row are kept for review
+    mergedRelativeId: uuid('merged_relative_id').notNull(),
+    mergedSnapshot: jsonb('merged_snapshot').notNull(),
+    survivorBefore: jsonb('survivor_before').notNull(),
+    moved: jsonb('moved').notNull(),
+    mergedBy: uuid('merged_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    index('relative_merges_tree_id_idx').on(table.treeId),
+    index('relative_merges_survivor_id_idx').on(table.survivorId),
+    index('relative_merges_merged_by_idx').on(table.mergedBy),
+  ]
+);
+
+// ============================================================
+// 23. places
+// ============================================================
+export const places = pgTable(
+  'places',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    treeId: uuid('tree_id')
+      .notNull()
+      .references(() => familyTrees.id, { onDelete: 'cascade' }),
+    name: text('name').notNull(),
+    alternateNames: text('alternate_names').array(),
+    placeType: text('place_type'),
+    // village → municipality → region → country
+    parentId: uuid('parent_id').references(() => places.id, { onDelete: 'set null' }),
+    latitude: doublePrecision('latitude'),
+    longitude: doublePrecision('longitude'),
+    createdBy: uuid('created_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+  },
+  (table) => [
+    index('places_tree_id_idx').on(table.treeId),
+    index('places_parent_id_idx').on(table.parentId),
+    index('places_created_by_idx').on(table.createdBy),
+  ]
+);
+
+// ============================================================
+// 24. relative_residences
+// ============================================================
+export const relativeResidences = pgTable(
+  'relative_residences',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    relativeId: uuid('relative_id')
+      .notNull()
+      .references(() => relatives.id, { onDelete: 'cascade' }),
+    // NO ACTION rather than RESTRICT: checked at statement end, so a tree
+    // delete can cascade through places and relatives in either order
+    placeId: uuid('place_id')
+      .notNull()
+      .references(() => places.id, { onDelete: 'no action' }),
+    fromYear: integer('from_year'),
+    fromMonth: integer('from_month'),
+    fromDay: integer('from_day'),
+    toYear: integer('to_year'),
+    toMonth: integer('to_month'),
+    toDay: integer('to_day'),
+    note: text('note'),
+    createdBy: uuid('created_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    index('relative_residences_relative_id_idx').on(table.relativeId),
+    index('relative_residences_place_id_idx').on(table.placeId),
+    index('relative_residences_created_by_idx').on(table.createdBy),
+  ]
+);
+
+// ============================================================
+// 25. sources
+// ============================================================
+export const sources = pgTable(
+  'sources',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    treeId: uuid('tree_id')
+      .notNull()
+      .references(() => familyTrees.id, { onDelete: 'cascade' }),
+    title: text('title').notNull(),
+    sourceType: text('source_type').notNull(),
+    author: text('author'),
+    // Archive, parish or person holding the original
+    repository: text('repository'),
+    // Call number, register/volume number or URL
+    reference: text('reference'),
+    dateYear: integer('date_year'),
+    dateMonth: integer('date_month'),
+    dateDay: integer('date_day'),
+    notes: text('notes'),
+    // Scanned document (MinIO object key in the documents bucket)
+    fileUrl: text('file_url'),
+    fileMimeType: text('file_mime_type'),
+    createdBy: uuid('created_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+  },
+  (table) => [
+    index('sources_tree_id_idx').on(table.treeId),
+    index('sources_created_by_idx').on(table.createdBy),
+  ]
+);
+
+// ============================================================
+// 26. citations
+// ============================================================
+export const citations = pgTable(
+  'citations',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    sourceId: uuid('source_id')
+      .notNull()
+      .references(() => sources.id, { onDelete: 'cascade' }),
+    // Exactly one target is set (enforced in sources.service.js)
+    relativeId: uuid('relative_id').references(() => relatives.id, { onDelete: 'cascade' }),
+    relationshipId: uuid('relationship_id').references(() => relationships.id, { onDelete: 'cascade' }),
+    deathRecordId: uuid('death_record_id').references(() => deathRecords.id, { onDelete: 'cascade' }),
+    // Which fact of the target is documented ('birth', 'marriage', …); null = the record as a whole
+    field: text('field'),
+    page: text('page'),
+    note: text('note'),
+    confidence: text('confidence').notNull(),
+    createdBy: uuid('created_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+  },
+  (table) => [
+    index('citations_source_id_idx').on(table.sourceId),
+    index('citations_relative_id_idx').on(table.relativeId),
+    index('citations_relationship_id_idx').on(table.relationshipId),
+    index('citations_death_record_id_idx').on(table.deathRecordId),
+    index('citations_created_by_idx').on(table.createdBy),
+  ]
+);
+
+// ============================================================
+// 27. life_events
+// ============================================================
+export const lifeEvents = pgTable(
+  'life_events',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    relativeId: uuid('relative_id')
+      .notNull()
+      .references(() => relatives.id, { onDelete: 'cascade' }),
+    // education | military_service | occupation | emigration | baptism | custom
+    eventType: text('event_type').notNull(),
+    // School, unit, job title, … — required for custom events
+    title: text('title'),
+    description: text('description'),
+    eventYear: integer('event_year'),
+    eventMonth: integer('event_month'),
+    eventDay: integer('event_day'),
+    // Optional end, for events that span time (studies, service, a job)
+    endYear: integer('end_year'),
+    endMonth: integer('end_month'),
+    endDay: integer('end_day'),
+    placeId: uuid('place_id').references(() => places.id, { onDelete: 'set null' }),
+    createdBy: uuid('created_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+  },
+  (table) => [
+    index('life_events_relative_id_idx').on(table.relativeId),
+    index('life_events_place_id_idx').on(table.placeId),
+    index('life_events_created_by_idx').on(table.createdBy),
+  ]
+);
+
+// ============================================================
+// 28. relative_names
+// ============================================================
+export const relativeNames = pgTable(
+  'relative_names',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    relativeId: uuid('relative_id')
+      .notNull()
+      .references(() => relatives.id, { onDelete: 'cascade' }),
+    // birth | married | church | other
+    nameType: text('name_type').notNull().default('birth'),
+    givenName: text('given_name'),
+    patronymic: text('patronymic'),
+    surname: text('surname'),
+    maidenSurname: text('maiden_surname'),
+    nickname: text('nickname'),
+    // The name celebrated on name days, when it isn't the given name ("Гошо" → "Георги")
+    nameDayName: text('name_day_name'),
+    // Latin spelling as used in documents ("Georgi Ivanov")
+    latinName: text('latin_name'),
+    createdBy: uuid('created_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+  },
+  (table) => [
+    index('relative_names_relative_id_idx').on(table.relativeId),
+    index('relative_names_created_by_idx').on(table.createdBy),
+  ]
+);
+
+// ============================================================
+// 29. photo_tags
+// ============================================================
+export const photoTags = pgTable(
+  'photo_tags',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    photoId: uuid('photo_id')
+      .notNull()
+      .references(() => photos.id, { onDelete: 'cascade' }),
+    relativeId: uuid('relative_id')
+      .notNull()
+      .references(() => relatives.id, { onDelete: 'cascade' }),
+    // Face/region box as fractions (0–1) of the photo after EXIF rotation; all NULL = no box
+    boxX: doublePrecision('box_x'),
+    boxY: doublePrecision('box_y'),
+    boxWidth: doublePrecision('box_width'),
+    boxHeight: doublePrecision('box_height'),
+    taggedBy: uuid('tagged_by').references(() => profiles.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at', { withTimezone: true }).defaultNow().notNull(),
+  },
+  (table) => [
+    unique('photo_tags_photo_relative_unique').on(table.photoId, table.relativeId),
+    index('photo_tags_relative_id_idx').on(table.relativeId),
+    index('photo_tags_tagged_by_idx').on(table.taggedBy),
+  ]
+);
@@ -2,6 +2,7 @@ import { eq, and, lte, sql } from 'drizzle-orm';
 import { db } from '../config/database.js';
 import { familyTrees, profiles, notifications } from '../db/schema.js';
 import { toISODate } from '../utils/date.js';
+import { notifyGuardiansOfInactiveTree } from '../services/guardian.service.js';
 import logger from '../utils/logger.js';
 
 const ONE_YEAR_MS = 365 * 24 * 60 * 60 * 1000;
@@ -11,6 +12,7 @@ const THREE_YEARS_MS = 3 * ONE_YEAR_MS;
  * Monthly cron job (1st day, 1:00 AM): check for dormant/archived trees.
  * - Owner lastLoginAt > 1 year ago → DORMANT
  * - Owner lastLoginAt > 3 years ago → ARCHIVED
+ * Guardians of each flagged tree are notified so they can step in.
  */
 export async function dormantCheckJob() {
   try {
@@ -80,6 +82,8 @@ export async function dormantCheckJob() {
               : 'Дървото е маркирано като неактивно поради неактивност повече от 1 година. Влезте в акаунта си, за да остане активно.',
           eventDate: toISODate(now),
         });
+
+        await notifyGuardiansOfInactiveTree(tree, newStatus);
       }
     }
 
@@ -0,0 +1,54 @@
+import { eq, and, lte, sql } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { treeOwnershipTransfers, familyTrees, notifications } from '../db/schema.js';
+import { toISODate } from '../utils/date.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Hourly cron job: mark PENDING ownership transfers past expiresAt as EXPIRED
+ * and notify the owner who proposed them.
+ */
+export async function expireOwnershipTransfersJob() {
+  try {
+    const expired = await db
+      .update(treeOwnershipTransfers)
+      .set({ status: 'EXPIRED' })
+      .where(
+        and(
+          eq(treeOwnershipTransfers.status, 'PENDING'),
+          lte(treeOwnershipTransfers.expiresAt, sql`NOW()`),
+        ),
+      )
+      .returning();
+
+    if (expired.length === 0) {
+      return;
+    }
+
+    const today = toISODate(new Date());
+
+    for (const transfer of expired) {
+      const [tree] = await db
+        .select({ name: familyTrees.name })
+        .from(familyTrees)
+        .where(eq(familyTrees.id, transfer.treeId))
+        .limit(1);
+
+      await db.insert(notifications).values({
+        userId: transfer.fromUserId,
+        treeId: transfer.treeId,
+        type: 'OWNERSHIP_TRANSFER_EXPIRED',
+        title: `Предложението за "${tree?.name ?? ''}" изтече`,
+        body: 'Предложението за прехвърляне на собствеността не беше прието навреме.',
+        eventDate: today,
+      });
+    }
+
+    logger.info('Expire ownership transfers: completed', { expired: expired.length });
+  } catch (err) {
+    logger.error('Expire ownership transfers error', {
+      error: err.message,
+      stack: err.stack,
+    });
+  }
+}
@@ -0,0 +1,44 @@
+import { asc, isNull } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { photos } from '../db/schema.js';
+import { generatePhotoVariants } from '../services/photos.service.js';
+import logger from '../utils/logger.js';
+
+// Photos rendered per run — sharp is CPU-heavy, so the back-fill is spread out
+const BATCH_SIZE = 100;
+
+/**
+ * Hourly cron job (at :15): back-fill thumbnail/medium/full derivatives
+ * for photos uploaded before they were generated on upload (and photos
+ * restored from an archive), oldest first.
+ */
+export async function generatePhotoVariantsJob() {
+  try {
+    const pending = await db
+      .select({ id: photos.id, fileUrl: photos.fileUrl })
+      .from(photos)
+      .where(isNull(photos.variants))
+      .orderBy(asc(photos.createdAt))
+      .limit(BATCH_SIZE);
+
+    if (pending.length === 0) {
+      return;
+    }
+
+    let generated = 0;
+    for (const photo of pending) {
+      try {
+        if (await generatePhotoVariants(photo)) generated++;
+      } catch (err) {
+        logger.error('Photo variant generation failed', { photoId: photo.id, error: err.message });
+      }
+    }
+
+    logger.info('Generate photo variants: completed', { pending: pending.length, generated });
+  } catch (err) {
+    logger.error('Generate photo variants error', {
+      error: err.message,
+      stack: err.stack,
+    });
+  }
+}
@@ -0,0 +1,39 @@
+import { lte, sql } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { familyTrees } from '../db/schema.js';
+import { purgeTree } from '../services/tree.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Daily cron job (4:00 AM): permanently delete trees whose deletion
+ * grace period has ended, including their MinIO files.
+ */
+export async function purgeDeletedTreesJob() {
+  try {
+    const due = await db
+      .select({ id: familyTrees.id })
+      .from(familyTrees)
+      .where(lte(familyTrees.deletionScheduledAt, sql`NOW()`));
+
+    if (due.length === 0) {
+      return;
+    }
+
+    let purged = 0;
+    for (const tree of due) {
+      try {
+        await purgeTree(tree.id);
+        purged++;
+      } catch (err) {
+        logger.error('Purge deleted tree failed', { treeId: tree.id, error: err.message });
+      }
+    }
+
+    logger.info('Purge deleted trees: completed', { due: due.length, purged });
+  } catch (err) {
+    logger.error('Purge deleted trees error', {
+      error: err.message,
+      stack: err.stack,
+    });
+  }
+}
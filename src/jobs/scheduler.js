@@ -5,6 +5,10 @@ import { generatePushNotificationsJob } from './generatePushNotifications.js';
 import { cleanupExpiredTokensJob } from './cleanupExpiredTokens.js';
 import { dormantCheckJob } from './dormantCheck.js';
 import { backupReminderJob } from './backupReminder.js';
+import { expireOwnershipTransfersJob } from './expireOwnershipTransfers.js';
+import { purgeDeletedTreesJob } from './purgeDeletedTrees.js';
+import { generatePhotoVariantsJob } from './generatePhotoVariants.js';
+import { scrubPhotoMetadataJob } from './scrubPhotoMetadata.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -15,9 +19,21 @@ export function startScheduler() {
   // Hourly: auto-confirm death records past 48h deadline
   cron.schedule('0 * * * *', autoConfirmDeathRecords);
 
+  // Hourly (at :30): expire ownership transfers past their deadline
+  cron.schedule('30 * * * *', expireOwnershipTransfersJob);
+
+  // Hourly (at :15): back-fill photo thumbnails and responsive sizes
+  cron.schedule('15 * * * *', generatePhotoVariantsJob);
+
+  // Hourly (at :45): strip EXIF/GPS from photos stored before upload scrubbing
+  cron.schedule('45 * * * *', scrubPhotoMetadataJob);
+
   // Daily 3:00 AM: remove expired refresh tokens
   cron.schedule('0 3 * * *', cleanupExpiredTokensJob);
 
+  // Daily 4:00 AM: hard-delete trees past their deletion grace period
+  cron.schedule('0 4 * * *', purgeDeletedTreesJob);
+
   // Daily 6:00 AM: compute events and generate notifications for next 7 days
   cron.schedule('0 6 * * *', generateEventsNotifications);
 
@@ -33,7 +49,11 @@ export function startScheduler() {
   logger.info('Cron scheduler started', {
     jobs: [
       'autoConfirmDeath (hourly)',
+      'expireOwnershipTransfers (hourly at :30)',
+      'generatePhotoVariants (hourly at :15)',
+      'scrubPhotoMetadata (hourly at :45)',
       'cleanupExpiredTokens (daily 3:00 AM)',
+      'purgeDeletedTrees (daily 4:00 AM)',
       'generateEvents (daily 6:00 AM)',
       'generatePushNotifications (daily 7:00 AM)',
       'dormantCheck (monthly 1st 1:00 AM)',
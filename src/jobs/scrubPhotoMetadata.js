@@ -0,0 +1,91 @@
+import { eq, and, asc, isNull } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { photos, storyAttachments } from '../db/schema.js';
+import { scrubStoredPhoto } from '../services/photos.service.js';
+import { deleteFile, BUCKETS } from '../services/storage.service.js';
+import logger from '../utils/logger.js';
+
+// Images re-encoded per run and table — sharp is CPU-heavy, so the back-fill is spread out
+const BATCH_SIZE = 100;
+
+/**
+ * Hourly cron job (at :45): strip EXIF/device metadata (GPS, camera serials)
+ * from photos and photo story attachments stored before it was stripped on
+ * upload, oldest first. New uploads are scrubbed already, so once the
+ * back-log is through this finds nothing to do.
+ *
+ * Files that are missing or can't be decoded are marked as done too, so
+ * they aren't retried every hour.
+ */
+export async function scrubPhotoMetadataJob() {
+  try {
+    const [pendingPhotos, pendingAttachments] = await Promise.all([
+      db
+        .select({ id: photos.id, fileUrl: photos.fileUrl })
+        .from(photos)
+        .where(isNull(photos.metadataScrubbedAt))
+        .orderBy(asc(photos.createdAt))
+        .limit(BATCH_SIZE),
+      db
+        .select({ id: storyAttachments.id, fileUrl: storyAttachments.fileUrl })
+        .from(storyAttachments)
+        .where(and(eq(storyAttachments.fileType, 'photo'), isNull(storyAttachments.metadataScrubbedAt)))
+        .orderBy(asc(storyAttachments.createdAt))
+        .limit(BATCH_SIZE),
+    ]);
+
+    if (pendingPhotos.length === 0 && pendingAttachments.length === 0) {
+      return;
+    }
+
+    let scrubbed = 0;
+    for (const photo of pendingPhotos) {
+      if (await scrubRow(photos, photo, 'Photo', (result) => ({ orientation: result.orientation }))) scrubbed++;
+    }
+    for (const attachment of pendingAttachments) {
+      if (await scrubRow(storyAttachments, attachment, 'Story attachment')) scrubbed++;
+    }
+
+    logger.info('Scrub photo metadata: completed', {
+      photos: pendingPhotos.length,
+      attachments: pendingAttachments.length,
+      scrubbed,
+    });
+  } catch (err) {
+    logger.error('Scrub photo metadata error', {
+      error: err.message,
+      stack: err.stack,
+    });
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Scrub one stored image and mark its row done.
+ * @returns {Promise<boolean>} Whether the file was re-encoded
+ */
+async function scrubRow(table, row, label, extraFields = () => ({})) {
+  try {
+    const result = await scrubStoredPhoto(row.fileUrl);
+    if (!result) {
+      logger.warn(`${label} metadata scrub skipped: file unreadable`, { id: row.id });
+    }
+
+    const [updated] = await db
+      .update(table)
+      .set({ metadataScrubbedAt: new Date(), ...(result ? extraFields(result) : {}) })
+      .where(eq(table.id, row.id))
+      .returning({ id: table.id });
+
+    // Deleted while scrubbing — the overwrite re-created the object
+    if (!updated && result) {
+      await deleteFile(BUCKETS.PHOTOS, row.fileUrl);
+    }
+
+    return Boolean(result);
+  } catch (err) {
+    logger.error(`${label} metadata scrub failed`, { id: row.id, error: err.message });
+    return false;
+  }
+}
@@ -9,6 +9,15 @@ const ALLOWED_TYPES = {
     'image/jpeg', 'image/png', 'image/webp',
     'audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/ogg',
   ],
+  // Scanned source documents (register pages, certificates)
+  document: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+  // GEDCOM has no registered MIME type — clients send any of these
+  gedcom: [
+    'application/octet-stream', 'text/plain',
+    'application/x-gedcom', 'text/vnd.familysearch.gedcom',
+  ],
+  // KinTales ZIP export (tree-data.json + media)
+  archive: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
 };
 
 const SIZE_LIMITS = {
@@ -16,12 +25,15 @@ const SIZE_LIMITS = {
   photo: 5 * 1024 * 1024,    // 5 MB
   audio: 20 * 1024 * 1024,   // 20 MB
   storyAttachment: 20 * 1024 * 1024, // 20 MB (audio max)
+  document: 10 * 1024 * 1024, // 10 MB
+  gedcom: 10 * 1024 * 1024,  // 10 MB
+  archive: 200 * 1024 * 1024, // 200 MB
 };
 
 /**
  * Create a multer upload middleware for a specific file type.
  * Uses memory storage (buffer available via req.file.buffer).
- * @param {'avatar'|'photo'|'audio'|'storyAttachment'} type
+ * @param {'avatar'|'photo'|'audio'|'storyAttachment'|'document'|'gedcom'|'archive'} type
  * @param {number} [maxFiles=1] - Max number of files (>1 uses .array())
  * @returns {import('multer').Multer}
  */
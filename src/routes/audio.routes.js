@@ -3,7 +3,7 @@ import { authenticate } from '../middleware/auth.middleware.js';
 import { uploadLimiter } from '../middleware/rateLimit.middleware.js';
 import { createUploadMiddleware, handleUploadError } from '../middleware/upload.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
-import { uploadAudioSchema, paramsWithAudioId } from './audio.schemas.js';
+import { uploadAudioSchema, updateAudioSchema, paramsWithAudioId } from './audio.schemas.js';
 import { badRequest } from '../utils/errors.js';
 import * as audioService from '../services/audio.service.js';
 
@@ -40,6 +40,16 @@ router.post(
   },
 );
 
+// PATCH /api/audio/:id — update title or move to another relative (service checks editor+)
+router.patch('/:id', validate(updateAudioSchema), async (req, res, next) => {
+  try {
+    const audio = await audioService.updateAudio(req.params.id, req.user.userId, req.body);
+    res.json({ data: audio });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // DELETE /api/audio/:id — delete audio recording
 router.delete('/:id', validate(paramsWithAudioId), async (req, res, next) => {
   try {
@@ -14,6 +14,27 @@ export const uploadAudioSchema = z.object({
   }),
 });
 
+/** Title update (null clears it); `relativeId` moves the recording within the tree. */
+export const updateAudioSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid audio recording ID'),
+  }),
+  body: z
+    .object({
+      title: z
+        .string()
+        .max(200, 'Title must be at most 200 characters')
+        .trim()
+        .transform(stripHtml)
+        .nullable()
+        .optional(),
+      relativeId: z.string().uuid('Invalid relative ID').optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    }),
+});
+
 export const paramsWithAudioId = z.object({
   params: z.object({
     id: z.string().uuid('Invalid audio recording ID'),
@@ -1,8 +1,10 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
-import { reportDeathSchema, confirmDeathSchema } from './death.schemas.js';
+import { reportDeathSchema, confirmDeathSchema, paramsWithDeathRecordId } from './death.schemas.js';
+import { createDeathRecordCitationSchema } from './sources.schemas.js';
 import * as deathService from '../services/death.service.js';
+import * as sourcesService from '../services/sources.service.js';
 
 const router = Router();
 
@@ -33,4 +35,31 @@ router.post('/:id/confirm', validate(confirmDeathSchema), async (req, res, next)
   }
 });
 
+// GET /api/death-records/:id/citations — sources cited for this death record, oldest first (service checks viewer+)
+router.get('/:id/citations', validate(paramsWithDeathRecordId), async (req, res, next) => {
+  try {
+    const citations = await sourcesService.getCitations(
+      { type: 'deathRecord', id: req.params.id },
+      req.user.userId,
+    );
+    res.json({ data: citations });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/death-records/:id/citations — cite a source (service checks editor+)
+router.post('/:id/citations', validate(createDeathRecordCitationSchema), async (req, res, next) => {
+  try {
+    const citation = await sourcesService.createCitation(
+      { type: 'deathRecord', id: req.params.id },
+      req.user.userId,
+      req.body,
+    );
+    res.status(201).json({ data: citation });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
@@ -1,7 +1,11 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
-import { createGuardianSchema, paramsWithGuardianId } from './guardians.schemas.js';
+import {
+  createGuardianSchema,
+  paramsWithGuardianId,
+  guardianTokenSchema,
+} from './guardians.schemas.js';
 import * as guardianService from '../services/guardian.service.js';
 
 const router = Router();
@@ -9,6 +13,36 @@ const router = Router();
 // All routes require authentication
 router.use(authenticate);
 
+// GET /api/guardians/mine — trees the current user guards (pending + accepted)
+router.get('/mine', async (req, res, next) => {
+  try {
+    const guardianships = await guardianService.getGuardedTrees(req.user.userId);
+    res.json({ data: guardianships });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/guardians/accept — accept guardian invitation (token from email, invited email only)
+router.post('/accept', validate(guardianTokenSchema), async (req, res, next) => {
+  try {
+    const guardian = await guardianService.acceptGuardianInvite(req.user.userId, req.body.token);
+    res.json({ data: guardian });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/guardians/decline — decline guardian invitation
+router.post('/decline', validate(guardianTokenSchema), async (req, res, next) => {
+  try {
+    await guardianService.declineGuardianInvite(req.user.userId, req.body.token);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // POST /api/guardians — add guardian (owner only, verified in service)
 router.post('/', validate(createGuardianSchema), async (req, res, next) => {
   try {
@@ -32,4 +66,24 @@ router.delete('/:id', validate(paramsWithGuardianId), async (req, res, next) =>
   }
 });
 
+// POST /api/guardians/:id/resend — re-send invitation with a new token (owner only, verified in service)
+router.post('/:id/resend', validate(paramsWithGuardianId), async (req, res, next) => {
+  try {
+    const guardian = await guardianService.resendGuardianInvite(req.params.id, req.user.userId);
+    res.json({ data: guardian });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/guardians/:id/stewardship — guardian steps in for a dormant/archived tree
+router.post('/:id/stewardship', validate(paramsWithGuardianId), async (req, res, next) => {
+  try {
+    const result = await guardianService.claimStewardship(req.params.id, req.user.userId);
+    res.json({ data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
@@ -38,3 +38,11 @@ export const paramsWithGuardianId = z.object({
     id: z.string().uuid('Invalid guardian ID'),
   }),
 });
+
+// ── Invitation token ─────────────────────────────────────────
+
+export const guardianTokenSchema = z.object({
+  body: z.object({
+    token: z.string().regex(/^[0-9a-f]{64}$/, 'Invalid invitation token'),
+  }),
+});
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { invitationTokenSchema } from './members.schemas.js';
+import * as membersService from '../services/members.service.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// POST /api/invitations/accept — accept tree invitation (token from email, invited email only)
+router.post('/accept', validate(invitationTokenSchema), async (req, res, next) => {
+  try {
+    const result = await membersService.acceptInvitation(req.user.userId, req.body.token);
+    res.json({ data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/invitations/decline — decline tree invitation
+router.post('/decline', validate(invitationTokenSchema), async (req, res, next) => {
+  try {
+    await membersService.declineInvitation(req.user.userId, req.body.token);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
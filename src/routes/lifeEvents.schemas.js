@@ -0,0 +1,144 @@
+import { z } from 'zod';
+
+const stripHtml = (str) => str.replace(/<[^>]*>/g, '');
+
+// Residences have their own model (/api/relatives/:id/residences) and join the timeline from there
+const LIFE_EVENT_TYPES = [
+  'education', 'military_service', 'occupation', 'emigration', 'baptism', 'custom',
+];
+const TIMELINE_TYPES = [
+  'birth', 'death', 'marriage', 'divorce', 'life_event', 'residence', 'photo', 'story',
+];
+
+/** Partial date fields (year/month/day); null clears a stored value. */
+const partialDateFields = (prefix) => ({
+  [`${prefix}Year`]: z.number().int().min(1000).max(2100).nullable().optional(),
+  [`${prefix}Month`]: z.number().int().min(1).max(12).nullable().optional(),
+  [`${prefix}Day`]: z.number().int().min(1).max(31).nullable().optional(),
+});
+
+/** Refine: if day is set, month is required; if month is set, year is required. */
+function refinePartialDates(d) {
+  const has = (field) => d[field] !== undefined && d[field] !== null;
+  for (const prefix of ['event', 'end']) {
+    if (has(`${prefix}Day`) && !has(`${prefix}Month`)) return false;
+    if (has(`${prefix}Month`) && !has(`${prefix}Year`)) return false;
+  }
+  return true;
+}
+
+/** Refine: day is valid for the given month/year (e.g. no Feb 30). */
+function refineDateValidity(data, prefix) {
+  const year = data[`${prefix}Year`];
+  const month = data[`${prefix}Month`];
+  const day = data[`${prefix}Day`];
+  if ([year, month, day].some((v) => v === undefined || v === null)) return true;
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+const lifeEventBodyBase = z.object({
+  eventType: z.enum(LIFE_EVENT_TYPES),
+  title: z
+    .string()
+    .max(200, 'Title must be at most 200 characters')
+    .trim()
+    .min(1, 'Title must not be empty')
+    .transform(stripHtml)
+    .nullable()
+    .optional(),
+  description: z
+    .string()
+    .max(2000, 'Description must be at most 2000 characters')
+    .trim()
+    .transform(stripHtml)
+    .nullable()
+    .optional(),
+  ...partialDateFields('event'),
+  ...partialDateFields('end'),
+  placeId: z.string().uuid('Invalid place ID').nullable().optional(),
+});
+
+const lifeEventParams = z.object({
+  id: z.string().uuid('Invalid relative ID'),
+  eventId: z.string().uuid('Invalid life event ID'),
+});
+
+export const createLifeEventSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  body: lifeEventBodyBase
+    .refine((d) => d.eventType !== 'custom' || Boolean(d.title), {
+      message: 'Custom events need a title',
+    })
+    .refine(refinePartialDates, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
+    })
+    .refine((d) => refineDateValidity(d, 'event'), {
+      message: 'Invalid event date for the given month',
+    })
+    .refine((d) => refineDateValidity(d, 'end'), {
+      message: 'Invalid end date for the given month',
+    }),
+});
+
+/**
+ * Partial update. A field sent as null clears it; the merged result is
+ * re-checked by the service (e.g. the end can't come before the start).
+ */
+export const updateLifeEventSchema = z.object({
+  params: lifeEventParams,
+  body: lifeEventBodyBase
+    .partial()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    })
+    .refine(refinePartialDates, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
+    })
+    .refine((d) => refineDateValidity(d, 'event'), {
+      message: 'Invalid event date for the given month',
+    })
+    .refine((d) => refineDateValidity(d, 'end'), {
+      message: 'Invalid end date for the given month',
+    }),
+});
+
+export const lifeEventParamsSchema = z.object({
+  params: lifeEventParams,
+});
+
+// ── Timeline ─────────────────────────────────────────────────
+
+const timelineTypes = z
+  .string()
+  .transform((value) => value.split(',').map((t) => t.trim()).filter(Boolean))
+  .pipe(z.array(z.enum(TIMELINE_TYPES)).min(1, 'At least one type is required'))
+  .optional();
+
+export const relativeTimelineSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  query: z.object({
+    types: timelineTypes,
+  }),
+});
+
+export const treeTimelineSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  query: z
+    .object({
+      types: timelineTypes,
+      fromYear: z.coerce.number().int().min(1000).max(2100).optional(),
+      toYear: z.coerce.number().int().min(1000).max(2100).optional(),
+      page: z.coerce.number().int().min(1).optional(),
+      limit: z.coerce.number().int().min(1).max(200).optional(),
+    })
+    .refine((q) => q.fromYear === undefined || q.toYear === undefined || q.fromYear <= q.toYear, {
+      message: 'fromYear must not be after toYear',
+    }),
+});
@@ -0,0 +1,65 @@
+import { z } from 'zod';
+
+// Owner is never assignable here — it changes only through ownership transfer
+const ASSIGNABLE_ROLES = ['viewer', 'editor'];
+
+const treeIdParam = z.string().uuid('Invalid tree ID');
+
+// ── Members ──────────────────────────────────────────────────
+
+export const memberParamsSchema = z.object({
+  params: z.object({
+    id: treeIdParam,
+    userId: z.string().uuid('Invalid user ID'),
+  }),
+});
+
+export const updateMemberRoleSchema = z.object({
+  params: z.object({
+    id: treeIdParam,
+    userId: z.string().uuid('Invalid user ID'),
+  }),
+  body: z.object({
+    role: z.enum(ASSIGNABLE_ROLES),
+  }),
+});
+
+// ── Ownership transfer ───────────────────────────────────────
+
+export const proposeTransferSchema = z.object({
+  params: z.object({
+    id: treeIdParam,
+  }),
+  body: z.object({
+    toUserId: z.string().uuid('Invalid user ID'),
+  }),
+});
+
+// ── Invitations ──────────────────────────────────────────────
+
+export const createInvitationSchema = z.object({
+  params: z.object({
+    id: treeIdParam,
+  }),
+  body: z.object({
+    email: z
+      .string()
+      .email('Invalid email address')
+      .max(255)
+      .transform((v) => v.trim().toLowerCase()),
+    role: z.enum(ASSIGNABLE_ROLES).default('viewer'),
+  }),
+});
+
+export const invitationParamsSchema = z.object({
+  params: z.object({
+    id: treeIdParam,
+    invitationId: z.string().uuid('Invalid invitation ID'),
+  }),
+});
+
+export const invitationTokenSchema = z.object({
+  body: z.object({
+    token: z.string().regex(/^[0-9a-f]{64}$/, 'Invalid invitation token'),
+  }),
+});
@@ -3,9 +3,17 @@ import { authenticate } from '../middleware/auth.middleware.js';
 import { uploadLimiter } from '../middleware/rateLimit.middleware.js';
 import { createUploadMiddleware, handleUploadError } from '../middleware/upload.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
-import { uploadPhotoSchema, uploadPhotoBulkSchema, paramsWithPhotoId } from './photos.schemas.js';
+import {
+  uploadPhotoSchema,
+  uploadPhotoBulkSchema,
+  updatePhotoSchema,
+  paramsWithPhotoId,
+  addPhotoTagSchema,
+  paramsWithPhotoTagId,
+} from './photos.schemas.js';
 import { badRequest } from '../utils/errors.js';
 import * as photosService from '../services/photos.service.js';
+import * as photoTagsService from '../services/photoTags.service.js';
 
 const router = Router();
 
@@ -58,6 +66,7 @@ router.post(
         req.body.relativeId,
         req.user.userId,
         req.files,
+        { keepLocation: req.body.keepLocation },
       );
 
       res.status(201).json({ data: photos });
@@ -67,6 +76,16 @@ router.post(
   },
 );
 
+// PATCH /api/photos/:id — update caption/date/sortOrder or move to another relative (service checks editor+)
+router.patch('/:id', validate(updatePhotoSchema), async (req, res, next) => {
+  try {
+    const photo = await photosService.updatePhoto(req.params.id, req.user.userId, req.body);
+    res.json({ data: photo });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // DELETE /api/photos/:id — delete photo
 router.delete('/:id', validate(paramsWithPhotoId), async (req, res, next) => {
   try {
@@ -77,4 +96,34 @@ router.delete('/:id', validate(paramsWithPhotoId), async (req, res, next) => {
   }
 });
 
+// GET /api/photos/:id/tags — relatives tagged in a photo (service checks viewer+)
+router.get('/:id/tags', validate(paramsWithPhotoId), async (req, res, next) => {
+  try {
+    const tags = await photoTagsService.getPhotoTags(req.params.id, req.user.userId);
+    res.json({ data: tags });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/photos/:id/tags — tag a relative, optional face/region box (service checks editor+)
+router.post('/:id/tags', validate(addPhotoTagSchema), async (req, res, next) => {
+  try {
+    const tag = await photoTagsService.addPhotoTag(req.params.id, req.user.userId, req.body);
+    res.status(201).json({ data: tag });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/photos/:id/tags/:tagId — remove a tag (service checks editor+)
+router.delete('/:id/tags/:tagId', validate(paramsWithPhotoTagId), async (req, res, next) => {
+  try {
+    await photoTagsService.removePhotoTag(req.params.id, req.params.tagId, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { CALENDARS, DATE_QUALIFIERS, isValidDate, isValidDateRange } from '../utils/calendar.js';
 
 /** Strip HTML tags iteratively to handle nested/obfuscated patterns. */
 function stripHtml(str) {
@@ -11,14 +12,18 @@ function stripHtml(str) {
   return result;
 }
 
-/** Refine: day is valid for the given month/year (e.g. no Feb 30). */
+/**
+ * Refine: day is valid for the given month/year in the date's calendar
+ * (e.g. no Feb 30), for the date and its "between" upper bound.
+ */
 function refineDateValidity(data) {
-  const year = data.dateTakenYear;
-  const month = data.dateTakenMonth;
-  const day = data.dateTakenDay;
-  if (year === undefined || month === undefined || day === undefined) return true;
-  const date = new Date(year, month - 1, day);
-  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  return ['dateTaken', 'dateTakenTo'].every((prefix) => {
+    const year = data[`${prefix}Year`];
+    const month = data[`${prefix}Month`];
+    const day = data[`${prefix}Day`];
+    if (year === undefined || month === undefined || day === undefined) return true;
+    return isValidDate(year, month, day, data.dateTakenCalendar);
+  });
 }
 
 export const uploadPhotoSchema = z.object({
@@ -34,7 +39,16 @@ export const uploadPhotoSchema = z.object({
       dateTakenYear: z.coerce.number().int().min(1800).max(2100).optional(),
       dateTakenMonth: z.coerce.number().int().min(1).max(12).optional(),
       dateTakenDay: z.coerce.number().int().min(1).max(31).optional(),
+      dateTakenCalendar: z.enum(CALENDARS).optional(),
+      dateTakenQualifier: z.enum(DATE_QUALIFIERS).optional(),
+      dateTakenToYear: z.coerce.number().int().min(1800).max(2100).optional(),
+      dateTakenToMonth: z.coerce.number().int().min(1).max(12).optional(),
+      dateTakenToDay: z.coerce.number().int().min(1).max(31).optional(),
       sortOrder: z.coerce.number().int().min(0).optional(),
+      keepLocation: z
+        .enum(['true', 'false'])
+        .transform((v) => v === 'true')
+        .optional(),
     })
     .refine(
       (d) => {
@@ -46,12 +60,70 @@ export const uploadPhotoSchema = z.object({
     )
     .refine(refineDateValidity, {
       message: 'Invalid date for the given month',
+    })
+    .refine((d) => isValidDateRange(d, 'dateTaken'), {
+      message: 'Date: "between" needs an end date (dateTakenTo*) that is not before the start, and only "between" takes one',
     }),
 });
 
 export const uploadPhotoBulkSchema = z.object({
   body: z.object({
     relativeId: z.string().uuid('Invalid relative ID'),
+    keepLocation: z
+      .enum(['true', 'false'])
+      .transform((v) => v === 'true')
+      .optional(),
+  }),
+});
+
+/**
+ * Metadata update. Any field can be cleared with null (dateTakenCalendar
+ * and sortOrder excepted); `relativeId` moves the photo to another relative
+ * of the same tree. The date as a whole is checked against the stored photo
+ * by the service.
+ */
+export const updatePhotoSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid photo ID'),
+  }),
+  body: z
+    .object({
+      caption: z
+        .string()
+        .max(500, 'Caption must be at most 500 characters')
+        .trim()
+        .transform(stripHtml)
+        .nullable()
+        .optional(),
+      dateTakenYear: z.number().int().min(1800).max(2100).nullable().optional(),
+      dateTakenMonth: z.number().int().min(1).max(12).nullable().optional(),
+      dateTakenDay: z.number().int().min(1).max(31).nullable().optional(),
+      dateTakenCalendar: z.enum(CALENDARS).optional(),
+      dateTakenQualifier: z.enum(DATE_QUALIFIERS).nullable().optional(),
+      dateTakenToYear: z.number().int().min(1800).max(2100).nullable().optional(),
+      dateTakenToMonth: z.number().int().min(1).max(12).nullable().optional(),
+      dateTakenToDay: z.number().int().min(1).max(31).nullable().optional(),
+      sortOrder: z.number().int().min(0).optional(),
+      relativeId: z.string().uuid('Invalid relative ID').optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    }),
+});
+
+/** The relative's own photos, each exactly once, in the new gallery order. */
+export const reorderPhotosSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  body: z.object({
+    photoIds: z
+      .array(z.string().uuid('Invalid photo ID'))
+      .min(1, 'At least one photo is required')
+      .max(1000)
+      .refine((ids) => new Set(ids).size === ids.length, {
+        message: 'Each photo may only be listed once',
+      }),
   }),
 });
 
@@ -60,3 +132,34 @@ export const paramsWithPhotoId = z.object({
     id: z.string().uuid('Invalid photo ID'),
   }),
 });
+
+// ── Tags ─────────────────────────────────────────────────────
+
+const fraction = z.number().min(0).max(1);
+
+export const addPhotoTagSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid photo ID'),
+  }),
+  body: z.object({
+    relativeId: z.string().uuid('Invalid relative ID'),
+    box: z
+      .object({
+        x: fraction,
+        y: fraction,
+        width: fraction.refine((v) => v > 0, 'Box width must be greater than 0'),
+        height: fraction.refine((v) => v > 0, 'Box height must be greater than 0'),
+      })
+      .refine((b) => b.x + b.width <= 1 && b.y + b.height <= 1, {
+        message: 'Box must lie within the photo',
+      })
+      .optional(),
+  }),
+});
+
+export const paramsWithPhotoTagId = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid photo ID'),
+    tagId: z.string().uuid('Invalid tag ID'),
+  }),
+});
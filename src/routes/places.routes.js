@@ -0,0 +1,67 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  createPlaceSchema,
+  updatePlaceSchema,
+  paramsWithPlaceId,
+  getPlaceRelativesSchema,
+} from './places.schemas.js';
+import * as placesService from '../services/places.service.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// POST /api/places — create place (treeId in body, service checks editor+)
+router.post('/', validate(createPlaceSchema), async (req, res, next) => {
+  try {
+    const place = await placesService.createPlace(req.body, req.user.userId);
+    res.status(201).json({ data: place });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/places/:id — place with enclosing places and sub-places (service checks viewer+)
+router.get('/:id', validate(paramsWithPlaceId), async (req, res, next) => {
+  try {
+    const place = await placesService.getPlaceById(req.params.id, req.user.userId);
+    res.json({ data: place });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/places/:id — update place (service checks editor+)
+router.put('/:id', validate(updatePlaceSchema), async (req, res, next) => {
+  try {
+    const place = await placesService.updatePlace(req.params.id, req.user.userId, req.body);
+    res.json({ data: place });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/places/:id — delete an unused place (service checks editor+)
+router.delete('/:id', validate(paramsWithPlaceId), async (req, res, next) => {
+  try {
+    await placesService.deletePlace(req.params.id, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/places/:id/relatives?event=&includeSubplaces= — people born, died, married or living there (viewer+)
+router.get('/:id/relatives', validate(getPlaceRelativesSchema), async (req, res, next) => {
+  try {
+    const result = await placesService.getPlaceRelatives(req.params.id, req.user.userId, req.query);
+    res.json({ data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
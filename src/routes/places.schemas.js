@@ -0,0 +1,170 @@
+import { z } from 'zod';
+
+const stripHtml = (str) => str.replace(/<[^>]*>/g, '');
+
+const PLACE_TYPES = ['country', 'region', 'municipality', 'city', 'town', 'village', 'other'];
+const PLACE_EVENTS = ['any', 'birth', 'death', 'marriage', 'residence'];
+
+const placeName = z
+  .string()
+  .max(200, 'Place name must be at most 200 characters')
+  .trim()
+  .min(1, 'Place name is required')
+  .transform(stripHtml);
+
+const placeBodyBase = z.object({
+  name: placeName,
+  alternateNames: z.array(placeName).max(20, 'At most 20 alternate names').optional(),
+  placeType: z.enum(PLACE_TYPES).nullable().optional(),
+  parentId: z.string().uuid('Invalid parent place ID').nullable().optional(),
+  latitude: z.number().min(-90).max(90).nullable().optional(),
+  longitude: z.number().min(-180).max(180).nullable().optional(),
+});
+
+/** Refine: latitude and longitude are set (or cleared) together. */
+function refineCoordinates(d) {
+  const hasLat = d.latitude !== undefined && d.latitude !== null;
+  const hasLng = d.longitude !== undefined && d.longitude !== null;
+  return hasLat === hasLng;
+}
+
+export const createPlaceSchema = z.object({
+  body: placeBodyBase
+    .extend({
+      treeId: z.string().uuid('Invalid tree ID'),
+    })
+    .refine(refineCoordinates, {
+      message: 'Latitude and longitude must be given together',
+    }),
+});
+
+export const updatePlaceSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid place ID'),
+  }),
+  body: placeBodyBase
+    .partial()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    })
+    .refine(refineCoordinates, {
+      message: 'Latitude and longitude must be given together',
+    }),
+});
+
+export const paramsWithPlaceId = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid place ID'),
+  }),
+});
+
+export const getTreePlacesSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  query: z.object({
+    q: z.string().trim().min(1).max(100).optional(),
+  }),
+});
+
+export const getPlaceRelativesSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid place ID'),
+  }),
+  query: z.object({
+    event: z.enum(PLACE_EVENTS).default('any'),
+    includeSubplaces: z
+      .enum(['true', 'false'])
+      .transform((v) => v === 'true')
+      .optional(),
+  }),
+});
+
+// ── Residences ───────────────────────────────────────────────
+
+/** Partial date fields (year/month/day); null clears a stored value. */
+const partialDateFields = (prefix) => ({
+  [`${prefix}Year`]: z.number().int().min(1000).max(2100).nullable().optional(),
+  [`${prefix}Month`]: z.number().int().min(1).max(12).nullable().optional(),
+  [`${prefix}Day`]: z.number().int().min(1).max(31).nullable().optional(),
+});
+
+/** Refine: if day is set, month is required; if month is set, year is required. */
+function refinePartialDates(d) {
+  const has = (field) => d[field] !== undefined && d[field] !== null;
+  if (has('fromDay') && !has('fromMonth')) return false;
+  if (has('fromMonth') && !has('fromYear')) return false;
+  if (has('toDay') && !has('toMonth')) return false;
+  if (has('toMonth') && !has('toYear')) return false;
+  return true;
+}
+
+/** Refine: day is valid for the given month/year (e.g. no Feb 30). */
+function refineDateValidity(data, prefix) {
+  const year = data[`${prefix}Year`];
+  const month = data[`${prefix}Month`];
+  const day = data[`${prefix}Day`];
+  if ([year, month, day].some((v) => v === undefined || v === null)) return true;
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+const residenceBodyBase = z.object({
+  placeId: z.string().uuid('Invalid place ID'),
+  ...partialDateFields('from'),
+  ...partialDateFields('to'),
+  note: z
+    .string()
+    .max(500, 'Note must be at most 500 characters')
+    .trim()
+    .transform(stripHtml)
+    .nullable()
+    .optional(),
+});
+
+const residenceParams = z.object({
+  id: z.string().uuid('Invalid relative ID'),
+  residenceId: z.string().uuid('Invalid residence ID'),
+});
+
+export const createResidenceSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  body: residenceBodyBase
+    .refine(refinePartialDates, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
+    })
+    .refine((d) => refineDateValidity(d, 'from'), {
+      message: 'Invalid start date for the given month',
+    })
+    .refine((d) => refineDateValidity(d, 'to'), {
+      message: 'Invalid end date for the given month',
+    }),
+});
+
+/**
+ * Partial update. A date part sent as null clears it; the merged result is
+ * re-checked by the service (e.g. the end can't come before the start).
+ */
+export const updateResidenceSchema = z.object({
+  params: residenceParams,
+  body: residenceBodyBase
+    .partial()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    })
+    .refine(refinePartialDates, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
+    })
+    .refine((d) => refineDateValidity(d, 'from'), {
+      message: 'Invalid start date for the given month',
+    })
+    .refine((d) => refineDateValidity(d, 'to'), {
+      message: 'Invalid end date for the given month',
+    }),
+});
+
+export const residenceParamsSchema = z.object({
+  params: residenceParams,
+});
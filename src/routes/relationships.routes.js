@@ -3,9 +3,12 @@ import { authenticate } from '../middleware/auth.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
 import {
   createRelationshipSchema,
+  updateRelationshipSchema,
   paramsWithRelationshipId,
 } from './relationships.schemas.js';
+import { createRelationshipCitationSchema } from './sources.schemas.js';
 import * as relationshipsService from '../services/relationships.service.js';
+import * as sourcesService from '../services/sources.service.js';
 
 const router = Router();
 
@@ -15,8 +18,25 @@ router.use(authenticate);
 // POST /api/relationships — create relationship (treeId in body, service checks editor+)
 router.post('/', validate(createRelationshipSchema), async (req, res, next) => {
   try {
-    const relationship = await relationshipsService.createRelationship(req.body, req.user.userId);
-    res.status(201).json({ data: relationship });
+    const { relationship, warnings } = await relationshipsService.createRelationship(
+      req.body,
+      req.user.userId,
+    );
+    res.status(201).json({ data: relationship, meta: { warnings } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/relationships/:id — change type or marriage/divorce dates (service checks editor+)
+router.put('/:id', validate(updateRelationshipSchema), async (req, res, next) => {
+  try {
+    const { relationship, warnings } = await relationshipsService.updateRelationship(
+      req.params.id,
+      req.user.userId,
+      req.body,
+    );
+    res.json({ data: relationship, meta: { warnings } });
   } catch (err) {
     next(err);
   }
@@ -32,4 +52,31 @@ router.delete('/:id', validate(paramsWithRelationshipId), async (req, res, next)
   }
 });
 
+// GET /api/relationships/:id/citations — sources cited for this relationship, oldest first (service checks viewer+)
+router.get('/:id/citations', validate(paramsWithRelationshipId), async (req, res, next) => {
+  try {
+    const citations = await sourcesService.getCitations(
+      { type: 'relationship', id: req.params.id },
+      req.user.userId,
+    );
+    res.json({ data: citations });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/relationships/:id/citations — cite a source (service checks editor+)
+router.post('/:id/citations', validate(createRelationshipCitationSchema), async (req, res, next) => {
+  try {
+    const citation = await sourcesService.createCitation(
+      { type: 'relationship', id: req.params.id },
+      req.user.userId,
+      req.body,
+    );
+    res.status(201).json({ data: citation });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
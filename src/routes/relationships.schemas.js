@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { CALENDARS, DATE_QUALIFIERS, isValidDate, isValidDateRange } from '../utils/calendar.js';
 
 const RELATIONSHIP_TYPES = [
   'parent', 'child', 'spouse', 'sibling',
@@ -13,14 +14,60 @@ const partialDateFields = (prefix) => ({
   [`${prefix}Day`]: z.number().int().min(1).max(31).optional(),
 });
 
-/** Refine: day is valid for the given month/year (e.g. no Feb 30). */
+/** Same as partialDateFields, but null clears a stored value. */
+const nullablePartialDateFields = (prefix) => ({
+  [`${prefix}Year`]: z.number().int().min(1000).max(2100).nullable().optional(),
+  [`${prefix}Month`]: z.number().int().min(1).max(12).nullable().optional(),
+  [`${prefix}Day`]: z.number().int().min(1).max(31).nullable().optional(),
+});
+
+/**
+ * Calendar, qualifier and the "between" upper bound of the marriage date.
+ * The qualifier and bound can be cleared with null.
+ */
+const marriageQualifierFields = {
+  marriageCalendar: z.enum(CALENDARS).optional(),
+  marriageQualifier: z.enum(DATE_QUALIFIERS).nullable().optional(),
+  marriageToYear: z.number().int().min(1000).max(2100).nullable().optional(),
+  marriageToMonth: z.number().int().min(1).max(12).nullable().optional(),
+  marriageToDay: z.number().int().min(1).max(31).nullable().optional(),
+};
+
+/**
+ * Refine: day is valid for the given month/year in the date's calendar
+ * (no Feb 30; Feb 29 1900 exists only in the Julian calendar).
+ * Checks the "between" upper bound (`<prefix>To*`) as well.
+ */
 function refineDateValidity(data, prefix) {
-  const year = data[`${prefix}Year`];
-  const month = data[`${prefix}Month`];
-  const day = data[`${prefix}Day`];
-  if (year === undefined || month === undefined || day === undefined) return true;
-  const date = new Date(year, month - 1, day);
-  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  const calendar = data[`${prefix}Calendar`];
+  return [prefix, `${prefix}To`].every((p) => {
+    const year = data[`${p}Year`];
+    const month = data[`${p}Month`];
+    const day = data[`${p}Day`];
+    if ([year, month, day].some((v) => v === undefined || v === null)) return true;
+    return isValidDate(year, month, day, calendar);
+  });
+}
+
+/** Refine: if day is set, month is required; if month is set, year is required. */
+function refinePartialDates(d) {
+  const has = (field) => d[field] !== undefined && d[field] !== null;
+  if (has('marriageDay') && !has('marriageMonth')) return false;
+  if (has('marriageMonth') && !has('marriageYear')) return false;
+  if (has('divorceDay') && !has('divorceMonth')) return false;
+  if (has('divorceMonth') && !has('divorceYear')) return false;
+  return true;
+}
+
+/** Refine: marriage/divorce dates and marriage place only on spouse relationships. */
+function refineSpouseDates(d) {
+  if (d.relationshipType === undefined || d.relationshipType === 'spouse') return true;
+  const spouseFields = [
+    'marriageYear', 'marriageMonth', 'marriageDay', 'marriagePlaceId',
+    'marriageQualifier', 'marriageToYear', 'marriageToMonth', 'marriageToDay',
+    'divorceYear', 'divorceMonth', 'divorceDay',
+  ];
+  return spouseFields.every((field) => d[field] === undefined || d[field] === null);
 }
 
 export const createRelationshipSchema = z.object({
@@ -31,37 +78,57 @@ export const createRelationshipSchema = z.object({
       personBId: z.string().uuid('Invalid person B ID'),
       relationshipType: z.enum(RELATIONSHIP_TYPES),
       ...partialDateFields('marriage'),
+      ...marriageQualifierFields,
+      marriagePlaceId: z.string().uuid('Invalid marriage place ID').optional(),
       ...partialDateFields('divorce'),
     })
     .refine((d) => d.personAId !== d.personBId, {
       message: 'Cannot create a relationship with the same person',
     })
-    .refine(
-      (d) => {
-        if (d.relationshipType !== 'spouse') {
-          const hasMarriage = d.marriageYear !== undefined || d.marriageMonth !== undefined || d.marriageDay !== undefined;
-          const hasDivorce = d.divorceYear !== undefined || d.divorceMonth !== undefined || d.divorceDay !== undefined;
-          return !hasMarriage && !hasDivorce;
-        }
-        return true;
-      },
-      { message: 'Marriage and divorce dates are only allowed for spouse relationships' },
-    )
-    .refine(
-      (d) => {
-        if (d.marriageDay !== undefined && d.marriageMonth === undefined) return false;
-        if (d.marriageMonth !== undefined && d.marriageYear === undefined) return false;
-        if (d.divorceDay !== undefined && d.divorceMonth === undefined) return false;
-        if (d.divorceMonth !== undefined && d.divorceYear === undefined) return false;
-        return true;
-      },
-      { message: 'Date: if day is set, month is required; if month is set, year is required' },
-    )
+    .refine(refineSpouseDates, {
+      message: 'Marriage and divorce details are only allowed for spouse relationships',
+    })
+    .refine(refinePartialDates, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
+    })
     .refine((d) => refineDateValidity(d, 'marriage'), {
       message: 'Invalid marriage date for the given month',
     })
     .refine((d) => refineDateValidity(d, 'divorce'), {
       message: 'Invalid divorce date for the given month',
+    })
+    .refine((d) => isValidDateRange(d, 'marriage'), {
+      message: 'Marriage date: "between" needs an end date (marriageTo*) that is not before the start, and only "between" takes one',
+    }),
+});
+
+/**
+ * Partial update. A date part sent as null clears it; the merged result is
+ * re-checked by the service (e.g. a day sent alone must exist in the stored
+ * month, in the stored marriage calendar — which also applies when no
+ * calendar is sent, so day validity is not checked here).
+ */
+export const updateRelationshipSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relationship ID'),
+  }),
+  body: z
+    .object({
+      relationshipType: z.enum(RELATIONSHIP_TYPES),
+      ...nullablePartialDateFields('marriage'),
+      ...marriageQualifierFields,
+      marriagePlaceId: z.string().uuid('Invalid marriage place ID').nullable(),
+      ...nullablePartialDateFields('divorce'),
+    })
+    .partial()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    })
+    .refine(refineSpouseDates, {
+      message: 'Marriage and divorce details are only allowed for spouse relationships',
+    })
+    .refine(refinePartialDates, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
     }),
 });
 
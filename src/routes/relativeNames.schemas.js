@@ -0,0 +1,69 @@
+import { z } from 'zod';
+
+const stripHtml = (str) => str.replace(/<[^>]*>/g, '');
+
+const NAME_TYPES = ['birth', 'married', 'church', 'other'];
+const NAME_FIELDS = [
+  'givenName', 'patronymic', 'surname', 'maidenSurname', 'nickname', 'nameDayName', 'latinName',
+];
+
+/** Optional name part; null clears a stored value. */
+const namePart = (label) => z
+  .string()
+  .max(100, `${label} must be at most 100 characters`)
+  .trim()
+  .min(1, `${label} must not be empty`)
+  .transform(stripHtml)
+  .nullable()
+  .optional();
+
+const nameBodyBase = z.object({
+  nameType: z.enum(NAME_TYPES).optional(),
+  givenName: namePart('Given name'),
+  patronymic: namePart('Patronymic'),
+  surname: namePart('Surname'),
+  maidenSurname: namePart('Maiden surname'),
+  nickname: namePart('Nickname'),
+  nameDayName: namePart('Name day name'),
+  latinName: z
+    .string()
+    .max(200, 'Latin name must be at most 200 characters')
+    .trim()
+    .min(1, 'Latin name must not be empty')
+    .regex(/^[\p{Script=Latin}\s'.-]+$/u, 'Latin name must use Latin letters')
+    .nullable()
+    .optional(),
+});
+
+const nameParams = z.object({
+  id: z.string().uuid('Invalid relative ID'),
+  nameId: z.string().uuid('Invalid name ID'),
+});
+
+/** Refine: a name record carries at least one name part. */
+const hasNamePart = (d) => NAME_FIELDS.some((field) => d[field] !== undefined && d[field] !== null);
+
+export const createRelativeNameSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  body: nameBodyBase.refine(hasNamePart, {
+    message: 'At least one name part must be provided',
+  }),
+});
+
+/**
+ * Partial update. A field sent as null clears it; the service checks the
+ * merged record still has a name part.
+ */
+export const updateRelativeNameSchema = z.object({
+  params: nameParams,
+  body: nameBodyBase
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    }),
+});
+
+export const relativeNameParamsSchema = z.object({
+  params: nameParams,
+});
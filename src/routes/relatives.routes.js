@@ -1,16 +1,51 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
+import { uploadLimiter, exportLimiter } from '../middleware/rateLimit.middleware.js';
+import { createUploadMiddleware, handleUploadError } from '../middleware/upload.middleware.js';
 import {
   createRelativeSchema,
   updateRelativeSchema,
   paramsWithRelativeId,
+  avatarFromPhotoSchema,
+  pedigreeSchema,
+  mergeRelativeSchema,
+  chartSchema,
 } from './relatives.schemas.js';
+import {
+  createRelativeNameSchema,
+  updateRelativeNameSchema,
+  relativeNameParamsSchema,
+} from './relativeNames.schemas.js';
+import {
+  createResidenceSchema,
+  updateResidenceSchema,
+  residenceParamsSchema,
+} from './places.schemas.js';
+import { createRelativeCitationSchema } from './sources.schemas.js';
+import { reorderPhotosSchema } from './photos.schemas.js';
+import {
+  createLifeEventSchema,
+  updateLifeEventSchema,
+  lifeEventParamsSchema,
+  relativeTimelineSchema,
+} from './lifeEvents.schemas.js';
 import * as relativesService from '../services/relatives.service.js';
+import * as relationshipsService from '../services/relationships.service.js';
+import * as pedigreeService from '../services/pedigree.service.js';
+import * as duplicatesService from '../services/duplicates.service.js';
+import * as chartService from '../services/chart.service.js';
+import * as relativeNamesService from '../services/relativeNames.service.js';
+import * as placesService from '../services/places.service.js';
+import * as sourcesService from '../services/sources.service.js';
+import * as lifeEventsService from '../services/lifeEvents.service.js';
+import * as timelineService from '../services/timeline.service.js';
 import * as photosService from '../services/photos.service.js';
 import * as audioService from '../services/audio.service.js';
+import { badRequest } from '../utils/errors.js';
 
 const router = Router();
+const avatarUpload = createUploadMiddleware('avatar');
 
 // All routes require authentication
 router.use(authenticate);
@@ -18,8 +53,8 @@ router.use(authenticate);
 // POST /api/relatives — create relative (treeId in body, service checks editor+)
 router.post('/', validate(createRelativeSchema), async (req, res, next) => {
   try {
-    const relative = await relativesService.createRelative(req.body, req.user.userId);
-    res.status(201).json({ data: relative });
+    const { relative, warnings } = await relativesService.createRelative(req.body, req.user.userId);
+    res.status(201).json({ data: relative, meta: { warnings } });
   } catch (err) {
     next(err);
   }
@@ -38,8 +73,12 @@ router.get('/:id', validate(paramsWithRelativeId), async (req, res, next) => {
 // PUT /api/relatives/:id — update relative (service checks editor+)
 router.put('/:id', validate(updateRelativeSchema), async (req, res, next) => {
   try {
-    const relative = await relativesService.updateRelative(req.params.id, req.user.userId, req.body);
-    res.json({ data: relative });
+    const { relative, warnings } = await relativesService.updateRelative(
+      req.params.id,
+      req.user.userId,
+      req.body,
+    );
+    res.json({ data: relative, meta: { warnings } });
   } catch (err) {
     next(err);
   }
@@ -65,6 +104,289 @@ router.post('/:id/anonymize', validate(paramsWithRelativeId), async (req, res, n
   }
 });
 
+// POST /api/relatives/:id/merge — fold duplicateId into this relative (editor+)
+router.post('/:id/merge', validate(mergeRelativeSchema), async (req, res, next) => {
+  try {
+    const { relative, merge, warnings } = await duplicatesService.mergeRelatives(
+      req.params.id,
+      req.user.userId,
+      req.body,
+    );
+    res.json({ data: { relative, merge }, meta: { warnings } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/relatives/:id/avatar — upload avatar (editor+, multipart/form-data, field: "avatar")
+router.put(
+  '/:id/avatar',
+  uploadLimiter,
+  validate(paramsWithRelativeId),
+  avatarUpload.single('avatar'),
+  handleUploadError,
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return next(badRequest('No file uploaded. Use field name "avatar"'));
+      }
+
+      const relative = await relativesService.uploadRelativeAvatar(
+        req.params.id,
+        req.user.userId,
+        req.file.buffer,
+        req.file.originalname,
+      );
+
+      res.json({ data: relative });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// PUT /api/relatives/:id/avatar/from-photo — use one of the relative's photos, optional crop (editor+)
+router.put(
+  '/:id/avatar/from-photo',
+  uploadLimiter,
+  validate(avatarFromPhotoSchema),
+  async (req, res, next) => {
+    try {
+      const relative = await relativesService.setAvatarFromPhoto(
+        req.params.id,
+        req.user.userId,
+        req.body,
+      );
+      res.json({ data: relative });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// DELETE /api/relatives/:id/avatar — remove avatar (editor+)
+router.delete('/:id/avatar', validate(paramsWithRelativeId), async (req, res, next) => {
+  try {
+    const relative = await relativesService.deleteRelativeAvatar(req.params.id, req.user.userId);
+    res.json({ data: relative });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/relationships — immediate family grouped by role (service checks viewer+)
+router.get('/:id/relationships', validate(paramsWithRelativeId), async (req, res, next) => {
+  try {
+    const family = await relationshipsService.getRelativeRelationships(req.params.id, req.user.userId);
+    res.json({ data: family });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/names — structured names (birth, married, church, …) (service checks viewer+)
+router.get('/:id/names', validate(paramsWithRelativeId), async (req, res, next) => {
+  try {
+    const names = await relativeNamesService.getRelativeNames(req.params.id, req.user.userId);
+    res.json({ data: names });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/relatives/:id/names — add a name record (service checks editor+)
+router.post('/:id/names', validate(createRelativeNameSchema), async (req, res, next) => {
+  try {
+    const name = await relativeNamesService.createRelativeName(req.params.id, req.user.userId, req.body);
+    res.status(201).json({ data: name });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/relatives/:id/names/:nameId — update a name record (service checks editor+)
+router.put('/:id/names/:nameId', validate(updateRelativeNameSchema), async (req, res, next) => {
+  try {
+    const name = await relativeNamesService.updateRelativeName(
+      req.params.id,
+      req.params.nameId,
+      req.user.userId,
+      req.body,
+    );
+    res.json({ data: name });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/relatives/:id/names/:nameId — remove a name record (service checks editor+)
+router.delete('/:id/names/:nameId', validate(relativeNameParamsSchema), async (req, res, next) => {
+  try {
+    await relativeNamesService.deleteRelativeName(req.params.id, req.params.nameId, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/residences — residence history, oldest first (service checks viewer+)
+router.get('/:id/residences', validate(paramsWithRelativeId), async (req, res, next) => {
+  try {
+    const residences = await placesService.getRelativeResidences(req.params.id, req.user.userId);
+    res.json({ data: residences });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/relatives/:id/residences — add a residence (service checks editor+)
+router.post('/:id/residences', validate(createResidenceSchema), async (req, res, next) => {
+  try {
+    const residence = await placesService.createResidence(req.params.id, req.user.userId, req.body);
+    res.status(201).json({ data: residence });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/relatives/:id/residences/:residenceId — update a residence (service checks editor+)
+router.put('/:id/residences/:residenceId', validate(updateResidenceSchema), async (req, res, next) => {
+  try {
+    const residence = await placesService.updateResidence(
+      req.params.id,
+      req.params.residenceId,
+      req.user.userId,
+      req.body,
+    );
+    res.json({ data: residence });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/relatives/:id/residences/:residenceId — remove a residence (service checks editor+)
+router.delete('/:id/residences/:residenceId', validate(residenceParamsSchema), async (req, res, next) => {
+  try {
+    await placesService.deleteResidence(req.params.id, req.params.residenceId, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/citations — sources cited for this relative, oldest first (service checks viewer+)
+router.get('/:id/citations', validate(paramsWithRelativeId), async (req, res, next) => {
+  try {
+    const citations = await sourcesService.getCitations(
+      { type: 'relative', id: req.params.id },
+      req.user.userId,
+    );
+    res.json({ data: citations });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/relatives/:id/citations — cite a source (service checks editor+)
+router.post('/:id/citations', validate(createRelativeCitationSchema), async (req, res, next) => {
+  try {
+    const citation = await sourcesService.createCitation(
+      { type: 'relative', id: req.params.id },
+      req.user.userId,
+      req.body,
+    );
+    res.status(201).json({ data: citation });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/life-events — life events, oldest first (service checks viewer+)
+router.get('/:id/life-events', validate(paramsWithRelativeId), async (req, res, next) => {
+  try {
+    const events = await lifeEventsService.getRelativeLifeEvents(req.params.id, req.user.userId);
+    res.json({ data: events });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/relatives/:id/life-events — add a life event (service checks editor+)
+router.post('/:id/life-events', validate(createLifeEventSchema), async (req, res, next) => {
+  try {
+    const event = await lifeEventsService.createLifeEvent(req.params.id, req.user.userId, req.body);
+    res.status(201).json({ data: event });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/relatives/:id/life-events/:eventId — update a life event (service checks editor+)
+router.put('/:id/life-events/:eventId', validate(updateLifeEventSchema), async (req, res, next) => {
+  try {
+    const event = await lifeEventsService.updateLifeEvent(
+      req.params.id,
+      req.params.eventId,
+      req.user.userId,
+      req.body,
+    );
+    res.json({ data: event });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/relatives/:id/life-events/:eventId — remove a life event (service checks editor+)
+router.delete('/:id/life-events/:eventId', validate(lifeEventParamsSchema), async (req, res, next) => {
+  try {
+    await lifeEventsService.deleteLifeEvent(req.params.id, req.params.eventId, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/timeline?types= — chronological life timeline (service checks viewer+)
+router.get('/:id/timeline', validate(relativeTimelineSchema), async (req, res, next) => {
+  try {
+    const items = await timelineService.getRelativeTimeline(req.params.id, req.user.userId, {
+      types: req.query.types,
+    });
+    res.json({ data: items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/ancestors?generations=&format=&includeStep= — pedigree up to N generations (viewer+)
+router.get('/:id/ancestors', validate(pedigreeSchema), async (req, res, next) => {
+  try {
+    const ancestors = await pedigreeService.getAncestors(req.params.id, req.user.userId, req.query);
+    res.json({ data: ancestors });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/descendants?generations=&format=&includeStep= — descendants down N generations (viewer+)
+router.get('/:id/descendants', validate(pedigreeSchema), async (req, res, next) => {
+  try {
+    const descendants = await pedigreeService.getDescendants(req.params.id, req.user.userId, req.query);
+    res.json({ data: descendants });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/relatives/:id/chart?type=&format=&generations=&paper=&orientation=&avatars= — printable chart (viewer+)
+router.get('/:id/chart', validate(chartSchema), exportLimiter, async (req, res, next) => {
+  try {
+    await chartService.sendChart(req.params.id, req.user.userId, req.query, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/relatives/:id/photos — list photos for a relative
 router.get('/:id/photos', validate(paramsWithRelativeId), async (req, res, next) => {
   try {
@@ -75,6 +397,20 @@ router.get('/:id/photos', validate(paramsWithRelativeId), async (req, res, next)
   }
 });
 
+// PUT /api/relatives/:id/photos/order — rewrite the gallery order (service checks editor+)
+router.put('/:id/photos/order', validate(reorderPhotosSchema), async (req, res, next) => {
+  try {
+    const photos = await photosService.reorderRelativePhotos(
+      req.params.id,
+      req.user.userId,
+      req.body.photoIds,
+    );
+    res.json({ data: photos });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/relatives/:id/audio — list audio recordings for a relative
 router.get('/:id/audio', validate(paramsWithRelativeId), async (req, res, next) => {
   try {
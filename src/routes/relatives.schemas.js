@@ -1,8 +1,10 @@
 import { z } from 'zod';
+import { CALENDARS, DATE_QUALIFIERS, isValidDate, isValidDateRange } from '../utils/calendar.js';
 
 const stripHtml = (str) => str.replace(/<[^>]*>/g, '');
 
 const STATUSES = ['ALIVE', 'DECEASED', 'MISSING', 'UNKNOWN'];
+const GENDERS = ['MALE', 'FEMALE'];
 
 /** Partial date fields (year/month/day) with dependency validation. */
 const partialDateFields = (prefix) => ({
@@ -11,6 +13,18 @@ const partialDateFields = (prefix) => ({
   [`${prefix}Day`]: z.number().int().min(1).max(31).optional(),
 });
 
+/**
+ * Calendar, qualifier and the "between" upper bound of a date. The qualifier
+ * and bound can be cleared with null; the calendar defaults to Gregorian.
+ */
+const dateQualifierFields = (prefix) => ({
+  [`${prefix}Calendar`]: z.enum(CALENDARS).optional(),
+  [`${prefix}Qualifier`]: z.enum(DATE_QUALIFIERS).nullable().optional(),
+  [`${prefix}ToYear`]: z.number().int().min(1000).max(2100).nullable().optional(),
+  [`${prefix}ToMonth`]: z.number().int().min(1).max(12).nullable().optional(),
+  [`${prefix}ToDay`]: z.number().int().min(1).max(31).nullable().optional(),
+});
+
 /** Refine: if day is present, month must be; if month is present, year must be. */
 function refinePartialDate(data, prefix) {
   if (data[`${prefix}Day`] !== undefined && data[`${prefix}Month`] === undefined) {
@@ -22,19 +36,29 @@ function refinePartialDate(data, prefix) {
   return true;
 }
 
-/** Refine: day is valid for the given month/year (e.g. no Feb 30). */
+/**
+ * Refine: day is valid for the given month/year in the date's calendar
+ * (no Feb 30; Feb 29 1900 exists only in the Julian calendar).
+ * Checks the "between" upper bound (`<prefix>To*`) as well.
+ */
 function refineDateValidity(data, prefix) {
-  const year = data[`${prefix}Year`];
-  const month = data[`${prefix}Month`];
-  const day = data[`${prefix}Day`];
-  if (year === undefined || month === undefined || day === undefined) return true;
-  const date = new Date(year, month - 1, day);
-  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  const calendar = data[`${prefix}Calendar`];
+  return [prefix, `${prefix}To`].every((p) => {
+    const year = data[`${p}Year`];
+    const month = data[`${p}Month`];
+    const day = data[`${p}Day`];
+    if ([year, month, day].some((v) => v === undefined || v === null)) return true;
+    return isValidDate(year, month, day, calendar);
+  });
 }
 
-/** Refine: death date must not be before birth date (when both fully specified). */
+/**
+ * Refine: death date must not be before birth date (when both fully specified).
+ * Qualified dates ("before 1900") are left to the consistency checks.
+ */
 function refineDeathAfterBirth(data) {
   if (data.birthYear === undefined || data.deathYear === undefined) return true;
+  if (data.birthQualifier || data.deathQualifier) return true;
   if (data.deathYear > data.birthYear) return true;
   if (data.deathYear < data.birthYear) return false;
   // Same year — check months
@@ -56,8 +80,13 @@ const relativeBodyBase = z.object({
     .trim()
     .min(2, 'Name must be at least 2 characters')
     .transform(stripHtml),
+  gender: z.enum(GENDERS).nullable().optional(),
   ...partialDateFields('birth'),
+  ...dateQualifierFields('birth'),
   ...partialDateFields('death'),
+  ...dateQualifierFields('death'),
+  birthPlaceId: z.string().uuid('Invalid birth place ID').nullable().optional(),
+  deathPlaceId: z.string().uuid('Invalid death place ID').nullable().optional(),
   bio: z
     .string()
     .max(2000, 'Bio must be at most 2000 characters')
@@ -86,9 +115,19 @@ export const createRelativeSchema = z.object({
     })
     .refine((d) => refineDateValidity(d, 'death'), {
       message: 'Invalid death date for the given month',
+    })
+    .refine((d) => isValidDateRange(d, 'birth'), {
+      message: 'Birth date: "between" needs an end date (birthTo*) that is not before the start, and only "between" takes one',
+    })
+    .refine((d) => isValidDateRange(d, 'death'), {
+      message: 'Death date: "between" needs an end date (deathTo*) that is not before the start, and only "between" takes one',
     }),
 });
 
+/**
+ * Partial update. Whether a day exists depends on the stored calendar when
+ * none is sent, so the service checks it on the merged row.
+ */
 export const updateRelativeSchema = z.object({
   params: z.object({
     id: z.string().uuid('Invalid relative ID'),
@@ -106,12 +145,6 @@ export const updateRelativeSchema = z.object({
     })
     .refine(refineDeathAfterBirth, {
       message: 'Death date cannot be before birth date',
-    })
-    .refine((d) => refineDateValidity(d, 'birth'), {
-      message: 'Invalid birth date for the given month',
-    })
-    .refine((d) => refineDateValidity(d, 'death'), {
-      message: 'Invalid death date for the given month',
     }),
 });
 
@@ -120,3 +153,78 @@ export const paramsWithRelativeId = z.object({
     id: z.string().uuid('Invalid relative ID'),
   }),
 });
+
+// ── Avatar from photo ────────────────────────────────────────
+
+const fraction = z.number().min(0).max(1);
+
+export const avatarFromPhotoSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  body: z.object({
+    photoId: z.string().uuid('Invalid photo ID'),
+    crop: z
+      .object({
+        x: fraction,
+        y: fraction,
+        width: fraction.refine((v) => v > 0, 'Crop width must be greater than 0'),
+        height: fraction.refine((v) => v > 0, 'Crop height must be greater than 0'),
+      })
+      .refine((c) => c.x + c.width <= 1 && c.y + c.height <= 1, {
+        message: 'Crop box must lie within the photo',
+      })
+      .optional(),
+  }),
+});
+
+// ── Pedigree ─────────────────────────────────────────────────
+
+export const pedigreeSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  query: z.object({
+    generations: z.coerce.number().int().min(1).max(10).optional(),
+    format: z.enum(['flat', 'nested']).optional(),
+    includeStep: z
+      .enum(['true', 'false'])
+      .transform((v) => v === 'true')
+      .optional(),
+  }),
+});
+
+// ── Charts ───────────────────────────────────────────────────
+
+export const chartSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  query: z.object({
+    type: z.enum(['pedigree', 'descendant', 'fan']),
+    format: z.enum(['svg', 'pdf']).default('pdf'),
+    generations: z.coerce.number().int().min(1).max(7).optional(),
+    paper: z.enum(['A4', 'A3', 'A2', 'A1', 'LETTER']).optional(),
+    orientation: z.enum(['landscape', 'portrait']).optional(),
+    avatars: z
+      .enum(['true', 'false'])
+      .transform((v) => v === 'true')
+      .optional(),
+  }),
+});
+
+// ── Merge ────────────────────────────────────────────────────
+
+const MERGE_FIELD_GROUPS = [
+  'fullName', 'gender', 'birth', 'birthPlace', 'death', 'deathPlace', 'bio', 'avatar',
+];
+
+export const mergeRelativeSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  body: z.object({
+    duplicateId: z.string().uuid('Invalid relative ID'),
+    prefer: z.array(z.enum(MERGE_FIELD_GROUPS)).max(MERGE_FIELD_GROUPS.length).optional(),
+  }),
+});
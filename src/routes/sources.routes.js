@@ -0,0 +1,123 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { uploadLimiter } from '../middleware/rateLimit.middleware.js';
+import { createUploadMiddleware, handleUploadError } from '../middleware/upload.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  createSourceSchema,
+  updateSourceSchema,
+  paramsWithSourceId,
+  updateCitationSchema,
+  citationParamsSchema,
+} from './sources.schemas.js';
+import { badRequest } from '../utils/errors.js';
+import * as sourcesService from '../services/sources.service.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// POST /api/sources — create source (treeId in body, service checks editor+)
+router.post('/', validate(createSourceSchema), async (req, res, next) => {
+  try {
+    const source = await sourcesService.createSource(req.body, req.user.userId);
+    res.status(201).json({ data: source });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/sources/:id — source with all its citations (service checks viewer+)
+router.get('/:id', validate(paramsWithSourceId), async (req, res, next) => {
+  try {
+    const source = await sourcesService.getSourceById(req.params.id, req.user.userId);
+    res.json({ data: source });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/sources/:id — update source details (service checks editor+)
+router.put('/:id', validate(updateSourceSchema), async (req, res, next) => {
+  try {
+    const source = await sourcesService.updateSource(req.params.id, req.user.userId, req.body);
+    res.json({ data: source });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/sources/:id — delete source, its citations and document (service checks editor+)
+router.delete('/:id', validate(paramsWithSourceId), async (req, res, next) => {
+  try {
+    await sourcesService.deleteSource(req.params.id, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/sources/:id/document — attach or replace the scanned document (image or PDF, editor+)
+router.put(
+  '/:id/document',
+  uploadLimiter,
+  createUploadMiddleware('document').single('document'),
+  handleUploadError,
+  validate(paramsWithSourceId),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw badRequest('No file uploaded');
+      }
+
+      const source = await sourcesService.uploadSourceDocument(
+        req.params.id,
+        req.user.userId,
+        req.file.buffer,
+        req.file.originalname,
+      );
+
+      res.json({ data: source });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// DELETE /api/sources/:id/document — remove the scanned document (editor+)
+router.delete('/:id/document', validate(paramsWithSourceId), async (req, res, next) => {
+  try {
+    const source = await sourcesService.deleteSourceDocument(req.params.id, req.user.userId);
+    res.json({ data: source });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/sources/:id/citations/:citationId — update a citation (editor+)
+router.put('/:id/citations/:citationId', validate(updateCitationSchema), async (req, res, next) => {
+  try {
+    const citation = await sourcesService.updateCitation(
+      req.params.id,
+      req.params.citationId,
+      req.user.userId,
+      req.body,
+    );
+    res.json({ data: citation });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/sources/:id/citations/:citationId — remove a citation (editor+)
+router.delete('/:id/citations/:citationId', validate(citationParamsSchema), async (req, res, next) => {
+  try {
+    await sourcesService.deleteCitation(req.params.id, req.params.citationId, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
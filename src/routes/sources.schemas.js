@@ -0,0 +1,182 @@
+import { z } from 'zod';
+
+const stripHtml = (str) => str.replace(/<[^>]*>/g, '');
+
+const SOURCE_TYPES = [
+  'church_register', 'civil_record', 'census', 'military_record', 'gravestone',
+  'interview', 'letter', 'newspaper', 'book', 'website', 'other',
+];
+
+// Strongest first: primary = made at the time by a witness (birth act, parish entry),
+// secondary = written later or copied, questionable = hearsay or conflicting,
+// unreliable = known to be wrong in places
+const CONFIDENCE_LEVELS = ['primary', 'secondary', 'questionable', 'unreliable'];
+
+// Facts a citation can document, per target; omitted = the record as a whole
+const RELATIVE_CITATION_FIELDS = [
+  'fullName', 'gender', 'birth', 'birthPlace', 'death', 'deathPlace', 'status', 'bio',
+];
+const RELATIONSHIP_CITATION_FIELDS = ['marriage', 'marriagePlace', 'divorce'];
+const DEATH_RECORD_CITATION_FIELDS = ['death', 'causeOfDeath'];
+
+const optionalText = (label, max) =>
+  z
+    .string()
+    .max(max, `${label} must be at most ${max} characters`)
+    .trim()
+    .transform(stripHtml)
+    .nullable()
+    .optional();
+
+/** Partial date fields (year/month/day); null clears a stored value. */
+const partialDateFields = (prefix) => ({
+  [`${prefix}Year`]: z.number().int().min(1000).max(2100).nullable().optional(),
+  [`${prefix}Month`]: z.number().int().min(1).max(12).nullable().optional(),
+  [`${prefix}Day`]: z.number().int().min(1).max(31).nullable().optional(),
+});
+
+/** Refine: if day is set, month is required; if month is set, year is required. */
+function refinePartialDate(d) {
+  const has = (field) => d[field] !== undefined && d[field] !== null;
+  if (has('dateDay') && !has('dateMonth')) return false;
+  if (has('dateMonth') && !has('dateYear')) return false;
+  return true;
+}
+
+/** Refine: day is valid for the given month/year (e.g. no Feb 30). */
+function refineDateValidity(d) {
+  const { dateYear: year, dateMonth: month, dateDay: day } = d;
+  if ([year, month, day].some((v) => v === undefined || v === null)) return true;
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+const sourceBodyBase = z.object({
+  title: z
+    .string()
+    .max(300, 'Title must be at most 300 characters')
+    .trim()
+    .min(1, 'Title is required')
+    .transform(stripHtml),
+  sourceType: z.enum(SOURCE_TYPES),
+  author: optionalText('Author', 200),
+  repository: optionalText('Repository', 200),
+  reference: optionalText('Reference', 500),
+  ...partialDateFields('date'),
+  notes: optionalText('Notes', 2000),
+});
+
+export const createSourceSchema = z.object({
+  body: sourceBodyBase
+    .extend({
+      treeId: z.string().uuid('Invalid tree ID'),
+    })
+    .refine(refinePartialDate, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
+    })
+    .refine(refineDateValidity, {
+      message: 'Invalid date for the given month',
+    }),
+});
+
+/**
+ * Partial update. A date part sent as null clears it; the merged date is
+ * re-checked by the service.
+ */
+export const updateSourceSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid source ID'),
+  }),
+  body: sourceBodyBase
+    .partial()
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    })
+    .refine(refinePartialDate, {
+      message: 'Date: if day is set, month is required; if month is set, year is required',
+    })
+    .refine(refineDateValidity, {
+      message: 'Invalid date for the given month',
+    }),
+});
+
+export const paramsWithSourceId = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid source ID'),
+  }),
+});
+
+export const getTreeSourcesSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  query: z.object({
+    q: z.string().trim().min(1).max(100).optional(),
+    type: z.enum(SOURCE_TYPES).optional(),
+  }),
+});
+
+// ── Citations ────────────────────────────────────────────────
+
+const citationBody = (fields) =>
+  z.object({
+    sourceId: z.string().uuid('Invalid source ID'),
+    field: z.enum(fields).nullable().optional(),
+    page: optionalText('Page', 200),
+    note: optionalText('Note', 1000),
+    confidence: z.enum(CONFIDENCE_LEVELS),
+  });
+
+export const createRelativeCitationSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relative ID'),
+  }),
+  body: citationBody(RELATIVE_CITATION_FIELDS),
+});
+
+export const createRelationshipCitationSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid relationship ID'),
+  }),
+  body: citationBody(RELATIONSHIP_CITATION_FIELDS),
+});
+
+export const createDeathRecordCitationSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid death record ID'),
+  }),
+  body: citationBody(DEATH_RECORD_CITATION_FIELDS),
+});
+
+const citationParams = z.object({
+  id: z.string().uuid('Invalid source ID'),
+  citationId: z.string().uuid('Invalid citation ID'),
+});
+
+/** Partial update. `field` is checked against the citation's target by the service. */
+export const updateCitationSchema = z.object({
+  params: citationParams,
+  body: z
+    .object({
+      field: z
+        .enum([
+          ...new Set([
+            ...RELATIVE_CITATION_FIELDS,
+            ...RELATIONSHIP_CITATION_FIELDS,
+            ...DEATH_RECORD_CITATION_FIELDS,
+          ]),
+        ])
+        .nullable()
+        .optional(),
+      page: optionalText('Page', 200),
+      note: optionalText('Note', 1000),
+      confidence: z.enum(CONFIDENCE_LEVELS).optional(),
+    })
+    .refine((data) => Object.keys(data).length > 0, {
+      message: 'At least one field must be provided',
+    }),
+});
+
+export const citationParamsSchema = z.object({
+  params: citationParams,
+});
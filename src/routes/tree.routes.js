@@ -2,18 +2,55 @@ import { Router } from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
 import { requireTreeRole } from '../middleware/treeAccess.middleware.js';
-import { paramsWithId, updateTreeSchema } from './tree.schemas.js';
+import {
+  paramsWithId,
+  createTreeSchema,
+  updateTreeSchema,
+  deleteTreeSchema,
+  importGedcomSchema,
+  searchTreeSchema,
+  kinshipSchema,
+  findDuplicatesSchema,
+} from './tree.schemas.js';
 import { getEventsSchema } from './events.schemas.js';
 import { getStoriesSchema } from './stories.schemas.js';
+import { getTreePlacesSchema } from './places.schemas.js';
+import { getTreeSourcesSchema } from './sources.schemas.js';
+import { treeTimelineSchema } from './lifeEvents.schemas.js';
+import {
+  memberParamsSchema,
+  updateMemberRoleSchema,
+  createInvitationSchema,
+  invitationParamsSchema,
+  proposeTransferSchema,
+} from './members.schemas.js';
 import * as treeService from '../services/tree.service.js';
 import * as relativesService from '../services/relatives.service.js';
+import * as relationshipsService from '../services/relationships.service.js';
 import * as deathService from '../services/death.service.js';
 import * as eventsService from '../services/events.service.js';
 import * as storiesService from '../services/stories.service.js';
 import * as guardianService from '../services/guardian.service.js';
 import * as legacyService from '../services/legacy.service.js';
+import * as membersService from '../services/members.service.js';
+import * as ownershipService from '../services/ownership.service.js';
 import * as exportService from '../services/export.service.js';
-import { exportLimiter } from '../middleware/rateLimit.middleware.js';
+import * as gedcomService from '../services/gedcom.service.js';
+import * as archiveImportService from '../services/archiveImport.service.js';
+import * as searchService from '../services/search.service.js';
+import * as kinshipService from '../services/kinship.service.js';
+import * as consistencyService from '../services/consistency.service.js';
+import * as duplicatesService from '../services/duplicates.service.js';
+import * as placesService from '../services/places.service.js';
+import * as sourcesService from '../services/sources.service.js';
+import * as timelineService from '../services/timeline.service.js';
+import {
+  exportLimiter,
+  uploadLimiter,
+  destructiveLimiter,
+} from '../middleware/rateLimit.middleware.js';
+import { createUploadMiddleware, handleUploadError } from '../middleware/upload.middleware.js';
+import { badRequest } from '../utils/errors.js';
 
 const router = Router();
 
@@ -30,6 +67,16 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// POST /api/trees — create an additional tree (caller becomes owner)
+router.post('/', validate(createTreeSchema), async (req, res, next) => {
+  try {
+    const tree = await treeService.createTree(req.user.userId, req.body);
+    res.status(201).json({ data: tree });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/trees/:id — tree details (any member)
 router.get('/:id', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
   try {
@@ -50,6 +97,41 @@ router.put('/:id', validate(updateTreeSchema), requireTreeRole('owner'), async (
   }
 });
 
+// POST /api/trees/:id/deletion-token — issue 10-minute confirmation token for DELETE (owner only)
+router.post('/:id/deletion-token', validate(paramsWithId), requireTreeRole('owner'), (req, res, next) => {
+  try {
+    const token = treeService.requestTreeDeletion(req.params.id, req.user.userId);
+    res.json({ data: token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/trees/:id — schedule deletion after 7-day grace period (owner only)
+// Requires body: { confirmationToken } from POST /:id/deletion-token
+router.delete('/:id', destructiveLimiter, validate(deleteTreeSchema), requireTreeRole('owner'), async (req, res, next) => {
+  try {
+    const tree = await treeService.scheduleTreeDeletion(
+      req.params.id,
+      req.user.userId,
+      req.body.confirmationToken,
+    );
+    res.json({ data: tree });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/trees/:id/restore — cancel scheduled deletion during grace period (owner only)
+router.post('/:id/restore', validate(paramsWithId), requireTreeRole('owner'), async (req, res, next) => {
+  try {
+    const tree = await treeService.cancelTreeDeletion(req.params.id, req.user.userId);
+    res.json({ data: tree });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/trees/:id/relatives — all relatives in tree (any member)
 router.get('/:id/relatives', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
   try {
@@ -60,6 +142,90 @@ router.get('/:id/relatives', validate(paramsWithId), requireTreeRole('viewer'),
   }
 });
 
+// GET /api/trees/:id/relationships — all relationships (graph edges) in tree (any member)
+router.get('/:id/relationships', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const relationships = await relationshipsService.getTreeRelationships(req.params.id);
+    res.json({ data: relationships });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/places?q= — places in tree, alphabetically; q matches any name (any member)
+router.get('/:id/places', validate(getTreePlacesSchema), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const places = await placesService.getTreePlaces(req.params.id, req.query);
+    res.json({ data: places });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/sources?q=&type= — sources in tree, alphabetically, with citation counts (any member)
+router.get('/:id/sources', validate(getTreeSourcesSchema), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const sources = await sourcesService.getTreeSources(req.params.id, req.query);
+    res.json({ data: sources });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/data-quality — consistency report: impossible dates, cycles, parent counts (any member)
+router.get('/:id/data-quality', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const report = await consistencyService.getDataQualityReport(req.params.id);
+    res.json({ data: report });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/duplicates?minScore=&limit= — likely duplicate relatives, best first (editor+)
+router.get('/:id/duplicates', validate(findDuplicatesSchema), requireTreeRole('editor'), async (req, res, next) => {
+  try {
+    const duplicates = await duplicatesService.findDuplicates(req.params.id, req.query);
+    res.json({ data: duplicates });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/merges — merge history for review (editor+)
+router.get('/:id/merges', validate(paramsWithId), requireTreeRole('editor'), async (req, res, next) => {
+  try {
+    const merges = await duplicatesService.getTreeMerges(req.params.id);
+    res.json({ data: merges });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/search?q=&types=&limit= — ranked search across the tree (any member)
+router.get('/:id/search', validate(searchTreeSchema), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const results = await searchService.searchTree(
+      req.params.id,
+      req.treeMembership.role,
+      req.query,
+    );
+    res.json({ data: results });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/kinship?from=&to= — how "to" is related to "from": path + kinship term (any member)
+router.get('/:id/kinship', validate(kinshipSchema), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const kinship = await kinshipService.getKinship(req.params.id, req.query.from, req.query.to);
+    res.json({ data: kinship });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/trees/:id/events — events for tree (any member)
 router.get('/:id/events', validate(getEventsSchema), requireTreeRole('viewer'), async (req, res, next) => {
   try {
@@ -82,6 +248,16 @@ router.get('/:id/stories', validate(getStoriesSchema), requireTreeRole('viewer')
   }
 });
 
+// GET /api/trees/:id/timeline?types=&fromYear=&toYear=&page=&limit= — paginated tree-wide timeline (any member)
+router.get('/:id/timeline', validate(treeTimelineSchema), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const result = await timelineService.getTreeTimeline(req.params.id, req.query);
+    res.json({ data: result.items, meta: result.meta });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/trees/:id/death-records — death records for tree (any member)
 router.get('/:id/death-records', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
   try {
@@ -102,6 +278,147 @@ router.get('/:id/guardians', validate(paramsWithId), requireTreeRole('owner'), a
   }
 });
 
+// GET /api/trees/:id/members — list members (viewer+, emails visible to owner only)
+router.get('/:id/members', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const members = await membersService.getTreeMembers(req.params.id, {
+      showEmail: req.treeMembership.role === 'owner',
+    });
+    res.json({ data: members });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/members/invitations — list invitations (editor+)
+router.get('/:id/members/invitations', validate(paramsWithId), requireTreeRole('editor'), async (req, res, next) => {
+  try {
+    const invitations = await membersService.getTreeInvitations(req.params.id);
+    res.json({ data: invitations });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/trees/:id/members/invitations — invite by email (editor+, editors invite viewers only; re-inviting re-sends)
+router.post('/:id/members/invitations', validate(createInvitationSchema), requireTreeRole('editor'), async (req, res, next) => {
+  try {
+    const invitation = await membersService.inviteMember(
+      req.params.id,
+      req.user.userId,
+      req.body,
+      req.treeMembership.role,
+    );
+    res.status(201).json({ data: invitation });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/trees/:id/members/invitations/:invitationId — revoke pending invitation (editor+, editor invitations owner only)
+router.delete('/:id/members/invitations/:invitationId', validate(invitationParamsSchema), requireTreeRole('editor'), async (req, res, next) => {
+  try {
+    await membersService.revokeInvitation(
+      req.params.id,
+      req.params.invitationId,
+      req.user.userId,
+      req.treeMembership.role,
+    );
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/trees/:id/members/me — leave tree (any member except owner)
+router.delete('/:id/members/me', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    await membersService.leaveTree(req.params.id, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/trees/:id/members/:userId — change member role (owner only)
+router.put('/:id/members/:userId', validate(updateMemberRoleSchema), requireTreeRole('owner'), async (req, res, next) => {
+  try {
+    const member = await membersService.updateMemberRole(
+      req.params.id,
+      req.params.userId,
+      req.body.role,
+      req.user.userId,
+    );
+    res.json({ data: member });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/trees/:id/members/:userId — remove member (owner only)
+router.delete('/:id/members/:userId', validate(memberParamsSchema), requireTreeRole('owner'), async (req, res, next) => {
+  try {
+    await membersService.removeMember(req.params.id, req.params.userId, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/trees/:id/ownership-transfer — pending ownership transfer or null (viewer+)
+router.get('/:id/ownership-transfer', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const transfer = await ownershipService.getPendingTransfer(req.params.id);
+    res.json({ data: transfer });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/trees/:id/ownership-transfer — propose transfer to a member (owner only)
+router.post('/:id/ownership-transfer', validate(proposeTransferSchema), requireTreeRole('owner'), async (req, res, next) => {
+  try {
+    const transfer = await ownershipService.proposeTransfer(
+      req.params.id,
+      req.user.userId,
+      req.body.toUserId,
+    );
+    res.status(201).json({ data: transfer });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/trees/:id/ownership-transfer — cancel pending transfer (owner only)
+router.delete('/:id/ownership-transfer', validate(paramsWithId), requireTreeRole('owner'), async (req, res, next) => {
+  try {
+    await ownershipService.cancelTransfer(req.params.id, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/trees/:id/ownership-transfer/accept — accept transfer (proposed recipient, verified in service)
+router.post('/:id/ownership-transfer/accept', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    const tree = await ownershipService.acceptTransfer(req.params.id, req.user.userId);
+    res.json({ data: tree });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/trees/:id/ownership-transfer/decline — decline transfer (proposed recipient, verified in service)
+router.post('/:id/ownership-transfer/decline', validate(paramsWithId), requireTreeRole('viewer'), async (req, res, next) => {
+  try {
+    await ownershipService.declineTransfer(req.params.id, req.user.userId);
+    res.json({ data: { success: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /api/trees/:id/export — export tree as ZIP (editor+)
 router.get('/:id/export', validate(paramsWithId), requireTreeRole('editor'), exportLimiter, async (req, res, next) => {
   try {
@@ -111,6 +428,71 @@ router.get('/:id/export', validate(paramsWithId), requireTreeRole('editor'), exp
   }
 });
 
+// GET /api/trees/:id/export.ged — export people and relationships as GEDCOM (editor+)
+router.get('/:id/export.ged', validate(paramsWithId), requireTreeRole('editor'), exportLimiter, async (req, res, next) => {
+  try {
+    await exportService.exportTreeAsGedcom(req.params.id, req.user.userId, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/trees/:id/import/gedcom — import GEDCOM file (editor+, ?dryRun=true for a report only)
+router.post(
+  '/:id/import/gedcom',
+  validate(importGedcomSchema),
+  requireTreeRole('editor'),
+  uploadLimiter,
+  createUploadMiddleware('gedcom').single('gedcom'),
+  handleUploadError,
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw badRequest('No file uploaded. Use field name "gedcom"');
+      }
+
+      const report = await gedcomService.importGedcom(
+        req.params.id,
+        req.user.userId,
+        req.file.buffer,
+        req.file.originalname,
+        { dryRun: req.query.dryRun === true },
+      );
+
+      res.status(report.dryRun ? 200 : 201).json({ data: report });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// POST /api/trees/:id/import/archive — restore a KinTales ZIP export into this tree (editor+)
+router.post(
+  '/:id/import/archive',
+  validate(paramsWithId),
+  requireTreeRole('editor'),
+  exportLimiter,
+  createUploadMiddleware('archive').single('archive'),
+  handleUploadError,
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw badRequest('No file uploaded. Use field name "archive"');
+      }
+
+      const report = await archiveImportService.importTreeArchive(
+        req.params.id,
+        req.user.userId,
+        req.file.buffer,
+      );
+
+      res.status(201).json({ data: report });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
 // GET /api/trees/:id/legacy-keys — list legacy keys (editor+)
 router.get('/:id/legacy-keys', validate(paramsWithId), requireTreeRole('editor'), async (req, res, next) => {
   try {
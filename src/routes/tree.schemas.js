@@ -8,6 +8,26 @@ export const paramsWithId = z.object({
   }),
 });
 
+export const createTreeSchema = z.object({
+  body: z.object({
+    name: z
+      .string()
+      .max(200, 'Name must be at most 200 characters')
+      .trim()
+      .min(2, 'Name must be at least 2 characters')
+      .transform(stripHtml),
+  }),
+});
+
+export const deleteTreeSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  body: z.object({
+    confirmationToken: z.string().min(1, 'Confirmation token is required'),
+  }),
+});
+
 export const updateTreeSchema = z.object({
   params: z.object({
     id: z.string().uuid('Invalid tree ID'),
@@ -21,3 +41,62 @@ export const updateTreeSchema = z.object({
       .transform(stripHtml),
   }),
 });
+
+export const importGedcomSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  query: z.object({
+    dryRun: z
+      .enum(['true', 'false'])
+      .transform((v) => v === 'true')
+      .optional(),
+  }),
+});
+
+// ── Search ───────────────────────────────────────────────────
+
+const SEARCH_TYPES = ['relative', 'story', 'comment', 'photo', 'member'];
+
+export const searchTreeSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  query: z.object({
+    q: z
+      .string()
+      .trim()
+      .min(2, 'Search query must be at least 2 characters')
+      .max(200, 'Search query must be at most 200 characters'),
+    types: z
+      .string()
+      .transform((value) => value.split(',').map((t) => t.trim()).filter(Boolean))
+      .pipe(z.array(z.enum(SEARCH_TYPES)).min(1, 'At least one type is required'))
+      .optional(),
+    limit: z.coerce.number().int().min(1).max(50).optional(),
+  }),
+});
+
+// ── Kinship ──────────────────────────────────────────────────
+
+export const kinshipSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  query: z.object({
+    from: z.string().uuid('Invalid relative ID'),
+    to: z.string().uuid('Invalid relative ID'),
+  }),
+});
+
+// ── Duplicates ───────────────────────────────────────────────
+
+export const findDuplicatesSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid tree ID'),
+  }),
+  query: z.object({
+    minScore: z.coerce.number().min(0).max(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+  }),
+});
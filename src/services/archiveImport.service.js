@@ -0,0 +1,952 @@
+import { randomUUID } from 'node:crypto';
+import { z } from 'zod';
+import { and, eq, inArray } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import {
+  treeMembers,
+  relatives,
+  relationships,
+  photos,
+  photoTags,
+  audioRecordings,
+  stories,
+  storyAttachments,
+  comments,
+  deathRecords,
+  commemorations,
+  places,
+  relativeResidences,
+  lifeEvents,
+  relativeNames,
+  sources,
+  citations,
+} from '../db/schema.js';
+import { badRequest } from '../utils/errors.js';
+import { openZip } from '../utils/zipReader.js';
+import { verifyMimeType } from '../utils/mimeVerify.js';
+import { scrubPhoto } from '../utils/photoMetadata.js';
+import { CALENDARS, DATE_QUALIFIERS, isValidDate, isValidDateRange } from '../utils/calendar.js';
+import { scanFileBuffer } from './virusScan.service.js';
+import { uploadFile, deleteFile, BUCKETS } from './storage.service.js';
+import logger from '../utils/logger.js';
+
+const SUPPORTED_EXPORT_VERSIONS = ['1.0'];
+const MANIFEST_NAME = 'tree-data.json';
+
+// Matches MAX_EXPORT_FILES in export.service.js, plus tree-data.json and tree.ged
+const MAX_ARCHIVE_ENTRIES = 10_002;
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+const MAX_IMPORT_RELATIVES = 5_000;
+const MAX_IMPORT_RELATIONSHIPS = 20_000;
+const MAX_IMPORT_PLACES = 5_000;
+const MAX_IMPORT_SOURCES = 5_000;
+const MAX_IMPORT_CITATIONS = 50_000;
+const INSERT_BATCH_SIZE = 500;
+
+const PHOTO_MIMES = ['image/jpeg', 'image/png', 'image/webp'];
+const AUDIO_MIMES = ['audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/ogg'];
+const DOCUMENT_MIMES = [...PHOTO_MIMES, 'application/pdf'];
+
+const RELATIONSHIP_TYPES = [
+  'parent', 'child', 'spouse', 'sibling',
+  'step_parent', 'step_child', 'step_sibling',
+  'adopted', 'guardian',
+];
+const RELATIVE_STATUSES = ['ALIVE', 'DECEASED', 'MISSING', 'UNKNOWN'];
+const GENDERS = ['MALE', 'FEMALE'];
+const PLACE_TYPES = ['country', 'region', 'municipality', 'city', 'town', 'village', 'other'];
+const LIFE_EVENT_TYPES = [
+  'education', 'military_service', 'occupation', 'emigration', 'baptism', 'custom',
+];
+const NAME_TYPES = ['birth', 'married', 'church', 'other'];
+const SOURCE_TYPES = [
+  'church_register', 'civil_record', 'census', 'military_record', 'gravestone',
+  'interview', 'letter', 'newspaper', 'book', 'website', 'other',
+];
+const CONFIDENCE_LEVELS = ['primary', 'secondary', 'questionable', 'unreliable'];
+const CITATION_FIELDS = {
+  relative: ['fullName', 'gender', 'birth', 'birthPlace', 'death', 'deathPlace', 'status', 'bio'],
+  relationship: ['marriage', 'marriagePlace', 'divorce'],
+  deathRecord: ['death', 'causeOfDeath'],
+};
+
+// ── Manifest schema (tree-data.json, exportVersion 1.0) ───────
+
+const stripHtml = (str) => str.replace(/<[^>]*>/g, '');
+
+const id = z.string().uuid();
+const optionalInt = (min, max) => z.number().int().min(min).max(max).nullish();
+const optionalText = (max) => z.string().max(max).transform(stripHtml).nullish();
+const timestampField = z.string().datetime({ offset: true }).nullish();
+
+const partialDateFields = (prefix, minYear = 1000) => ({
+  [`${prefix}Year`]: optionalInt(minYear, 2100),
+  [`${prefix}Month`]: optionalInt(1, 12),
+  [`${prefix}Day`]: optionalInt(1, 31),
+});
+
+/** A partial date with its calendar, qualifier and "between" upper bound. */
+const qualifiedDateFields = (prefix, minYear = 1000) => ({
+  ...partialDateFields(prefix, minYear),
+  [`${prefix}Calendar`]: z.enum(CALENDARS).nullish(),
+  [`${prefix}Qualifier`]: z.enum(DATE_QUALIFIERS).nullish(),
+  ...partialDateFields(`${prefix}To`, minYear),
+});
+
+const manifestSchema = z.object({
+  exportVersion: z.string(),
+  relatives: z.array(z.object({
+    id,
+    fullName: z.string().trim().min(1).max(200).transform(stripHtml),
+    gender: z.enum(GENDERS).nullish(),
+    ...qualifiedDateFields('birth'),
+    ...qualifiedDateFields('death'),
+    birthPlaceId: id.nullish(),
+    deathPlaceId: id.nullish(),
+    avatarUrl: z.string().nullish(),
+    bio: optionalText(2000),
+    status: z.enum(RELATIVE_STATUSES).nullish(),
+  })),
+  relationships: z.array(z.object({
+    id: id.nullish(),
+    personAId: id,
+    personBId: id,
+    relationshipType: z.enum(RELATIONSHIP_TYPES),
+    ...qualifiedDateFields('marriage'),
+    marriagePlaceId: id.nullish(),
+    ...partialDateFields('divorce'),
+  })).default([]),
+  photos: z.array(z.object({
+    id,
+    relativeId: id,
+    caption: optionalText(500),
+    ...qualifiedDateFields('dateTaken', 1800),
+    orientation: z.enum(['landscape', 'portrait', 'square']).nullish(),
+    latitude: z.number().min(-90).max(90).nullish(),
+    longitude: z.number().min(-180).max(180).nullish(),
+    sortOrder: z.number().int().nullish(),
+    createdAt: timestampField,
+  })).default([]),
+  photoTags: z.array(z.object({
+    id,
+    photoId: id,
+    relativeId: id,
+    box: z.object({
+      x: z.number().min(0).max(1),
+      y: z.number().min(0).max(1),
+      width: z.number().min(0).max(1),
+      height: z.number().min(0).max(1),
+    }).nullish(),
+  })).default([]),
+  audioRecordings: z.array(z.object({
+    id,
+    relativeId: id,
+    title: optionalText(200),
+    durationSeconds: z.number().int().min(0).nullish(),
+    createdAt: timestampField,
+  })).default([]),
+  stories: z.array(z.object({
+    id,
+    relativeId: id.nullish(),
+    authorId: id.nullish(),
+    content: z.string().min(1).max(10000).transform(stripHtml),
+    createdAt: timestampField,
+  })).default([]),
+  storyAttachments: z.array(z.object({
+    id,
+    storyId: id,
+    caption: optionalText(500),
+    sortOrder: z.number().int().nullish(),
+  })).default([]),
+  comments: z.array(z.object({
+    storyId: id,
+    authorId: id.nullish(),
+    content: z.string().min(1).max(2000).transform(stripHtml),
+    createdAt: timestampField,
+  })).default([]),
+  deathRecords: z.array(z.object({
+    id: id.nullish(),
+    relativeId: id,
+    deathYear: z.number().int().min(1000).max(2100),
+    deathMonth: optionalInt(1, 12),
+    deathDay: optionalInt(1, 31),
+    status: z.string().nullish(),
+  })).default([]),
+  commemorations: z.array(z.object({
+    relativeId: id,
+    type: z.string().min(1).max(50),
+    commDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+  })).default([]),
+  places: z.array(z.object({
+    id,
+    name: z.string().trim().min(1).max(200).transform(stripHtml),
+    alternateNames: z.array(z.string().trim().min(1).max(200).transform(stripHtml)).max(20).nullish(),
+    placeType: z.enum(PLACE_TYPES).nullish(),
+    parentId: id.nullish(),
+    latitude: z.number().min(-90).max(90).nullish(),
+    longitude: z.number().min(-180).max(180).nullish(),
+  })).default([]),
+  residences: z.array(z.object({
+    relativeId: id,
+    placeId: id,
+    ...partialDateFields('from'),
+    ...partialDateFields('to'),
+    note: optionalText(500),
+  })).default([]),
+  lifeEvents: z.array(z.object({
+    relativeId: id,
+    eventType: z.enum(LIFE_EVENT_TYPES),
+    title: optionalText(200),
+    description: optionalText(2000),
+    ...partialDateFields('event'),
+    ...partialDateFields('end'),
+    placeId: id.nullish(),
+  })).default([]),
+  relativeNames: z.array(z.object({
+    relativeId: id,
+    nameType: z.enum(NAME_TYPES).default('birth'),
+    givenName: optionalText(100),
+    patronymic: optionalText(100),
+    surname: optionalText(100),
+    maidenSurname: optionalText(100),
+    nickname: optionalText(100),
+    nameDayName: optionalText(100),
+    latinName: optionalText(200),
+  })).default([]),
+  sources: z.array(z.object({
+    id,
+    title: z.string().trim().min(1).max(300).transform(stripHtml),
+    sourceType: z.enum(SOURCE_TYPES),
+    author: optionalText(200),
+    repository: optionalText(200),
+    reference: optionalText(500),
+    ...partialDateFields('date'),
+    notes: optionalText(2000),
+    hasDocument: z.boolean().nullish(),
+  })).default([]),
+  citations: z.array(z.object({
+    sourceId: id,
+    relativeId: id.nullish(),
+    relationshipId: id.nullish(),
+    deathRecordId: id.nullish(),
+    field: z.string().max(50).nullish(),
+    page: optionalText(200),
+    note: optionalText(1000),
+    confidence: z.enum(CONFIDENCE_LEVELS),
+  })).default([]),
+});
+
+/**
+ * Import a KinTales ZIP export (tree-data.json + media folders) into an existing tree.
+ * Assumes editor+ access has been verified by middleware.
+ *
+ * Every row gets a new UUID and all foreign keys are remapped, so the same
+ * archive can be imported repeatedly (restore, or clone into another tree).
+ * Media files go through the same MIME verification and virus scan as
+ * regular uploads; rejected or missing files are reported, not fatal.
+ * All DB rows are written in one transaction — on failure, uploaded media
+ * is removed from MinIO again.
+ *
+ * Story and comment authors are kept only if they are members of the
+ * target tree; otherwise the importing user becomes the author.
+ * Only CONFIRMED death records are restored (confirmations are not exported).
+ *
+ * @param {string} treeId - Target tree
+ * @param {string} userId - Importing user
+ * @param {Buffer} fileBuffer - ZIP archive
+ * @returns {Promise<object>} Import report
+ */
+export async function importTreeArchive(treeId, userId, fileBuffer) {
+  const zip = await openZip(fileBuffer, {
+    maxEntries: MAX_ARCHIVE_ENTRIES,
+    maxEntrySize: MAX_ENTRY_SIZE,
+  });
+
+  const uploaded = [];
+
+  try {
+    const manifest = await readManifest(zip);
+    const skipped = [];
+    const skip = (type, sourceId, reason) => skipped.push({ type, sourceId, reason });
+
+    // ── 1. Remap IDs ──
+    const relativeIds = new Map(manifest.relatives.map((r) => [r.id, randomUUID()]));
+    const placeIds = new Map(manifest.places.map((p) => [p.id, randomUUID()]));
+    const sourceIds = new Map(manifest.sources.map((s) => [s.id, randomUUID()]));
+    const relationshipIds = new Map();
+    const deathRecordIds = new Map();
+    const storyIds = new Map();
+    const allowedAuthors = await fetchTreeMemberIds(treeId, [
+      ...manifest.stories.map((s) => s.authorId),
+      ...manifest.comments.map((c) => c.authorId),
+    ]);
+    const authorOf = (authorId) => (allowedAuthors.has(authorId) ? authorId : userId);
+
+    if (manifest.places.length > MAX_IMPORT_PLACES) {
+      throw badRequest(
+        `Archive has too many places (${manifest.places.length}, max ${MAX_IMPORT_PLACES})`,
+      );
+    }
+
+    const placeRows = orderParentsFirst(
+      manifest.places.map((place) => {
+        const hasCoordinates = place.latitude != null && place.longitude != null;
+        return {
+          id: placeIds.get(place.id),
+          treeId,
+          name: place.name,
+          alternateNames: place.alternateNames ?? null,
+          placeType: place.placeType ?? null,
+          parentId: placeIds.get(place.parentId) ?? null,
+          latitude: hasCoordinates ? place.latitude : null,
+          longitude: hasCoordinates ? place.longitude : null,
+          createdBy: userId,
+        };
+      }),
+    );
+
+    const relativeRows = manifest.relatives.map((rel) => ({
+      id: relativeIds.get(rel.id),
+      treeId,
+      fullName: rel.fullName.length >= 2 ? rel.fullName : 'Unknown',
+      gender: rel.gender ?? null,
+      ...normalizeQualifiedDate(rel, 'birth'),
+      ...normalizeQualifiedDate(rel, 'death'),
+      birthPlaceId: placeIds.get(rel.birthPlaceId) ?? null,
+      deathPlaceId: placeIds.get(rel.deathPlaceId) ?? null,
+      bio: rel.bio ?? null,
+      status: rel.status ?? 'ALIVE',
+      avatarUrl: null,
+      createdBy: userId,
+    }));
+
+    const relationshipRows = [];
+    const relationshipTypes = new Map();
+    const seenRelationships = new Map();
+    for (const rel of manifest.relationships) {
+      const personAId = relativeIds.get(rel.personAId);
+      const personBId = relativeIds.get(rel.personBId);
+      const key = `${personAId}|${personBId}|${rel.relationshipType}`;
+
+      if (!personAId || !personBId || personAId === personBId) {
+        skip('relationship', `${rel.personAId}/${rel.personBId}`, 'References a relative that is not in the archive');
+        continue;
+      }
+      if (seenRelationships.has(key)) {
+        if (rel.id) relationshipIds.set(rel.id, seenRelationships.get(key));
+        continue;
+      }
+      const newId = randomUUID();
+      seenRelationships.set(key, newId);
+      if (rel.id) relationshipIds.set(rel.id, newId);
+      relationshipTypes.set(newId, rel.relationshipType);
+
+      relationshipRows.push({
+        id: newId,
+        treeId,
+        personAId,
+        personBId,
+        relationshipType: rel.relationshipType,
+        ...normalizeQualifiedDate(rel, 'marriage'),
+        marriagePlaceId: rel.relationshipType === 'spouse' ? placeIds.get(rel.marriagePlaceId) ?? null : null,
+        ...normalizePartialDate(rel, 'divorce'),
+        createdBy: userId,
+      });
+    }
+
+    if (relativeRows.length > MAX_IMPORT_RELATIVES) {
+      throw badRequest(
+        `Archive has too many relatives (${relativeRows.length}, max ${MAX_IMPORT_RELATIVES})`,
+      );
+    }
+    if (relationshipRows.length > MAX_IMPORT_RELATIONSHIPS) {
+      throw badRequest(
+        `Archive has too many relationships (${relationshipRows.length}, max ${MAX_IMPORT_RELATIONSHIPS})`,
+      );
+    }
+
+    const storyRows = [];
+    for (const story of manifest.stories) {
+      storyIds.set(story.id, randomUUID());
+      storyRows.push({
+        id: storyIds.get(story.id),
+        treeId,
+        // Stories outlive a missing relative (relative_id is ON DELETE SET NULL)
+        relativeId: relativeIds.get(story.relativeId) ?? null,
+        authorId: authorOf(story.authorId),
+        content: story.content,
+        ...(story.createdAt && { createdAt: new Date(story.createdAt) }),
+      });
+    }
+
+    const commentRows = [];
+    for (const comment of manifest.comments) {
+      const storyId = storyIds.get(comment.storyId);
+      if (!storyId) {
+        skip('comment', comment.storyId, 'References a story that is not in the archive');
+        continue;
+      }
+      commentRows.push({
+        storyId,
+        authorId: authorOf(comment.authorId),
+        content: comment.content,
+        ...(comment.createdAt && { createdAt: new Date(comment.createdAt) }),
+      });
+    }
+
+    const deathRecordRows = [];
+    for (const record of manifest.deathRecords) {
+      const relativeId = relativeIds.get(record.relativeId);
+      if (!relativeId) {
+        skip('deathRecord', record.relativeId, 'References a relative that is not in the archive');
+        continue;
+      }
+      if (record.status !== 'CONFIRMED') {
+        skip('deathRecord', record.relativeId, `Death record with status ${record.status ?? 'PENDING'} is not restored`);
+        continue;
+      }
+      const newId = randomUUID();
+      if (record.id) deathRecordIds.set(record.id, newId);
+      deathRecordRows.push({
+        id: newId,
+        relativeId,
+        reportedBy: userId,
+        ...normalizePartialDate(record, 'death'),
+        status: 'CONFIRMED',
+        confirmationsNeeded: 0,
+        confirmedAt: new Date(),
+      });
+    }
+
+    const commemorationRows = [];
+    for (const comm of manifest.commemorations) {
+      const relativeId = relativeIds.get(comm.relativeId);
+      if (!relativeId) {
+        skip('commemoration', comm.relativeId, 'References a relative that is not in the archive');
+        continue;
+      }
+      commemorationRows.push({ relativeId, type: comm.type, commDate: comm.commDate });
+    }
+
+    const residenceRows = [];
+    for (const residence of manifest.residences) {
+      const relativeId = relativeIds.get(residence.relativeId);
+      const placeId = placeIds.get(residence.placeId);
+      if (!relativeId || !placeId) {
+        skip('residence', residence.relativeId, 'References a relative or place that is not in the archive');
+        continue;
+      }
+      residenceRows.push({
+        relativeId,
+        placeId,
+        ...normalizePartialDate(residence, 'from'),
+        ...normalizePartialDate(residence, 'to'),
+        note: residence.note ?? null,
+        createdBy: userId,
+      });
+    }
+
+    const lifeEventRows = [];
+    for (const event of manifest.lifeEvents) {
+      const relativeId = relativeIds.get(event.relativeId);
+      if (!relativeId) {
+        skip('lifeEvent', event.relativeId, 'References a relative that is not in the archive');
+        continue;
+      }
+      if (event.eventType === 'custom' && !event.title) {
+        skip('lifeEvent', event.relativeId, 'Custom event without a title');
+        continue;
+      }
+      lifeEventRows.push({
+        relativeId,
+        eventType: event.eventType,
+        title: event.title ?? null,
+        description: event.description ?? null,
+        ...normalizePartialDate(event, 'event'),
+        ...normalizePartialDate(event, 'end'),
+        // An unknown place only loses the place, not the event
+        placeId: placeIds.get(event.placeId) ?? null,
+        createdBy: userId,
+      });
+    }
+
+    const nameRows = [];
+    for (const name of manifest.relativeNames) {
+      const relativeId = relativeIds.get(name.relativeId);
+      if (!relativeId) {
+        skip('relativeName', name.relativeId, 'References a relative that is not in the archive');
+        continue;
+      }
+      if (![name.givenName, name.patronymic, name.surname, name.maidenSurname, name.nickname,
+        name.nameDayName, name.latinName].some(Boolean)) {
+        skip('relativeName', name.relativeId, 'Name record without any name part');
+        continue;
+      }
+      nameRows.push({
+        relativeId,
+        nameType: name.nameType,
+        givenName: name.givenName ?? null,
+        patronymic: name.patronymic ?? null,
+        surname: name.surname ?? null,
+        maidenSurname: name.maidenSurname ?? null,
+        nickname: name.nickname ?? null,
+        nameDayName: name.nameDayName ?? null,
+        latinName: name.latinName ?? null,
+        createdBy: userId,
+      });
+    }
+
+    if (manifest.sources.length > MAX_IMPORT_SOURCES) {
+      throw badRequest(
+        `Archive has too many sources (${manifest.sources.length}, max ${MAX_IMPORT_SOURCES})`,
+      );
+    }
+    if (manifest.citations.length > MAX_IMPORT_CITATIONS) {
+      throw badRequest(
+        `Archive has too many citations (${manifest.citations.length}, max ${MAX_IMPORT_CITATIONS})`,
+      );
+    }
+
+    const sourceRows = manifest.sources.map((source) => ({
+      id: sourceIds.get(source.id),
+      treeId,
+      title: source.title,
+      sourceType: source.sourceType,
+      author: source.author ?? null,
+      repository: source.repository ?? null,
+      reference: source.reference ?? null,
+      ...normalizePartialDate(source, 'date'),
+      notes: source.notes ?? null,
+      fileUrl: null,
+      fileMimeType: null,
+      createdBy: userId,
+    }));
+
+    const citationRows = [];
+    for (const citation of manifest.citations) {
+      const sourceId = sourceIds.get(citation.sourceId);
+      const targets = [
+        ['relative', relativeIds.get(citation.relativeId)],
+        ['relationship', relationshipIds.get(citation.relationshipId)],
+        ['deathRecord', deathRecordIds.get(citation.deathRecordId)],
+      ].filter(([, targetId]) => targetId);
+
+      if (!sourceId || targets.length !== 1) {
+        skip('citation', citation.sourceId, 'References a source or record that is not in the archive');
+        continue;
+      }
+
+      const [[type, targetId]] = targets;
+      const field = citation.field ?? null;
+      const fieldAllowed = field === null || (
+        CITATION_FIELDS[type].includes(field) &&
+        (type !== 'relationship' || relationshipTypes.get(targetId) === 'spouse')
+      );
+      if (!fieldAllowed) {
+        skip('citation', citation.sourceId, `Field "${field}" cannot be cited on this record`);
+        continue;
+      }
+
+      citationRows.push({
+        sourceId,
+        relativeId: type === 'relative' ? targetId : null,
+        relationshipId: type === 'relationship' ? targetId : null,
+        deathRecordId: type === 'deathRecord' ? targetId : null,
+        field,
+        page: citation.page ?? null,
+        note: citation.note ?? null,
+        confidence: citation.confidence,
+        createdBy: userId,
+      });
+    }
+
+    // ── 2. Re-upload media (MIME check → virus scan → MinIO) ──
+    const mediaEntries = indexMediaEntries(zip.names);
+    const restore = async (type, folder, sourceId, allowedMimes, bucket) => {
+      const entryName = mediaEntries.get(`${folder}/${sourceId}`);
+      if (!entryName) {
+        skip(type, sourceId, 'File missing from archive');
+        return null;
+      }
+      const result = await restoreMediaFile(zip, entryName, allowedMimes, bucket, uploaded);
+      if (result.error) {
+        skip(type, sourceId, result.error);
+        return null;
+      }
+      return result;
+    };
+
+    for (const [index, rel] of manifest.relatives.entries()) {
+      if (!rel.avatarUrl) continue;
+      const file = await restore('avatar', 'avatars', rel.id, PHOTO_MIMES, BUCKETS.AVATARS);
+      if (file) relativeRows[index].avatarUrl = file.objectKey;
+    }
+
+    const photoIds = new Map();
+    const photoRows = [];
+    for (const photo of manifest.photos) {
+      const relativeId = relativeIds.get(photo.relativeId);
+      if (!relativeId) {
+        skip('photo', photo.id, 'References a relative that is not in the archive');
+        continue;
+      }
+      const file = await restore('photo', 'photos', photo.id, PHOTO_MIMES, BUCKETS.PHOTOS);
+      if (!file) continue;
+      const hasCoordinates = photo.latitude != null && photo.longitude != null;
+      photoIds.set(photo.id, randomUUID());
+      photoRows.push({
+        id: photoIds.get(photo.id),
+        relativeId,
+        fileUrl: file.objectKey,
+        caption: photo.caption ?? null,
+        ...normalizeQualifiedDate(photo, 'dateTaken'),
+        orientation: file.orientation,
+        latitude: hasCoordinates ? photo.latitude : null,
+        longitude: hasCoordinates ? photo.longitude : null,
+        metadataScrubbedAt: new Date(),
+        sortOrder: photo.sortOrder ?? 0,
+        uploadedBy: userId,
+        ...(photo.createdAt && { createdAt: new Date(photo.createdAt) }),
+      });
+    }
+
+    const photoTagRows = [];
+    const taggedPairs = new Set();
+    for (const tag of manifest.photoTags) {
+      const photoId = photoIds.get(tag.photoId);
+      const relativeId = relativeIds.get(tag.relativeId);
+      if (!photoId || !relativeId) {
+        skip('photoTag', tag.id, 'References a photo or relative that is not in the archive');
+        continue;
+      }
+      if (taggedPairs.has(`${photoId}|${relativeId}`)) {
+        skip('photoTag', tag.id, 'Relative already tagged in this photo');
+        continue;
+      }
+      taggedPairs.add(`${photoId}|${relativeId}`);
+      const hasBox = tag.box && tag.box.width > 0 && tag.box.height > 0;
+      photoTagRows.push({
+        photoId,
+        relativeId,
+        boxX: hasBox ? tag.box.x : null,
+        boxY: hasBox ? tag.box.y : null,
+        boxWidth: hasBox ? tag.box.width : null,
+        boxHeight: hasBox ? tag.box.height : null,
+        taggedBy: userId,
+      });
+    }
+
+    const audioRows = [];
+    for (const audio of manifest.audioRecordings) {
+      const relativeId = relativeIds.get(audio.relativeId);
+      if (!relativeId) {
+        skip('audio', audio.id, 'References a relative that is not in the archive');
+        continue;
+      }
+      const file = await restore('audio', 'audio', audio.id, AUDIO_MIMES, BUCKETS.AUDIO);
+      if (!file) continue;
+      audioRows.push({
+        relativeId,
+        title: audio.title ?? null,
+        fileUrl: file.objectKey,
+        durationSeconds: audio.durationSeconds ?? null,
+        uploadedBy: userId,
+        ...(audio.createdAt && { createdAt: new Date(audio.createdAt) }),
+      });
+    }
+
+    const attachmentRows = [];
+    for (const att of manifest.storyAttachments) {
+      const storyId = storyIds.get(att.storyId);
+      if (!storyId) {
+        skip('storyAttachment', att.id, 'References a story that is not in the archive');
+        continue;
+      }
+      // Bucket depends on the detected type, like regular story uploads
+      const file = await restore('storyAttachment', 'story-attachments', att.id, [...PHOTO_MIMES, ...AUDIO_MIMES], null);
+      if (!file) continue;
+      attachmentRows.push({
+        storyId,
+        fileUrl: file.objectKey,
+        fileType: file.fileType,
+        metadataScrubbedAt: file.fileType === 'photo' ? new Date() : null,
+        caption: att.caption ?? null,
+        sortOrder: att.sortOrder ?? 0,
+      });
+    }
+
+    for (const [index, source] of manifest.sources.entries()) {
+      if (!source.hasDocument) continue;
+      const file = await restore('sourceDocument', 'documents', source.id, DOCUMENT_MIMES, BUCKETS.DOCUMENTS);
+      if (!file) continue;
+      sourceRows[index].fileUrl = file.objectKey;
+      sourceRows[index].fileMimeType = file.mime;
+    }
+
+    // ── 3. Insert everything atomically ──
+    await db.transaction(async (tx) => {
+      await insertBatched(tx, places, placeRows);
+      await insertBatched(tx, relatives, relativeRows);
+      await insertBatched(tx, relationships, relationshipRows);
+      await insertBatched(tx, photos, photoRows);
+      await insertBatched(tx, photoTags, photoTagRows);
+      await insertBatched(tx, audioRecordings, audioRows);
+      await insertBatched(tx, stories, storyRows);
+      await insertBatched(tx, storyAttachments, attachmentRows);
+      await insertBatched(tx, comments, commentRows);
+      await insertBatched(tx, deathRecords, deathRecordRows);
+      await insertBatched(tx, commemorations, commemorationRows);
+      await insertBatched(tx, relativeResidences, residenceRows);
+      await insertBatched(tx, lifeEvents, lifeEventRows);
+      await insertBatched(tx, relativeNames, nameRows);
+      await insertBatched(tx, sources, sourceRows);
+      await insertBatched(tx, citations, citationRows);
+    });
+
+    logger.info('Tree archive imported', {
+      treeId,
+      userId,
+      relatives: relativeRows.length,
+      files: uploaded.length,
+      skipped: skipped.length,
+    });
+
+    return {
+      summary: {
+        relatives: relativeRows.length,
+        relationships: relationshipRows.length,
+        photos: photoRows.length,
+        photoTags: photoTagRows.length,
+        audioRecordings: audioRows.length,
+        stories: storyRows.length,
+        storyAttachments: attachmentRows.length,
+        comments: commentRows.length,
+        deathRecords: deathRecordRows.length,
+        commemorations: commemorationRows.length,
+        places: placeRows.length,
+        residences: residenceRows.length,
+        lifeEvents: lifeEventRows.length,
+        relativeNames: nameRows.length,
+        sources: sourceRows.length,
+        citations: citationRows.length,
+        documents: sourceRows.filter((s) => s.fileUrl).length,
+        avatars: relativeRows.filter((r) => r.avatarUrl).length,
+        skipped: skipped.length,
+      },
+      relativeIdMap: Object.fromEntries(relativeIds),
+      skipped,
+    };
+  } catch (err) {
+    // Roll back MinIO uploads on any failure
+    for (const file of uploaded) {
+      await deleteFile(file.bucket, file.objectKey);
+    }
+    throw err;
+  } finally {
+    zip.close();
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Read and validate tree-data.json.
+ * @param {Awaited<ReturnType<typeof openZip>>} zip
+ * @returns {Promise<z.infer<typeof manifestSchema>>}
+ */
+async function readManifest(zip) {
+  const buffer = await zip.read(MANIFEST_NAME);
+  if (!buffer) {
+    throw badRequest(`Archive is not a KinTales export (missing ${MANIFEST_NAME})`);
+  }
+
+  let json;
+  try {
+    json = JSON.parse(buffer.toString('utf8'));
+  } catch {
+    throw badRequest(`${MANIFEST_NAME} is not valid JSON`);
+  }
+
+  if (!SUPPORTED_EXPORT_VERSIONS.includes(json?.exportVersion)) {
+    throw badRequest(`Unsupported export version: ${json?.exportVersion ?? 'missing'}`);
+  }
+
+  const result = manifestSchema.safeParse(json);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw badRequest(`Invalid ${MANIFEST_NAME} at ${issue.path.join('.')}: ${issue.message}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Map "folder/<sourceId>" → entry name for every media file in the archive.
+ * Extensions are ignored — the real type is detected from magic bytes.
+ * @param {string[]} names
+ * @returns {Map<string, string>}
+ */
+function indexMediaEntries(names) {
+  const index = new Map();
+  for (const name of names) {
+    const match = /^(avatars|photos|audio|story-attachments|documents)\/([0-9a-f-]{36})(\.[a-z0-9]+)?$/i.exec(name);
+    if (match) {
+      index.set(`${match[1]}/${match[2].toLowerCase()}`, name);
+    }
+  }
+  return index;
+}
+
+/**
+ * Verify, scan and upload one archive entry.
+ * Images bound for the photos bucket (gallery photos, photo attachments) are
+ * stripped of EXIF first, like regular uploads; `orientation` is then set.
+ * Validation failures (wrong type, malware, undecodable image) are returned
+ * as `{ error }`; storage failures are thrown so the whole import rolls back.
+ *
+ * @param {Awaited<ReturnType<typeof openZip>>} zip
+ * @param {string} entryName
+ * @param {string[]} allowedMimes
+ * @param {string|null} bucket - null = pick PHOTOS/AUDIO from the detected type
+ * @param {{ bucket: string, objectKey: string }[]} uploaded - Rollback list (mutated)
+ * @returns {Promise<{ objectKey: string, fileType: string, mime: string, orientation: string|null } | { error: string }>}
+ */
+async function restoreMediaFile(zip, entryName, allowedMimes, bucket, uploaded) {
+  let buffer;
+  let detected;
+  try {
+    buffer = await zip.read(entryName);
+    detected = await verifyMimeType(buffer, allowedMimes, entryName);
+    await scanFileBuffer(buffer, entryName);
+  } catch (err) {
+    if (err.isOperational) return { error: err.message };
+    throw err;
+  }
+
+  const fileType = PHOTO_MIMES.includes(detected.mime) ? 'photo' : 'audio';
+  const targetBucket = bucket ?? (fileType === 'photo' ? BUCKETS.PHOTOS : BUCKETS.AUDIO);
+
+  let orientation = null;
+  if (targetBucket === BUCKETS.PHOTOS) {
+    try {
+      ({ buffer, orientation } = await scrubPhoto(buffer, detected.mime));
+    } catch (err) {
+      if (err.isOperational) return { error: err.message };
+      throw err;
+    }
+  }
+
+  const objectKey = await uploadFile(targetBucket, buffer, detected.ext, detected.mime);
+  uploaded.push({ bucket: targetBucket, objectKey });
+
+  return { objectKey, fileType, mime: detected.mime, orientation };
+}
+
+/**
+ * Of the given profile IDs, return those that are members of the tree.
+ * @param {string} treeId
+ * @param {(string|null|undefined)[]} userIds
+ * @returns {Promise<Set<string>>}
+ */
+async function fetchTreeMemberIds(treeId, userIds) {
+  const unique = [...new Set(userIds.filter(Boolean))];
+  if (unique.length === 0) return new Set();
+
+  const rows = await db
+    .select({ userId: treeMembers.userId })
+    .from(treeMembers)
+    .where(and(eq(treeMembers.treeId, treeId), inArray(treeMembers.userId, unique)));
+
+  return new Set(rows.map((r) => r.userId));
+}
+
+/**
+ * Copy a partial date, dropping parts that are invalid on their own
+ * (day without month, month without year, Feb 30 and the like).
+ * @param {object} source
+ * @param {string} prefix - e.g. "birth"
+ * @param {'gregorian'|'julian'} [calendar]
+ * @returns {object} { <prefix>Year, <prefix>Month, <prefix>Day }
+ */
+function normalizePartialDate(source, prefix, calendar = 'gregorian') {
+  const year = source[`${prefix}Year`] ?? null;
+  const month = year !== null ? source[`${prefix}Month`] ?? null : null;
+  let day = month !== null ? source[`${prefix}Day`] ?? null : null;
+
+  if (day !== null && !isValidDate(year, month, day, calendar)) {
+    day = null;
+  }
+
+  return {
+    [`${prefix}Year`]: year,
+    [`${prefix}Month`]: month,
+    [`${prefix}Day`]: day,
+  };
+}
+
+/**
+ * Copy a partial date with its calendar and qualifier. A qualifier without
+ * a year is dropped, and a "between" whose upper bound is missing or before
+ * the start keeps only what is certain — "after" the start.
+ * @param {object} source
+ * @param {string} prefix - e.g. "birth"
+ * @returns {object} Date, `<prefix>Calendar`, `<prefix>Qualifier` and `<prefix>To*` fields
+ */
+function normalizeQualifiedDate(source, prefix) {
+  const calendar = source[`${prefix}Calendar`] ?? 'gregorian';
+  const date = normalizePartialDate(source, prefix, calendar);
+  const qualifier = date[`${prefix}Year`] !== null ? source[`${prefix}Qualifier`] ?? null : null;
+  const fields = {
+    ...date,
+    [`${prefix}Calendar`]: calendar,
+    [`${prefix}Qualifier`]: qualifier,
+    ...normalizePartialDate(qualifier === 'between' ? source : {}, `${prefix}To`, calendar),
+  };
+
+  if (isValidDateRange(fields, prefix)) return fields;
+  return {
+    ...fields,
+    [`${prefix}Qualifier`]: 'after',
+    ...normalizePartialDate({}, `${prefix}To`),
+  };
+}
+
+/**
+ * Sort place rows so every parent is inserted before its children.
+ * A parent cycle in a hand-edited archive is broken by dropping the
+ * parent link that closes it.
+ * @param {object[]} rows - Place rows with remapped id/parentId
+ * @returns {object[]}
+ */
+function orderParentsFirst(rows) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const ordered = [];
+  const done = new Set();
+
+  for (const row of rows) {
+    const chain = [];
+    const inChain = new Set();
+    let current = row;
+    while (current && !done.has(current.id)) {
+      if (inChain.has(current.id)) {
+        chain[chain.length - 1].parentId = null;
+        break;
+      }
+      inChain.add(current.id);
+      chain.push(current);
+      current = byId.get(current.parentId);
+    }
+    for (const place of chain.reverse()) {
+      done.add(place.id);
+      ordered.push(place);
+    }
+  }
+
+  return ordered;
+}
+
+async function insertBatched(tx, table, rows) {
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    await tx.insert(table).values(rows.slice(i, i + INSERT_BATCH_SIZE));
+  }
+}
@@ -8,6 +8,7 @@ import { extractAudioDuration } from '../utils/audioMetadata.js';
 import { scanFileBuffer } from './virusScan.service.js';
 import { uploadFile, getPresignedUrl, deleteFile, BUCKETS } from './storage.service.js';
 import { sanitizeAudio } from '../utils/sanitize.js';
+import { assertRelativeInTree } from './relatives.service.js';
 import logger from '../utils/logger.js';
 
 const AUDIO_MIME_TYPES = ['audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/ogg'];
@@ -112,6 +113,56 @@ export async function uploadAudio(relativeId, userId, fileBuffer, filename, titl
   }
 }
 
+/**
+ * Update a recording's title, or move it to another relative of the same tree.
+ * Verifies the requesting user has editor+ access to the recording's tree.
+ * @param {string} audioId
+ * @param {string} userId
+ * @param {{ title?: string|null, relativeId?: string }} updates
+ * @returns {Promise<object>}
+ */
+export async function updateAudio(audioId, userId, updates) {
+  const [existing] = await db
+    .select({ relativeId: audioRecordings.relativeId, treeId: relatives.treeId })
+    .from(audioRecordings)
+    .innerJoin(relatives, eq(audioRecordings.relativeId, relatives.id))
+    .where(eq(audioRecordings.id, audioId))
+    .limit(1);
+
+  if (!existing) {
+    throw notFound('Audio recording');
+  }
+
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  const movedFrom = updates.relativeId && updates.relativeId !== existing.relativeId
+    ? existing.relativeId
+    : null;
+  if (movedFrom) {
+    await assertRelativeInTree(existing.treeId, updates.relativeId);
+  }
+
+  const [updated] = await db
+    .update(audioRecordings)
+    .set({
+      ...updates,
+      ...(updates.title !== undefined && { title: updates.title || null }),
+    })
+    .where(eq(audioRecordings.id, audioId))
+    .returning();
+
+  logger.info(movedFrom ? 'Audio moved' : 'Audio updated', {
+    audioId,
+    relativeId: updated.relativeId,
+    ...(movedFrom && { movedFrom }),
+    treeId: existing.treeId,
+    userId,
+  });
+
+  const presignedUrl = await getPresignedUrl(BUCKETS.AUDIO, updated.fileUrl);
+  return sanitizeAudio(updated, presignedUrl);
+}
+
 /**
  * Delete an audio recording.
  * Authorization: uploader OR tree owner.
@@ -0,0 +1,128 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import { badRequest, internalError } from '../utils/errors.js';
+import { layoutChart } from '../utils/chartLayout.js';
+import { renderSvg, renderPdf } from '../utils/chartRender.js';
+import { getAncestors, getDescendants } from './pedigree.service.js';
+import { getFileStream, BUCKETS } from './storage.service.js';
+import { sanitizeFileName } from './export.service.js';
+import logger from '../utils/logger.js';
+
+/** Deepest chart that still fits readable text on one page, per chart type. */
+const MAX_GENERATIONS = { pedigree: 6, descendant: 5, fan: 7 };
+const DEFAULT_GENERATIONS = { pedigree: 4, descendant: 3, fan: 5 };
+
+/** Avatars embedded per chart — beyond this, cards are drawn without them. */
+const MAX_AVATARS = 128;
+const AVATAR_PIXELS = 128;
+
+/**
+ * Where DejaVu Sans (Cyrillic-capable) lives: CHART_FONT_DIR, then the
+ * Alpine (font-dejavu) and Debian (fonts-dejavu-core) package locations.
+ */
+const FONT_DIRS = [
+  process.env.CHART_FONT_DIR,
+  '/usr/share/fonts/dejavu',
+  '/usr/share/fonts/truetype/dejavu',
+].filter(Boolean);
+
+/**
+ * Render a family chart for a relative and send it as an SVG or PDF download.
+ * Verifies the requesting user has viewer+ access to the relative's tree.
+ * @param {string} relativeId - Root of the chart
+ * @param {string} userId
+ * @param {{ type: 'pedigree'|'descendant'|'fan', format: 'svg'|'pdf', generations?: number, paper?: string, orientation?: string, avatars?: boolean }} options
+ * @param {import('express').Response} res
+ */
+export async function sendChart(relativeId, userId, options, res) {
+  const {
+    type,
+    format,
+    generations = DEFAULT_GENERATIONS[type],
+    paper = 'A3',
+    orientation = 'landscape',
+    avatars = true,
+  } = options;
+
+  if (generations > MAX_GENERATIONS[type]) {
+    throw badRequest(`A ${type} chart can show at most ${MAX_GENERATIONS[type]} generations`);
+  }
+
+  const lineage = type === 'descendant'
+    ? await getDescendants(relativeId, userId, { generations, format: 'nested', avatarKeys: true })
+    : await getAncestors(relativeId, userId, { generations, format: 'nested', avatarKeys: true });
+
+  const layout = layoutChart(type, lineage, { generations, paper, orientation, avatars });
+  const avatarImages = avatars ? await loadAvatars(layout) : new Map();
+  const title = `KinTales — ${lineage.fullName}`;
+  const fileName = `KinTales-${sanitizeFileName(lineage.fullName)}-${type}`;
+
+  if (format === 'pdf') {
+    const pdf = await renderPdf(layout, avatarImages, title, resolveFonts());
+    // attachment() adds an ASCII fallback — a raw Cyrillic name is an invalid header
+    res.attachment(`${fileName}.pdf`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdf);
+  } else {
+    res.attachment(`${fileName}.svg`);
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.send(renderSvg(layout, avatarImages, title));
+  }
+
+  logger.info('Chart rendered', {
+    relativeId,
+    treeId: lineage.treeId,
+    userId,
+    type,
+    format,
+    generations,
+    paper,
+  });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Fetch the avatars a layout uses as small PNGs (PDFKit can't read WebP).
+ * A missing or unreadable avatar is skipped, never fatal.
+ * @returns {Promise<Map<string, Buffer>>}
+ */
+async function loadAvatars(layout) {
+  const keys = [
+    ...new Set(layout.items.filter((item) => item.kind === 'avatar').map((item) => item.avatarKey)),
+  ].slice(0, MAX_AVATARS);
+
+  const images = new Map();
+  for (const key of keys) {
+    const stream = await getFileStream(BUCKETS.AVATARS, key);
+    if (!stream) continue;
+
+    try {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      const png = await sharp(Buffer.concat(chunks))
+        .resize(AVATAR_PIXELS, AVATAR_PIXELS, { fit: 'cover' })
+        .png()
+        .toBuffer();
+      images.set(key, png);
+    } catch (err) {
+      logger.warn('Chart avatar skipped', { avatarKey: key, error: err.message });
+    }
+  }
+
+  return images;
+}
+
+function resolveFonts() {
+  for (const dir of FONT_DIRS) {
+    const regular = path.join(dir, 'DejaVuSans.ttf');
+    const bold = path.join(dir, 'DejaVuSans-Bold.ttf');
+    if (existsSync(regular) && existsSync(bold)) {
+      return { regular, bold };
+    }
+  }
+
+  logger.error('Chart fonts not found', { searched: FONT_DIRS });
+  throw internalError('Chart fonts are not installed');
+}
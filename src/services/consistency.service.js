@@ -0,0 +1,161 @@
+import { eq } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { relatives, relationships } from '../db/schema.js';
+import { consistencyError } from '../utils/errors.js';
+import { checkTreeConsistency, issueKey } from '../utils/treeConsistency.js';
+import { repointRelationships } from '../utils/duplicates.js';
+
+/** Placeholder ID for a relative or relationship that isn't inserted yet. */
+const NEW_ID = 'new';
+
+/**
+ * Data quality report: every consistency issue in a tree.
+ * Assumes viewer+ access has been verified by middleware.
+ * @param {string} treeId
+ * @returns {Promise<{ summary: { errors: number, warnings: number }, issues: object[] }>}
+ */
+export async function getDataQualityReport(treeId) {
+  const { people, edges } = await loadTree(treeId);
+  const issues = checkTreeConsistency(people, edges);
+
+  return {
+    summary: {
+      errors: issues.filter((i) => i.severity === 'error').length,
+      warnings: issues.filter((i) => i.severity === 'warning').length,
+    },
+    issues,
+  };
+}
+
+/**
+ * Check a relationship about to be created (no `id`) or updated (with `id`).
+ * Throws a 422 listing new errors; returns new warnings for the caller to pass on.
+ * Issues the tree already had are not the change's fault and are ignored.
+ * @param {string} treeId
+ * @param {object} relationship - Row-shaped: personAId, personBId, relationshipType, marriage/divorce parts
+ * @returns {Promise<object[]>} Warnings introduced by the change
+ */
+export async function checkRelationshipChange(treeId, relationship) {
+  return checkChange(treeId, ({ people, edges }) => {
+    const id = relationship.id ?? NEW_ID;
+    const existing = edges.find((e) => e.id === id);
+    const next = { ...existing, ...relationship, id };
+    return {
+      people,
+      edges: existing ? edges.map((e) => (e.id === id ? next : e)) : [...edges, next],
+    };
+  });
+}
+
+/**
+ * Check a relative about to be created (no `id`) or updated (with `id`).
+ * Throws a 422 listing new errors; returns new warnings for the caller to pass on.
+ * @param {string} treeId
+ * @param {object} relative - Row-shaped relative fields
+ * @returns {Promise<object[]>} Warnings introduced by the change
+ */
+export async function checkRelativeChange(treeId, relative) {
+  return checkChange(treeId, ({ people, edges }) => {
+    const id = relative.id ?? NEW_ID;
+    const existing = people.find((p) => p.id === id);
+    const next = { ...existing, ...relative, id };
+    return {
+      people: existing ? people.map((p) => (p.id === id ? next : p)) : [...people, next],
+      edges,
+    };
+  });
+}
+
+/**
+ * Check merging one relative into another: the duplicate disappears, its
+ * relationships move to the survivor and the survivor takes `updates`.
+ * Throws a 422 listing new errors; returns new warnings for the caller to pass on.
+ * @param {string} treeId
+ * @param {string} survivorId
+ * @param {string} duplicateId
+ * @param {object} updates - Fields the survivor takes over from the duplicate
+ * @returns {Promise<object[]>} Warnings introduced by the merge
+ */
+export async function checkMergeChange(treeId, survivorId, duplicateId, updates) {
+  return checkChange(treeId, ({ people, edges }) => {
+    const { repointed } = repointRelationships(edges, duplicateId, survivorId);
+    const untouched = edges.filter((e) => e.personAId !== duplicateId && e.personBId !== duplicateId);
+    return {
+      people: people
+        .filter((p) => p.id !== duplicateId)
+        .map((p) => (p.id === survivorId ? { ...p, ...updates } : p)),
+      edges: [...untouched, ...repointed],
+    };
+  });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+async function checkChange(treeId, applyChange) {
+  const before = await loadTree(treeId);
+  const after = applyChange(before);
+
+  const known = new Set(checkTreeConsistency(before.people, before.edges).map(issueKey));
+  const introduced = checkTreeConsistency(after.people, after.edges).filter(
+    (i) => !known.has(issueKey(i)),
+  );
+
+  const errors = introduced.filter((i) => i.severity === 'error');
+  if (errors.length > 0) {
+    throw consistencyError(errors);
+  }
+
+  return introduced.filter((i) => i.severity === 'warning');
+}
+
+async function loadTree(treeId) {
+  const [people, edges] = await Promise.all([
+    db
+      .select({
+        id: relatives.id,
+        fullName: relatives.fullName,
+        gender: relatives.gender,
+        status: relatives.status,
+        birthYear: relatives.birthYear,
+        birthMonth: relatives.birthMonth,
+        birthDay: relatives.birthDay,
+        birthCalendar: relatives.birthCalendar,
+        birthQualifier: relatives.birthQualifier,
+        birthToYear: relatives.birthToYear,
+        birthToMonth: relatives.birthToMonth,
+        birthToDay: relatives.birthToDay,
+        deathYear: relatives.deathYear,
+        deathMonth: relatives.deathMonth,
+        deathDay: relatives.deathDay,
+        deathCalendar: relatives.deathCalendar,
+        deathQualifier: relatives.deathQualifier,
+        deathToYear: relatives.deathToYear,
+        deathToMonth: relatives.deathToMonth,
+        deathToDay: relatives.deathToDay,
+      })
+      .from(relatives)
+      .where(eq(relatives.treeId, treeId)),
+    db
+      .select({
+        id: relationships.id,
+        personAId: relationships.personAId,
+        personBId: relationships.personBId,
+        relationshipType: relationships.relationshipType,
+        marriageYear: relationships.marriageYear,
+        marriageMonth: relationships.marriageMonth,
+        marriageDay: relationships.marriageDay,
+        marriageCalendar: relationships.marriageCalendar,
+        marriageQualifier: relationships.marriageQualifier,
+        marriageToYear: relationships.marriageToYear,
+        marriageToMonth: relationships.marriageToMonth,
+        marriageToDay: relationships.marriageToDay,
+        divorceYear: relationships.divorceYear,
+        divorceMonth: relationships.divorceMonth,
+        divorceDay: relationships.divorceDay,
+      })
+      .from(relationships)
+      .where(eq(relationships.treeId, treeId)),
+  ]);
+
+  return { people, edges };
+}
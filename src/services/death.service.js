@@ -232,7 +232,7 @@ export async function finalizeDeathRecord(record) {
       return record;
     }
 
-    // 2. Update relative: mark as DECEASED with death date
+    // 2. Update relative: mark as DECEASED with death date (a reported death is an exact, modern date)
     await tx
       .update(relatives)
       .set({
@@ -240,6 +240,11 @@ export async function finalizeDeathRecord(record) {
         deathYear: record.deathYear,
         deathMonth: record.deathMonth,
         deathDay: record.deathDay,
+        deathCalendar: 'gregorian',
+        deathQualifier: null,
+        deathToYear: null,
+        deathToMonth: null,
+        deathToDay: null,
       })
       .where(eq(relatives.id, record.relativeId));
 
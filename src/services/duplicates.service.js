@@ -0,0 +1,383 @@
+import { eq, and, or, desc, inArray } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import {
+  relatives,
+  relationships,
+  photos,
+  audioRecordings,
+  stories,
+  deathRecords,
+  commemorations,
+  notifications,
+  relativeMerges,
+  relativeResidences,
+  citations,
+  lifeEvents,
+  relativeNames,
+  photoTags,
+} from '../db/schema.js';
+import { notFound, badRequest } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { sanitizeRelationship, sanitizeRelativeMerge } from '../utils/sanitize.js';
+import { findDuplicatePairs, repointRelationships } from '../utils/duplicates.js';
+import { checkMergeChange } from './consistency.service.js';
+import { sanitizeRelativeWithAvatar } from './relatives.service.js';
+import { deleteFile, BUCKETS } from './storage.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Fields a merge can take from the duplicate, in groups that only make
+ * sense together (a birth year without its month/day is a different date).
+ */
+const MERGE_FIELDS = {
+  fullName: ['fullName'],
+  gender: ['gender'],
+  birth: [
+    'birthYear', 'birthMonth', 'birthDay',
+    'birthCalendar', 'birthQualifier', 'birthToYear', 'birthToMonth', 'birthToDay',
+  ],
+  birthPlace: ['birthPlaceId'],
+  death: [
+    'deathYear', 'deathMonth', 'deathDay',
+    'deathCalendar', 'deathQualifier', 'deathToYear', 'deathToMonth', 'deathToDay',
+    'causeOfDeath', 'status',
+  ],
+  deathPlace: ['deathPlaceId'],
+  bio: ['bio'],
+  avatar: ['avatarUrl'],
+};
+
+/** When the survivor has nothing for a group, it is filled from the duplicate. */
+const IS_EMPTY = {
+  fullName: () => false,
+  gender: (r) => !r.gender,
+  birth: (r) => r.birthYear === null,
+  birthPlace: (r) => !r.birthPlaceId,
+  death: (r) => r.deathYear === null && !r.causeOfDeath && r.status !== 'DECEASED',
+  deathPlace: (r) => !r.deathPlaceId,
+  bio: (r) => !r.bio,
+  avatar: (r) => !r.avatarUrl,
+};
+
+/**
+ * Likely duplicate relatives in a tree, best match first.
+ * Assumes editor+ access has been verified by middleware.
+ * @param {string} treeId
+ * @param {{ minScore?: number, limit?: number }} options
+ * @returns {Promise<object[]>} { score, reasons, relative, duplicate }
+ */
+export async function findDuplicates(treeId, { minScore = 0.6, limit = 50 } = {}) {
+  const [people, edges] = await Promise.all([
+    db.select().from(relatives).where(eq(relatives.treeId, treeId)),
+    db
+      .select({
+        personAId: relationships.personAId,
+        personBId: relationships.personBId,
+        relationshipType: relationships.relationshipType,
+      })
+      .from(relationships)
+      .where(eq(relationships.treeId, treeId)),
+  ]);
+
+  const byId = new Map(people.map((p) => [p.id, p]));
+
+  const pairs = findDuplicatePairs(people, edges)
+    .filter((pair) => pair.score >= minScore)
+    .slice(0, limit);
+
+  return Promise.all(
+    pairs.map(async (pair) => ({
+      score: pair.score,
+      reasons: pair.reasons,
+      relative: await sanitizeRelativeWithAvatar(byId.get(pair.relativeId)),
+      duplicate: await sanitizeRelativeWithAvatar(byId.get(pair.duplicateId)),
+    })),
+  );
+}
+
+/**
+ * Merge a duplicate into a relative in one transaction: relationships,
+ * photos, photo tags, audio, stories, death records, residences, life events, names, citations, commemorations
+ * and notifications move to the survivor, empty survivor fields are filled from the duplicate
+ * (or overwritten for the groups in `prefer`), and the duplicate is deleted.
+ * A relative_merges row keeps the duplicate's data and what moved, for review.
+ * @param {string} survivorId - Relative that remains
+ * @param {string} userId
+ * @param {{ duplicateId: string, prefer?: string[] }} options
+ * @returns {Promise<{ relative: object, merge: object, warnings: object[] }>}
+ */
+export async function mergeRelatives(survivorId, userId, { duplicateId, prefer = [] }) {
+  if (survivorId === duplicateId) {
+    throw badRequest('Cannot merge a relative into itself');
+  }
+
+  const rows = await db
+    .select()
+    .from(relatives)
+    .where(inArray(relatives.id, [survivorId, duplicateId]));
+
+  const survivor = rows.find((r) => r.id === survivorId);
+  const duplicate = rows.find((r) => r.id === duplicateId);
+
+  if (!survivor || !duplicate) {
+    throw notFound('Relative');
+  }
+
+  if (survivor.treeId !== duplicate.treeId) {
+    throw badRequest('Only relatives in the same tree can be merged');
+  }
+
+  await verifyTreeAccess(survivor.treeId, userId, 'editor');
+
+  const updates = mergedFields(survivor, duplicate, prefer);
+  const warnings = await checkMergeChange(survivor.treeId, survivorId, duplicateId, updates);
+
+  const result = await db.transaction(async (tx) => {
+    // Lock both so a concurrent edit or second merge can't interleave
+    await tx
+      .select({ id: relatives.id })
+      .from(relatives)
+      .where(inArray(relatives.id, [survivorId, duplicateId]))
+      .for('update');
+
+    const edges = await tx
+      .select()
+      .from(relationships)
+      .where(
+        and(
+          eq(relationships.treeId, survivor.treeId),
+          or(
+            inArray(relationships.personAId, [survivorId, duplicateId]),
+            inArray(relationships.personBId, [survivorId, duplicateId]),
+          ),
+        ),
+      );
+
+    const { repointed, removed } = repointRelationships(edges, duplicateId, survivorId);
+
+    for (const edge of repointed) {
+      await tx
+        .update(relationships)
+        .set({ personAId: edge.personAId, personBId: edge.personBId })
+        .where(eq(relationships.id, edge.id));
+    }
+
+    // Sources cited for a dropped duplicate link now document the link kept instead
+    const movedRelationshipCitations = [];
+    for (const { row, keptId } of removed.filter((r) => r.reason === 'DUPLICATE')) {
+      const moved = await tx
+        .update(citations)
+        .set({ relationshipId: keptId })
+        .where(eq(citations.relationshipId, row.id))
+        .returning({ id: citations.id });
+      movedRelationshipCitations.push(...moved.map((m) => m.id));
+    }
+
+    // Deleted before the relative so they are recorded, not cascaded away
+    if (removed.length > 0) {
+      await tx.delete(relationships).where(
+        inArray(relationships.id, removed.map((r) => r.row.id)),
+      );
+    }
+
+    const moveTo = async (table) => {
+      const moved = await tx
+        .update(table)
+        .set({ relativeId: survivorId })
+        .where(eq(table.relativeId, duplicateId))
+        .returning({ id: table.id });
+      return moved.map((m) => m.id);
+    };
+
+    const movedPhotos = await moveTo(photos);
+    const movedAudio = await moveTo(audioRecordings);
+    const movedStories = await moveTo(stories);
+    const movedDeathRecords = await moveTo(deathRecords);
+    const movedResidences = await moveTo(relativeResidences);
+    const movedLifeEvents = await moveTo(lifeEvents);
+    const movedNames = await moveTo(relativeNames);
+    const movedCitations = await moveTo(citations);
+    const movedNotifications = await moveTo(notifications);
+    const movedCommemorations = await moveCommemorations(tx, duplicateId, survivorId);
+    const movedPhotoTags = await movePhotoTags(tx, duplicateId, survivorId);
+
+    const [updated] = await tx
+      .update(relatives)
+      .set({ ...updates, updatedAt: new Date() })
+      .where(eq(relatives.id, survivorId))
+      .returning();
+
+    // Earlier merges into the duplicate are the survivor's history now
+    // (and must stay findable when the survivor is anonymized)
+    await tx
+      .update(relativeMerges)
+      .set({ survivorId })
+      .where(eq(relativeMerges.survivorId, duplicateId));
+
+    await tx.delete(relatives).where(eq(relatives.id, duplicateId));
+
+    const [merge] = await tx
+      .insert(relativeMerges)
+      .values({
+        treeId: survivor.treeId,
+        survivorId,
+        mergedRelativeId: duplicateId,
+        mergedSnapshot: duplicate,
+        survivorBefore: survivor,
+        moved: {
+          fields: Object.keys(updates),
+          relationships: {
+            repointed: repointed.map((e) => e.id),
+            removed: removed.map(({ row, reason }) => ({
+              reason,
+              relationship: sanitizeRelationship(row),
+            })),
+          },
+          photos: movedPhotos,
+          photoTags: movedPhotoTags,
+          audio: movedAudio,
+          stories: movedStories,
+          deathRecords: movedDeathRecords,
+          residences: movedResidences,
+          lifeEvents: movedLifeEvents,
+          names: movedNames,
+          citations: [...movedCitations, ...movedRelationshipCitations],
+          commemorations: movedCommemorations,
+          notifications: movedNotifications.length,
+        },
+        mergedBy: userId,
+      })
+      .returning();
+
+    return { updated, merge };
+  });
+
+  // The duplicate's avatar file is orphaned unless the survivor took it over
+  if (duplicate.avatarUrl && result.updated.avatarUrl !== duplicate.avatarUrl) {
+    await deleteFile(BUCKETS.AVATARS, duplicate.avatarUrl);
+  }
+  // ...and the survivor's old one, when the duplicate's replaced it
+  if (survivor.avatarUrl && result.updated.avatarUrl !== survivor.avatarUrl) {
+    await deleteFile(BUCKETS.AVATARS, survivor.avatarUrl);
+  }
+
+  logger.info('Relatives merged', {
+    mergeId: result.merge.id,
+    survivorId,
+    duplicateId,
+    treeId: survivor.treeId,
+    userId,
+  });
+
+  return {
+    relative: await sanitizeRelativeWithAvatar(result.updated),
+    merge: sanitizeRelativeMerge(result.merge),
+    warnings,
+  };
+}
+
+/**
+ * Merge history of a tree, newest first.
+ * Assumes editor+ access has been verified by middleware.
+ * @param {string} treeId
+ * @returns {Promise<object[]>}
+ */
+export async function getTreeMerges(treeId) {
+  const rows = await db
+    .select()
+    .from(relativeMerges)
+    .where(eq(relativeMerges.treeId, treeId))
+    .orderBy(desc(relativeMerges.createdAt));
+
+  return rows.map(sanitizeRelativeMerge);
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Survivor fields to set: empty groups are filled from the duplicate and
+ * `prefer`red groups are taken from it outright.
+ */
+function mergedFields(survivor, duplicate, prefer) {
+  const updates = {};
+  for (const [group, fields] of Object.entries(MERGE_FIELDS)) {
+    if (!prefer.includes(group) && !IS_EMPTY[group](survivor)) continue;
+    if (IS_EMPTY[group](duplicate)) continue;
+    for (const field of fields) {
+      updates[field] = duplicate[field];
+    }
+  }
+  return updates;
+}
+
+/**
+ * Move the duplicate's photo tags to the survivor, dropping ones on photos
+ * the survivor is already tagged in.
+ * @returns {Promise<{ moved: string[], removed: string[] }>}
+ */
+async function movePhotoTags(tx, duplicateId, survivorId) {
+  const rows = await tx
+    .select({ id: photoTags.id, photoId: photoTags.photoId, relativeId: photoTags.relativeId })
+    .from(photoTags)
+    .where(inArray(photoTags.relativeId, [survivorId, duplicateId]));
+
+  const tagged = new Set(rows.filter((t) => t.relativeId === survivorId).map((t) => t.photoId));
+
+  const moved = [];
+  const removed = [];
+  for (const row of rows.filter((t) => t.relativeId === duplicateId)) {
+    (tagged.has(row.photoId) ? removed : moved).push(row.id);
+  }
+
+  if (moved.length > 0) {
+    await tx
+      .update(photoTags)
+      .set({ relativeId: survivorId })
+      .where(inArray(photoTags.id, moved));
+  }
+  if (removed.length > 0) {
+    await tx.delete(photoTags).where(inArray(photoTags.id, removed));
+  }
+
+  return { moved, removed };
+}
+
+/**
+ * Move commemorations, dropping ones the survivor already has (same type
+ * and date — e.g. both entries had a death confirmed).
+ * @returns {Promise<{ moved: string[], removed: string[] }>}
+ */
+async function moveCommemorations(tx, duplicateId, survivorId) {
+  const rows = await tx
+    .select()
+    .from(commemorations)
+    .where(inArray(commemorations.relativeId, [survivorId, duplicateId]));
+
+  const existing = new Set(
+    rows.filter((c) => c.relativeId === survivorId).map((c) => `${c.type}|${c.commDate}`),
+  );
+
+  const moved = [];
+  const removed = [];
+  for (const row of rows.filter((c) => c.relativeId === duplicateId)) {
+    const key = `${row.type}|${row.commDate}`;
+    if (existing.has(key)) {
+      removed.push(row.id);
+    } else {
+      existing.add(key);
+      moved.push(row.id);
+    }
+  }
+
+  if (moved.length > 0) {
+    await tx
+      .update(commemorations)
+      .set({ relativeId: survivorId })
+      .where(inArray(commemorations.id, moved));
+  }
+  if (removed.length > 0) {
+    await tx.delete(commemorations).where(inArray(commemorations.id, removed));
+  }
+
+  return { moved, removed };
+}
@@ -47,15 +47,23 @@ export async function sendPasswordResetEmail({ to, resetUrl, fullName }) {
 }
 
 /**
- * Send a guardian invite email.
+ * Send a guardian invite email with accept/decline links.
  * Does NOT throw on failure — logs the error and continues.
- * @param {{ to: string, guardianName: string, treeName: string, assignerName: string }} params
+ * @param {{ to: string, guardianName: string, treeName: string, assignerName: string, acceptUrl: string, declineUrl: string, expiresAt: Date }} params
  */
-export async function sendGuardianInviteEmail({ to, guardianName, treeName, assignerName }) {
+export async function sendGuardianInviteEmail({
+  to,
+  guardianName,
+  treeName,
+  assignerName,
+  acceptUrl,
+  declineUrl,
+  expiresAt,
+}) {
   const isDev = process.env.NODE_ENV !== 'production';
 
   if (isDev) {
-    logger.info('Guardian invite (dev mode)', { to, guardianName, treeName });
+    logger.info('Guardian invite (dev mode)', { to, guardianName, treeName, acceptUrl });
   }
 
   try {
@@ -70,7 +78,17 @@ export async function sendGuardianInviteEmail({ to, guardianName, treeName, assi
           <p>${escapeHtml(assignerName)} те назначи за пазител на семейно дърво
              <strong>${escapeHtml(treeName)}</strong> в KinTales.</p>
           <p>Като пазител ще имаш достъп до дървото при нужда (наследяване, недееспособност).</p>
-          <p>Ако вече имаш акаунт в KinTales, влез и провери секцията за пазителства.</p>
+          <p>
+            <a href="${escapeHtml(acceptUrl)}"
+               style="display: inline-block; padding: 12px 24px; background: #4F46E5;
+                      color: white; text-decoration: none; border-radius: 6px;">
+              Приеми
+            </a>
+            &nbsp;
+            <a href="${escapeHtml(declineUrl)}" style="color: #666;">Откажи</a>
+          </p>
+          <p>Поканата е валидна до ${expiresAt.toLocaleDateString('bg-BG')}. Ако нямаш акаунт,
+             регистрирай се със същия имейл адрес и отвори линка отново.</p>
           <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;" />
           <p style="color: #999; font-size: 12px;">KinTales — Семейното дърво на твоя род</p>
         </div>
@@ -129,6 +147,139 @@ export async function sendLegacyKeyEmail({ to, recipientName, treeName, keyCode,
   }
 }
 
+/**
+ * Send a tree membership invitation email.
+ * Does NOT throw on failure — logs the error and continues.
+ * @param {{ to: string, treeName: string, inviterName: string, role: 'viewer'|'editor', acceptUrl: string, expiresAt: Date }} params
+ */
+export async function sendTreeInvitationEmail({ to, treeName, inviterName, role, acceptUrl, expiresAt }) {
+  const isDev = process.env.NODE_ENV !== 'production';
+
+  if (isDev) {
+    logger.info('Tree invitation (dev mode)', { to, treeName, acceptUrl });
+  }
+
+  const roleLabel = role === 'editor' ? 'редактор' : 'наблюдател';
+
+  try {
+    await transporter.sendMail({
+      from: `"KinTales" <${MAIL_FROM}>`,
+      to,
+      subject: 'KinTales — Покана за семейно дърво',
+      html: `
+        <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Покана за семейно дърво</h2>
+          <p>Здравей!</p>
+          <p>${escapeHtml(inviterName)} те кани да се присъединиш към семейно дърво
+             <strong>${escapeHtml(treeName)}</strong> в KinTales като ${roleLabel}.</p>
+          <p>
+            <a href="${escapeHtml(acceptUrl)}"
+               style="display: inline-block; padding: 12px 24px; background: #4F46E5;
+                      color: white; text-decoration: none; border-radius: 6px;">
+              Приеми поканата
+            </a>
+          </p>
+          <p>Поканата е валидна до ${expiresAt.toLocaleDateString('bg-BG')}. Ако нямаш акаунт,
+             регистрирай се със същия имейл адрес и отвори линка отново.</p>
+          <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;" />
+          <p style="color: #999; font-size: 12px;">KinTales — Семейното дърво на твоя род</p>
+        </div>
+      `,
+    });
+    logger.debug('Tree invitation email sent', { to });
+  } catch (err) {
+    logger.error('Failed to send tree invitation email', {
+      to,
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Send an ownership transfer proposal email to the proposed new owner.
+ * Does NOT throw on failure — logs the error and continues.
+ * @param {{ to: string, recipientName: string, treeName: string, ownerName: string, expiresAt: Date }} params
+ */
+export async function sendOwnershipTransferEmail({ to, recipientName, treeName, ownerName, expiresAt }) {
+  const isDev = process.env.NODE_ENV !== 'production';
+
+  if (isDev) {
+    logger.info('Ownership transfer email (dev mode)', { to, treeName });
+  }
+
+  try {
+    await transporter.sendMail({
+      from: `"KinTales" <${MAIL_FROM}>`,
+      to,
+      subject: 'KinTales — Предложение за прехвърляне на собственост',
+      html: `
+        <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Прехвърляне на собственост</h2>
+          <p>Здравей, ${escapeHtml(recipientName)}!</p>
+          <p>${escapeHtml(ownerName)} предлага да станеш собственик на семейно дърво
+             <strong>${escapeHtml(treeName)}</strong> в KinTales.</p>
+          <p>Влез в приложението, за да приемеш или откажеш. Предложението е валидно
+             до ${expiresAt.toLocaleDateString('bg-BG')}.</p>
+          <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;" />
+          <p style="color: #999; font-size: 12px;">KinTales — Семейното дърво на твоя род</p>
+        </div>
+      `,
+    });
+    logger.debug('Ownership transfer email sent', { to });
+  } catch (err) {
+    logger.error('Failed to send ownership transfer email', {
+      to,
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Notify a guardian that a tree they guard has become dormant or archived.
+ * Does NOT throw on failure — logs the error and continues.
+ * @param {{ to: string, guardianName: string, treeName: string, treeStatus: 'DORMANT'|'ARCHIVED', permissions: 'FULL'|'VIEW_ONLY' }} params
+ */
+export async function sendGuardianStewardshipEmail({ to, guardianName, treeName, treeStatus, permissions }) {
+  const isDev = process.env.NODE_ENV !== 'production';
+
+  if (isDev) {
+    logger.info('Guardian stewardship email (dev mode)', { to, treeName, treeStatus });
+  }
+
+  const statusText = treeStatus === 'ARCHIVED'
+    ? 'е архивирано, защото собственикът не е влизал повече от 3 години'
+    : 'е маркирано като неактивно, защото собственикът не е влизал повече от година';
+  const actionText = permissions === 'FULL'
+    ? 'Като пазител с пълни права можеш да поемеш грижата за дървото и да станеш негов собственик.'
+    : 'Като пазител можеш да получиш достъп за преглед до дървото.';
+
+  try {
+    await transporter.sendMail({
+      from: `"KinTales" <${MAIL_FROM}>`,
+      to,
+      subject: 'KinTales — Дърво, което пазиш, има нужда от теб',
+      html: `
+        <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Дървото има нужда от пазител</h2>
+          <p>Здравей, ${escapeHtml(guardianName)}!</p>
+          <p>Семейното дърво <strong>${escapeHtml(treeName)}</strong> ${statusText}.</p>
+          <p>${actionText}</p>
+          <p>Влез в KinTales и отвори секцията за пазителства. Ако нямаш акаунт,
+             регистрирай се с този имейл адрес.</p>
+          <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;" />
+          <p style="color: #999; font-size: 12px;">KinTales — Семейното дърво на твоя род</p>
+        </div>
+      `,
+    });
+    logger.debug('Guardian stewardship email sent', { to });
+  } catch (err) {
+    logger.error('Failed to send guardian stewardship email', {
+      to,
+      error: err.message,
+    });
+  }
+}
+
 /**
  * Escape HTML special characters to prevent XSS in email templates.
  * @param {string} str
@@ -1,7 +1,8 @@
 import { eq, and, between } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { relatives, relationships, commemorations } from '../db/schema.js';
+import { relatives, relationships, commemorations, relativeNames } from '../db/schema.js';
 import { getAllNameDays } from 'bg-name-days';
+import { anniversaryOf } from '../utils/calendar.js';
 import logger from '../utils/logger.js';
 
 // Commemoration type mapping: DB type → API event type
@@ -40,7 +41,7 @@ export async function getTreeEvents(treeId, fromStr, toStr) {
   const { from, to } = parseDateRange(fromStr, toStr);
 
   // Parallel DB queries — one per entity type (no N+1)
-  const [treeRelatives, spouseRelationships, treeComms] = await Promise.all([
+  const [treeRelatives, spouseRelationships, treeComms, treeNames] = await Promise.all([
     db
       .select({
         id: relatives.id,
@@ -48,9 +49,13 @@ export async function getTreeEvents(treeId, fromStr, toStr) {
         birthYear: relatives.birthYear,
         birthMonth: relatives.birthMonth,
         birthDay: relatives.birthDay,
+        birthCalendar: relatives.birthCalendar,
+        birthQualifier: relatives.birthQualifier,
         deathYear: relatives.deathYear,
         deathMonth: relatives.deathMonth,
         deathDay: relatives.deathDay,
+        deathCalendar: relatives.deathCalendar,
+        deathQualifier: relatives.deathQualifier,
         status: relatives.status,
       })
       .from(relatives)
@@ -64,6 +69,8 @@ export async function getTreeEvents(treeId, fromStr, toStr) {
         marriageYear: relationships.marriageYear,
         marriageMonth: relationships.marriageMonth,
         marriageDay: relationships.marriageDay,
+        marriageCalendar: relationships.marriageCalendar,
+        marriageQualifier: relationships.marriageQualifier,
         divorceYear: relationships.divorceYear,
       })
       .from(relationships)
@@ -89,11 +96,28 @@ export async function getTreeEvents(treeId, fromStr, toStr) {
           between(commemorations.commDate, toISODate(from), toISODate(to)),
         ),
       ),
+
+    db
+      .select({
+        relativeId: relativeNames.relativeId,
+        givenName: relativeNames.givenName,
+        nickname: relativeNames.nickname,
+        nameDayName: relativeNames.nameDayName,
+      })
+      .from(relativeNames)
+      .innerJoin(relatives, eq(relativeNames.relativeId, relatives.id))
+      .where(eq(relatives.treeId, treeId)),
   ]);
 
   // Build relative lookup map for quick access
   const relativeMap = new Map(treeRelatives.map((r) => [r.id, r]));
 
+  const namesByRelative = new Map();
+  for (const name of treeNames) {
+    if (!namesByRelative.has(name.relativeId)) namesByRelative.set(name.relativeId, []);
+    namesByRelative.get(name.relativeId).push(name);
+  }
+
   // Partition relatives by living status
   const livingRelatives = treeRelatives.filter((r) => LIVING_STATUSES.has(r.status));
   const deceasedRelatives = treeRelatives.filter((r) => r.status === 'DECEASED');
@@ -101,7 +125,7 @@ export async function getTreeEvents(treeId, fromStr, toStr) {
   // Compute all event types
   const events = [
     ...computeBirthdays(livingRelatives, from, to),
-    ...computeNameDays(livingRelatives, from, to),
+    ...computeNameDays(livingRelatives, namesByRelative, from, to),
     ...computeCommemorations(treeComms, relativeMap),
     ...computeAnniversaries(spouseRelationships, relativeMap, from, to),
     ...computeOnThisDay(deceasedRelatives, from, to),
@@ -123,15 +147,16 @@ export async function getTreeEvents(treeId, fromStr, toStr) {
 
 /**
  * Compute birthday events for living relatives in date range.
- * Matches birthMonth + birthDay against each day in range.
+ * Matches the birth date (Julian dates converted to Gregorian) against
+ * each day in range; qualified dates ("about 1950") have no birthday.
  */
 function computeBirthdays(livingRelatives, from, to) {
   const events = [];
+  const withBirthday = livingRelatives
+    .map((r) => ({ ...r, birthday: anniversaryOf(r, 'birth') }))
+    .filter((r) => r.birthday);
   // Build month-day index for quick lookup
-  const byMonthDay = buildMonthDayIndex(
-    livingRelatives.filter((r) => r.birthMonth != null && r.birthDay != null),
-    (r) => ({ month: r.birthMonth, day: r.birthDay }),
-  );
+  const byMonthDay = buildMonthDayIndex(withBirthday, (r) => r.birthday);
 
   forEachDateInRange(from, to, (date, dateStr) => {
     const key = monthDayKey(date.getMonth() + 1, date.getDate());
@@ -139,10 +164,7 @@ function computeBirthdays(livingRelatives, from, to) {
     if (!matches) return;
 
     for (const rel of matches) {
-      const metadata = {};
-      if (rel.birthYear != null) {
-        metadata.age = date.getFullYear() - rel.birthYear;
-      }
+      const metadata = { age: date.getFullYear() - rel.birthday.year };
       events.push({
         type: 'BIRTHDAY',
         date: dateStr,
@@ -158,18 +180,23 @@ function computeBirthdays(livingRelatives, from, to) {
 
 /**
  * Compute name day events using bg-name-days library.
- * For each date: get celebrating names → match against relative name parts.
+ * For each date: get celebrating names → match against each relative's
+ * name-day candidates (see nameDayCandidates).
  */
-function computeNameDays(livingRelatives, from, to) {
+function computeNameDays(livingRelatives, namesByRelative, from, to) {
   if (livingRelatives.length === 0) return [];
 
   const events = [];
 
-  // Pre-extract name parts for each relative (lowercase for matching)
-  const relativesWithParts = livingRelatives.map((r) => ({
-    ...r,
-    nameParts: extractNameParts(r.fullName).map((p) => p.toLowerCase()),
-  }));
+  // Pre-extract candidate names for each relative (lowercase for matching)
+  const relativesWithParts = livingRelatives.map((r) => {
+    const candidates = nameDayCandidates(r.fullName, namesByRelative.get(r.id));
+    return {
+      ...r,
+      candidates,
+      nameParts: [...new Set(candidates.map((p) => p.toLowerCase()))],
+    };
+  });
 
   // Build name day index from library (handles moveable feasts correctly)
   const nameDayIndex = buildNameDayIndex(from, to);
@@ -197,9 +224,7 @@ function computeNameDays(livingRelatives, from, to) {
               holiday: matchedEntry?.holiday ?? '',
               matchedName:
                 matchedEntry?.name ??
-                extractNameParts(rel.fullName).find(
-                  (p) => p.toLowerCase() === part,
-                ) ??
+                rel.candidates.find((p) => p.toLowerCase() === part) ??
                 part,
             },
           });
@@ -231,24 +256,20 @@ function computeCommemorations(commRows, relativeMap) {
 
 /**
  * Compute marriage anniversary events.
- * Only for spouse relationships with marriageMonth/Day, not divorced.
+ * Only for spouse relationships with an exact marriage date (in Gregorian
+ * terms), not divorced.
  */
 function computeAnniversaries(spouseRelationships, relativeMap, from, to) {
   const events = [];
 
   // Filter to relationships with full marriage date and no divorce
-  const eligible = spouseRelationships.filter(
-    (r) =>
-      r.marriageMonth != null &&
-      r.marriageDay != null &&
-      r.divorceYear == null,
-  );
+  const eligible = spouseRelationships
+    .filter((r) => r.divorceYear == null)
+    .map((r) => ({ ...r, anniversary: anniversaryOf(r, 'marriage') }))
+    .filter((r) => r.anniversary);
 
   // Build month-day index
-  const byMonthDay = buildMonthDayIndex(eligible, (r) => ({
-    month: r.marriageMonth,
-    day: r.marriageDay,
-  }));
+  const byMonthDay = buildMonthDayIndex(eligible, (r) => r.anniversary);
 
   forEachDateInRange(from, to, (date, dateStr) => {
     const key = monthDayKey(date.getMonth() + 1, date.getDate());
@@ -260,10 +281,7 @@ function computeAnniversaries(spouseRelationships, relativeMap, from, to) {
       const personB = relativeMap.get(rel.personBId);
       if (!personA || !personB) continue;
 
-      const metadata = {};
-      if (rel.marriageYear != null) {
-        metadata.years = date.getFullYear() - rel.marriageYear;
-      }
+      const metadata = { years: date.getFullYear() - rel.anniversary.year };
       metadata.spouseId = rel.personBId;
       metadata.spouseName = personB.fullName;
 
@@ -282,19 +300,17 @@ function computeAnniversaries(spouseRelationships, relativeMap, from, to) {
 
 /**
  * Compute ON_THIS_DAY events for deceased relatives.
- * Shows death anniversaries (month/day match, not from commemorations table).
+ * Shows death anniversaries (Gregorian month/day match, not from
+ * commemorations table).
  */
 function computeOnThisDay(deceasedRelatives, from, to) {
   const events = [];
 
-  const withDeathDate = deceasedRelatives.filter(
-    (r) => r.deathMonth != null && r.deathDay != null,
-  );
+  const withDeathDate = deceasedRelatives
+    .map((r) => ({ ...r, deathAnniversary: anniversaryOf(r, 'death') }))
+    .filter((r) => r.deathAnniversary);
 
-  const byMonthDay = buildMonthDayIndex(withDeathDate, (r) => ({
-    month: r.deathMonth,
-    day: r.deathDay,
-  }));
+  const byMonthDay = buildMonthDayIndex(withDeathDate, (r) => r.deathAnniversary);
 
   forEachDateInRange(from, to, (date, dateStr) => {
     const key = monthDayKey(date.getMonth() + 1, date.getDate());
@@ -309,7 +325,7 @@ function computeOnThisDay(deceasedRelatives, from, to) {
         relativeName: rel.fullName,
         metadata: {
           eventType: 'death',
-          year: rel.deathYear,
+          year: rel.deathAnniversary.year,
         },
       });
     }
@@ -352,6 +368,25 @@ function extractNameParts(fullName) {
     .filter((p) => p.length > 0);
 }
 
+/**
+ * Names a relative can celebrate a name day under. An explicit name-day
+ * name on any of their name records wins ("Гошо" celebrates as "Георги");
+ * otherwise every part of fullName plus the given names and nicknames
+ * from their name records.
+ * @param {string} fullName
+ * @param {{ givenName: string|null, nickname: string|null, nameDayName: string|null }[]} [names]
+ * @returns {string[]}
+ */
+function nameDayCandidates(fullName, names = []) {
+  const explicit = names.map((n) => n.nameDayName).filter(Boolean);
+  if (explicit.length > 0) return explicit;
+
+  return [
+    ...extractNameParts(fullName),
+    ...names.flatMap((n) => [n.givenName, n.nickname]).filter(Boolean),
+  ];
+}
+
 /**
  * Build a name day index from the bg-name-days library for a date range.
  * Handles year boundaries (range spanning Dec → Jan).
@@ -6,12 +6,19 @@ import {
   relatives,
   relationships,
   photos,
+  photoTags,
   audioRecordings,
   stories,
   storyAttachments,
   comments,
   deathRecords,
   commemorations,
+  places,
+  relativeResidences,
+  lifeEvents,
+  relativeNames,
+  sources,
+  citations,
 } from '../db/schema.js';
 import { verifyTreeAccess } from '../utils/treeAccess.js';
 import { notFound, badRequest } from '../utils/errors.js';
@@ -20,7 +27,15 @@ import {
   sanitizeRelationship,
   sanitizeStory,
   sanitizeComment,
+  sanitizePlace,
+  sanitizeResidence,
+  sanitizeLifeEvent,
+  sanitizeRelativeName,
+  sanitizeSource,
+  sanitizeCitation,
+  sanitizePhotoTag,
 } from '../utils/sanitize.js';
+import { buildGedcom } from '../utils/gedcom.js';
 import { getFileStream, BUCKETS } from './storage.service.js';
 import logger from '../utils/logger.js';
 
@@ -38,12 +53,12 @@ function getExtension(objectKey) {
 }
 
 /**
- * Sanitize a tree name for use in Content-Disposition filename.
+ * Sanitize a tree name for use in a download file name (sent via res.attachment()).
  * Strips control chars, special chars, and limits length.
  * @param {string} name
  * @returns {string}
  */
-function sanitizeFileName(name) {
+export function sanitizeFileName(name) {
   return name
     .replace(/[\r\n\t]/g, '')
     .replace(/[^a-zA-Z0-9\u0400-\u04FF _-]/g, '')
@@ -80,22 +95,36 @@ export async function exportTreeAsZip(treeId, userId, res) {
     treeRelatives,
     treeRelationships,
     treePhotos,
+    treePhotoTags,
     treeAudio,
     treeStories,
     treeAttachments,
     treeComments,
     treeDeathRecords,
     treeComms,
+    treePlaces,
+    treeResidences,
+    treeLifeEvents,
+    treeNames,
+    treeSources,
+    treeCitations,
   ] = await Promise.all([
     db.select().from(relatives).where(eq(relatives.treeId, treeId)),
     db.select().from(relationships).where(eq(relationships.treeId, treeId)),
     fetchTreePhotos(treeId),
+    fetchTreePhotoTags(treeId),
     fetchTreeAudio(treeId),
     db.select().from(stories).where(eq(stories.treeId, treeId)),
     fetchTreeStoryAttachments(treeId),
     fetchTreeComments(treeId),
     fetchTreeDeathRecords(treeId),
     fetchTreeComms(treeId),
+    db.select().from(places).where(eq(places.treeId, treeId)),
+    fetchTreeResidences(treeId),
+    fetchTreeLifeEvents(treeId),
+    fetchTreeRelativeNames(treeId),
+    db.select().from(sources).where(eq(sources.treeId, treeId)),
+    fetchTreeCitations(treeId),
   ]);
 
   // Check file count limit (prevent resource exhaustion)
@@ -103,7 +132,8 @@ export async function exportTreeAsZip(treeId, userId, res) {
     treeRelatives.filter((r) => r.avatarUrl).length +
     treePhotos.length +
     treeAudio.length +
-    treeAttachments.length;
+    treeAttachments.length +
+    treeSources.filter((s) => s.fileUrl).length;
 
   if (totalFiles > MAX_EXPORT_FILES) {
     throw badRequest(
@@ -120,26 +150,31 @@ export async function exportTreeAsZip(treeId, userId, res) {
       name: tree.name,
       createdAt: tree.createdAt,
     },
-    relatives: treeRelatives.map(sanitizeRelative),
+    relatives: treeRelatives.map((r) => sanitizeRelative(r)),
     relationships: treeRelationships.map(sanitizeRelationship),
     photos: treePhotos,
+    photoTags: treePhotoTags.map(sanitizePhotoTag),
     audioRecordings: treeAudio,
     stories: treeStories.map((s) => sanitizeStory(s)),
     storyAttachments: treeAttachments,
     comments: treeComments.map(sanitizeComment),
     deathRecords: treeDeathRecords,
     commemorations: treeComms,
+    places: treePlaces.map(sanitizePlace),
+    residences: treeResidences.map((r) => sanitizeResidence(r)),
+    lifeEvents: treeLifeEvents.map(sanitizeLifeEvent),
+    relativeNames: treeNames.map(sanitizeRelativeName),
+    sources: treeSources.map((s) => sanitizeSource(s)),
+    citations: treeCitations.map((c) => sanitizeCitation(c)),
   };
 
   // Sanitize tree name for filename
   const safeName = sanitizeFileName(tree.name);
 
   // Set response headers before streaming
+  // attachment() adds an ASCII fallback — a raw Cyrillic name is an invalid header
+  res.attachment(`KinTales-${safeName}.zip`);
   res.setHeader('Content-Type', 'application/zip');
-  res.setHeader(
-    'Content-Disposition',
-    `attachment; filename="KinTales-${safeName}.zip"`,
-  );
 
   // Create ZIP archive (streaming, medium compression)
   const archive = archiver('zip', { zlib: { level: 5 } });
@@ -164,6 +199,7 @@ export async function exportTreeAsZip(treeId, userId, res) {
   try {
     // 1. Add JSON manifest
     archive.append(JSON.stringify(treeData, null, 2), { name: 'tree-data.json' });
+    archive.append(buildGedcom(treeData), { name: 'tree.ged' });
 
     // 2. Stream media files from MinIO
     // Avatars (from relatives)
@@ -217,6 +253,18 @@ export async function exportTreeAsZip(treeId, userId, res) {
       }
     }
 
+    // Scanned source documents
+    for (const source of treeSources) {
+      if (source.fileUrl) {
+        const stream = await getFileStream(BUCKETS.DOCUMENTS, source.fileUrl);
+        if (stream) {
+          archive.append(stream, { name: `documents/${source.id}.${getExtension(source.fileUrl)}` });
+        } else {
+          logger.warn('Source document missing during export', { treeId, sourceId: source.id });
+        }
+      }
+    }
+
     // Finalize
     await archive.finalize();
 
@@ -230,6 +278,80 @@ export async function exportTreeAsZip(treeId, userId, res) {
   }
 }
 
+/**
+ * Export a family tree's people and relationships as a GEDCOM 5.5.1 file.
+ * Media, stories and death records are not part of GEDCOM — use the ZIP export for those.
+ * Birth, death and marriage places and residences are written as PLAC/RESI,
+ * life events as EDUC/OCCU/EMIG/BAPM/EVEN, name records as extra NAMEs;
+ * sources become SOUR records cited on the facts they document.
+ *
+ * @param {string} treeId
+ * @param {string} userId
+ * @param {import('express').Response} res
+ */
+export async function exportTreeAsGedcom(treeId, userId, res) {
+  // Verify editor+ access
+  await verifyTreeAccess(treeId, userId, 'editor');
+
+  const [tree] = await db
+    .select()
+    .from(familyTrees)
+    .where(eq(familyTrees.id, treeId))
+    .limit(1);
+
+  if (!tree) {
+    throw notFound('Tree');
+  }
+
+  const [
+    treeRelatives,
+    treeRelationships,
+    treePlaces,
+    treeResidences,
+    treeLifeEvents,
+    treeNames,
+    treeSources,
+    treeCitations,
+    treeDeathRecords,
+  ] = await Promise.all([
+    db.select().from(relatives).where(eq(relatives.treeId, treeId)),
+    db.select().from(relationships).where(eq(relationships.treeId, treeId)),
+    db.select().from(places).where(eq(places.treeId, treeId)),
+    fetchTreeResidences(treeId),
+    fetchTreeLifeEvents(treeId),
+    fetchTreeRelativeNames(treeId),
+    db.select().from(sources).where(eq(sources.treeId, treeId)),
+    fetchTreeCitations(treeId),
+    fetchTreeDeathRecords(treeId),
+  ]);
+
+  const gedcom = buildGedcom({
+    tree: { name: tree.name },
+    relatives: treeRelatives.map((r) => sanitizeRelative(r)),
+    relationships: treeRelationships.map(sanitizeRelationship),
+    places: treePlaces.map(sanitizePlace),
+    residences: treeResidences.map((r) => sanitizeResidence(r)),
+    lifeEvents: treeLifeEvents.map(sanitizeLifeEvent),
+    names: treeNames.map(sanitizeRelativeName),
+    sources: treeSources.map((s) => sanitizeSource(s)),
+    citations: treeCitations.map((c) => sanitizeCitation(c)),
+    deathRecords: treeDeathRecords,
+  });
+
+  const safeName = sanitizeFileName(tree.name);
+
+  res.attachment(`KinTales-${safeName}.ged`);
+  res.setHeader('Content-Type', 'application/x-gedcom; charset=utf-8');
+  res.send(gedcom);
+
+  logger.info('Tree exported as GEDCOM', {
+    treeId,
+    userId,
+    relatives: treeRelatives.length,
+    relationships: treeRelationships.length,
+  });
+}
+
 // ── Helper queries (indirect relations via relatives/stories) ─────
 
 async function fetchTreePhotos(treeId) {
@@ -242,6 +364,14 @@ async function fetchTreePhotos(treeId) {
       dateTakenYear: photos.dateTakenYear,
       dateTakenMonth: photos.dateTakenMonth,
       dateTakenDay: photos.dateTakenDay,
+      dateTakenCalendar: photos.dateTakenCalendar,
+      dateTakenQualifier: photos.dateTakenQualifier,
+      dateTakenToYear: photos.dateTakenToYear,
+      dateTakenToMonth: photos.dateTakenToMonth,
+      dateTakenToDay: photos.dateTakenToDay,
+      orientation: photos.orientation,
+      latitude: photos.latitude,
+      longitude: photos.longitude,
       sortOrder: photos.sortOrder,
       createdAt: photos.createdAt,
     })
@@ -250,6 +380,15 @@ async function fetchTreePhotos(treeId) {
     .where(eq(relatives.treeId, treeId));
 }
 
+async function fetchTreePhotoTags(treeId) {
+  const rows = await db
+    .select({ tag: photoTags })
+    .from(photoTags)
+    .innerJoin(relatives, eq(photoTags.relativeId, relatives.id))
+    .where(eq(relatives.treeId, treeId));
+  return rows.map((r) => r.tag);
+}
+
 async function fetchTreeAudio(treeId) {
   return db
     .select({
@@ -324,3 +463,87 @@ async function fetchTreeComms(treeId) {
     .innerJoin(relatives, eq(commemorations.relativeId, relatives.id))
     .where(eq(relatives.treeId, treeId));
 }
+
+async function fetchTreeResidences(treeId) {
+  return db
+    .select({
+      id: relativeResidences.id,
+      relativeId: relativeResidences.relativeId,
+      placeId: relativeResidences.placeId,
+      fromYear: relativeResidences.fromYear,
+      fromMonth: relativeResidences.fromMonth,
+      fromDay: relativeResidences.fromDay,
+      toYear: relativeResidences.toYear,
+      toMonth: relativeResidences.toMonth,
+      toDay: relativeResidences.toDay,
+      note: relativeResidences.note,
+      createdAt: relativeResidences.createdAt,
+    })
+    .from(relativeResidences)
+    .innerJoin(relatives, eq(relativeResidences.relativeId, relatives.id))
+    .where(eq(relatives.treeId, treeId));
+}
+
+async function fetchTreeLifeEvents(treeId) {
+  return db
+    .select({
+      id: lifeEvents.id,
+      relativeId: lifeEvents.relativeId,
+      eventType: lifeEvents.eventType,
+      title: lifeEvents.title,
+      description: lifeEvents.description,
+      eventYear: lifeEvents.eventYear,
+      eventMonth: lifeEvents.eventMonth,
+      eventDay: lifeEvents.eventDay,
+      endYear: lifeEvents.endYear,
+      endMonth: lifeEvents.endMonth,
+      endDay: lifeEvents.endDay,
+      placeId: lifeEvents.placeId,
+      createdAt: lifeEvents.createdAt,
+      updatedAt: lifeEvents.updatedAt,
+    })
+    .from(lifeEvents)
+    .innerJoin(relatives, eq(lifeEvents.relativeId, relatives.id))
+    .where(eq(relatives.treeId, treeId));
+}
+
+async function fetchTreeRelativeNames(treeId) {
+  return db
+    .select({
+      id: relativeNames.id,
+      relativeId: relativeNames.relativeId,
+      nameType: relativeNames.nameType,
+      givenName: relativeNames.givenName,
+      patronymic: relativeNames.patronymic,
+      surname: relativeNames.surname,
+      maidenSurname: relativeNames.maidenSurname,
+      nickname: relativeNames.nickname,
+      nameDayName: relativeNames.nameDayName,
+      latinName: relativeNames.latinName,
+      createdAt: relativeNames.createdAt,
+      updatedAt: relativeNames.updatedAt,
+    })
+    .from(relativeNames)
+    .innerJoin(relatives, eq(relativeNames.relativeId, relatives.id))
+    .where(eq(relatives.treeId, treeId));
+}
+
+async function fetchTreeCitations(treeId) {
+  return db
+    .select({
+      id: citations.id,
+      sourceId: citations.sourceId,
+      relativeId: citations.relativeId,
+      relationshipId: citations.relationshipId,
+      deathRecordId: citations.deathRecordId,
+      field: citations.field,
+      page: citations.page,
+      note: citations.note,
+      confidence: citations.confidence,
+      createdAt: citations.createdAt,
+      updatedAt: citations.updatedAt,
+    })
+    .from(citations)
+    .innerJoin(sources, eq(citations.sourceId, sources.id))
+    .where(eq(sources.treeId, treeId));
+}
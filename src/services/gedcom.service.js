@@ -0,0 +1,489 @@
+import { randomUUID } from 'node:crypto';
+import { db } from '../config/database.js';
+import { relatives, relationships } from '../db/schema.js';
+import { badRequest } from '../utils/errors.js';
+import {
+  decodeGedcom,
+  parseGedcom,
+  findChild,
+  findChildren,
+  parseGedcomDate,
+  parseGedcomName,
+  cleanGedcomText,
+} from '../utils/gedcom.js';
+import { isValidDateRange, toGregorian } from '../utils/calendar.js';
+import { scanFileBuffer } from './virusScan.service.js';
+import logger from '../utils/logger.js';
+
+const MAX_IMPORT_RELATIVES = 5_000;
+const MAX_IMPORT_RELATIONSHIPS = 20_000;
+const INSERT_BATCH_SIZE = 500;
+const MAX_NAME_LENGTH = 200;
+const MAX_BIO_LENGTH = 2000;
+const UNKNOWN_NAME = 'Unknown';
+
+// Date column prefixes that store a calendar, qualifier and range end
+const QUALIFIED_DATE_PREFIXES = new Set(['birth', 'death', 'marriage']);
+
+// GEDCOM pedigree (FAMC.PEDI / _FREL / _MREL) → KinTales relationship type
+const PEDIGREE_TYPES = {
+  BIRTH: 'parent',
+  NATURAL: 'parent',
+  SEALING: 'parent',
+  ADOPTED: 'adopted',
+  FOSTER: 'guardian',
+  STEP: 'step_parent',
+};
+
+// INDI.ASSO RELA (letters only, lower case) → KinTales sibling link type
+const SIBLING_ASSOCIATIONS = { sibling: 'sibling', stepsibling: 'step_sibling' };
+
+/**
+ * Import a GEDCOM file into an existing tree.
+ * Assumes editor+ access has been verified by middleware.
+ *
+ * INDI records become relatives; FAM records become spouse and
+ * parent → child relationships (personA = parent, personB = child).
+ * Children of a family without known parents are linked as siblings, and
+ * ASSO links with RELA Sibling/Step-sibling become sibling/step_sibling.
+ * In dry-run mode nothing is written and the same report is returned
+ * with `id: null` for every relative.
+ *
+ * @param {string} treeId
+ * @param {string} userId
+ * @param {Buffer} fileBuffer
+ * @param {string} filename
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<object>} Import report
+ */
+export async function importGedcom(treeId, userId, fileBuffer, filename, { dryRun = false } = {}) {
+  const text = decodeGedcom(fileBuffer);
+
+  if (!/^\s*0\s+HEAD\b/.test(text)) {
+    throw badRequest('File is not a GEDCOM file (missing HEAD record)');
+  }
+
+  await scanFileBuffer(fileBuffer, filename);
+
+  const { records, errors } = parseGedcom(text);
+  const plan = buildImportPlan(records);
+
+  plan.skipped.unshift(
+    ...errors.map((e) => ({ line: e.line, xref: null, tag: null, reason: e.message })),
+  );
+
+  if (plan.relatives.length > MAX_IMPORT_RELATIVES) {
+    throw badRequest(
+      `GEDCOM has too many individuals (${plan.relatives.length}, max ${MAX_IMPORT_RELATIVES})`,
+    );
+  }
+  if (plan.relationships.length > MAX_IMPORT_RELATIONSHIPS) {
+    throw badRequest(
+      `GEDCOM has too many relationships (${plan.relationships.length}, max ${MAX_IMPORT_RELATIONSHIPS})`,
+    );
+  }
+
+  if (!dryRun) {
+    const idByXref = new Map(plan.relatives.map((r) => [r.xref, randomUUID()]));
+
+    await db.transaction(async (tx) => {
+      for (const batch of chunk(plan.relatives, INSERT_BATCH_SIZE)) {
+        await tx.insert(relatives).values(
+          batch.map(({ xref, ...data }) => ({
+            id: idByXref.get(xref),
+            treeId,
+            ...data,
+            createdBy: userId,
+          })),
+        );
+      }
+
+      for (const batch of chunk(plan.relationships, INSERT_BATCH_SIZE)) {
+        await tx.insert(relationships).values(
+          batch.map(({ personAXref, personBXref, ...data }) => ({
+            treeId,
+            personAId: idByXref.get(personAXref),
+            personBId: idByXref.get(personBXref),
+            ...data,
+            createdBy: userId,
+          })),
+        );
+      }
+    });
+
+    for (const rel of plan.relatives) {
+      rel.id = idByXref.get(rel.xref);
+    }
+
+    logger.info('GEDCOM imported', {
+      treeId,
+      userId,
+      relatives: plan.relatives.length,
+      relationships: plan.relationships.length,
+      skipped: plan.skipped.length,
+    });
+  }
+
+  return {
+    dryRun,
+    summary: {
+      individuals: plan.individualCount,
+      families: plan.familyCount,
+      relatives: plan.relatives.length,
+      relationships: plan.relationships.length,
+      skipped: plan.skipped.length,
+      warnings: plan.warnings.length,
+      ignoredRecords: plan.ignoredRecords,
+    },
+    relatives: plan.relatives.map((r) => ({
+      id: r.id ?? null,
+      xref: r.xref,
+      fullName: r.fullName,
+      gender: r.gender,
+      birthYear: r.birthYear ?? null,
+      birthMonth: r.birthMonth ?? null,
+      birthDay: r.birthDay ?? null,
+      birthQualifier: r.birthQualifier ?? null,
+      deathYear: r.deathYear ?? null,
+      deathMonth: r.deathMonth ?? null,
+      deathDay: r.deathDay ?? null,
+      deathQualifier: r.deathQualifier ?? null,
+      status: r.status,
+    })),
+    relationships: plan.relationships,
+    skipped: plan.skipped,
+    warnings: plan.warnings,
+  };
+}
+
+// ── Plan building (pure — no DB access) ──────────────────────
+
+/**
+ * Map parsed GEDCOM records to relative/relationship rows keyed by xref.
+ * @param {object[]} records - Level-0 records from parseGedcom
+ * @returns {{ relatives: object[], relationships: object[], skipped: object[], warnings: object[], ignoredRecords: object, individualCount: number, familyCount: number }}
+ */
+function buildImportPlan(records) {
+  const skipped = [];
+  const warnings = [];
+  const ignoredRecords = {};
+
+  const notesByXref = new Map();
+  const individuals = [];
+  const families = [];
+
+  for (const record of records) {
+    switch (record.tag) {
+      case 'INDI':
+        individuals.push(record);
+        break;
+      case 'FAM':
+        families.push(record);
+        break;
+      case 'NOTE':
+      case 'SNOTE':
+        if (record.xref) notesByXref.set(record.xref, record.value);
+        break;
+      case 'HEAD':
+      case 'TRLR':
+        break;
+      default:
+        ignoredRecords[record.tag] = (ignoredRecords[record.tag] ?? 0) + 1;
+    }
+  }
+
+  // ── Individuals ──
+  const relativesByXref = new Map();
+  // Pedigree per child per family: "childXref|famXref" → PEDI value
+  const pedigrees = new Map();
+  const associations = [];
+
+  for (const indi of individuals) {
+    if (!indi.xref) {
+      skipped.push({ line: indi.line, xref: null, tag: 'INDI', reason: 'Individual has no identifier' });
+      continue;
+    }
+    if (relativesByXref.has(indi.xref)) {
+      skipped.push({ line: indi.line, xref: indi.xref, tag: 'INDI', reason: 'Duplicate identifier' });
+      continue;
+    }
+
+    const relative = mapIndividual(indi, notesByXref, warnings);
+    relativesByXref.set(indi.xref, relative);
+
+    for (const famc of findChildren(indi, 'FAMC')) {
+      const pedi = findChild(famc, 'PEDI')?.value.trim().toUpperCase();
+      if (pedi) pedigrees.set(`${indi.xref}|${famc.value.trim()}`, pedi);
+    }
+    for (const asso of findChildren(indi, 'ASSO')) {
+      associations.push({ xref: indi.xref, node: asso });
+    }
+  }
+
+  // ── Families ──
+  const relationshipRows = [];
+  const seenRelationships = new Set();
+
+  const addRelationship = (row) => {
+    const key = `${row.personAXref}|${row.personBXref}|${row.relationshipType}`;
+    const reverseKey = `${row.personBXref}|${row.personAXref}|${row.relationshipType}`;
+    const symmetric = ['spouse', 'sibling', 'step_sibling'].includes(row.relationshipType);
+    if (seenRelationships.has(key) || (symmetric && seenRelationships.has(reverseKey))) return;
+    seenRelationships.add(key);
+    relationshipRows.push(row);
+  };
+
+  const resolveMember = (fam, node) => {
+    const ref = node.value.trim();
+    if (relativesByXref.has(ref)) return ref;
+    skipped.push({
+      line: node.line,
+      xref: fam.xref,
+      tag: node.tag,
+      reason: `Reference to unknown individual ${ref || '(empty)'}`,
+    });
+    return null;
+  };
+
+  for (const fam of families) {
+    const parentNodes = ['HUSB', 'WIFE']
+      .map((tag) => findChild(fam, tag))
+      .filter(Boolean)
+      .map((node) => ({ node, xref: resolveMember(fam, node) }))
+      .filter((p) => p.xref);
+    const parents = parentNodes.map((p) => p.xref);
+
+    const childNodes = findChildren(fam, 'CHIL');
+    const children = childNodes
+      .map((node) => ({ node, xref: resolveMember(fam, node) }))
+      .filter((c) => c.xref);
+
+    if (parents.length === 0 && children.length === 0) {
+      skipped.push({ line: fam.line, xref: fam.xref, tag: 'FAM', reason: 'Family has no known members' });
+      continue;
+    }
+
+    // Spouse link with marriage/divorce dates
+    if (parents.length === 2) {
+      addRelationship({
+        personAXref: parents[0],
+        personBXref: parents[1],
+        relationshipType: 'spouse',
+        ...mapEventDate(fam, 'MARR', 'marriage', warnings),
+        ...mapEventDate(fam, 'DIV', 'divorce', warnings),
+      });
+    }
+
+    // Parent → child links, honouring adoption/foster/step pedigree
+    for (const child of children) {
+      for (const parent of parentNodes) {
+        const pedigree =
+          pedigrees.get(`${child.xref}|${fam.xref}`) ??
+          findChild(child.node, parent.node.tag === 'HUSB' ? '_FREL' : '_MREL')?.value.trim().toUpperCase();
+
+        addRelationship({
+          personAXref: parent.xref,
+          personBXref: child.xref,
+          relationshipType: PEDIGREE_TYPES[pedigree] ?? 'parent',
+        });
+      }
+    }
+
+    // Without parents the only structure left is that the children are siblings
+    if (parents.length === 0) {
+      for (let i = 0; i < children.length; i++) {
+        for (let j = i + 1; j < children.length; j++) {
+          addRelationship({
+            personAXref: children[i].xref,
+            personBXref: children[j].xref,
+            relationshipType: 'sibling',
+          });
+        }
+      }
+    }
+  }
+
+  // ── Associations: sibling links no family carries ──
+  for (const { xref, node } of associations) {
+    const rela = findChild(node, 'RELA')?.value.toLowerCase().replace(/[^a-z]/g, '');
+    const relationshipType = SIBLING_ASSOCIATIONS[rela];
+    // Godparents, witnesses and other associations have no KinTales link
+    if (!relationshipType) continue;
+
+    const ref = node.value.trim();
+    if (!relativesByXref.has(ref)) {
+      skipped.push({
+        line: node.line,
+        xref,
+        tag: 'ASSO',
+        reason: `Reference to unknown individual ${ref || '(empty)'}`,
+      });
+      continue;
+    }
+    if (ref === xref) continue;
+
+    addRelationship({ personAXref: xref, personBXref: ref, relationshipType });
+  }
+
+  return {
+    relatives: [...relativesByXref.values()],
+    relationships: relationshipRows,
+    skipped,
+    warnings,
+    ignoredRecords,
+    individualCount: individuals.length,
+    familyCount: families.length,
+  };
+}
+
+/**
+ * Map an INDI record to a relative row (plus its xref).
+ * @param {object} indi
+ * @param {Map<string, string>} notesByXref
+ * @param {object[]} warnings - Collected warnings (mutated)
+ * @returns {object}
+ */
+function mapIndividual(indi, notesByXref, warnings) {
+  const { fullName } = parseGedcomName(findChild(indi, 'NAME'));
+  let name = cleanGedcomText(fullName).slice(0, MAX_NAME_LENGTH);
+
+  if (name.length < 2) {
+    warnings.push({ line: indi.line, xref: indi.xref, message: `Missing name, imported as "${UNKNOWN_NAME}"` });
+    name = UNKNOWN_NAME;
+  }
+
+  const birth = mapEventDate(indi, 'BIRT', 'birth', warnings);
+  let death = mapEventDate(indi, 'DEAT', 'death', warnings);
+
+  if (!isOrdered(birth, 'birth', death, 'death')) {
+    warnings.push({ line: indi.line, xref: indi.xref, message: 'Death date before birth date — death date dropped' });
+    death = {};
+  }
+
+  // SEX M/F; U, X and missing are left unknown
+  const sex = findChild(indi, 'SEX')?.value?.trim().toUpperCase();
+  const gender = sex === 'M' ? 'MALE' : sex === 'F' ? 'FEMALE' : null;
+
+  // DEAT with any value ("Y") or substructure means the person is deceased
+  const deceased = Boolean(findChild(indi, 'DEAT'));
+
+  const notes = findChildren(indi, 'NOTE')
+    .map((n) => notesByXref.get(n.value.trim()) ?? n.value)
+    .map(cleanGedcomText)
+    .filter(Boolean);
+
+  return {
+    xref: indi.xref,
+    fullName: name,
+    gender,
+    ...birth,
+    ...death,
+    bio: notes.length > 0 ? notes.join('\n\n').slice(0, MAX_BIO_LENGTH) : null,
+    status: deceased ? 'DECEASED' : 'ALIVE',
+  };
+}
+
+/**
+ * Map the DATE of an event substructure (BIRT, DEAT, MARR, DIV) to
+ * `${prefix}Year/Month/Day` fields, plus the calendar, qualifier and
+ * range end for birth, death and marriage. Unparseable dates, and
+ * qualifiers a prefix can't store (divorce), are reported as warnings.
+ * @param {object} node - INDI or FAM record
+ * @param {string} eventTag
+ * @param {string} prefix - Column prefix ('birth', 'death', 'marriage', 'divorce')
+ * @param {object[]} warnings - Collected warnings (mutated)
+ * @returns {object} Partial date fields (empty object if no usable date)
+ */
+function mapEventDate(node, eventTag, prefix, warnings) {
+  const event = findChild(node, eventTag);
+  const dateNode = event && findChild(event, 'DATE');
+  if (!dateNode || !dateNode.value.trim()) return {};
+
+  const parsed = parseGedcomDate(dateNode.value);
+  if (!parsed) {
+    warnings.push({
+      line: dateNode.line,
+      xref: node.xref,
+      message: `Unparseable ${eventTag} date "${dateNode.value}" ignored`,
+    });
+    return {};
+  }
+
+  if (!QUALIFIED_DATE_PREFIXES.has(prefix)) {
+    // No calendar column: a full Julian date is stored converted
+    const date = toGregorian(parsed, parsed.calendar === 'JULIAN' ? 'julian' : 'gregorian');
+    if (parsed.approximate) {
+      warnings.push({
+        line: dateNode.line,
+        xref: node.xref,
+        message: `Approximate ${eventTag} date "${dateNode.value}" imported as ${formatPartial(date)}`,
+      });
+    }
+    return partialDateFields(prefix, date);
+  }
+
+  const fields = partialDateFields(prefix, parsed);
+
+  fields[`${prefix}Calendar`] = parsed.calendar === 'JULIAN' ? 'julian' : 'gregorian';
+  if (parsed.qualifier) {
+    fields[`${prefix}Qualifier`] = parsed.qualifier;
+  }
+  if (parsed.to) {
+    Object.assign(fields, partialDateFields(`${prefix}To`, parsed.to));
+  }
+
+  if (!isValidDateRange(fields, prefix)) {
+    warnings.push({
+      line: dateNode.line,
+      xref: node.xref,
+      message: `${eventTag} date range "${dateNode.value}" ends before it starts — imported as after ${formatPartial(parsed)}`,
+    });
+    return {
+      ...fields,
+      [`${prefix}Qualifier`]: 'after',
+      [`${prefix}ToYear`]: null,
+      [`${prefix}ToMonth`]: null,
+      [`${prefix}ToDay`]: null,
+    };
+  }
+
+  return fields;
+}
+
+/** `${prefix}Year/Month/Day` fields of a parsed date, leaving unknown parts out. */
+function partialDateFields(prefix, { year, month, day }) {
+  return {
+    [`${prefix}Year`]: year,
+    ...(month !== null && { [`${prefix}Month`]: month }),
+    ...(month !== null && day !== null && { [`${prefix}Day`]: day }),
+  };
+}
+
+/** True if the `later` partial date is not before `earlier` (unknown parts compare equal). */
+function isOrdered(earlierFields, earlierPrefix, laterFields, laterPrefix) {
+  for (const part of ['Year', 'Month', 'Day']) {
+    const a = earlierFields[`${earlierPrefix}${part}`];
+    const b = laterFields[`${laterPrefix}${part}`];
+    if (a === undefined || b === undefined) return true;
+    if (b > a) return true;
+    if (b < a) return false;
+  }
+  return true;
+}
+
+/** Format a parsed date as YYYY[-MM[-DD]]. */
+function formatPartial({ year, month, day }) {
+  return [year, month, day]
+    .filter((v) => v !== null)
+    .map((v, i) => (i === 0 ? String(v) : String(v).padStart(2, '0')))
+    .join('-');
+}
+
+/** Split an array into chunks of `size`. */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
@@ -1,13 +1,27 @@
-import { eq, and, asc, count as drizzleCount } from 'drizzle-orm';
+import { randomBytes } from 'node:crypto';
+import { eq, and, ne, asc, count as drizzleCount } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { treeGuardians, profiles, familyTrees } from '../db/schema.js';
+import {
+  treeGuardians,
+  profiles,
+  familyTrees,
+  treeMembers,
+  treeOwnershipTransfers,
+  notifications,
+} from '../db/schema.js';
 import { notFound, forbidden, conflict, badRequest } from '../utils/errors.js';
 import { verifyTreeAccess } from '../utils/treeAccess.js';
-import { sanitizeGuardian } from '../utils/sanitize.js';
-import { sendGuardianInviteEmail } from './email.service.js';
+import { sanitizeGuardian, sanitizeTree } from '../utils/sanitize.js';
+import { hashToken } from '../utils/tokens.js';
+import { toISODate } from '../utils/date.js';
+import { sendGuardianInviteEmail, sendGuardianStewardshipEmail } from './email.service.js';
 import logger from '../utils/logger.js';
 
+// Tree statuses in which guardians may step in
+const INACTIVE_TREE_STATUSES = ['DORMANT', 'ARCHIVED'];
+
 const MAX_GUARDIANS_PER_TREE = 10;
+const GUARDIAN_INVITE_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
 
 /**
  * Get guardians for a tree, ordered by creation date.
@@ -27,8 +41,9 @@ export async function getTreeGuardians(treeId) {
 
 /**
  * Add a guardian to a tree (owner only).
- * Auto-links guardianUserId if the email matches a registered user.
- * Sends an invite email to the guardian.
+ * The guardian is linked to an account only when they accept with the
+ * emailed token — an account with a matching (unverified) email is not enough.
+ * Sends an invite email with accept/decline links to the guardian.
  * @param {string} userId - The owner assigning the guardian
  * @param {{ treeId: string, guardianEmail: string, guardianName: string, permissions: string }} data
  * @returns {Promise<object>} Sanitized guardian
@@ -65,12 +80,7 @@ export async function addGuardian(userId, data) {
     throw conflict('This email is already assigned as a guardian for this tree');
   }
 
-  // Lookup if email belongs to a registered user
-  const [existingUser] = await db
-    .select({ id: profiles.id })
-    .from(profiles)
-    .where(eq(profiles.email, guardianEmail))
-    .limit(1);
+  const rawToken = randomBytes(32).toString('hex');
 
   // Insert guardian (unique constraint on treeId + guardianEmail as safety net)
   let created;
@@ -79,11 +89,12 @@ export async function addGuardian(userId, data) {
       .insert(treeGuardians)
       .values({
         treeId,
-        guardianUserId: existingUser?.id ?? null,
         guardianEmail,
         guardianName,
         assignedBy: userId,
         permissions,
+        tokenHash: hashToken(rawToken),
+        expiresAt: new Date(Date.now() + GUARDIAN_INVITE_TTL_MS),
       })
       .returning();
   } catch (err) {
@@ -95,26 +106,7 @@ export async function addGuardian(userId, data) {
 
   const sanitized = sanitizeGuardian(created);
 
-  // Fetch tree name and assigner name for email
-  const [tree] = await db
-    .select({ name: familyTrees.name })
-    .from(familyTrees)
-    .where(eq(familyTrees.id, treeId))
-    .limit(1);
-
-  const [assigner] = await db
-    .select({ fullName: profiles.fullName })
-    .from(profiles)
-    .where(eq(profiles.id, userId))
-    .limit(1);
-
-  // Send invite email (non-blocking)
-  sendGuardianInviteEmail({
-    to: guardianEmail,
-    guardianName,
-    treeName: tree?.name ?? 'Unknown',
-    assignerName: assigner?.fullName ?? 'Unknown',
-  });
+  await sendInvite(created, rawToken, userId);
 
   logger.info('Guardian added', {
     guardianId: created.id,
@@ -153,3 +145,400 @@ export async function removeGuardian(guardianId, userId) {
     userId,
   });
 }
+
+/**
+ * Re-send a guardian invitation (owner only).
+ * Issues a new token and expiry — the previous link stops working.
+ * Also revives an invitation that expired without an answer.
+ * @param {string} guardianId
+ * @param {string} userId - The owner re-sending the invitation
+ * @returns {Promise<object>} Sanitized guardian
+ */
+export async function resendGuardianInvite(guardianId, userId) {
+  const [guardian] = await db
+    .select()
+    .from(treeGuardians)
+    .where(eq(treeGuardians.id, guardianId))
+    .limit(1);
+
+  if (!guardian) {
+    throw notFound('Guardian');
+  }
+
+  // Verify caller is tree owner
+  await verifyTreeAccess(guardian.treeId, userId, 'owner');
+
+  if (guardian.status !== 'PENDING') {
+    throw badRequest(`Cannot re-send a guardian invitation with status: ${guardian.status}`);
+  }
+
+  const rawToken = randomBytes(32).toString('hex');
+
+  const [updated] = await db
+    .update(treeGuardians)
+    .set({
+      tokenHash: hashToken(rawToken),
+      expiresAt: new Date(Date.now() + GUARDIAN_INVITE_TTL_MS),
+    })
+    .where(eq(treeGuardians.id, guardianId))
+    .returning();
+
+  await sendInvite(updated, rawToken, userId);
+
+  logger.info('Guardian invite re-sent', {
+    guardianId,
+    treeId: guardian.treeId,
+    userId,
+  });
+
+  return sanitizeGuardian(updated);
+}
+
+/**
+ * Accept a guardian invitation using the token from the invite email.
+ * The logged-in user's email must match the guardian email; the guardian
+ * row is linked to the user on acceptance.
+ * @param {string} userId
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<object>} Sanitized guardian
+ */
+export async function acceptGuardianInvite(userId, token) {
+  const guardian = await findRespondableGuardianInvite(userId, token);
+
+  // Atomic status check prevents double responses
+  const [accepted] = await db
+    .update(treeGuardians)
+    .set({ status: 'ACCEPTED', guardianUserId: userId, respondedAt: new Date() })
+    .where(and(eq(treeGuardians.id, guardian.id), eq(treeGuardians.status, 'PENDING')))
+    .returning();
+
+  if (!accepted) {
+    throw notFound('Guardian invitation');
+  }
+
+  await notifyAssigner(accepted, 'GUARDIAN_ACCEPTED');
+
+  logger.info('Guardian invite accepted', {
+    guardianId: accepted.id,
+    treeId: accepted.treeId,
+    userId,
+  });
+
+  return sanitizeGuardian(accepted);
+}
+
+/**
+ * Decline a guardian invitation using the token from the invite email.
+ * @param {string} userId
+ * @param {string} token - Raw invitation token
+ */
+export async function declineGuardianInvite(userId, token) {
+  const guardian = await findRespondableGuardianInvite(userId, token);
+
+  const [declined] = await db
+    .update(treeGuardians)
+    .set({ status: 'DECLINED', guardianUserId: userId, respondedAt: new Date() })
+    .where(and(eq(treeGuardians.id, guardian.id), eq(treeGuardians.status, 'PENDING')))
+    .returning();
+
+  if (!declined) {
+    throw notFound('Guardian invitation');
+  }
+
+  await notifyAssigner(declined, 'GUARDIAN_DECLINED');
+
+  logger.info('Guardian invite declined', {
+    guardianId: declined.id,
+    treeId: declined.treeId,
+    userId,
+  });
+}
+
+/**
+ * List the trees the user guards (accepted guardianships — pending invitations
+ * are only tied to an email until accepted).
+ * @param {string} userId
+ * @returns {Promise<object[]>} Sanitized guardians, each with a { id, name, status } tree summary
+ */
+export async function getGuardedTrees(userId) {
+  const rows = await db
+    .select({
+      guardian: treeGuardians,
+      tree: {
+        id: familyTrees.id,
+        name: familyTrees.name,
+        status: familyTrees.status,
+      },
+    })
+    .from(treeGuardians)
+    .innerJoin(familyTrees, eq(treeGuardians.treeId, familyTrees.id))
+    .where(
+      and(
+        eq(treeGuardians.guardianUserId, userId),
+        eq(treeGuardians.status, 'ACCEPTED'),
+      ),
+    )
+    .orderBy(asc(treeGuardians.createdAt));
+
+  return rows.map((row) => ({ ...sanitizeGuardian(row.guardian), tree: row.tree }));
+}
+
+/**
+ * Notify every guardian of a tree (except those who declined) that the tree
+ * became DORMANT or ARCHIVED. Called by the dormant check job.
+ * Linked guardians get an in-app notification; everyone gets an email.
+ * @param {{ treeId: string, treeName: string }} tree
+ * @param {'DORMANT'|'ARCHIVED'} treeStatus
+ * @returns {Promise<number>} Number of guardians notified
+ */
+export async function notifyGuardiansOfInactiveTree({ treeId, treeName }, treeStatus) {
+  const guardians = await db
+    .select()
+    .from(treeGuardians)
+    .where(and(eq(treeGuardians.treeId, treeId), ne(treeGuardians.status, 'DECLINED')));
+
+  const linked = guardians.filter((g) => g.guardianUserId);
+  if (linked.length > 0) {
+    await db.insert(notifications).values(
+      linked.map((g) => ({
+        userId: g.guardianUserId,
+        treeId,
+        type: 'GUARDIAN_TREE_INACTIVE',
+        title: `Дървото "${treeName}" има нужда от пазител`,
+        body: g.permissions === 'FULL'
+          ? 'Собственикът е неактивен. Можете да поемете грижата за дървото.'
+          : 'Собственикът е неактивен. Можете да получите достъп за преглед.',
+        eventDate: toISODate(new Date()),
+      })),
+    );
+  }
+
+  for (const g of guardians) {
+    if (!g.guardianEmail) continue;
+    sendGuardianStewardshipEmail({
+      to: g.guardianEmail,
+      guardianName: g.guardianName ?? '',
+      treeName,
+      treeStatus,
+      permissions: g.permissions,
+    });
+  }
+
+  return guardians.length;
+}
+
+/**
+ * Step in as guardian of a DORMANT or ARCHIVED tree.
+ * - FULL guardian: becomes the owner (previous owner is kept as editor,
+ *   any pending ownership transfer is cancelled) and the tree is reactivated.
+ * - VIEW_ONLY guardian: becomes a viewer member.
+ * Only a guardian who accepted the emailed invitation (and so is linked to
+ * the caller's account) can step in.
+ * @param {string} guardianId
+ * @param {string} userId
+ * @returns {Promise<{ tree: object, guardian: object }>}
+ */
+export async function claimStewardship(guardianId, userId) {
+  const [guardian] = await db
+    .select()
+    .from(treeGuardians)
+    .where(eq(treeGuardians.id, guardianId))
+    .limit(1);
+
+  if (!guardian) {
+    throw notFound('Guardian');
+  }
+
+  if (guardian.guardianUserId !== userId) {
+    throw forbidden('You are not this guardian');
+  }
+
+  if (guardian.status !== 'ACCEPTED') {
+    throw badRequest('Accept the guardian invitation before stepping in');
+  }
+
+  const result = await db.transaction(async (tx) => {
+    const [tree] = await tx
+      .select()
+      .from(familyTrees)
+      .where(eq(familyTrees.id, guardian.treeId))
+      .for('update');
+
+    if (!tree) {
+      throw notFound('Tree');
+    }
+
+    if (!INACTIVE_TREE_STATUSES.includes(tree.status)) {
+      throw conflict('Guardians can only step in when the tree is dormant or archived');
+    }
+
+    if (guardian.permissions !== 'FULL') {
+      await tx
+        .insert(treeMembers)
+        .values({ treeId: tree.id, userId, role: 'viewer' })
+        .onConflictDoNothing();
+
+      const [membership] = await tx
+        .select({ role: treeMembers.role })
+        .from(treeMembers)
+        .where(and(eq(treeMembers.treeId, tree.id), eq(treeMembers.userId, userId)))
+        .limit(1);
+
+      return { tree, guardian, role: membership.role };
+    }
+
+    const previousOwnerId = tree.ownerId;
+
+    const [updatedTree] = await tx
+      .update(familyTrees)
+      .set({ ownerId: userId, status: 'ACTIVE', archivedAt: null, archiveReason: null })
+      .where(eq(familyTrees.id, tree.id))
+      .returning();
+
+    await tx
+      .update(treeMembers)
+      .set({ role: 'editor' })
+      .where(and(eq(treeMembers.treeId, tree.id), eq(treeMembers.userId, previousOwnerId)));
+
+    await tx
+      .insert(treeMembers)
+      .values({ treeId: tree.id, userId, role: 'owner' })
+      .onConflictDoUpdate({
+        target: [treeMembers.treeId, treeMembers.userId],
+        set: { role: 'owner' },
+      });
+
+    await tx
+      .update(treeOwnershipTransfers)
+      .set({ status: 'CANCELLED', respondedAt: new Date() })
+      .where(
+        and(
+          eq(treeOwnershipTransfers.treeId, tree.id),
+          eq(treeOwnershipTransfers.status, 'PENDING'),
+        ),
+      );
+
+    await tx.insert(notifications).values({
+      userId: previousOwnerId,
+      treeId: tree.id,
+      type: 'GUARDIAN_STEWARDSHIP_TAKEN',
+      title: `Пазител пое грижата за "${tree.name}"`,
+      body: `${guardian.guardianName ?? 'Пазител'} стана собственик на дървото. Вие оставате редактор.`,
+      eventDate: toISODate(new Date()),
+    });
+
+    return { tree: updatedTree, guardian, role: 'owner' };
+  });
+
+  logger.info('Guardian stewardship claimed', {
+    guardianId,
+    treeId: guardian.treeId,
+    userId,
+    permissions: guardian.permissions,
+  });
+
+  return {
+    tree: sanitizeTree(result.tree, result.role),
+    guardian: sanitizeGuardian(result.guardian),
+  };
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Email the guardian invitation with accept/decline links.
+ * @param {object} guardian - tree_guardians row
+ * @param {string} rawToken
+ * @param {string} assignerId - Owner sending the invitation
+ */
+async function sendInvite(guardian, rawToken, assignerId) {
+  const [tree] = await db
+    .select({ name: familyTrees.name })
+    .from(familyTrees)
+    .where(eq(familyTrees.id, guardian.treeId))
+    .limit(1);
+
+  const [assigner] = await db
+    .select({ fullName: profiles.fullName })
+    .from(profiles)
+    .where(eq(profiles.id, assignerId))
+    .limit(1);
+
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+  // Send invite email (non-blocking)
+  sendGuardianInviteEmail({
+    to: guardian.guardianEmail,
+    guardianName: guardian.guardianName ?? '',
+    treeName: tree?.name ?? 'Unknown',
+    assignerName: assigner?.fullName ?? 'Unknown',
+    acceptUrl: `${appUrl}/guardians/accept?token=${rawToken}`,
+    declineUrl: `${appUrl}/guardians/decline?token=${rawToken}`,
+    expiresAt: guardian.expiresAt,
+  });
+}
+
+/**
+ * Look up a pending, unexpired guardian invitation by token and check that
+ * it was sent to the calling user's email.
+ * @param {string} userId
+ * @param {string} token
+ * @returns {Promise<object>} tree_guardians row
+ */
+async function findRespondableGuardianInvite(userId, token) {
+  const [guardian] = await db
+    .select()
+    .from(treeGuardians)
+    .where(eq(treeGuardians.tokenHash, hashToken(token)))
+    .limit(1);
+
+  if (!guardian || guardian.status !== 'PENDING') {
+    throw notFound('Guardian invitation');
+  }
+
+  if (guardian.expiresAt && guardian.expiresAt < new Date()) {
+    throw badRequest('Guardian invitation has expired');
+  }
+
+  const [user] = await db
+    .select({ email: profiles.email })
+    .from(profiles)
+    .where(eq(profiles.id, userId))
+    .limit(1);
+
+  if (!user || user.email !== guardian.guardianEmail) {
+    throw forbidden('This invitation was sent to a different email address');
+  }
+
+  return guardian;
+}
+
+/**
+ * Tell the owner who assigned the guardian how they responded.
+ * @param {object} guardian - tree_guardians row after the response
+ * @param {'GUARDIAN_ACCEPTED'|'GUARDIAN_DECLINED'} type
+ */
+async function notifyAssigner(guardian, type) {
+  const [tree] = await db
+    .select({ name: familyTrees.name })
+    .from(familyTrees)
+    .where(eq(familyTrees.id, guardian.treeId))
+    .limit(1);
+
+  const name = guardian.guardianName || guardian.guardianEmail;
+
+  await db.insert(notifications).values({
+    userId: guardian.assignedBy,
+    treeId: guardian.treeId,
+    type,
+    title:
+      type === 'GUARDIAN_ACCEPTED'
+        ? `${name} прие да бъде пазител на "${tree?.name ?? ''}"`
+        : `${name} отказа да бъде пазител на "${tree?.name ?? ''}"`,
+    body:
+      type === 'GUARDIAN_ACCEPTED'
+        ? 'Пазителят ще може да се погрижи за дървото, ако станете неактивни.'
+        : 'Можете да назначите друг пазител.',
+    eventDate: toISODate(new Date()),
+  });
+}
@@ -0,0 +1,145 @@
+import { eq } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { relatives, relationships } from '../db/schema.js';
+import { notFound, badRequest } from '../utils/errors.js';
+import { relationshipSteps, describeKinship } from '../utils/kinship.js';
+
+/**
+ * Tie-break cost per link kind: among equally short paths, prefer blood
+ * over adoptive over step links, and guardianship last.
+ */
+const KIND_PENALTY = { blood: 0, adoptive: 1, step: 2, guardian: 4 };
+
+/**
+ * Find how `toId` is related to `fromId` within a tree.
+ * Walks every relationship type (in both directions) breadth-first, so the
+ * path is the shortest one; ties prefer blood links.
+ * Assumes viewer+ access has been verified by middleware.
+ * @param {string} treeId
+ * @param {string} fromId - The person asking ("me")
+ * @param {string} toId - The person to describe
+ * @returns {Promise<object>} { from, to, related, term, lineage, generation, distance, path }
+ */
+export async function getKinship(treeId, fromId, toId) {
+  if (fromId === toId) {
+    throw badRequest('Choose two different relatives');
+  }
+
+  const [people, edges] = await Promise.all([
+    db
+      .select({ id: relatives.id, fullName: relatives.fullName, gender: relatives.gender })
+      .from(relatives)
+      .where(eq(relatives.treeId, treeId)),
+    db
+      .select({
+        id: relationships.id,
+        personAId: relationships.personAId,
+        personBId: relationships.personBId,
+        relationshipType: relationships.relationshipType,
+        divorceYear: relationships.divorceYear,
+      })
+      .from(relationships)
+      .where(eq(relationships.treeId, treeId)),
+  ]);
+
+  const byId = new Map(people.map((p) => [p.id, p]));
+  const from = byId.get(fromId);
+  const to = byId.get(toId);
+
+  if (!from || !to) {
+    throw notFound('Relative');
+  }
+
+  const adjacency = new Map();
+  for (const edge of edges) {
+    for (const step of relationshipSteps(edge)) {
+      if (!adjacency.has(step.from)) adjacency.set(step.from, []);
+      adjacency.get(step.from).push(step);
+    }
+  }
+
+  const steps = findPath(adjacency, fromId, toId);
+
+  const summary = (person) => ({ id: person.id, fullName: person.fullName, gender: person.gender });
+
+  if (!steps) {
+    return {
+      from: summary(from),
+      to: summary(to),
+      related: false,
+      term: null,
+      lineage: null,
+      generation: null,
+      distance: null,
+      path: [],
+    };
+  }
+
+  const kinship = describeKinship(
+    steps.map((s) => ({ ...s, node: byId.get(s.to) })),
+    to.gender,
+  );
+
+  return {
+    from: summary(from),
+    to: summary(to),
+    related: true,
+    term: { bg: kinship.bg, en: kinship.en },
+    lineage: kinship.lineage,
+    generation: kinship.generation,
+    distance: steps.length,
+    path: [
+      { relativeId: from.id, fullName: from.fullName },
+      ...steps.map((s) => ({
+        relativeId: s.to,
+        fullName: byId.get(s.to).fullName,
+        relationshipId: s.relationshipId,
+        relationshipType: s.relationshipType,
+        move: s.move,
+      })),
+    ],
+  };
+}
+
+/**
+ * Layered BFS: the first layer that reaches the target gives the shortest
+ * distance; within a layer, each node keeps its lowest-penalty predecessor.
+ * @param {Map<string, object[]>} adjacency
+ * @param {string} fromId
+ * @param {string} toId
+ * @returns {object[]|null} Steps from fromId to toId, or null if unrelated
+ */
+function findPath(adjacency, fromId, toId) {
+  const visited = new Map([[fromId, { penalty: 0, step: null }]]);
+  let layer = [fromId];
+
+  while (layer.length > 0 && !visited.has(toId)) {
+    const next = new Map();
+
+    for (const nodeId of layer) {
+      const { penalty } = visited.get(nodeId);
+      for (const step of adjacency.get(nodeId) ?? []) {
+        if (visited.has(step.to)) continue;
+
+        const candidate = penalty + KIND_PENALTY[step.kind];
+        const current = next.get(step.to);
+        if (!current || candidate < current.penalty) {
+          next.set(step.to, { penalty: candidate, step });
+        }
+      }
+    }
+
+    for (const [nodeId, entry] of next) {
+      visited.set(nodeId, entry);
+    }
+    layer = [...next.keys()];
+  }
+
+  if (!visited.has(toId)) return null;
+
+  const steps = [];
+  for (let entry = visited.get(toId); entry.step; entry = visited.get(entry.step.from)) {
+    steps.unshift(entry.step);
+  }
+  return steps;
+}
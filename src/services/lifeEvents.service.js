@@ -0,0 +1,178 @@
+import { eq, and, asc } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { lifeEvents, relatives } from '../db/schema.js';
+import { notFound, badRequest } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { sanitizeLifeEvent } from '../utils/sanitize.js';
+import { assertPlacesInTree } from './places.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * A relative's life events, oldest first (undated last).
+ * Verifies the requesting user has viewer+ access to the relative's tree.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function getRelativeLifeEvents(relativeId, userId) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'viewer');
+
+  const rows = await db
+    .select()
+    .from(lifeEvents)
+    .where(eq(lifeEvents.relativeId, relativeId))
+    .orderBy(
+      asc(lifeEvents.eventYear),
+      asc(lifeEvents.eventMonth),
+      asc(lifeEvents.eventDay),
+      asc(lifeEvents.createdAt),
+    );
+
+  return rows.map(sanitizeLifeEvent);
+}
+
+/**
+ * Add a life event (education, military service, occupation, …) to a relative.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {object} data - Validated body
+ * @returns {Promise<object>}
+ */
+export async function createLifeEvent(relativeId, userId, data) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  await assertPlacesInTree(relative.treeId, [data.placeId]);
+  checkLifeEventDates(data);
+
+  const [created] = await db
+    .insert(lifeEvents)
+    .values({
+      relativeId,
+      ...data,
+      createdBy: userId,
+    })
+    .returning();
+
+  logger.info('Life event added', {
+    lifeEventId: created.id,
+    relativeId,
+    treeId: relative.treeId,
+    eventType: created.eventType,
+    userId,
+  });
+
+  return sanitizeLifeEvent(created);
+}
+
+/**
+ * Update a life event.
+ * @param {string} relativeId
+ * @param {string} eventId
+ * @param {string} userId
+ * @param {object} updates - Validated body fields (null clears a field)
+ * @returns {Promise<object>}
+ */
+export async function updateLifeEvent(relativeId, eventId, userId, updates) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  const existing = await getLifeEventRow(relativeId, eventId);
+  const merged = { ...existing, ...updates };
+
+  if (merged.eventType === 'custom' && !merged.title) {
+    throw badRequest('Custom events need a title');
+  }
+  await assertPlacesInTree(relative.treeId, [updates.placeId]);
+  checkLifeEventDates(merged);
+
+  const [updated] = await db
+    .update(lifeEvents)
+    .set({ ...updates, updatedAt: new Date() })
+    .where(eq(lifeEvents.id, eventId))
+    .returning();
+
+  logger.info('Life event updated', {
+    lifeEventId: eventId,
+    relativeId,
+    treeId: relative.treeId,
+    fields: Object.keys(updates),
+    userId,
+  });
+
+  return sanitizeLifeEvent(updated);
+}
+
+/**
+ * Remove a life event.
+ * @param {string} relativeId
+ * @param {string} eventId
+ * @param {string} userId
+ */
+export async function deleteLifeEvent(relativeId, eventId, userId) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  await getLifeEventRow(relativeId, eventId);
+
+  await db.delete(lifeEvents).where(eq(lifeEvents.id, eventId));
+
+  logger.info('Life event deleted', { lifeEventId: eventId, relativeId, treeId: relative.treeId, userId });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+async function getRelativeRow(relativeId) {
+  const [relative] = await db
+    .select({ id: relatives.id, treeId: relatives.treeId })
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!relative) {
+    throw notFound('Relative');
+  }
+
+  return relative;
+}
+
+async function getLifeEventRow(relativeId, eventId) {
+  const [event] = await db
+    .select()
+    .from(lifeEvents)
+    .where(and(eq(lifeEvents.id, eventId), eq(lifeEvents.relativeId, relativeId)))
+    .limit(1);
+
+  if (!event) {
+    throw notFound('Life event');
+  }
+
+  return event;
+}
+
+/** Throw when a date's parts are incomplete, or the event ends before it starts. */
+function checkLifeEventDates(row) {
+  const part = (field) => row[field] ?? null;
+
+  for (const prefix of ['event', 'end']) {
+    if (
+      (part(`${prefix}Day`) !== null && part(`${prefix}Month`) === null) ||
+      (part(`${prefix}Month`) !== null && part(`${prefix}Year`) === null)
+    ) {
+      throw badRequest('Date: if day is set, month is required; if month is set, year is required');
+    }
+  }
+
+  if (part('endYear') !== null && part('eventYear') === null) {
+    throw badRequest('An end date needs a start date');
+  }
+
+  for (const unit of ['Year', 'Month', 'Day']) {
+    const start = part(`event${unit}`);
+    const end = part(`end${unit}`);
+    if (start === null || end === null) return;
+    if (end < start) throw badRequest('Life event cannot end before it starts');
+    if (end > start) return;
+  }
+}
@@ -0,0 +1,438 @@
+import { randomBytes } from 'node:crypto';
+import { eq, and, asc, desc, sql } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import {
+  familyTrees,
+  treeMembers,
+  treeInvitations,
+  treeOwnershipTransfers,
+  profiles,
+} from '../db/schema.js';
+import { notFound, badRequest, forbidden, conflict } from '../utils/errors.js';
+import { hashToken } from '../utils/tokens.js';
+import { sanitizeMember, sanitizeInvitation, sanitizeTree } from '../utils/sanitize.js';
+import { getPresignedUrl, BUCKETS } from './storage.service.js';
+import { sendTreeInvitationEmail } from './email.service.js';
+import logger from '../utils/logger.js';
+
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+/**
+ * List members of a tree with their profile names and avatars.
+ * Assumes viewer+ access has been verified by middleware.
+ * @param {string} treeId
+ * @param {{ showEmail?: boolean }} [options] - Include member emails (owner view)
+ * @returns {Promise<object[]>} Sanitized members, owner first
+ */
+export async function getTreeMembers(treeId, { showEmail = false } = {}) {
+  const rows = await db
+    .select({
+      userId: treeMembers.userId,
+      role: treeMembers.role,
+      joinedAt: treeMembers.joinedAt,
+      fullName: profiles.fullName,
+      email: profiles.email,
+      avatarUrl: profiles.avatarUrl,
+    })
+    .from(treeMembers)
+    .innerJoin(profiles, eq(treeMembers.userId, profiles.id))
+    .where(eq(treeMembers.treeId, treeId))
+    .orderBy(asc(treeMembers.joinedAt));
+
+  const members = await Promise.all(
+    rows.map(async (row) => {
+      const avatarUrl = row.avatarUrl
+        ? await getPresignedUrl(BUCKETS.AVATARS, row.avatarUrl)
+        : null;
+      return sanitizeMember(row, avatarUrl, { showEmail });
+    }),
+  );
+
+  return members.sort((a, b) => (a.role === 'owner' ? -1 : b.role === 'owner' ? 1 : 0));
+}
+
+/**
+ * List invitations for a tree, newest first.
+ * Assumes editor+ access has been verified by middleware.
+ * @param {string} treeId
+ * @returns {Promise<object[]>} Sanitized invitations
+ */
+export async function getTreeInvitations(treeId) {
+  const rows = await db
+    .select()
+    .from(treeInvitations)
+    .where(eq(treeInvitations.treeId, treeId))
+    .orderBy(desc(treeInvitations.createdAt));
+
+  return rows.map(sanitizeInvitation);
+}
+
+/**
+ * Invite someone to a tree by email.
+ * Re-inviting the same email replaces the previous invitation (new token,
+ * new expiry) — this is also how an invitation is re-sent.
+ * Assumes editor+ access has been verified by middleware. Editors may only
+ * invite viewers — handing out editor access is the owner's call — and
+ * can't replace a pending editor invitation either.
+ * @param {string} treeId
+ * @param {string} userId - Inviting user
+ * @param {{ email: string, role: 'viewer'|'editor' }} data
+ * @param {'owner'|'editor'} inviterRole - Inviting user's role in the tree
+ * @returns {Promise<object>} Sanitized invitation
+ * @throws {AppError} 403 if a non-owner invites an editor or re-invites one
+ */
+export async function inviteMember(treeId, userId, { email, role }, inviterRole) {
+  if (role === 'editor' && inviterRole !== 'owner') {
+    throw forbidden('Only the tree owner can invite editors');
+  }
+
+  const [tree] = await db
+    .select({ id: familyTrees.id, name: familyTrees.name })
+    .from(familyTrees)
+    .where(eq(familyTrees.id, treeId))
+    .limit(1);
+
+  if (!tree) {
+    throw notFound('Tree');
+  }
+
+  // Already a member?
+  const [existingMember] = await db
+    .select({ userId: treeMembers.userId })
+    .from(treeMembers)
+    .innerJoin(profiles, eq(treeMembers.userId, profiles.id))
+    .where(and(eq(treeMembers.treeId, treeId), eq(profiles.email, email)))
+    .limit(1);
+
+  if (existingMember) {
+    throw conflict('This person is already a member of the tree');
+  }
+
+  const rawToken = randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+
+  const [invitation] = await db
+    .insert(treeInvitations)
+    .values({
+      treeId,
+      email,
+      role,
+      invitedBy: userId,
+      tokenHash: hashToken(rawToken),
+      expiresAt,
+    })
+    .onConflictDoUpdate({
+      target: [treeInvitations.treeId, treeInvitations.email],
+      set: {
+        role,
+        invitedBy: userId,
+        tokenHash: hashToken(rawToken),
+        status: 'PENDING',
+        expiresAt,
+        acceptedBy: null,
+        respondedAt: null,
+        createdAt: new Date(),
+      },
+      // Checked against the existing row, so a concurrent re-invite can't slip past
+      ...(inviterRole !== 'owner' && {
+        setWhere: sql`not (${treeInvitations.status} = 'PENDING' and ${treeInvitations.role} = 'editor')`,
+      }),
+    })
+    .returning();
+
+  if (!invitation) {
+    throw forbidden('Only the tree owner can change a pending editor invitation');
+  }
+
+  const [inviter] = await db
+    .select({ fullName: profiles.fullName })
+    .from(profiles)
+    .where(eq(profiles.id, userId))
+    .limit(1);
+
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+  sendTreeInvitationEmail({
+    to: email,
+    treeName: tree.name,
+    inviterName: inviter?.fullName ?? 'Unknown',
+    role,
+    acceptUrl: `${appUrl}/invitations/accept?token=${rawToken}`,
+    expiresAt,
+  });
+
+  logger.info('Tree invitation sent', {
+    invitationId: invitation.id,
+    treeId,
+    role,
+    userId,
+  });
+
+  return sanitizeInvitation(invitation);
+}
+
+/**
+ * Revoke a pending invitation.
+ * Assumes editor+ access has been verified by middleware; only the owner
+ * can revoke an editor invitation.
+ * @param {string} treeId
+ * @param {string} invitationId
+ * @param {string} userId - Revoking user (for logging)
+ * @param {'owner'|'editor'} revokerRole - Revoking user's role in the tree
+ * @throws {AppError} 403 if a non-owner revokes an editor invitation
+ */
+export async function revokeInvitation(treeId, invitationId, userId, revokerRole) {
+  const [invitation] = await db
+    .select({ id: treeInvitations.id, status: treeInvitations.status, role: treeInvitations.role })
+    .from(treeInvitations)
+    .where(and(eq(treeInvitations.id, invitationId), eq(treeInvitations.treeId, treeId)))
+    .limit(1);
+
+  if (!invitation) {
+    throw notFound('Invitation');
+  }
+
+  if (invitation.status !== 'PENDING') {
+    throw badRequest(`Cannot revoke an invitation with status: ${invitation.status}`);
+  }
+
+  if (invitation.role === 'editor' && revokerRole !== 'owner') {
+    throw forbidden('Only the tree owner can revoke an editor invitation');
+  }
+
+  await db
+    .update(treeInvitations)
+    .set({ status: 'REVOKED', respondedAt: new Date() })
+    .where(eq(treeInvitations.id, invitationId));
+
+  logger.info('Tree invitation revoked', { invitationId, treeId, userId });
+}
+
+/**
+ * Accept an invitation using the token from the invitation email.
+ * The logged-in user's email must match the invited email.
+ * @param {string} userId
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<{ tree: object, invitation: object }>}
+ */
+export async function acceptInvitation(userId, token) {
+  const invitation = await findRespondableInvitation(userId, token);
+
+  const accepted = await db.transaction(async (tx) => {
+    // Atomic status check prevents double acceptance
+    const [row] = await tx
+      .update(treeInvitations)
+      .set({ status: 'ACCEPTED', acceptedBy: userId, respondedAt: new Date() })
+      .where(and(eq(treeInvitations.id, invitation.id), eq(treeInvitations.status, 'PENDING')))
+      .returning();
+
+    if (!row) {
+      throw notFound('Invitation');
+    }
+
+    const [existingMember] = await tx
+      .select({ userId: treeMembers.userId })
+      .from(treeMembers)
+      .where(and(eq(treeMembers.treeId, row.treeId), eq(treeMembers.userId, userId)))
+      .limit(1);
+
+    if (existingMember) {
+      throw conflict('You are already a member of this tree');
+    }
+
+    await tx.insert(treeMembers).values({
+      treeId: row.treeId,
+      userId,
+      role: row.role,
+    });
+
+    return row;
+  });
+
+  const [tree] = await db
+    .select()
+    .from(familyTrees)
+    .where(eq(familyTrees.id, accepted.treeId))
+    .limit(1);
+
+  logger.info('Tree invitation accepted', {
+    invitationId: accepted.id,
+    treeId: accepted.treeId,
+    userId,
+  });
+
+  return {
+    tree: sanitizeTree(tree, accepted.role),
+    invitation: sanitizeInvitation(accepted),
+  };
+}
+
+/**
+ * Decline an invitation using the token from the invitation email.
+ * @param {string} userId
+ * @param {string} token - Raw invitation token
+ */
+export async function declineInvitation(userId, token) {
+  const invitation = await findRespondableInvitation(userId, token);
+
+  await db
+    .update(treeInvitations)
+    .set({ status: 'DECLINED', respondedAt: new Date() })
+    .where(and(eq(treeInvitations.id, invitation.id), eq(treeInvitations.status, 'PENDING')));
+
+  logger.info('Tree invitation declined', {
+    invitationId: invitation.id,
+    treeId: invitation.treeId,
+    userId,
+  });
+}
+
+/**
+ * Change a member's role (viewer ↔ editor).
+ * Assumes owner access has been verified by middleware.
+ * The owner role is only changed through ownership transfer.
+ * @param {string} treeId
+ * @param {string} memberUserId - Member whose role changes
+ * @param {'viewer'|'editor'} role
+ * @param {string} userId - Owner making the change
+ * @returns {Promise<object>} Updated membership { userId, role }
+ */
+export async function updateMemberRole(treeId, memberUserId, role, userId) {
+  const member = await getMembership(treeId, memberUserId);
+
+  if (member.role === 'owner') {
+    throw badRequest('The owner role can only be changed by transferring ownership');
+  }
+
+  const [updated] = await db
+    .update(treeMembers)
+    .set({ role })
+    .where(eq(treeMembers.id, member.id))
+    .returning({ userId: treeMembers.userId, role: treeMembers.role });
+
+  logger.info('Tree member role changed', {
+    treeId,
+    memberUserId,
+    from: member.role,
+    to: role,
+    userId,
+  });
+
+  return updated;
+}
+
+/**
+ * Remove a member from a tree.
+ * Assumes owner access has been verified by middleware.
+ * @param {string} treeId
+ * @param {string} memberUserId - Member to remove
+ * @param {string} userId - Owner removing the member
+ */
+export async function removeMember(treeId, memberUserId, userId) {
+  const member = await getMembership(treeId, memberUserId);
+
+  if (member.role === 'owner') {
+    throw badRequest('The tree owner cannot be removed');
+  }
+
+  await deleteMembership(treeId, memberUserId, member.id);
+
+  logger.info('Tree member removed', { treeId, memberUserId, userId });
+}
+
+/**
+ * Leave a tree (self-service). The owner must transfer ownership first.
+ * @param {string} treeId
+ * @param {string} userId
+ */
+export async function leaveTree(treeId, userId) {
+  const member = await getMembership(treeId, userId);
+
+  if (member.role === 'owner') {
+    throw conflict('The owner cannot leave the tree. Transfer ownership first.');
+  }
+
+  await deleteMembership(treeId, userId, member.id);
+
+  logger.info('Tree member left', { treeId, userId });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Get a membership row or throw 404.
+ * @param {string} treeId
+ * @param {string} userId
+ * @returns {Promise<{ id: string, role: string }>}
+ */
+async function getMembership(treeId, userId) {
+  const [member] = await db
+    .select({ id: treeMembers.id, role: treeMembers.role })
+    .from(treeMembers)
+    .where(and(eq(treeMembers.treeId, treeId), eq(treeMembers.userId, userId)))
+    .limit(1);
+
+  if (!member) {
+    throw notFound('Member');
+  }
+
+  return member;
+}
+
+/**
+ * Delete a membership and cancel any ownership transfer proposed to that user.
+ * @param {string} treeId
+ * @param {string} userId
+ * @param {string} membershipId
+ */
+async function deleteMembership(treeId, userId, membershipId) {
+  await db.transaction(async (tx) => {
+    await tx.delete(treeMembers).where(eq(treeMembers.id, membershipId));
+
+    await tx
+      .update(treeOwnershipTransfers)
+      .set({ status: 'CANCELLED', respondedAt: new Date() })
+      .where(
+        and(
+          eq(treeOwnershipTransfers.treeId, treeId),
+          eq(treeOwnershipTransfers.toUserId, userId),
+          eq(treeOwnershipTransfers.status, 'PENDING'),
+        ),
+      );
+  });
+}
+
+/**
+ * Look up a pending, unexpired invitation by token and check that it
+ * was sent to the calling user's email.
+ * @param {string} userId
+ * @param {string} token
+ * @returns {Promise<object>} tree_invitations row
+ */
+async function findRespondableInvitation(userId, token) {
+  const [invitation] = await db
+    .select()
+    .from(treeInvitations)
+    .where(eq(treeInvitations.tokenHash, hashToken(token)))
+    .limit(1);
+
+  if (!invitation || invitation.status !== 'PENDING') {
+    throw notFound('Invitation');
+  }
+
+  if (invitation.expiresAt < new Date()) {
+    throw badRequest('Invitation has expired');
+  }
+
+  const [user] = await db
+    .select({ email: profiles.email })
+    .from(profiles)
+    .where(eq(profiles.id, userId))
+    .limit(1);
+
+  if (!user || user.email !== invitation.email) {
+    throw forbidden('This invitation was sent to a different email address');
+  }
+
+  return invitation;
+}
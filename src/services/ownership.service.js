@@ -0,0 +1,313 @@
+import { eq, and, gt, desc } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import {
+  familyTrees,
+  treeMembers,
+  treeOwnershipTransfers,
+  profiles,
+  notifications,
+} from '../db/schema.js';
+import { notFound, badRequest, forbidden, conflict } from '../utils/errors.js';
+import { sanitizeOwnershipTransfer, sanitizeTree } from '../utils/sanitize.js';
+import { toISODate } from '../utils/date.js';
+import { sendOwnershipTransferEmail } from './email.service.js';
+import logger from '../utils/logger.js';
+
+const TRANSFER_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Get the pending (unexpired) ownership transfer for a tree, if any.
+ * Assumes viewer+ access has been verified by middleware.
+ * @param {string} treeId
+ * @returns {Promise<object|null>} Sanitized transfer or null
+ */
+export async function getPendingTransfer(treeId) {
+  const transfer = await findPendingTransfer(db, treeId);
+  return transfer ? sanitizeOwnershipTransfer(transfer) : null;
+}
+
+/**
+ * Propose transferring tree ownership to another member.
+ * Assumes owner access has been verified by middleware.
+ * Only one pending proposal per tree — cancel it before proposing another.
+ * @param {string} treeId
+ * @param {string} ownerId
+ * @param {string} toUserId - Member who would become the owner
+ * @returns {Promise<object>} Sanitized transfer
+ */
+export async function proposeTransfer(treeId, ownerId, toUserId) {
+  if (toUserId === ownerId) {
+    throw badRequest('You already own this tree');
+  }
+
+  const [recipient] = await db
+    .select({
+      userId: treeMembers.userId,
+      fullName: profiles.fullName,
+      email: profiles.email,
+    })
+    .from(treeMembers)
+    .innerJoin(profiles, eq(treeMembers.userId, profiles.id))
+    .where(and(eq(treeMembers.treeId, treeId), eq(treeMembers.userId, toUserId)))
+    .limit(1);
+
+  if (!recipient) {
+    throw badRequest('Ownership can only be transferred to a member of the tree');
+  }
+
+  const [tree] = await db
+    .select({ name: familyTrees.name, ownerName: profiles.fullName })
+    .from(familyTrees)
+    .innerJoin(profiles, eq(familyTrees.ownerId, profiles.id))
+    .where(eq(familyTrees.id, treeId))
+    .limit(1);
+
+  const expiresAt = new Date(Date.now() + TRANSFER_TTL_MS);
+
+  const transfer = await db.transaction(async (tx) => {
+    // Lock the tree row so concurrent proposals serialize
+    await tx
+      .select({ id: familyTrees.id })
+      .from(familyTrees)
+      .where(eq(familyTrees.id, treeId))
+      .for('update');
+
+    if (await findPendingTransfer(tx, treeId)) {
+      throw conflict('An ownership transfer is already pending for this tree');
+    }
+
+    const [created] = await tx
+      .insert(treeOwnershipTransfers)
+      .values({ treeId, fromUserId: ownerId, toUserId, expiresAt })
+      .returning();
+
+    await tx.insert(notifications).values({
+      userId: toUserId,
+      treeId,
+      type: 'OWNERSHIP_TRANSFER_PROPOSED',
+      title: `Предложение да станете собственик на "${tree.name}"`,
+      body: `${tree.ownerName} предлага да ви прехвърли собствеността на дървото.`,
+      eventDate: toISODate(new Date()),
+    });
+
+    return created;
+  });
+
+  sendOwnershipTransferEmail({
+    to: recipient.email,
+    recipientName: recipient.fullName,
+    treeName: tree.name,
+    ownerName: tree.ownerName,
+    expiresAt,
+  });
+
+  logger.info('Ownership transfer proposed', {
+    transferId: transfer.id,
+    treeId,
+    fromUserId: ownerId,
+    toUserId,
+  });
+
+  return sanitizeOwnershipTransfer(transfer);
+}
+
+/**
+ * Cancel the pending ownership transfer (owner only).
+ * Assumes owner access has been verified by middleware.
+ * @param {string} treeId
+ * @param {string} ownerId
+ */
+export async function cancelTransfer(treeId, ownerId) {
+  const [cancelled] = await db
+    .update(treeOwnershipTransfers)
+    .set({ status: 'CANCELLED', respondedAt: new Date() })
+    .where(pendingTransferWhere(treeId))
+    .returning();
+
+  if (!cancelled) {
+    throw notFound('Pending ownership transfer');
+  }
+
+  const treeName = await getTreeName(treeId);
+
+  await db.insert(notifications).values({
+    userId: cancelled.toUserId,
+    treeId,
+    type: 'OWNERSHIP_TRANSFER_CANCELLED',
+    title: `Прехвърлянето на "${treeName}" е отменено`,
+    body: 'Собственикът оттегли предложението за прехвърляне на собствеността.',
+    eventDate: toISODate(new Date()),
+  });
+
+  logger.info('Ownership transfer cancelled', { transferId: cancelled.id, treeId, ownerId });
+}
+
+/**
+ * Accept a pending ownership transfer (proposed recipient only).
+ * Atomically: marks the transfer ACCEPTED, sets family_trees.owner_id,
+ * promotes the recipient to owner and demotes the previous owner to editor.
+ * @param {string} treeId
+ * @param {string} userId - Accepting user (must be the proposed recipient)
+ * @returns {Promise<object>} Sanitized tree with the caller's new role
+ */
+export async function acceptTransfer(treeId, userId) {
+  const transfer = await getRespondableTransfer(treeId, userId);
+
+  const tree = await db.transaction(async (tx) => {
+    // Atomic status check prevents double acceptance / racing a cancel
+    const [accepted] = await tx
+      .update(treeOwnershipTransfers)
+      .set({ status: 'ACCEPTED', respondedAt: new Date() })
+      .where(and(eq(treeOwnershipTransfers.id, transfer.id), pendingTransferWhere(treeId)))
+      .returning();
+
+    if (!accepted) {
+      throw notFound('Pending ownership transfer');
+    }
+
+    const [updatedTree] = await tx
+      .update(familyTrees)
+      .set({ ownerId: userId })
+      .where(and(eq(familyTrees.id, treeId), eq(familyTrees.ownerId, transfer.fromUserId)))
+      .returning();
+
+    if (!updatedTree) {
+      throw conflict('The tree owner has changed since the transfer was proposed');
+    }
+
+    const [promoted] = await tx
+      .update(treeMembers)
+      .set({ role: 'owner' })
+      .where(and(eq(treeMembers.treeId, treeId), eq(treeMembers.userId, userId)))
+      .returning({ id: treeMembers.id });
+
+    if (!promoted) {
+      throw conflict('You are no longer a member of this tree');
+    }
+
+    await tx
+      .update(treeMembers)
+      .set({ role: 'editor' })
+      .where(and(eq(treeMembers.treeId, treeId), eq(treeMembers.userId, transfer.fromUserId)));
+
+    const today = toISODate(new Date());
+    await tx.insert(notifications).values([
+      {
+        userId: transfer.fromUserId,
+        treeId,
+        type: 'OWNERSHIP_TRANSFER_ACCEPTED',
+        title: `Собствеността на "${updatedTree.name}" е прехвърлена`,
+        body: 'Предложението ви беше прието. Вече сте редактор на дървото.',
+        eventDate: today,
+      },
+      {
+        userId,
+        treeId,
+        type: 'OWNERSHIP_TRANSFER_ACCEPTED',
+        title: `Вече сте собственик на "${updatedTree.name}"`,
+        body: 'Прехвърлянето на собствеността е завършено.',
+        eventDate: today,
+      },
+    ]);
+
+    return updatedTree;
+  });
+
+  logger.info('Ownership transfer accepted', {
+    transferId: transfer.id,
+    treeId,
+    fromUserId: transfer.fromUserId,
+    toUserId: userId,
+  });
+
+  return sanitizeTree(tree, 'owner');
+}
+
+/**
+ * Decline a pending ownership transfer (proposed recipient only).
+ * @param {string} treeId
+ * @param {string} userId
+ */
+export async function declineTransfer(treeId, userId) {
+  const transfer = await getRespondableTransfer(treeId, userId);
+
+  const [declined] = await db
+    .update(treeOwnershipTransfers)
+    .set({ status: 'DECLINED', respondedAt: new Date() })
+    .where(and(eq(treeOwnershipTransfers.id, transfer.id), pendingTransferWhere(treeId)))
+    .returning();
+
+  if (!declined) {
+    throw notFound('Pending ownership transfer');
+  }
+
+  const treeName = await getTreeName(treeId);
+
+  await db.insert(notifications).values({
+    userId: transfer.fromUserId,
+    treeId,
+    type: 'OWNERSHIP_TRANSFER_DECLINED',
+    title: `Прехвърлянето на "${treeName}" е отказано`,
+    body: 'Предложеният собственик отказа прехвърлянето на собствеността.',
+    eventDate: toISODate(new Date()),
+  });
+
+  logger.info('Ownership transfer declined', { transferId: transfer.id, treeId, userId });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/** WHERE clause for the tree's PENDING, unexpired transfer. */
+function pendingTransferWhere(treeId) {
+  return and(
+    eq(treeOwnershipTransfers.treeId, treeId),
+    eq(treeOwnershipTransfers.status, 'PENDING'),
+    gt(treeOwnershipTransfers.expiresAt, new Date()),
+  );
+}
+
+/**
+ * @param {typeof db} executor - db or transaction
+ * @param {string} treeId
+ * @returns {Promise<object|undefined>}
+ */
+async function findPendingTransfer(executor, treeId) {
+  const [transfer] = await executor
+    .select()
+    .from(treeOwnershipTransfers)
+    .where(pendingTransferWhere(treeId))
+    .orderBy(desc(treeOwnershipTransfers.createdAt))
+    .limit(1);
+
+  return transfer;
+}
+
+/**
+ * Get the pending transfer and check the caller is its recipient.
+ * @param {string} treeId
+ * @param {string} userId
+ * @returns {Promise<object>} tree_ownership_transfers row
+ */
+async function getRespondableTransfer(treeId, userId) {
+  const transfer = await findPendingTransfer(db, treeId);
+
+  if (!transfer) {
+    throw notFound('Pending ownership transfer');
+  }
+
+  if (transfer.toUserId !== userId) {
+    throw forbidden('This ownership transfer was not proposed to you');
+  }
+
+  return transfer;
+}
+
+async function getTreeName(treeId) {
+  const [tree] = await db
+    .select({ name: familyTrees.name })
+    .from(familyTrees)
+    .where(eq(familyTrees.id, treeId))
+    .limit(1);
+
+  return tree?.name ?? '';
+}
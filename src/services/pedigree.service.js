@@ -0,0 +1,196 @@
+import { eq, inArray, sql } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { relatives } from '../db/schema.js';
+import { notFound } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { sanitizeRelative } from '../utils/sanitize.js';
+import { sanitizeRelativeWithAvatar } from './relatives.service.js';
+
+// Parent → child relationship types. Parent is person A for these...
+const PARENT_FIRST = ['parent', 'adopted'];
+const STEP_PARENT_FIRST = ['step_parent'];
+// ...and person B for these
+const CHILD_FIRST = ['child'];
+const STEP_CHILD_FIRST = ['step_child'];
+
+const DEFAULT_GENERATIONS = 4;
+
+/**
+ * Ancestors of a relative up to N generations (parents = generation 1).
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {{ generations?: number, format?: 'flat'|'nested', includeStep?: boolean, avatarKeys?: boolean }} options
+ *   `avatarKeys` returns avatar object keys instead of presigned URLs (chart rendering)
+ * @returns {Promise<object>} Flat { root, nodes, links } or nested root with `parents`
+ */
+export async function getAncestors(relativeId, userId, options) {
+  return getPedigree(relativeId, userId, 'ancestors', options);
+}
+
+/**
+ * Descendants of a relative down to N generations (children = generation 1).
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {{ generations?: number, format?: 'flat'|'nested', includeStep?: boolean, avatarKeys?: boolean }} options
+ *   `avatarKeys` returns avatar object keys instead of presigned URLs (chart rendering)
+ * @returns {Promise<object>} Flat { root, nodes, links } or nested root with `children`
+ */
+export async function getDescendants(relativeId, userId, options) {
+  return getPedigree(relativeId, userId, 'descendants', options);
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+async function getPedigree(
+  relativeId,
+  userId,
+  direction,
+  { generations = DEFAULT_GENERATIONS, format = 'flat', includeStep = false, avatarKeys = false },
+) {
+  const [root] = await db
+    .select()
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!root) {
+    throw notFound('Relative');
+  }
+
+  await verifyTreeAccess(root.treeId, userId, 'viewer');
+
+  const rows = await walkLineage(root, direction, generations, includeStep);
+
+  // Pedigree collapse: the same person can be reached along several lines —
+  // keep each person once (closest generation) and every distinct link
+  const generationById = new Map();
+  const links = new Map();
+  for (const row of rows) {
+    const known = generationById.get(row.relativeId);
+    if (known === undefined || row.generation < known) {
+      generationById.set(row.relativeId, row.generation);
+    }
+    links.set(row.relationshipId, {
+      relationshipId: row.relationshipId,
+      parentId: row.parentId,
+      childId: row.childId,
+      relationshipType: row.relationshipType,
+    });
+  }
+
+  const people = generationById.size > 0
+    ? await db
+        .select()
+        .from(relatives)
+        .where(inArray(relatives.id, [...generationById.keys()]))
+    : [];
+
+  // Charts read the avatar files themselves, so they need the object keys
+  const present = avatarKeys ? async (row) => sanitizeRelative(row) : sanitizeRelativeWithAvatar;
+
+  const nodes = (
+    await Promise.all(
+      people.map(async (person) => ({ ...(await present(person)), generation: generationById.get(person.id) })),
+    )
+  ).sort((a, b) => a.generation - b.generation || a.fullName.localeCompare(b.fullName, 'bg'));
+
+  if (format === 'nested') {
+    return nestLineage(await present(root), nodes, [...links.values()], direction);
+  }
+
+  return {
+    root: { ...(await present(root)), generation: 0 },
+    generations,
+    nodes,
+    links: [...links.values()],
+  };
+}
+
+/**
+ * Recursive CTE over `relationships`. Edges are first normalized to
+ * (parent_id, child_id), then followed from the root up (ancestors) or
+ * down (descendants). The visited path array stops ancestry cycles.
+ * @returns {Promise<{ relativeId: string, parentId: string, childId: string, relationshipId: string, relationshipType: string, generation: number }[]>}
+ */
+async function walkLineage(root, direction, maxGenerations, includeStep) {
+  const parentFirst = includeStep ? [...PARENT_FIRST, ...STEP_PARENT_FIRST] : PARENT_FIRST;
+  const childFirst = includeStep ? [...CHILD_FIRST, ...STEP_CHILD_FIRST] : CHILD_FIRST;
+
+  // Column the walk moves to, and the one it must match, for each direction
+  const [next, current] = direction === 'ancestors'
+    ? [sql.raw('parent_id'), sql.raw('child_id')]
+    : [sql.raw('child_id'), sql.raw('parent_id')];
+
+  const result = await db.execute(sql`
+    WITH RECURSIVE edges AS (
+      SELECT id, person_a_id AS parent_id, person_b_id AS child_id, relationship_type
+      FROM relationships
+      WHERE tree_id = ${root.treeId}
+        AND relationship_type IN (${sql.join(parentFirst.map((t) => sql`${t}`), sql`, `)})
+      UNION ALL
+      SELECT id, person_b_id AS parent_id, person_a_id AS child_id, relationship_type
+      FROM relationships
+      WHERE tree_id = ${root.treeId}
+        AND relationship_type IN (${sql.join(childFirst.map((t) => sql`${t}`), sql`, `)})
+    ),
+    lineage AS (
+      SELECT e.${next} AS relative_id, e.parent_id, e.child_id, e.id AS relationship_id,
+             e.relationship_type, 1 AS generation,
+             ARRAY[${root.id}::uuid, e.${next}] AS path
+      FROM edges e
+      WHERE e.${current} = ${root.id}
+      UNION ALL
+      SELECT e.${next}, e.parent_id, e.child_id, e.id,
+             e.relationship_type, l.generation + 1,
+             l.path || e.${next}
+      FROM lineage l
+      JOIN edges e ON e.${current} = l.relative_id
+      WHERE l.generation < ${maxGenerations}
+        AND NOT e.${next} = ANY(l.path)
+    )
+    SELECT relative_id, parent_id, child_id, relationship_id, relationship_type, generation
+    FROM lineage
+  `);
+
+  return result.rows.map((row) => ({
+    relativeId: row.relative_id,
+    parentId: row.parent_id,
+    childId: row.child_id,
+    relationshipId: row.relationship_id,
+    relationshipType: row.relationship_type,
+    generation: Number(row.generation),
+  }));
+}
+
+/**
+ * Turn flat nodes + links into a tree rooted at `root`: each node gets a
+ * `parents` (ancestors) or `children` (descendants) array. A person reached
+ * along several lines appears under each of them.
+ */
+function nestLineage(root, nodes, links, direction) {
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  const key = direction === 'ancestors' ? 'parents' : 'children';
+  const [fromField, toField] = direction === 'ancestors'
+    ? ['childId', 'parentId']
+    : ['parentId', 'childId'];
+
+  const linksFrom = new Map();
+  for (const link of links) {
+    if (!linksFrom.has(link[fromField])) linksFrom.set(link[fromField], []);
+    linksFrom.get(link[fromField]).push(link);
+  }
+
+  const build = (person, generation, seen) => ({
+    ...person,
+    generation,
+    [key]: (linksFrom.get(person.id) ?? [])
+      .filter((link) => nodeById.has(link[toField]) && !seen.has(link[toField]))
+      .map((link) => ({
+        ...build(nodeById.get(link[toField]), generation + 1, new Set([...seen, link[toField]])),
+        relationshipId: link.relationshipId,
+        relationshipType: link.relationshipType,
+      })),
+  });
+
+  return build(root, 0, new Set([root.id]));
+}
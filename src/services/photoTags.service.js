@@ -0,0 +1,143 @@
+import { eq, and, asc, inArray } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { photos, photoTags, relatives } from '../db/schema.js';
+import { notFound, conflict } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { sanitizePhotoTag } from '../utils/sanitize.js';
+import { assertRelativeInTree } from './relatives.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Relatives tagged in a photo, in the order they were tagged.
+ * Verifies the requesting user has viewer+ access to the photo's tree.
+ * @param {string} photoId
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function getPhotoTags(photoId, userId) {
+  const photo = await getPhotoRow(photoId);
+  await verifyTreeAccess(photo.treeId, userId, 'viewer');
+
+  const rows = await db
+    .select()
+    .from(photoTags)
+    .where(eq(photoTags.photoId, photoId))
+    .orderBy(asc(photoTags.createdAt));
+
+  return rows.map(sanitizePhotoTag);
+}
+
+/**
+ * Tag a relative of the same tree in a photo, optionally with the region
+ * showing them. The photo then also appears in that relative's gallery.
+ * @param {string} photoId
+ * @param {string} userId
+ * @param {{ relativeId: string, box?: { x: number, y: number, width: number, height: number } }} data
+ * @returns {Promise<object>}
+ * @throws {AppError} 409 if the relative is already tagged in the photo
+ */
+export async function addPhotoTag(photoId, userId, { relativeId, box }) {
+  const photo = await getPhotoRow(photoId);
+  await verifyTreeAccess(photo.treeId, userId, 'editor');
+
+  await assertRelativeInTree(photo.treeId, relativeId);
+
+  let created;
+  try {
+    [created] = await db
+      .insert(photoTags)
+      .values({
+        photoId,
+        relativeId,
+        boxX: box?.x ?? null,
+        boxY: box?.y ?? null,
+        boxWidth: box?.width ?? null,
+        boxHeight: box?.height ?? null,
+        taggedBy: userId,
+      })
+      .returning();
+  } catch (err) {
+    if (err.code === '23505') {
+      throw conflict('This relative is already tagged in the photo');
+    }
+    throw err;
+  }
+
+  logger.info('Photo tag added', {
+    photoTagId: created.id,
+    photoId,
+    relativeId,
+    treeId: photo.treeId,
+    userId,
+  });
+
+  return sanitizePhotoTag(created);
+}
+
+/**
+ * Remove a tag from a photo.
+ * @param {string} photoId
+ * @param {string} tagId
+ * @param {string} userId
+ */
+export async function removePhotoTag(photoId, tagId, userId) {
+  const photo = await getPhotoRow(photoId);
+  await verifyTreeAccess(photo.treeId, userId, 'editor');
+
+  const [deleted] = await db
+    .delete(photoTags)
+    .where(and(eq(photoTags.id, tagId), eq(photoTags.photoId, photoId)))
+    .returning({ id: photoTags.id, relativeId: photoTags.relativeId });
+
+  if (!deleted) {
+    throw notFound('Photo tag');
+  }
+
+  logger.info('Photo tag removed', {
+    photoTagId: tagId,
+    photoId,
+    relativeId: deleted.relativeId,
+    treeId: photo.treeId,
+    userId,
+  });
+}
+
+/**
+ * Tags of several photos, grouped by photo.
+ * @param {string[]} photoIds
+ * @returns {Promise<Map<string, object[]>>} Sanitized tags by photo ID
+ */
+export async function getTagsByPhoto(photoIds) {
+  const byPhoto = new Map();
+  if (photoIds.length === 0) return byPhoto;
+
+  const rows = await db
+    .select()
+    .from(photoTags)
+    .where(inArray(photoTags.photoId, photoIds))
+    .orderBy(asc(photoTags.createdAt));
+
+  for (const row of rows) {
+    if (!byPhoto.has(row.photoId)) byPhoto.set(row.photoId, []);
+    byPhoto.get(row.photoId).push(sanitizePhotoTag(row));
+  }
+  return byPhoto;
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/** Load a photo with its tree, or throw 404. */
+async function getPhotoRow(photoId) {
+  const [photo] = await db
+    .select({ id: photos.id, relativeId: photos.relativeId, treeId: relatives.treeId })
+    .from(photos)
+    .innerJoin(relatives, eq(photos.relativeId, relatives.id))
+    .where(eq(photos.id, photoId))
+    .limit(1);
+
+  if (!photo) {
+    throw notFound('Photo');
+  }
+
+  return photo;
+}
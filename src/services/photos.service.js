@@ -1,18 +1,32 @@
-import { eq, asc } from 'drizzle-orm';
+import { eq, ne, and, asc, isNull, sql } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { photos, relatives } from '../db/schema.js';
+import { photos, photoTags, relatives } from '../db/schema.js';
 import { notFound, badRequest, forbidden } from '../utils/errors.js';
 import { verifyTreeAccess } from '../utils/treeAccess.js';
 import { verifyMimeType } from '../utils/mimeVerify.js';
 import { scanFileBuffer } from './virusScan.service.js';
-import { uploadFile, getPresignedUrl, deleteFile, BUCKETS } from './storage.service.js';
+import {
+  uploadFile,
+  replaceFile,
+  getPresignedUrl,
+  deleteFile,
+  getFileStream,
+  BUCKETS,
+} from './storage.service.js';
 import { sanitizePhoto } from '../utils/sanitize.js';
+import { renderPhotoVariants } from '../utils/photoVariants.js';
+import { scrubPhoto } from '../utils/photoMetadata.js';
+import { getTagsByPhoto } from './photoTags.service.js';
+import { assertRelativeInTree } from './relatives.service.js';
+import { isValidDate, isValidDateRange, clearStaleDateRange } from '../utils/calendar.js';
 import logger from '../utils/logger.js';
 
 const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
 
 /**
- * Get all photos for a relative (with presigned URLs).
+ * A relative's gallery (with presigned URLs): their own photos in sort
+ * order, then photos of other relatives they are tagged in, oldest first.
+ * Each photo carries its `tags`.
  * @param {string} relativeId
  * @param {string} userId - Requesting user ID
  * @returns {Promise<object[]>}
@@ -30,30 +44,41 @@ export async function getRelativePhotos(relativeId, userId) {
 
   await verifyTreeAccess(relative.treeId, userId, 'viewer');
 
-  const rows = await db
-    .select()
-    .from(photos)
-    .where(eq(photos.relativeId, relativeId))
-    .orderBy(asc(photos.sortOrder), asc(photos.createdAt));
-
-  const results = await Promise.all(
-    rows.map(async (photo) => {
-      const url = await getPresignedUrl(BUCKETS.PHOTOS, photo.fileUrl);
-      return sanitizePhoto(photo, url);
-    }),
-  );
+  const [own, tagged] = await Promise.all([
+    db
+      .select()
+      .from(photos)
+      .where(eq(photos.relativeId, relativeId))
+      .orderBy(asc(photos.sortOrder), asc(photos.createdAt)),
+    db
+      .select({ photo: photos })
+      .from(photoTags)
+      .innerJoin(photos, eq(photoTags.photoId, photos.id))
+      .where(and(eq(photoTags.relativeId, relativeId), ne(photos.relativeId, relativeId)))
+      .orderBy(asc(photos.createdAt)),
+  ]);
 
-  return results;
+  const rows = [...own, ...tagged.map((r) => r.photo)];
+  const tagsByPhoto = await getTagsByPhoto(rows.map((p) => p.id));
+
+  return Promise.all(
+    rows.map(async (photo) => ({
+      ...(await presentPhoto(photo)),
+      tags: tagsByPhoto.get(photo.id) ?? [],
+    })),
+  );
 }
 
 /**
  * Upload a single photo for a relative.
- * Pipeline: verifyTreeAccess → verifyMimeType → virusScan → MinIO → DB
+ * Pipeline: verifyTreeAccess → verifyMimeType → virusScan → EXIF scrub → variants → MinIO → DB
+ * Without a dateTaken in `metadata`, the EXIF capture date is used. The EXIF
+ * GPS position is only stored (as latitude/longitude) with `keepLocation`.
  * @param {string} relativeId
  * @param {string} userId
  * @param {Buffer} fileBuffer
  * @param {string} filename
- * @param {{ caption?: string, dateTakenYear?: number, dateTakenMonth?: number, dateTakenDay?: number, sortOrder?: number }} metadata
+ * @param {{ caption?: string, dateTakenYear?: number, dateTakenMonth?: number, dateTakenDay?: number, dateTakenCalendar?: string, dateTakenQualifier?: string, dateTakenToYear?: number, dateTakenToMonth?: number, dateTakenToDay?: number, sortOrder?: number, keepLocation?: boolean }} metadata
  * @returns {Promise<object>}
  */
 export async function uploadPhoto(relativeId, userId, fileBuffer, filename, metadata) {
@@ -75,20 +100,29 @@ export async function uploadPhoto(relativeId, userId, fileBuffer, filename, meta
   // 2. Virus scan
   await scanFileBuffer(fileBuffer, filename);
 
-  // 3. Upload to MinIO
-  const objectKey = await uploadFile(BUCKETS.PHOTOS, fileBuffer, ext, mime);
+  // 3. Read EXIF, then strip it from the copy we store (rejects undecodable images)
+  const scrubbed = await scrubPhoto(fileBuffer, mime);
+
+  // 4. Render thumbnail/medium/full derivatives
+  const rendered = await renderPhotoVariants(scrubbed.buffer);
+
+  // 5. Upload original + derivatives to MinIO
+  const objectKey = await uploadFile(BUCKETS.PHOTOS, scrubbed.buffer, ext, mime);
+  let variants = {};
 
   try {
-    // 4. Insert into DB
+    variants = await storePhotoVariants(rendered);
+
+    // 6. Insert into DB
     const [created] = await db
       .insert(photos)
       .values({
         relativeId,
         fileUrl: objectKey,
+        variants,
         caption: metadata.caption,
-        dateTakenYear: metadata.dateTakenYear,
-        dateTakenMonth: metadata.dateTakenMonth,
-        dateTakenDay: metadata.dateTakenDay,
+        ...dateTakenFields(metadata, scrubbed.dateTaken),
+        ...exifFields(scrubbed, metadata.keepLocation),
         sortOrder: metadata.sortOrder ?? 0,
         uploadedBy: userId,
       })
@@ -101,25 +135,26 @@ export async function uploadPhoto(relativeId, userId, fileBuffer, filename, meta
       userId,
     });
 
-    const presignedUrl = await getPresignedUrl(BUCKETS.PHOTOS, created.fileUrl);
-    return sanitizePhoto(created, presignedUrl);
+    return presentPhoto(created);
   } catch (err) {
     // Rollback MinIO upload on DB failure
-    await deleteFile(BUCKETS.PHOTOS, objectKey);
+    await deletePhotoFiles({ fileUrl: objectKey, variants });
     throw err;
   }
 }
 
 /**
  * Upload multiple photos for a relative (bulk).
- * Pipeline per file: verifyMimeType → virusScan → MinIO → DB
+ * Pipeline per file: verifyMimeType → virusScan → EXIF scrub → variants → MinIO → DB
+ * Each photo's date is pre-filled from its EXIF capture date.
  * On failure: rolls back ALL already uploaded files.
  * @param {string} relativeId
  * @param {string} userId
  * @param {{ buffer: Buffer, originalname: string }[]} files
+ * @param {{ keepLocation?: boolean }} [options]
  * @returns {Promise<object[]>}
  */
-export async function uploadPhotoBulk(relativeId, userId, files) {
+export async function uploadPhotoBulk(relativeId, userId, files, { keepLocation = false } = {}) {
   const [relative] = await db
     .select({ id: relatives.id, treeId: relatives.treeId })
     .from(relatives)
@@ -132,26 +167,37 @@ export async function uploadPhotoBulk(relativeId, userId, files) {
 
   await verifyTreeAccess(relative.treeId, userId, 'editor');
 
-  const uploadedKeys = [];
+  const uploaded = [];
 
   try {
-    // Phase 1: Validate + scan + upload to MinIO (all files)
+    // Phase 1: Validate + scan + render + upload to MinIO (all files)
     for (const file of files) {
       const { mime, ext } = await verifyMimeType(file.buffer, PHOTO_MIME_TYPES, file.originalname);
       await scanFileBuffer(file.buffer, file.originalname);
-      const objectKey = await uploadFile(BUCKETS.PHOTOS, file.buffer, ext, mime);
-      uploadedKeys.push(objectKey);
+      const scrubbed = await scrubPhoto(file.buffer, mime);
+      const rendered = await renderPhotoVariants(scrubbed.buffer);
+      const stored = {
+        fileUrl: await uploadFile(BUCKETS.PHOTOS, scrubbed.buffer, ext, mime),
+        variants: {},
+        fields: { ...dateTakenFields({}, scrubbed.dateTaken), ...exifFields(scrubbed, keepLocation) },
+      };
+      uploaded.push(stored);
+      stored.variants = await storePhotoVariants(rendered);
     }
 
-    // Phase 2: Insert all records in a single transaction
+    // Phase 2: Insert all records in a single transaction, after the gallery's last photo
     const created = await db.transaction(async (tx) => {
       const rows = [];
-      for (const objectKey of uploadedKeys) {
+      let sortOrder = await nextSortOrder(tx, relativeId);
+      for (const { fileUrl, variants, fields } of uploaded) {
         const [row] = await tx
           .insert(photos)
           .values({
             relativeId,
-            fileUrl: objectKey,
+            fileUrl,
+            variants,
+            ...fields,
+            sortOrder: sortOrder++,
             uploadedBy: userId,
           })
           .returning();
@@ -161,12 +207,7 @@ export async function uploadPhotoBulk(relativeId, userId, files) {
     });
 
     // Phase 3: Generate presigned URLs
-    const results = await Promise.all(
-      created.map(async (photo) => {
-        const presignedUrl = await getPresignedUrl(BUCKETS.PHOTOS, photo.fileUrl);
-        return sanitizePhoto(photo, presignedUrl);
-      }),
-    );
+    const results = await Promise.all(created.map(presentPhoto));
 
     logger.info('Bulk photo upload completed', {
       relativeId,
@@ -178,11 +219,124 @@ export async function uploadPhotoBulk(relativeId, userId, files) {
     return results;
   } catch (err) {
     // Rollback ALL uploaded files on any failure
-    await Promise.all(uploadedKeys.map((key) => deleteFile(BUCKETS.PHOTOS, key)));
+    await Promise.all(uploaded.map(deletePhotoFiles));
     throw err;
   }
 }
 
+/**
+ * Update a photo's caption, date or sort order, or move it to another
+ * relative of the same tree — it then goes to the end of their gallery
+ * unless `sortOrder` is given.
+ * Verifies the requesting user has editor+ access to the photo's tree.
+ * @param {string} photoId
+ * @param {string} userId
+ * @param {object} rawUpdates - Validated body fields (null clears a field)
+ * @returns {Promise<object>}
+ */
+export async function updatePhoto(photoId, userId, rawUpdates) {
+  const updates = clearStaleDateRange(clearStaleDateParts(rawUpdates), 'dateTaken');
+  const [existing] = await db
+    .select({ photo: photos, treeId: relatives.treeId })
+    .from(photos)
+    .innerJoin(relatives, eq(photos.relativeId, relatives.id))
+    .where(eq(photos.id, photoId))
+    .limit(1);
+
+  if (!existing) {
+    throw notFound('Photo');
+  }
+
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  checkDateTaken({ ...existing.photo, ...updates });
+
+  const movedFrom = updates.relativeId && updates.relativeId !== existing.photo.relativeId
+    ? existing.photo.relativeId
+    : null;
+  if (movedFrom) {
+    await assertRelativeInTree(existing.treeId, updates.relativeId);
+  }
+
+  const updated = await db.transaction(async (tx) => {
+    const values = { ...updates };
+    if (movedFrom) {
+      // The new owner no longer needs a tag to see the photo in their gallery
+      await tx
+        .delete(photoTags)
+        .where(and(eq(photoTags.photoId, photoId), eq(photoTags.relativeId, updates.relativeId)));
+      values.sortOrder ??= await nextSortOrder(tx, updates.relativeId);
+    }
+
+    const [row] = await tx
+      .update(photos)
+      .set(values)
+      .where(eq(photos.id, photoId))
+      .returning();
+    return row;
+  });
+
+  logger.info(movedFrom ? 'Photo moved' : 'Photo updated', {
+    photoId,
+    relativeId: updated.relativeId,
+    ...(movedFrom && { movedFrom }),
+    treeId: existing.treeId,
+    userId,
+  });
+
+  return presentPhoto(updated);
+}
+
+/**
+ * Rewrite the order of a relative's own photos in one transaction.
+ * `photoIds` must list each of them exactly once; tagged photos of other
+ * relatives keep their place after them.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {string[]} photoIds - New gallery order
+ * @returns {Promise<object[]>} The reordered gallery
+ */
+export async function reorderRelativePhotos(relativeId, userId, photoIds) {
+  const [relative] = await db
+    .select({ id: relatives.id, treeId: relatives.treeId })
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!relative) {
+    throw notFound('Relative');
+  }
+
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  await db.transaction(async (tx) => {
+    // Lock the gallery so a concurrent upload or move can't slip in unordered
+    const current = await tx
+      .select({ id: photos.id })
+      .from(photos)
+      .where(eq(photos.relativeId, relativeId))
+      .for('update');
+
+    const currentIds = new Set(current.map((p) => p.id));
+    if (photoIds.length !== currentIds.size || !photoIds.every((id) => currentIds.has(id))) {
+      throw badRequest('photoIds must list each photo of the relative exactly once');
+    }
+
+    for (const [index, id] of photoIds.entries()) {
+      await tx.update(photos).set({ sortOrder: index }).where(eq(photos.id, id));
+    }
+  });
+
+  logger.info('Photos reordered', {
+    relativeId,
+    treeId: relative.treeId,
+    count: photoIds.length,
+    userId,
+  });
+
+  return getRelativePhotos(relativeId, userId);
+}
+
 /**
  * Delete a photo.
  * Authorization: uploader OR tree owner.
@@ -194,6 +348,7 @@ export async function deletePhoto(photoId, userId) {
     .select({
       id: photos.id,
       fileUrl: photos.fileUrl,
+      variants: photos.variants,
       uploadedBy: photos.uploadedBy,
       relativeId: photos.relativeId,
       treeId: relatives.treeId,
@@ -214,8 +369,8 @@ export async function deletePhoto(photoId, userId) {
 
   await db.delete(photos).where(eq(photos.id, photoId));
 
-  // Delete from MinIO (non-fatal)
-  await deleteFile(BUCKETS.PHOTOS, photo.fileUrl);
+  // Delete original + derivatives from MinIO (non-fatal)
+  await deletePhotoFiles(photo);
 
   logger.info('Photo deleted', {
     photoId,
@@ -224,3 +379,198 @@ export async function deletePhoto(photoId, userId) {
     userId,
   });
 }
+
+/**
+ * Sanitize a photo row with presigned URLs for the original and its
+ * derivatives (`variants` is null until they are generated).
+ * @param {object} photo - Drizzle photos row
+ * @returns {Promise<object>}
+ */
+export async function presentPhoto(photo) {
+  const [url, variantUrls] = await Promise.all([
+    getPresignedUrl(BUCKETS.PHOTOS, photo.fileUrl),
+    presignVariants(photo.variants),
+  ]);
+  return sanitizePhoto(photo, url, variantUrls);
+}
+
+/**
+ * Render and store the derivatives of a photo uploaded before they were
+ * generated on upload. Used by the back-fill job.
+ * @param {{ id: string, fileUrl: string }} photo
+ * @returns {Promise<boolean>} false when the original is missing or can't be rendered
+ *   (the row is then marked with `variants: {}` so it isn't retried)
+ */
+export async function generatePhotoVariants(photo) {
+  let rendered = null;
+  const stream = await getFileStream(BUCKETS.PHOTOS, photo.fileUrl);
+  if (stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    rendered = await renderPhotoVariants(Buffer.concat(chunks)).catch(() => null);
+  }
+
+  if (!rendered) {
+    await db.update(photos).set({ variants: {} }).where(eq(photos.id, photo.id));
+    logger.warn('Photo variants skipped: original unreadable', { photoId: photo.id });
+    return false;
+  }
+
+  const variants = await storePhotoVariants(rendered);
+  const [updated] = await db
+    .update(photos)
+    .set({ variants })
+    .where(and(eq(photos.id, photo.id), isNull(photos.variants)))
+    .returning({ id: photos.id });
+
+  // Deleted (or generated elsewhere) while rendering
+  if (!updated) {
+    await deletePhotoFiles({ variants });
+  }
+
+  return Boolean(updated);
+}
+
+/**
+ * Strip EXIF/device metadata from an already stored image, overwriting the
+ * object in place. Used by the scrub job for photos and story attachments
+ * uploaded before metadata was stripped on upload.
+ * @param {string} objectKey - Object key in the photos bucket
+ * @returns {Promise<{ orientation: string }|null>} null when the file is missing or can't be decoded
+ */
+export async function scrubStoredPhoto(objectKey) {
+  const stream = await getFileStream(BUCKETS.PHOTOS, objectKey);
+  if (!stream) return null;
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  const buffer = Buffer.concat(chunks);
+
+  const scrubbed = await verifyMimeType(buffer, PHOTO_MIME_TYPES, objectKey)
+    .then(({ mime }) => scrubPhoto(buffer, mime).then((result) => ({ ...result, mime })))
+    .catch(() => null);
+  if (!scrubbed) return null;
+
+  await replaceFile(BUCKETS.PHOTOS, objectKey, scrubbed.buffer, scrubbed.mime);
+  return { orientation: scrubbed.orientation };
+}
+
+/**
+ * Every MinIO object key of a photo: the original and its derivatives.
+ * @param {{ fileUrl?: string|null, variants?: Record<string, string>|null }} photo
+ * @returns {string[]}
+ */
+export function photoObjectKeys(photo) {
+  return [photo.fileUrl, ...Object.values(photo.variants ?? {})].filter(Boolean);
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/** Upload rendered derivatives; on failure removes the ones already stored. */
+async function storePhotoVariants(rendered) {
+  const variants = {};
+  try {
+    for (const [name, buffer] of Object.entries(rendered)) {
+      variants[name] = await uploadFile(BUCKETS.PHOTOS, buffer, 'webp', 'image/webp');
+    }
+  } catch (err) {
+    await deletePhotoFiles({ variants });
+    throw err;
+  }
+  return variants;
+}
+
+/** Sort order that puts a new photo after the last one in a relative's gallery. */
+async function nextSortOrder(tx, relativeId) {
+  const [{ next }] = await tx
+    .select({ next: sql`coalesce(max(${photos.sortOrder}), -1) + 1`.mapWith(Number) })
+    .from(photos)
+    .where(eq(photos.relativeId, relativeId));
+  return next;
+}
+
+/** Clearing the year (or month) a photo was taken clears the finer parts too. */
+function clearStaleDateParts(updates) {
+  if (updates.dateTakenYear === null) {
+    return { ...updates, dateTakenMonth: null, dateTakenDay: null };
+  }
+  if (updates.dateTakenMonth === null) {
+    return { ...updates, dateTakenDay: null };
+  }
+  return updates;
+}
+
+/** Validate the date taken of a photo as it will be stored (update merged over the row). */
+function checkDateTaken(photo) {
+  if ((photo.dateTakenDay != null && photo.dateTakenMonth == null) ||
+    (photo.dateTakenMonth != null && photo.dateTakenYear == null)) {
+    throw badRequest('Date: if day is set, month is required; if month is set, year is required');
+  }
+
+  for (const prefix of ['dateTaken', 'dateTakenTo']) {
+    const year = photo[`${prefix}Year`];
+    const month = photo[`${prefix}Month`];
+    const day = photo[`${prefix}Day`];
+    if (year != null && month != null && day != null && !isValidDate(year, month, day, photo.dateTakenCalendar)) {
+      throw badRequest('Invalid date for the given month');
+    }
+  }
+
+  if (!isValidDateRange(photo, 'dateTaken')) {
+    throw badRequest('Date: "between" needs an end date (dateTakenTo*) that is not before the start, and only "between" takes one');
+  }
+}
+
+/**
+ * The dateTaken columns of a new photo: the uploader's date when given,
+ * otherwise the EXIF capture date.
+ */
+function dateTakenFields(metadata, exifDate) {
+  if (metadata.dateTakenYear === undefined && exifDate) {
+    return {
+      dateTakenYear: exifDate.year,
+      dateTakenMonth: exifDate.month,
+      dateTakenDay: exifDate.day,
+    };
+  }
+
+  return {
+    dateTakenYear: metadata.dateTakenYear,
+    dateTakenMonth: metadata.dateTakenMonth,
+    dateTakenDay: metadata.dateTakenDay,
+    dateTakenCalendar: metadata.dateTakenCalendar,
+    dateTakenQualifier: metadata.dateTakenQualifier,
+    dateTakenToYear: metadata.dateTakenToYear,
+    dateTakenToMonth: metadata.dateTakenToMonth,
+    dateTakenToDay: metadata.dateTakenToDay,
+  };
+}
+
+/** Orientation, opt-in location and scrub time of a freshly scrubbed photo. */
+function exifFields(scrubbed, keepLocation) {
+  const location = keepLocation ? scrubbed.location : null;
+  return {
+    orientation: scrubbed.orientation,
+    latitude: location?.latitude ?? null,
+    longitude: location?.longitude ?? null,
+    metadataScrubbedAt: new Date(),
+  };
+}
+
+async function presignVariants(variants) {
+  if (!variants || Object.keys(variants).length === 0) return null;
+
+  const entries = await Promise.all(
+    Object.entries(variants).map(async ([name, key]) => [name, await getPresignedUrl(BUCKETS.PHOTOS, key)]),
+  );
+  return Object.fromEntries(entries);
+}
+
+/** Remove a photo's original and derivatives from MinIO (non-fatal). */
+async function deletePhotoFiles(photo) {
+  await Promise.all(photoObjectKeys(photo).map((key) => deleteFile(BUCKETS.PHOTOS, key)));
+}
@@ -0,0 +1,530 @@
+import { eq, and, asc, inArray, count } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { places, relatives, relationships, relativeResidences, lifeEvents } from '../db/schema.js';
+import { notFound, badRequest, conflict } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { sanitizePlace, sanitizeResidence } from '../utils/sanitize.js';
+import { normalizeSearchText } from '../utils/search.js';
+import { sanitizeRelativeWithAvatar } from './relatives.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get all places in a tree, alphabetically.
+ * `q` matches the name or an alternate name anywhere, in either script
+ * ("plov" finds "Пловдив").
+ * Assumes viewer+ access has been verified by middleware.
+ * @param {string} treeId
+ * @param {{ q?: string }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function getTreePlaces(treeId, { q } = {}) {
+  const rows = await loadTreePlaces(treeId);
+
+  if (!q) return rows.map(sanitizePlace);
+
+  const needle = normalizeSearchText(q);
+  return rows
+    .filter((place) =>
+      [place.name, ...(place.alternateNames ?? [])].some((name) =>
+        normalizeSearchText(name).includes(needle),
+      ),
+    )
+    .map(sanitizePlace);
+}
+
+/**
+ * Get a place with its position in the hierarchy.
+ * Verifies the requesting user has viewer+ access to the place's tree.
+ * @param {string} placeId
+ * @param {string} userId
+ * @returns {Promise<object>} Place + `path` (enclosing places, country first) + direct `children`
+ */
+export async function getPlaceById(placeId, userId) {
+  const place = await getPlaceRow(placeId);
+  await verifyTreeAccess(place.treeId, userId, 'viewer');
+
+  const treePlaces = await loadTreePlaces(place.treeId);
+  const byId = new Map(treePlaces.map((p) => [p.id, p]));
+
+  return {
+    ...sanitizePlace(place),
+    path: enclosingPlaces(byId, place.id).reverse().map(sanitizePlace),
+    children: treePlaces.filter((p) => p.parentId === place.id).map(sanitizePlace),
+  };
+}
+
+/**
+ * Create a place in a tree.
+ * @param {object} data - Validated body (treeId + place fields)
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<object>}
+ */
+export async function createPlace(data, userId) {
+  await verifyTreeAccess(data.treeId, userId, 'editor');
+
+  const { treeId, ...placeData } = data;
+
+  if (placeData.parentId) {
+    await getPlaceInTree(treeId, placeData.parentId, 'Parent place');
+  }
+
+  const [created] = await db
+    .insert(places)
+    .values({
+      treeId,
+      ...placeData,
+      createdBy: userId,
+    })
+    .returning();
+
+  logger.info('Place created', { placeId: created.id, treeId, userId });
+
+  return sanitizePlace(created);
+}
+
+/**
+ * Update a place. Moving it under another place is rejected when that
+ * would put it inside itself.
+ * @param {string} placeId
+ * @param {string} userId
+ * @param {object} updates - Validated body fields (null clears a field)
+ * @returns {Promise<object>}
+ */
+export async function updatePlace(placeId, userId, updates) {
+  const existing = await getPlaceRow(placeId);
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  const merged = { ...existing, ...updates };
+  if ((merged.latitude === null) !== (merged.longitude === null)) {
+    throw badRequest('Latitude and longitude must be given together');
+  }
+
+  if (updates.parentId) {
+    const treePlaces = await loadTreePlaces(existing.treeId);
+    const byId = new Map(treePlaces.map((p) => [p.id, p]));
+
+    if (!byId.has(updates.parentId)) {
+      throw badRequest('Parent place not found in this tree');
+    }
+    if (
+      updates.parentId === placeId ||
+      enclosingPlaces(byId, updates.parentId).some((p) => p.id === placeId)
+    ) {
+      throw badRequest('A place cannot be inside itself or one of its sub-places');
+    }
+  }
+
+  const [updated] = await db
+    .update(places)
+    .set({ ...updates, updatedAt: new Date() })
+    .where(eq(places.id, placeId))
+    .returning();
+
+  logger.info('Place updated', {
+    placeId,
+    treeId: existing.treeId,
+    fields: Object.keys(updates),
+    userId,
+  });
+
+  return sanitizePlace(updated);
+}
+
+/**
+ * Delete a place. Refused while anything still points at it, so no one's
+ * birthplace silently disappears.
+ * @param {string} placeId
+ * @param {string} userId
+ */
+export async function deletePlace(placeId, userId) {
+  const existing = await getPlaceRow(placeId);
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  const counts = await Promise.all([
+    db.select({ value: count() }).from(relatives).where(eq(relatives.birthPlaceId, placeId)),
+    db.select({ value: count() }).from(relatives).where(eq(relatives.deathPlaceId, placeId)),
+    db.select({ value: count() }).from(relationships).where(eq(relationships.marriagePlaceId, placeId)),
+    db.select({ value: count() }).from(relativeResidences).where(eq(relativeResidences.placeId, placeId)),
+    db.select({ value: count() }).from(lifeEvents).where(eq(lifeEvents.placeId, placeId)),
+    db.select({ value: count() }).from(places).where(eq(places.parentId, placeId)),
+  ]);
+
+  const labels = ['births', 'deaths', 'marriages', 'residences', 'life events', 'sub-places'];
+  const usage = counts
+    .map(([{ value }], i) => (value > 0 ? `${value} ${labels[i]}` : null))
+    .filter(Boolean);
+
+  if (usage.length > 0) {
+    throw conflict(`Place is still in use (${usage.join(', ')})`);
+  }
+
+  await db.delete(places).where(eq(places.id, placeId));
+
+  logger.info('Place deleted', { placeId, treeId: existing.treeId, userId });
+}
+
+/**
+ * Everyone linked to a place: born, died, married or lived there.
+ * By default sub-places count too, so a region finds its villages' people.
+ * Verifies the requesting user has viewer+ access to the place's tree.
+ * @param {string} placeId
+ * @param {string} userId
+ * @param {{ event?: 'any'|'birth'|'death'|'marriage'|'residence', includeSubplaces?: boolean }} options
+ * @returns {Promise<{ place: object, placeIds: string[], relatives: { relative: object, events: object[] }[] }>}
+ *   Oldest first; `placeIds` are the places searched
+ */
+export async function getPlaceRelatives(placeId, userId, { event = 'any', includeSubplaces = true } = {}) {
+  const place = await getPlaceRow(placeId);
+  await verifyTreeAccess(place.treeId, userId, 'viewer');
+
+  const placeIds = includeSubplaces
+    ? [placeId, ...subPlaceIds(await loadTreePlaces(place.treeId), placeId)]
+    : [placeId];
+
+  const wants = (type) => event === 'any' || event === type;
+
+  const [born, died, married, resided] = await Promise.all([
+    wants('birth')
+      ? db
+          .select({ relativeId: relatives.id, placeId: relatives.birthPlaceId })
+          .from(relatives)
+          .where(and(eq(relatives.treeId, place.treeId), inArray(relatives.birthPlaceId, placeIds)))
+      : [],
+    wants('death')
+      ? db
+          .select({ relativeId: relatives.id, placeId: relatives.deathPlaceId })
+          .from(relatives)
+          .where(and(eq(relatives.treeId, place.treeId), inArray(relatives.deathPlaceId, placeIds)))
+      : [],
+    wants('marriage')
+      ? db
+          .select()
+          .from(relationships)
+          .where(
+            and(
+              eq(relationships.treeId, place.treeId),
+              inArray(relationships.marriagePlaceId, placeIds),
+            ),
+          )
+      : [],
+    // Residence places are checked to be in the relative's tree on write
+    wants('residence')
+      ? db.select().from(relativeResidences).where(inArray(relativeResidences.placeId, placeIds))
+      : [],
+  ]);
+
+  const events = new Map();
+  const add = (relativeId, entry) => {
+    if (!events.has(relativeId)) events.set(relativeId, []);
+    events.get(relativeId).push(entry);
+  };
+
+  for (const row of born) add(row.relativeId, { type: 'birth', placeId: row.placeId });
+  for (const row of died) add(row.relativeId, { type: 'death', placeId: row.placeId });
+  for (const row of married) {
+    const marriage = {
+      type: 'marriage',
+      placeId: row.marriagePlaceId,
+      relationshipId: row.id,
+      marriageYear: row.marriageYear,
+      marriageMonth: row.marriageMonth,
+      marriageDay: row.marriageDay,
+    };
+    add(row.personAId, { ...marriage, spouseId: row.personBId });
+    add(row.personBId, { ...marriage, spouseId: row.personAId });
+  }
+  for (const row of resided) {
+    add(row.relativeId, {
+      type: 'residence',
+      placeId: row.placeId,
+      residenceId: row.id,
+      fromYear: row.fromYear,
+      toYear: row.toYear,
+    });
+  }
+
+  const people = events.size > 0
+    ? await db.select().from(relatives).where(inArray(relatives.id, [...events.keys()]))
+    : [];
+
+  people.sort(
+    (a, b) =>
+      (a.birthYear ?? Infinity) - (b.birthYear ?? Infinity) || a.fullName.localeCompare(b.fullName),
+  );
+
+  return {
+    place: sanitizePlace(place),
+    placeIds,
+    relatives: await Promise.all(
+      people.map(async (person) => ({
+        relative: await sanitizeRelativeWithAvatar(person),
+        events: events.get(person.id),
+      })),
+    ),
+  };
+}
+
+/**
+ * Throw unless every given place exists in the tree.
+ * For writes that link a relative or relationship to places.
+ * @param {string} treeId
+ * @param {(string|null|undefined)[]} placeIds - Unset entries are ignored
+ */
+export async function assertPlacesInTree(treeId, placeIds) {
+  const unique = [...new Set(placeIds.filter(Boolean))];
+  if (unique.length === 0) return;
+
+  const found = await db
+    .select({ id: places.id })
+    .from(places)
+    .where(and(eq(places.treeId, treeId), inArray(places.id, unique)));
+
+  if (found.length !== unique.length) {
+    throw badRequest('Place not found in this tree');
+  }
+}
+
+// ── Residences ───────────────────────────────────────────────
+
+/**
+ * A relative's residence history, oldest first, each with its place.
+ * Verifies the requesting user has viewer+ access to the relative's tree.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function getRelativeResidences(relativeId, userId) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'viewer');
+
+  const rows = await db
+    .select({ residence: relativeResidences, place: places })
+    .from(relativeResidences)
+    .innerJoin(places, eq(relativeResidences.placeId, places.id))
+    .where(eq(relativeResidences.relativeId, relativeId))
+    .orderBy(
+      asc(relativeResidences.fromYear),
+      asc(relativeResidences.fromMonth),
+      asc(relativeResidences.fromDay),
+      asc(relativeResidences.createdAt),
+    );
+
+  return rows.map(({ residence, place }) => sanitizeResidence(residence, sanitizePlace(place)));
+}
+
+/**
+ * Add a place to a relative's residence history.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {object} data - Validated body
+ * @returns {Promise<object>}
+ */
+export async function createResidence(relativeId, userId, data) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  const place = await getPlaceInTree(relative.treeId, data.placeId);
+  checkResidenceDates(data);
+
+  const [created] = await db
+    .insert(relativeResidences)
+    .values({
+      relativeId,
+      ...data,
+      createdBy: userId,
+    })
+    .returning();
+
+  logger.info('Residence added', {
+    residenceId: created.id,
+    relativeId,
+    treeId: relative.treeId,
+    userId,
+  });
+
+  return sanitizeResidence(created, sanitizePlace(place));
+}
+
+/**
+ * Update a residence entry.
+ * @param {string} relativeId
+ * @param {string} residenceId
+ * @param {string} userId
+ * @param {object} updates - Validated body fields (null clears a date part or the note)
+ * @returns {Promise<object>}
+ */
+export async function updateResidence(relativeId, residenceId, userId, updates) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  const existing = await getResidenceRow(relativeId, residenceId);
+  const merged = { ...existing, ...updates };
+
+  const place = await getPlaceInTree(relative.treeId, merged.placeId);
+  checkResidenceDates(merged);
+
+  const [updated] = await db
+    .update(relativeResidences)
+    .set(updates)
+    .where(eq(relativeResidences.id, residenceId))
+    .returning();
+
+  logger.info('Residence updated', {
+    residenceId,
+    relativeId,
+    treeId: relative.treeId,
+    fields: Object.keys(updates),
+    userId,
+  });
+
+  return sanitizeResidence(updated, sanitizePlace(place));
+}
+
+/**
+ * Remove a residence entry.
+ * @param {string} relativeId
+ * @param {string} residenceId
+ * @param {string} userId
+ */
+export async function deleteResidence(relativeId, residenceId, userId) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  await getResidenceRow(relativeId, residenceId);
+
+  await db.delete(relativeResidences).where(eq(relativeResidences.id, residenceId));
+
+  logger.info('Residence deleted', { residenceId, relativeId, treeId: relative.treeId, userId });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+async function loadTreePlaces(treeId) {
+  return db
+    .select()
+    .from(places)
+    .where(eq(places.treeId, treeId))
+    .orderBy(asc(places.name));
+}
+
+async function getPlaceRow(placeId) {
+  const [place] = await db
+    .select()
+    .from(places)
+    .where(eq(places.id, placeId))
+    .limit(1);
+
+  if (!place) {
+    throw notFound('Place');
+  }
+
+  return place;
+}
+
+async function getPlaceInTree(treeId, placeId, label = 'Place') {
+  const [place] = await db
+    .select()
+    .from(places)
+    .where(and(eq(places.id, placeId), eq(places.treeId, treeId)))
+    .limit(1);
+
+  if (!place) {
+    throw badRequest(`${label} not found in this tree`);
+  }
+
+  return place;
+}
+
+async function getRelativeRow(relativeId) {
+  const [relative] = await db
+    .select({ id: relatives.id, treeId: relatives.treeId })
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!relative) {
+    throw notFound('Relative');
+  }
+
+  return relative;
+}
+
+async function getResidenceRow(relativeId, residenceId) {
+  const [residence] = await db
+    .select()
+    .from(relativeResidences)
+    .where(
+      and(eq(relativeResidences.id, residenceId), eq(relativeResidences.relativeId, relativeId)),
+    )
+    .limit(1);
+
+  if (!residence) {
+    throw notFound('Residence');
+  }
+
+  return residence;
+}
+
+/**
+ * Places enclosing a place, nearest first (village → municipality → country).
+ * Stops at a repeat, so a corrupted hierarchy can't loop forever.
+ * @param {Map<string, object>} byId
+ * @param {string} placeId
+ * @returns {object[]}
+ */
+function enclosingPlaces(byId, placeId) {
+  const result = [];
+  const seen = new Set([placeId]);
+  let parentId = byId.get(placeId)?.parentId;
+  while (parentId && !seen.has(parentId) && byId.has(parentId)) {
+    seen.add(parentId);
+    result.push(byId.get(parentId));
+    parentId = byId.get(parentId).parentId;
+  }
+  return result;
+}
+
+/** IDs of every place inside a place, at any depth. */
+function subPlaceIds(treePlaces, placeId) {
+  const childrenOf = new Map();
+  for (const place of treePlaces) {
+    if (!place.parentId) continue;
+    if (!childrenOf.has(place.parentId)) childrenOf.set(place.parentId, []);
+    childrenOf.get(place.parentId).push(place.id);
+  }
+
+  const result = [];
+  const seen = new Set([placeId]);
+  const queue = [placeId];
+  while (queue.length > 0) {
+    for (const childId of childrenOf.get(queue.shift()) ?? []) {
+      if (seen.has(childId)) continue;
+      seen.add(childId);
+      result.push(childId);
+      queue.push(childId);
+    }
+  }
+  return result;
+}
+
+/** Throw when a residence's date parts are incomplete or it ends before it starts. */
+function checkResidenceDates(row) {
+  const part = (field) => row[field] ?? null;
+
+  for (const prefix of ['from', 'to']) {
+    if (
+      (part(`${prefix}Day`) !== null && part(`${prefix}Month`) === null) ||
+      (part(`${prefix}Month`) !== null && part(`${prefix}Year`) === null)
+    ) {
+      throw badRequest('Date: if day is set, month is required; if month is set, year is required');
+    }
+  }
+
+  for (const unit of ['Year', 'Month', 'Day']) {
+    const from = part(`from${unit}`);
+    const to = part(`to${unit}`);
+    if (from === null || to === null) return;
+    if (to < from) throw badRequest('Residence cannot end before it starts');
+    if (to > from) return;
+  }
+}
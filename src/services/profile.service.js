@@ -1,9 +1,9 @@
-import sharp from 'sharp';
 import { eq } from 'drizzle-orm';
 import { db } from '../config/database.js';
 import { profiles } from '../db/schema.js';
-import { notFound, badRequest } from '../utils/errors.js';
+import { notFound } from '../utils/errors.js';
 import { sanitizeProfile } from '../utils/sanitize.js';
+import { processAvatarImage } from '../utils/avatarImage.js';
 import { scanFileBuffer } from './virusScan.service.js';
 import { uploadFile, getPresignedUrl, deleteFile, BUCKETS } from './storage.service.js';
 import logger from '../utils/logger.js';
@@ -81,20 +81,7 @@ export async function uploadAvatar(userId, fileBuffer, originalFilename, mimeTyp
   await scanFileBuffer(fileBuffer, originalFilename);
 
   // 2. Resize to 400×400, convert to WebP (also sanitizes image metadata)
-  let processedBuffer;
-  try {
-    processedBuffer = await sharp(fileBuffer)
-      .resize(400, 400, { fit: 'cover', position: 'centre' })
-      .webp({ quality: 85 })
-      .toBuffer();
-  } catch (err) {
-    logger.error('Image processing failed', { userId, error: err.message });
-    throw badRequest('Invalid image file');
-  }
-
-  if (!processedBuffer || processedBuffer.length === 0) {
-    throw badRequest('Invalid image file');
-  }
+  const processedBuffer = await processAvatarImage(fileBuffer);
 
   // 3. Upload new avatar to MinIO
   const objectKey = await uploadFile(BUCKETS.AVATARS, processedBuffer, 'webp', 'image/webp');
@@ -1,16 +1,60 @@
-import { eq, and, or } from 'drizzle-orm';
+import { eq, and, or, ne, asc, inArray } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { relatives, relationships } from '../db/schema.js';
+import { relatives, relationships, citations } from '../db/schema.js';
 import { notFound, badRequest, conflict } from '../utils/errors.js';
 import { verifyTreeAccess } from '../utils/treeAccess.js';
 import { sanitizeRelationship } from '../utils/sanitize.js';
+import { relationshipSteps } from '../utils/kinship.js';
+import { isValidDate, isValidDateRange, clearStaleDateRange } from '../utils/calendar.js';
+import { checkRelationshipChange } from './consistency.service.js';
+import { assertPlacesInTree } from './places.service.js';
+import { sanitizeRelativeWithAvatar } from './relatives.service.js';
 import logger from '../utils/logger.js';
 
+/** Marriage/divorce columns — only spouse relationships may have them. */
+const SPOUSE_FIELDS = [
+  'marriageYear', 'marriageMonth', 'marriageDay', 'marriagePlaceId',
+  'marriageQualifier', 'marriageToYear', 'marriageToMonth', 'marriageToDay',
+  'divorceYear', 'divorceMonth', 'divorceDay',
+];
+
+/** Family group for each (move, kind) of a relationship, seen from the relative. */
+const FAMILY_ROLES = {
+  'up:blood': 'parents',
+  'up:adoptive': 'adoptiveParents',
+  'up:step': 'stepParents',
+  'up:guardian': 'guardians',
+  'down:blood': 'children',
+  'down:adoptive': 'adoptedChildren',
+  'down:step': 'stepChildren',
+  'down:guardian': 'wards',
+  'spouse:blood': 'spouses',
+  'sibling:blood': 'siblings',
+  'sibling:step': 'stepSiblings',
+};
+
+/**
+ * Get every relationship (edge) in a tree, oldest first.
+ * Assumes tree access already verified by middleware.
+ * @param {string} treeId
+ * @returns {Promise<object[]>}
+ */
+export async function getTreeRelationships(treeId) {
+  const rows = await db
+    .select()
+    .from(relationships)
+    .where(eq(relationships.treeId, treeId))
+    .orderBy(asc(relationships.createdAt));
+
+  return rows.map(sanitizeRelationship);
+}
+
 /**
  * Create a relationship between two relatives.
+ * Rejects links that make the tree impossible (see consistency.service.js).
  * @param {object} data - Validated body
  * @param {string} userId - Requesting user ID
- * @returns {Promise<object>}
+ * @returns {Promise<{ relationship: object, warnings: object[] }>}
  */
 export async function createRelationship(data, userId) {
   await verifyTreeAccess(data.treeId, userId, 'editor');
@@ -36,44 +80,16 @@ export async function createRelationship(data, userId) {
     throw badRequest('Person B not found in this tree');
   }
 
-  // Check for duplicate relationship (symmetric types check both directions)
-  const symmetricTypes = ['spouse', 'sibling', 'step_sibling'];
-  const isSymmetric = symmetricTypes.includes(data.relationshipType);
-
-  const duplicateCondition = isSymmetric
-    ? or(
-        and(
-          eq(relationships.treeId, data.treeId),
-          eq(relationships.personAId, data.personAId),
-          eq(relationships.personBId, data.personBId),
-          eq(relationships.relationshipType, data.relationshipType),
-        ),
-        and(
-          eq(relationships.treeId, data.treeId),
-          eq(relationships.personAId, data.personBId),
-          eq(relationships.personBId, data.personAId),
-          eq(relationships.relationshipType, data.relationshipType),
-        ),
-      )
-    : and(
-        eq(relationships.treeId, data.treeId),
-        eq(relationships.personAId, data.personAId),
-        eq(relationships.personBId, data.personBId),
-        eq(relationships.relationshipType, data.relationshipType),
-      );
-
-  const [duplicate] = await db
-    .select({ id: relationships.id })
-    .from(relationships)
-    .where(duplicateCondition)
-    .limit(1);
-
-  if (duplicate) {
+  if (await hasDuplicateRelationship(data)) {
     throw conflict('This relationship already exists');
   }
 
   const { treeId, ...relData } = data;
 
+  await assertPlacesInTree(treeId, [relData.marriagePlaceId]);
+
+  const warnings = await checkRelationshipChange(treeId, relData);
+
   const [created] = await db
     .insert(relationships)
     .values({
@@ -90,7 +106,7 @@ export async function createRelationship(data, userId) {
     userId,
   });
 
-  return sanitizeRelationship(created);
+  return { relationship: sanitizeRelationship(created), warnings };
 }
 
 /**
@@ -119,3 +135,219 @@ export async function deleteRelationship(relationshipId, userId) {
     userId,
   });
 }
+
+/**
+ * Update a relationship's type or marriage/divorce dates.
+ * The people it links can't change — delete and recreate for that.
+ * @param {string} relationshipId
+ * @param {string} userId - Requesting user ID
+ * @param {object} rawUpdates - Validated body fields (null clears a date part)
+ * @returns {Promise<{ relationship: object, warnings: object[] }>}
+ */
+export async function updateRelationship(relationshipId, userId, rawUpdates) {
+  const updates = clearStaleDateRange(rawUpdates, 'marriage');
+  const [existing] = await db
+    .select()
+    .from(relationships)
+    .where(eq(relationships.id, relationshipId))
+    .limit(1);
+
+  if (!existing) {
+    throw notFound('Relationship');
+  }
+
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  const merged = { ...existing, ...updates };
+
+  if (merged.relationshipType !== 'spouse' && SPOUSE_FIELDS.some((field) => merged[field] !== null)) {
+    throw badRequest('Marriage and divorce details are only allowed for spouse relationships');
+  }
+
+  if (merged.relationshipType !== 'spouse' && existing.relationshipType === 'spouse') {
+    const [spouseCitation] = await db
+      .select({ id: citations.id })
+      .from(citations)
+      .where(
+        and(
+          eq(citations.relationshipId, relationshipId),
+          inArray(citations.field, ['marriage', 'marriagePlace', 'divorce']),
+        ),
+      )
+      .limit(1);
+    if (spouseCitation) {
+      throw badRequest('Remove the marriage and divorce citations before changing the relationship type');
+    }
+  }
+
+  await assertPlacesInTree(existing.treeId, [updates.marriagePlaceId]);
+
+  for (const prefix of ['marriage', 'divorce']) {
+    if (
+      (merged[`${prefix}Day`] !== null && merged[`${prefix}Month`] === null) ||
+      (merged[`${prefix}Month`] !== null && merged[`${prefix}Year`] === null)
+    ) {
+      throw badRequest('Date: if day is set, month is required; if month is set, year is required');
+    }
+  }
+
+  // A day sent alone must still exist in the stored month and calendar
+  // (divorce dates have no calendar of their own — always Gregorian)
+  for (const prefix of ['marriage', 'marriageTo', 'divorce']) {
+    const year = merged[`${prefix}Year`];
+    const month = merged[`${prefix}Month`];
+    const day = merged[`${prefix}Day`];
+    const isDivorce = prefix === 'divorce';
+    if (
+      year != null && month != null && day != null &&
+      !isValidDate(year, month, day, isDivorce ? 'gregorian' : merged.marriageCalendar)
+    ) {
+      throw badRequest(`Invalid ${isDivorce ? 'divorce' : 'marriage'} date for the given month`);
+    }
+  }
+
+  if (!isValidDateRange(merged, 'marriage')) {
+    throw badRequest('Marriage date: "between" needs an end date (marriageTo*) that is not before the start, and only "between" takes one');
+  }
+
+  if (
+    merged.relationshipType !== existing.relationshipType &&
+    (await hasDuplicateRelationship(merged, relationshipId))
+  ) {
+    throw conflict('This relationship already exists');
+  }
+
+  const warnings = await checkRelationshipChange(existing.treeId, merged);
+
+  const [updated] = await db
+    .update(relationships)
+    .set(updates)
+    .where(eq(relationships.id, relationshipId))
+    .returning();
+
+  logger.info('Relationship updated', {
+    relationshipId,
+    treeId: existing.treeId,
+    fields: Object.keys(updates),
+    userId,
+  });
+
+  return { relationship: sanitizeRelationship(updated), warnings };
+}
+
+/**
+ * A relative's immediate family, grouped by the role each person plays
+ * for them (parents, children, spouses, ...). Every group is always present.
+ * Verifies the requesting user has viewer+ access to the relative's tree.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @returns {Promise<object>} { relative, parents: [{ relationshipId, relationshipType, relative }], children, ... }
+ */
+export async function getRelativeRelationships(relativeId, userId) {
+  const [relative] = await db
+    .select()
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!relative) {
+    throw notFound('Relative');
+  }
+
+  await verifyTreeAccess(relative.treeId, userId, 'viewer');
+
+  const rows = await db
+    .select()
+    .from(relationships)
+    .where(
+      and(
+        eq(relationships.treeId, relative.treeId),
+        or(eq(relationships.personAId, relativeId), eq(relationships.personBId, relativeId)),
+      ),
+    );
+
+  const otherIds = [...new Set(rows.map((r) => (r.personAId === relativeId ? r.personBId : r.personAId)))];
+  const others = otherIds.length > 0
+    ? await db.select().from(relatives).where(inArray(relatives.id, otherIds))
+    : [];
+  const byId = new Map(others.map((o) => [o.id, o]));
+
+  const groups = Object.fromEntries(Object.values(FAMILY_ROLES).map((role) => [role, []]));
+
+  for (const row of rows) {
+    // relationshipSteps gives both directions; keep the one leaving this relative
+    const step = relationshipSteps(row).find((s) => s.from === relativeId);
+    const role = FAMILY_ROLES[`${step.move}:${step.kind}`];
+    const other = await sanitizeRelativeWithAvatar(byId.get(step.to));
+
+    groups[role].push({
+      relationshipId: row.id,
+      relationshipType: row.relationshipType,
+      ...(row.relationshipType === 'spouse' && {
+        marriageYear: row.marriageYear,
+        marriageMonth: row.marriageMonth,
+        marriageDay: row.marriageDay,
+        marriageCalendar: row.marriageCalendar,
+        marriageQualifier: row.marriageQualifier,
+        marriageToYear: row.marriageToYear,
+        marriageToMonth: row.marriageToMonth,
+        marriageToDay: row.marriageToDay,
+        marriagePlaceId: row.marriagePlaceId,
+        divorceYear: row.divorceYear,
+        divorceMonth: row.divorceMonth,
+        divorceDay: row.divorceDay,
+        divorced: step.divorced,
+      }),
+      relative: other,
+    });
+  }
+
+  for (const members of Object.values(groups)) {
+    members.sort((a, b) => (a.relative.birthYear ?? Infinity) - (b.relative.birthYear ?? Infinity));
+  }
+
+  return { relative: await sanitizeRelativeWithAvatar(relative), ...groups };
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Whether the same link already exists (symmetric types match both directions).
+ * @param {{ treeId: string, personAId: string, personBId: string, relationshipType: string }} data
+ * @param {string} [excludeId] - Relationship being updated
+ * @returns {Promise<boolean>}
+ */
+async function hasDuplicateRelationship(data, excludeId) {
+  const symmetricTypes = ['spouse', 'sibling', 'step_sibling'];
+  const isSymmetric = symmetricTypes.includes(data.relationshipType);
+
+  const duplicateCondition = isSymmetric
+    ? or(
+        and(
+          eq(relationships.treeId, data.treeId),
+          eq(relationships.personAId, data.personAId),
+          eq(relationships.personBId, data.personBId),
+          eq(relationships.relationshipType, data.relationshipType),
+        ),
+        and(
+          eq(relationships.treeId, data.treeId),
+          eq(relationships.personAId, data.personBId),
+          eq(relationships.personBId, data.personAId),
+          eq(relationships.relationshipType, data.relationshipType),
+        ),
+      )
+    : and(
+        eq(relationships.treeId, data.treeId),
+        eq(relationships.personAId, data.personAId),
+        eq(relationships.personBId, data.personBId),
+        eq(relationships.relationshipType, data.relationshipType),
+      );
+
+  const [duplicate] = await db
+    .select({ id: relationships.id })
+    .from(relationships)
+    .where(excludeId ? and(duplicateCondition, ne(relationships.id, excludeId)) : duplicateCondition)
+    .limit(1);
+
+  return Boolean(duplicate);
+}
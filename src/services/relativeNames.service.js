@@ -0,0 +1,144 @@
+import { eq, and, asc } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { relativeNames, relatives } from '../db/schema.js';
+import { notFound, badRequest } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { sanitizeRelativeName } from '../utils/sanitize.js';
+import logger from '../utils/logger.js';
+
+const NAME_PARTS = [
+  'givenName', 'patronymic', 'surname', 'maidenSurname', 'nickname', 'nameDayName', 'latinName',
+];
+
+/**
+ * A relative's structured names (birth, married, church, …), oldest first.
+ * Verifies the requesting user has viewer+ access to the relative's tree.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function getRelativeNames(relativeId, userId) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'viewer');
+
+  const rows = await db
+    .select()
+    .from(relativeNames)
+    .where(eq(relativeNames.relativeId, relativeId))
+    .orderBy(asc(relativeNames.createdAt));
+
+  return rows.map(sanitizeRelativeName);
+}
+
+/**
+ * Add a name record to a relative. `fullName` stays the display name.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {object} data - Validated body
+ * @returns {Promise<object>}
+ */
+export async function createRelativeName(relativeId, userId, data) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  const [created] = await db
+    .insert(relativeNames)
+    .values({
+      relativeId,
+      ...data,
+      createdBy: userId,
+    })
+    .returning();
+
+  logger.info('Relative name added', {
+    nameId: created.id,
+    relativeId,
+    treeId: relative.treeId,
+    nameType: created.nameType,
+    userId,
+  });
+
+  return sanitizeRelativeName(created);
+}
+
+/**
+ * Update a name record.
+ * @param {string} relativeId
+ * @param {string} nameId
+ * @param {string} userId
+ * @param {object} updates - Validated body fields (null clears a field)
+ * @returns {Promise<object>}
+ */
+export async function updateRelativeName(relativeId, nameId, userId, updates) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  const existing = await getNameRow(relativeId, nameId);
+  const merged = { ...existing, ...updates };
+  if (!NAME_PARTS.some((part) => merged[part])) {
+    throw badRequest('At least one name part must remain');
+  }
+
+  const [updated] = await db
+    .update(relativeNames)
+    .set({ ...updates, updatedAt: new Date() })
+    .where(eq(relativeNames.id, nameId))
+    .returning();
+
+  logger.info('Relative name updated', {
+    nameId,
+    relativeId,
+    treeId: relative.treeId,
+    fields: Object.keys(updates),
+    userId,
+  });
+
+  return sanitizeRelativeName(updated);
+}
+
+/**
+ * Remove a name record.
+ * @param {string} relativeId
+ * @param {string} nameId
+ * @param {string} userId
+ */
+export async function deleteRelativeName(relativeId, nameId, userId) {
+  const relative = await getRelativeRow(relativeId);
+  await verifyTreeAccess(relative.treeId, userId, 'editor');
+
+  await getNameRow(relativeId, nameId);
+
+  await db.delete(relativeNames).where(eq(relativeNames.id, nameId));
+
+  logger.info('Relative name deleted', { nameId, relativeId, treeId: relative.treeId, userId });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+async function getRelativeRow(relativeId) {
+  const [relative] = await db
+    .select({ id: relatives.id, treeId: relatives.treeId })
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!relative) {
+    throw notFound('Relative');
+  }
+
+  return relative;
+}
+
+async function getNameRow(relativeId, nameId) {
+  const [name] = await db
+    .select()
+    .from(relativeNames)
+    .where(and(eq(relativeNames.id, nameId), eq(relativeNames.relativeId, relativeId)))
+    .limit(1);
+
+  if (!name) {
+    throw notFound('Name');
+  }
+
+  return name;
+}
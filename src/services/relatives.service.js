@@ -1,12 +1,29 @@
-import { eq } from 'drizzle-orm';
+import { eq, and, or, sql } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { relatives } from '../db/schema.js';
-import { notFound } from '../utils/errors.js';
+import { relatives, photos, photoTags, relativeNames, relativeMerges } from '../db/schema.js';
+import { notFound, badRequest } from '../utils/errors.js';
 import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { verifyMimeType } from '../utils/mimeVerify.js';
+import { processAvatarImage } from '../utils/avatarImage.js';
 import { sanitizeRelative } from '../utils/sanitize.js';
-import { deleteFile, BUCKETS } from './storage.service.js';
+import { scanFileBuffer } from './virusScan.service.js';
+import { checkRelativeChange } from './consistency.service.js';
+import { assertPlacesInTree } from './places.service.js';
+import { isValidDate, isValidDateRange, clearStaleDateRange } from '../utils/calendar.js';
+import {
+  uploadFile,
+  getPresignedUrl,
+  getFileStream,
+  deleteFile,
+  BUCKETS,
+} from './storage.service.js';
 import logger from '../utils/logger.js';
 
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Written over anonymized relatives — and over merge-history snapshots of them
+const ANONYMIZED_FIELDS = { fullName: 'Роднина', bio: null, avatarUrl: null };
+
 /**
  * Get all relatives in a tree.
  * Assumes tree access already verified by middleware.
@@ -19,7 +36,7 @@ export async function getTreeRelatives(treeId) {
     .from(relatives)
     .where(eq(relatives.treeId, treeId));
 
-  return rows.map(sanitizeRelative);
+  return Promise.all(rows.map(sanitizeRelativeWithAvatar));
 }
 
 /**
@@ -42,20 +59,24 @@ export async function getRelativeById(relativeId, userId) {
 
   await verifyTreeAccess(relative.treeId, userId, 'viewer');
 
-  return sanitizeRelative(relative);
+  return sanitizeRelativeWithAvatar(relative);
 }
 
 /**
  * Create a new relative in a tree.
  * @param {object} data - Validated body (treeId + relative fields)
  * @param {string} userId - Requesting user ID
- * @returns {Promise<object>}
+ * @returns {Promise<{ relative: object, warnings: object[] }>}
  */
 export async function createRelative(data, userId) {
   await verifyTreeAccess(data.treeId, userId, 'editor');
 
   const { treeId, ...relativeData } = data;
 
+  await assertPlacesInTree(treeId, [relativeData.birthPlaceId, relativeData.deathPlaceId]);
+
+  const warnings = await checkRelativeChange(treeId, relativeData);
+
   const [created] = await db
     .insert(relatives)
     .values({
@@ -67,17 +88,20 @@ export async function createRelative(data, userId) {
 
   logger.info('Relative created', { relativeId: created.id, treeId, userId });
 
-  return sanitizeRelative(created);
+  return { relative: await sanitizeRelativeWithAvatar(created), warnings };
 }
 
 /**
  * Update an existing relative.
+ * Rejects dates that contradict their parents, children or spouses, and
+ * date ranges that no longer hold once merged with the stored record.
  * @param {string} relativeId
  * @param {string} userId
- * @param {object} updates - Validated body fields
- * @returns {Promise<object>}
+ * @param {object} rawUpdates - Validated body fields
+ * @returns {Promise<{ relative: object, warnings: object[] }>}
  */
-export async function updateRelative(relativeId, userId, updates) {
+export async function updateRelative(relativeId, userId, rawUpdates) {
+  const updates = clearStaleDateRange(clearStaleDateRange(rawUpdates, 'birth'), 'death');
   const [existing] = await db
     .select()
     .from(relatives)
@@ -90,6 +114,27 @@ export async function updateRelative(relativeId, userId, updates) {
 
   await verifyTreeAccess(existing.treeId, userId, 'editor');
 
+  const merged = { ...existing, ...updates };
+  for (const [prefix, label] of [['birth', 'Birth'], ['death', 'Death']]) {
+    // Checked on the merged row: a day sent alone, or a calendar change on
+    // its own, must still leave a day that exists in that calendar
+    for (const part of [prefix, `${prefix}To`]) {
+      const year = merged[`${part}Year`];
+      const month = merged[`${part}Month`];
+      const day = merged[`${part}Day`];
+      if (year != null && month != null && day != null && !isValidDate(year, month, day, merged[`${prefix}Calendar`])) {
+        throw badRequest(`Invalid ${prefix} date for the given month`);
+      }
+    }
+    if (!isValidDateRange(merged, prefix)) {
+      throw badRequest(`${label} date: "between" needs an end date (${prefix}To*) that is not before the start, and only "between" takes one`);
+    }
+  }
+
+  await assertPlacesInTree(existing.treeId, [updates.birthPlaceId, updates.deathPlaceId]);
+
+  const warnings = await checkRelativeChange(existing.treeId, { id: relativeId, ...updates });
+
   const [updated] = await db
     .update(relatives)
     .set({ ...updates, updatedAt: new Date() })
@@ -98,7 +143,7 @@ export async function updateRelative(relativeId, userId, updates) {
 
   logger.info('Relative updated', { relativeId, treeId: existing.treeId, userId });
 
-  return sanitizeRelative(updated);
+  return { relative: await sanitizeRelativeWithAvatar(updated), warnings };
 }
 
 /**
@@ -121,11 +166,18 @@ export async function deleteRelative(relativeId, userId) {
 
   await db.delete(relatives).where(eq(relatives.id, relativeId));
 
+  // Delete avatar from MinIO (non-fatal)
+  if (existing.avatarUrl) {
+    await deleteFile(BUCKETS.AVATARS, existing.avatarUrl);
+  }
+
   logger.info('Relative deleted', { relativeId, treeId: existing.treeId, userId });
 }
 
 /**
  * Anonymize a relative — replace name with "Роднина", remove bio and avatar.
+ * Their name records (given name, surname, nickname, Latin spelling…) are
+ * deleted and merge-history snapshots of them redacted the same way.
  * Keeps birth/death dates, relationships, photos, audio, and stories intact.
  * @param {string} relativeId
  * @param {string} userId
@@ -146,16 +198,27 @@ export async function anonymizeRelative(relativeId, userId) {
 
   const oldAvatarUrl = existing.avatarUrl;
 
-  const [updated] = await db
-    .update(relatives)
-    .set({
-      fullName: 'Роднина',
-      bio: null,
-      avatarUrl: null,
-      updatedAt: new Date(),
-    })
-    .where(eq(relatives.id, relativeId))
-    .returning();
+  const updated = await db.transaction(async (tx) => {
+    const [row] = await tx
+      .update(relatives)
+      .set({ ...ANONYMIZED_FIELDS, updatedAt: new Date() })
+      .where(eq(relatives.id, relativeId))
+      .returning();
+
+    await tx.delete(relativeNames).where(eq(relativeNames.relativeId, relativeId));
+
+    // Both snapshots of a merge into this relative are this person
+    const redacted = JSON.stringify(ANONYMIZED_FIELDS);
+    await tx
+      .update(relativeMerges)
+      .set({
+        mergedSnapshot: sql`${relativeMerges.mergedSnapshot} || ${redacted}::jsonb`,
+        survivorBefore: sql`${relativeMerges.survivorBefore} || ${redacted}::jsonb`,
+      })
+      .where(eq(relativeMerges.survivorId, relativeId));
+
+    return row;
+  });
 
   // Delete old avatar from MinIO (non-fatal)
   if (oldAvatarUrl) {
@@ -168,5 +231,201 @@ export async function anonymizeRelative(relativeId, userId) {
     userId,
   });
 
-  return sanitizeRelative(updated);
+  return sanitizeRelativeWithAvatar(updated);
+}
+
+/**
+ * Upload an avatar for a relative.
+ * Flow: verifyMimeType → virus scan → sharp resize/WebP → MinIO → DB → delete old.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {Buffer} fileBuffer
+ * @param {string} filename
+ * @returns {Promise<object>} Sanitized relative with presigned avatar URL
+ */
+export async function uploadRelativeAvatar(relativeId, userId, fileBuffer, filename) {
+  const existing = await getEditableRelative(relativeId, userId);
+
+  // 1. Verify MIME type via magic bytes
+  await verifyMimeType(fileBuffer, AVATAR_MIME_TYPES, filename);
+
+  // 2. Virus scan
+  await scanFileBuffer(fileBuffer, filename);
+
+  // 3. Resize to 400×400, convert to WebP
+  const processedBuffer = await processAvatarImage(fileBuffer);
+
+  return replaceAvatar(existing, processedBuffer, userId);
+}
+
+/**
+ * Use one of the relative's photos (or a photo they are tagged in) as their
+ * avatar, optionally cropped. Without a crop, the tag's box is used.
+ * The photo itself is left untouched — a new avatar image is derived from it.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {{ photoId: string, crop?: { x: number, y: number, width: number, height: number } }} data
+ *   crop is given as fractions (0–1) of the photo
+ * @returns {Promise<object>} Sanitized relative with presigned avatar URL
+ */
+export async function setAvatarFromPhoto(relativeId, userId, { photoId, crop }) {
+  const existing = await getEditableRelative(relativeId, userId);
+
+  const [photo] = await db
+    .select({
+      id: photos.id,
+      fileUrl: photos.fileUrl,
+      boxX: photoTags.boxX,
+      boxY: photoTags.boxY,
+      boxWidth: photoTags.boxWidth,
+      boxHeight: photoTags.boxHeight,
+    })
+    .from(photos)
+    .leftJoin(photoTags, and(eq(photoTags.photoId, photos.id), eq(photoTags.relativeId, relativeId)))
+    .where(and(eq(photos.id, photoId), or(eq(photos.relativeId, relativeId), eq(photoTags.relativeId, relativeId))))
+    .limit(1);
+
+  if (!photo) {
+    throw notFound('Photo');
+  }
+
+  const stream = await getFileStream(BUCKETS.PHOTOS, photo.fileUrl);
+  if (!stream) {
+    throw notFound('Photo file');
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  const tagBox = photo.boxX == null
+    ? undefined
+    : { x: photo.boxX, y: photo.boxY, width: photo.boxWidth, height: photo.boxHeight };
+
+  // Photos were virus-scanned on upload — only the image pipeline runs here
+  const processedBuffer = await processAvatarImage(Buffer.concat(chunks), crop ?? tagBox);
+
+  return replaceAvatar(existing, processedBuffer, userId, { photoId });
+}
+
+/**
+ * Remove a relative's avatar.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @returns {Promise<object>} Sanitized relative
+ */
+export async function deleteRelativeAvatar(relativeId, userId) {
+  const existing = await getEditableRelative(relativeId, userId);
+
+  if (!existing.avatarUrl) {
+    throw notFound('Avatar');
+  }
+
+  const [updated] = await db
+    .update(relatives)
+    .set({ avatarUrl: null, updatedAt: new Date() })
+    .where(eq(relatives.id, relativeId))
+    .returning();
+
+  // Delete from MinIO (non-fatal)
+  await deleteFile(BUCKETS.AVATARS, existing.avatarUrl);
+
+  logger.info('Relative avatar deleted', { relativeId, treeId: existing.treeId, userId });
+
+  return sanitizeRelative(updated, null);
+}
+
+/**
+ * Throw unless the relative exists in the given tree — for records that
+ * link to a relative (photo tags, moved photos and recordings).
+ * @param {string} treeId
+ * @param {string} relativeId
+ * @throws {AppError} 400 if the relative is not in the tree
+ */
+export async function assertRelativeInTree(treeId, relativeId) {
+  const [relative] = await db
+    .select({ id: relatives.id })
+    .from(relatives)
+    .where(and(eq(relatives.id, relativeId), eq(relatives.treeId, treeId)))
+    .limit(1);
+
+  if (!relative) {
+    throw badRequest('Relative not found in this tree');
+  }
+}
+
+/**
+ * Sanitize a relative with its avatar as a presigned URL — the row only
+ * holds the object key. Use wherever relatives are returned to clients.
+ * @param {object} relative - Drizzle relatives row
+ * @returns {Promise<object>}
+ */
+export async function sanitizeRelativeWithAvatar(relative) {
+  const presignedUrl = await getPresignedUrl(BUCKETS.AVATARS, relative.avatarUrl);
+  return sanitizeRelative(relative, presignedUrl);
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Load a relative and verify the user can edit its tree.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @returns {Promise<object>} relatives row
+ */
+async function getEditableRelative(relativeId, userId) {
+  const [existing] = await db
+    .select()
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!existing) {
+    throw notFound('Relative');
+  }
+
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  return existing;
+}
+
+/**
+ * Upload a processed avatar and point the relative at it.
+ * If the DB update fails, the new file is rolled back; the old avatar is
+ * deleted only after a successful update.
+ * @param {object} existing - relatives row
+ * @param {Buffer} webpBuffer
+ * @param {string} userId
+ * @param {object} [logContext] - Extra fields for the log line
+ * @returns {Promise<object>} Sanitized relative with presigned avatar URL
+ */
+async function replaceAvatar(existing, webpBuffer, userId, logContext = {}) {
+  const objectKey = await uploadFile(BUCKETS.AVATARS, webpBuffer, 'webp', 'image/webp');
+
+  let updated;
+  try {
+    [updated] = await db
+      .update(relatives)
+      .set({ avatarUrl: objectKey, updatedAt: new Date() })
+      .where(eq(relatives.id, existing.id))
+      .returning();
+  } catch (err) {
+    await deleteFile(BUCKETS.AVATARS, objectKey);
+    throw err;
+  }
+
+  if (existing.avatarUrl) {
+    await deleteFile(BUCKETS.AVATARS, existing.avatarUrl);
+  }
+
+  logger.info('Relative avatar updated', {
+    relativeId: existing.id,
+    treeId: existing.treeId,
+    objectKey,
+    userId,
+    ...logContext,
+  });
+
+  return sanitizeRelativeWithAvatar(updated);
 }
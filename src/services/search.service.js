@@ -0,0 +1,278 @@
+import { eq, and, or, desc, sql } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import {
+  relatives,
+  relativeNames,
+  stories,
+  comments,
+  photos,
+  treeMembers,
+  profiles,
+} from '../db/schema.js';
+import {
+  normalizeSearchText,
+  toSearchTerms,
+  toPrefixTsQuery,
+  buildSnippet,
+} from '../utils/search.js';
+
+const SEARCH_TYPES = ['relative', 'story', 'comment', 'photo', 'member'];
+
+/**
+ * Full-text search vector for a column — must match the expression
+ * indexes in migration 0005_tree_search.sql to use them.
+ */
+function searchVector(column) {
+  return sql`to_tsvector('simple', kt_search_normalize(${column}))`;
+}
+
+/**
+ * Search a tree's relatives, stories, comments, photo captions and members.
+ * Cyrillic and Latin spellings match each other ("Ivan" finds "Иван"), and
+ * every term is a prefix match. Hits are ranked across types, best first.
+ *
+ * Assumes viewer+ access has been verified by middleware. Only content every
+ * member can already read is searched (never cause of death); member emails
+ * are matched and returned only for the owner, as in the members list.
+ *
+ * @param {string} treeId
+ * @param {string} role - Caller's tree role
+ * @param {{ q: string, types?: string[], limit?: number }} options
+ * @returns {Promise<object[]>} Hits: { type, id, rank, title, snippet, highlights, ... }
+ */
+export async function searchTree(treeId, role, { q, types = SEARCH_TYPES, limit = 20 }) {
+  const terms = toSearchTerms(q);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const tsQuery = sql`to_tsquery('simple', ${toPrefixTsQuery(terms)})`;
+  const wanted = new Set(types);
+
+  const searches = [];
+  if (wanted.has('relative')) searches.push(searchRelatives(treeId, tsQuery, terms, limit));
+  if (wanted.has('story')) searches.push(searchStories(treeId, tsQuery, terms, limit));
+  if (wanted.has('comment')) searches.push(searchComments(treeId, tsQuery, terms, limit));
+  if (wanted.has('photo')) searches.push(searchPhotos(treeId, tsQuery, terms, limit));
+  if (wanted.has('member')) searches.push(searchMembers(treeId, role, terms));
+
+  const hits = (await Promise.all(searches)).flat();
+
+  return hits.sort((a, b) => b.rank - a.rank).slice(0, limit);
+}
+
+/**
+ * All searchable parts of a name record — must match kt_relative_name_text()
+ * and the expression index in migration 0011_relative_names.sql.
+ */
+function nameSearchText() {
+  return sql`kt_relative_name_text(
+    ${relativeNames.givenName}, ${relativeNames.patronymic}, ${relativeNames.surname},
+    ${relativeNames.maidenSurname}, ${relativeNames.nickname}, ${relativeNames.nameDayName},
+    ${relativeNames.latinName}
+  )`;
+}
+
+// ── Per-type searches ────────────────────────────────────────
+
+async function searchRelatives(treeId, tsQuery, terms, limit) {
+  const nameVector = searchVector(relatives.fullName);
+  const bioVector = searchVector(relatives.bio);
+  const altVector = searchVector(nameSearchText());
+
+  // Best-matching name record (maiden name, nickname, Latin spelling, …), if any
+  const altName = sql`(
+    select ${nameSearchText()} from ${relativeNames}
+    where ${relativeNames.relativeId} = ${relatives.id} and ${altVector} @@ ${tsQuery}
+    order by ts_rank(${altVector}, ${tsQuery}) desc
+    limit 1
+  )`;
+  const rank = sql`greatest(
+    ts_rank(
+      setweight(${nameVector}, 'A') || setweight(coalesce(${bioVector}, ''::tsvector), 'B'),
+      ${tsQuery}
+    ),
+    coalesce(ts_rank(setweight(to_tsvector('simple', kt_search_normalize(${altName})), 'A'), ${tsQuery}), 0)
+  )`.mapWith(Number);
+
+  const rows = await db
+    .select({
+      id: relatives.id,
+      fullName: relatives.fullName,
+      bio: relatives.bio,
+      status: relatives.status,
+      altName,
+      rank,
+    })
+    .from(relatives)
+    .where(
+      and(
+        eq(relatives.treeId, treeId),
+        or(
+          sql`${nameVector} @@ ${tsQuery}`,
+          sql`${bioVector} @@ ${tsQuery}`,
+          sql`exists (
+            select 1 from ${relativeNames}
+            where ${relativeNames.relativeId} = ${relatives.id} and ${altVector} @@ ${tsQuery}
+          )`,
+        ),
+      ),
+    )
+    .orderBy(desc(rank))
+    .limit(limit);
+
+  return rows.map((row) => {
+    // Prefer the name as snippet, then another of their names, then the bio
+    const nameSnippet = buildSnippet(row.fullName, terms);
+    let field = 'fullName';
+    let snippet = nameSnippet;
+    if (nameSnippet.highlights.length === 0 && row.altName) {
+      field = 'alternateName';
+      snippet = buildSnippet(row.altName.replace(/\s+/g, ' ').trim(), terms);
+    } else if (nameSnippet.highlights.length === 0 && row.bio) {
+      field = 'bio';
+      snippet = buildSnippet(row.bio, terms);
+    }
+
+    return {
+      type: 'relative',
+      id: row.id,
+      rank: row.rank,
+      title: row.fullName,
+      field,
+      ...snippet,
+      status: row.status,
+    };
+  });
+}
+
+async function searchStories(treeId, tsQuery, terms, limit) {
+  const vector = searchVector(stories.content);
+  const rank = sql`ts_rank(${vector}, ${tsQuery})`.mapWith(Number);
+
+  const rows = await db
+    .select({
+      id: stories.id,
+      relativeId: stories.relativeId,
+      relativeName: relatives.fullName,
+      content: stories.content,
+      createdAt: stories.createdAt,
+      rank,
+    })
+    .from(stories)
+    .leftJoin(relatives, eq(stories.relativeId, relatives.id))
+    .where(and(eq(stories.treeId, treeId), sql`${vector} @@ ${tsQuery}`))
+    .orderBy(desc(rank))
+    .limit(limit);
+
+  return rows.map((row) => ({
+    type: 'story',
+    id: row.id,
+    rank: row.rank,
+    title: row.relativeName ?? null,
+    ...buildSnippet(row.content, terms),
+    relativeId: row.relativeId,
+    createdAt: row.createdAt,
+  }));
+}
+
+async function searchComments(treeId, tsQuery, terms, limit) {
+  const vector = searchVector(comments.content);
+  const rank = sql`ts_rank(${vector}, ${tsQuery})`.mapWith(Number);
+
+  const rows = await db
+    .select({
+      id: comments.id,
+      storyId: comments.storyId,
+      authorName: profiles.fullName,
+      content: comments.content,
+      createdAt: comments.createdAt,
+      rank,
+    })
+    .from(comments)
+    .innerJoin(stories, eq(comments.storyId, stories.id))
+    .leftJoin(profiles, eq(comments.authorId, profiles.id))
+    .where(and(eq(stories.treeId, treeId), sql`${vector} @@ ${tsQuery}`))
+    .orderBy(desc(rank))
+    .limit(limit);
+
+  return rows.map((row) => ({
+    type: 'comment',
+    id: row.id,
+    rank: row.rank,
+    title: row.authorName ?? null,
+    ...buildSnippet(row.content, terms),
+    storyId: row.storyId,
+    createdAt: row.createdAt,
+  }));
+}
+
+async function searchPhotos(treeId, tsQuery, terms, limit) {
+  const vector = searchVector(photos.caption);
+  const rank = sql`ts_rank(${vector}, ${tsQuery})`.mapWith(Number);
+
+  const rows = await db
+    .select({
+      id: photos.id,
+      relativeId: photos.relativeId,
+      relativeName: relatives.fullName,
+      caption: photos.caption,
+      rank,
+    })
+    .from(photos)
+    .innerJoin(relatives, eq(photos.relativeId, relatives.id))
+    .where(and(eq(relatives.treeId, treeId), sql`${vector} @@ ${tsQuery}`))
+    .orderBy(desc(rank))
+    .limit(limit);
+
+  return rows.map((row) => ({
+    type: 'photo',
+    id: row.id,
+    rank: row.rank,
+    title: row.relativeName,
+    ...buildSnippet(row.caption, terms),
+    relativeId: row.relativeId,
+  }));
+}
+
+/**
+ * Members are few per tree, so they are matched in memory instead of
+ * through an index. Emails are only searched for the owner.
+ */
+async function searchMembers(treeId, role, terms) {
+  const showEmail = role === 'owner';
+
+  const rows = await db
+    .select({
+      userId: treeMembers.userId,
+      role: treeMembers.role,
+      fullName: profiles.fullName,
+      email: profiles.email,
+    })
+    .from(treeMembers)
+    .innerJoin(profiles, eq(treeMembers.userId, profiles.id))
+    .where(eq(treeMembers.treeId, treeId));
+
+  const hits = [];
+  for (const row of rows) {
+    const haystack = normalizeSearchText(
+      showEmail ? `${row.fullName} ${row.email}` : row.fullName,
+    ).split(/[^a-z0-9]+/);
+
+    const matched = terms.every((term) => haystack.some((word) => word.startsWith(term)));
+    if (!matched) continue;
+
+    hits.push({
+      type: 'member',
+      id: row.userId,
+      // Fixed rank, about what ts_rank gives a weight-A name match
+      rank: 0.6,
+      title: row.fullName,
+      ...buildSnippet(row.fullName, terms),
+      role: row.role,
+      ...(showEmail && { email: row.email }),
+    });
+  }
+
+  return hits;
+}
@@ -0,0 +1,462 @@
+import { eq, and, asc, inArray, count } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { sources, citations, relatives, relationships, deathRecords } from '../db/schema.js';
+import { notFound, badRequest } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import { verifyMimeType } from '../utils/mimeVerify.js';
+import { sanitizeSource, sanitizeCitation } from '../utils/sanitize.js';
+import { normalizeSearchText } from '../utils/search.js';
+import { scanFileBuffer } from './virusScan.service.js';
+import { uploadFile, getPresignedUrl, deleteFile, BUCKETS } from './storage.service.js';
+import logger from '../utils/logger.js';
+
+const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+// Facts a citation can document, per target type (mirrors sources.schemas.js)
+const CITATION_FIELDS = {
+  relative: ['fullName', 'gender', 'birth', 'birthPlace', 'death', 'deathPlace', 'status', 'bio'],
+  relationship: ['marriage', 'marriagePlace', 'divorce'],
+  deathRecord: ['death', 'causeOfDeath'],
+};
+
+// Target type → citations column
+const TARGET_COLUMNS = {
+  relative: 'relativeId',
+  relationship: 'relationshipId',
+  deathRecord: 'deathRecordId',
+};
+
+/**
+ * Get all sources in a tree, alphabetically, each with its citation count.
+ * `q` matches the title, author, repository or reference, in either script.
+ * Assumes viewer+ access has been verified by middleware.
+ * @param {string} treeId
+ * @param {{ q?: string, type?: string }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function getTreeSources(treeId, { q, type } = {}) {
+  let rows = await db
+    .select()
+    .from(sources)
+    .where(
+      type
+        ? and(eq(sources.treeId, treeId), eq(sources.sourceType, type))
+        : eq(sources.treeId, treeId),
+    )
+    .orderBy(asc(sources.title));
+
+  if (q) {
+    const needle = normalizeSearchText(q);
+    rows = rows.filter((source) =>
+      [source.title, source.author, source.repository, source.reference].some(
+        (text) => text && normalizeSearchText(text).includes(needle),
+      ),
+    );
+  }
+
+  const counts = rows.length > 0
+    ? await db
+        .select({ sourceId: citations.sourceId, value: count() })
+        .from(citations)
+        .where(inArray(citations.sourceId, rows.map((s) => s.id)))
+        .groupBy(citations.sourceId)
+    : [];
+  const countBySource = new Map(counts.map((c) => [c.sourceId, c.value]));
+
+  return Promise.all(
+    rows.map(async (source) => ({
+      ...sanitizeSource(source, await getPresignedUrl(BUCKETS.DOCUMENTS, source.fileUrl)),
+      citationCount: countBySource.get(source.id) ?? 0,
+    })),
+  );
+}
+
+/**
+ * Get a source with every citation of it.
+ * Verifies the requesting user has viewer+ access to the source's tree.
+ * @param {string} sourceId
+ * @param {string} userId
+ * @returns {Promise<object>} Source + `citations` (oldest first)
+ */
+export async function getSourceById(sourceId, userId) {
+  const source = await getSourceRow(sourceId);
+  await verifyTreeAccess(source.treeId, userId, 'viewer');
+
+  const rows = await db
+    .select()
+    .from(citations)
+    .where(eq(citations.sourceId, sourceId))
+    .orderBy(asc(citations.createdAt));
+
+  const url = await getPresignedUrl(BUCKETS.DOCUMENTS, source.fileUrl);
+  return {
+    ...sanitizeSource(source, url),
+    citations: rows.map((citation) => sanitizeCitation(citation)),
+  };
+}
+
+/**
+ * Create a source in a tree.
+ * @param {object} data - Validated body (treeId + source fields)
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<object>}
+ */
+export async function createSource(data, userId) {
+  await verifyTreeAccess(data.treeId, userId, 'editor');
+
+  const { treeId, ...sourceData } = data;
+
+  const [created] = await db
+    .insert(sources)
+    .values({
+      treeId,
+      ...sourceData,
+      createdBy: userId,
+    })
+    .returning();
+
+  logger.info('Source created', { sourceId: created.id, treeId, userId });
+
+  return sanitizeSource(created);
+}
+
+/**
+ * Update a source's details. The scanned document has its own endpoints.
+ * @param {string} sourceId
+ * @param {string} userId
+ * @param {object} updates - Validated body fields (null clears a field)
+ * @returns {Promise<object>}
+ */
+export async function updateSource(sourceId, userId, updates) {
+  const existing = await getSourceRow(sourceId);
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  checkSourceDate({ ...existing, ...updates });
+
+  const [updated] = await db
+    .update(sources)
+    .set({ ...updates, updatedAt: new Date() })
+    .where(eq(sources.id, sourceId))
+    .returning();
+
+  logger.info('Source updated', {
+    sourceId,
+    treeId: existing.treeId,
+    fields: Object.keys(updates),
+    userId,
+  });
+
+  const url = await getPresignedUrl(BUCKETS.DOCUMENTS, updated.fileUrl);
+  return sanitizeSource(updated, url);
+}
+
+/**
+ * Delete a source together with its citations and scanned document.
+ * @param {string} sourceId
+ * @param {string} userId
+ */
+export async function deleteSource(sourceId, userId) {
+  const existing = await getSourceRow(sourceId);
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  await db.delete(sources).where(eq(sources.id, sourceId));
+
+  // Delete from MinIO (non-fatal)
+  await deleteFile(BUCKETS.DOCUMENTS, existing.fileUrl);
+
+  logger.info('Source deleted', { sourceId, treeId: existing.treeId, userId });
+}
+
+/**
+ * Attach a scanned document (image or PDF) to a source, replacing any previous one.
+ * Pipeline: verifyTreeAccess → verifyMimeType → virusScan → MinIO → DB
+ * @param {string} sourceId
+ * @param {string} userId
+ * @param {Buffer} fileBuffer
+ * @param {string} filename
+ * @returns {Promise<object>}
+ */
+export async function uploadSourceDocument(sourceId, userId, fileBuffer, filename) {
+  const existing = await getSourceRow(sourceId);
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  // 1. Verify MIME type via magic bytes
+  const { mime, ext } = await verifyMimeType(fileBuffer, DOCUMENT_MIME_TYPES, filename);
+
+  // 2. Virus scan
+  await scanFileBuffer(fileBuffer, filename);
+
+  // 3. Upload to MinIO
+  const objectKey = await uploadFile(BUCKETS.DOCUMENTS, fileBuffer, ext, mime);
+
+  let updated;
+  try {
+    // 4. Update DB
+    [updated] = await db
+      .update(sources)
+      .set({ fileUrl: objectKey, fileMimeType: mime, updatedAt: new Date() })
+      .where(eq(sources.id, sourceId))
+      .returning();
+  } catch (err) {
+    // Rollback MinIO upload on DB failure
+    await deleteFile(BUCKETS.DOCUMENTS, objectKey);
+    throw err;
+  }
+
+  // The replaced document is orphaned now
+  await deleteFile(BUCKETS.DOCUMENTS, existing.fileUrl);
+
+  logger.info('Source document uploaded', {
+    sourceId,
+    treeId: existing.treeId,
+    userId,
+  });
+
+  const url = await getPresignedUrl(BUCKETS.DOCUMENTS, updated.fileUrl);
+  return sanitizeSource(updated, url);
+}
+
+/**
+ * Remove a source's scanned document.
+ * @param {string} sourceId
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+export async function deleteSourceDocument(sourceId, userId) {
+  const existing = await getSourceRow(sourceId);
+  await verifyTreeAccess(existing.treeId, userId, 'editor');
+
+  if (!existing.fileUrl) {
+    throw notFound('Document');
+  }
+
+  const [updated] = await db
+    .update(sources)
+    .set({ fileUrl: null, fileMimeType: null, updatedAt: new Date() })
+    .where(eq(sources.id, sourceId))
+    .returning();
+
+  await deleteFile(BUCKETS.DOCUMENTS, existing.fileUrl);
+
+  logger.info('Source document deleted', { sourceId, treeId: existing.treeId, userId });
+
+  return sanitizeSource(updated);
+}
+
+// ── Citations ────────────────────────────────────────────────
+
+/**
+ * Citations of a relative, relationship or death record, each with its source.
+ * Verifies the requesting user has viewer+ access to the target's tree.
+ * @param {{ type: 'relative'|'relationship'|'deathRecord', id: string }} target
+ * @param {string} userId
+ * @returns {Promise<object[]>} Oldest first
+ */
+export async function getCitations(target, userId) {
+  const { treeId } = await getTarget(target);
+  await verifyTreeAccess(treeId, userId, 'viewer');
+
+  const rows = await db
+    .select({ citation: citations, source: sources })
+    .from(citations)
+    .innerJoin(sources, eq(citations.sourceId, sources.id))
+    .where(eq(citations[TARGET_COLUMNS[target.type]], target.id))
+    .orderBy(asc(citations.createdAt));
+
+  return Promise.all(
+    rows.map(async ({ citation, source }) => {
+      const url = await getPresignedUrl(BUCKETS.DOCUMENTS, source.fileUrl);
+      return sanitizeCitation(citation, sanitizeSource(source, url));
+    }),
+  );
+}
+
+/**
+ * Cite a source for a relative, relationship or death record.
+ * The source must belong to the target's tree.
+ * @param {{ type: 'relative'|'relationship'|'deathRecord', id: string }} target
+ * @param {string} userId
+ * @param {object} data - Validated body (sourceId, field, page, note, confidence)
+ * @returns {Promise<object>}
+ */
+export async function createCitation(target, userId, data) {
+  const resolved = await getTarget(target);
+  await verifyTreeAccess(resolved.treeId, userId, 'editor');
+
+  const source = await getSourceRow(data.sourceId);
+  if (source.treeId !== resolved.treeId) {
+    throw badRequest('Source not found in this tree');
+  }
+  checkCitationField(target.type, resolved, data.field);
+
+  const { sourceId, ...citationData } = data;
+
+  const [created] = await db
+    .insert(citations)
+    .values({
+      sourceId,
+      [TARGET_COLUMNS[target.type]]: target.id,
+      ...citationData,
+      createdBy: userId,
+    })
+    .returning();
+
+  logger.info('Citation created', {
+    citationId: created.id,
+    sourceId,
+    target: target.type,
+    treeId: resolved.treeId,
+    userId,
+  });
+
+  const url = await getPresignedUrl(BUCKETS.DOCUMENTS, source.fileUrl);
+  return sanitizeCitation(created, sanitizeSource(source, url));
+}
+
+/**
+ * Update a citation's field, page, note or confidence.
+ * @param {string} sourceId
+ * @param {string} citationId
+ * @param {string} userId
+ * @param {object} updates - Validated body fields (null clears a field)
+ * @returns {Promise<object>}
+ */
+export async function updateCitation(sourceId, citationId, userId, updates) {
+  const source = await getSourceRow(sourceId);
+  await verifyTreeAccess(source.treeId, userId, 'editor');
+
+  const existing = await getCitationRow(sourceId, citationId);
+
+  if (updates.field !== undefined) {
+    const target = citationTarget(existing);
+    checkCitationField(target.type, await getTarget(target), updates.field);
+  }
+
+  const [updated] = await db
+    .update(citations)
+    .set({ ...updates, updatedAt: new Date() })
+    .where(eq(citations.id, citationId))
+    .returning();
+
+  logger.info('Citation updated', {
+    citationId,
+    sourceId,
+    treeId: source.treeId,
+    fields: Object.keys(updates),
+    userId,
+  });
+
+  const url = await getPresignedUrl(BUCKETS.DOCUMENTS, source.fileUrl);
+  return sanitizeCitation(updated, sanitizeSource(source, url));
+}
+
+/**
+ * Remove a citation. The source itself stays.
+ * @param {string} sourceId
+ * @param {string} citationId
+ * @param {string} userId
+ */
+export async function deleteCitation(sourceId, citationId, userId) {
+  const source = await getSourceRow(sourceId);
+  await verifyTreeAccess(source.treeId, userId, 'editor');
+
+  await getCitationRow(sourceId, citationId);
+
+  await db.delete(citations).where(eq(citations.id, citationId));
+
+  logger.info('Citation deleted', { citationId, sourceId, treeId: source.treeId, userId });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+async function getSourceRow(sourceId) {
+  const [source] = await db
+    .select()
+    .from(sources)
+    .where(eq(sources.id, sourceId))
+    .limit(1);
+
+  if (!source) {
+    throw notFound('Source');
+  }
+
+  return source;
+}
+
+async function getCitationRow(sourceId, citationId) {
+  const [citation] = await db
+    .select()
+    .from(citations)
+    .where(and(eq(citations.id, citationId), eq(citations.sourceId, sourceId)))
+    .limit(1);
+
+  if (!citation) {
+    throw notFound('Citation');
+  }
+
+  return citation;
+}
+
+/**
+ * Load a citation target's tree (and, for relationships, its type).
+ * @param {{ type: 'relative'|'relationship'|'deathRecord', id: string }} target
+ * @returns {Promise<{ treeId: string, relationshipType?: string }>}
+ */
+async function getTarget({ type, id }) {
+  if (type === 'relative') {
+    const [row] = await db
+      .select({ treeId: relatives.treeId })
+      .from(relatives)
+      .where(eq(relatives.id, id))
+      .limit(1);
+    if (!row) throw notFound('Relative');
+    return row;
+  }
+
+  if (type === 'relationship') {
+    const [row] = await db
+      .select({ treeId: relationships.treeId, relationshipType: relationships.relationshipType })
+      .from(relationships)
+      .where(eq(relationships.id, id))
+      .limit(1);
+    if (!row) throw notFound('Relationship');
+    return row;
+  }
+
+  const [row] = await db
+    .select({ treeId: relatives.treeId })
+    .from(deathRecords)
+    .innerJoin(relatives, eq(deathRecords.relativeId, relatives.id))
+    .where(eq(deathRecords.id, id))
+    .limit(1);
+  if (!row) throw notFound('Death record');
+  return row;
+}
+
+/** The target a stored citation points at. */
+function citationTarget(citation) {
+  const type = Object.keys(TARGET_COLUMNS).find((t) => citation[TARGET_COLUMNS[t]]);
+  return { type, id: citation[TARGET_COLUMNS[type]] };
+}
+
+/** Throw when a field can't be cited on this target (e.g. a marriage on a parent link). */
+function checkCitationField(type, target, field) {
+  if (field == null) return;
+  if (!CITATION_FIELDS[type].includes(field)) {
+    throw badRequest(`Field "${field}" cannot be cited on a ${type === 'deathRecord' ? 'death record' : type}`);
+  }
+  if (type === 'relationship' && target.relationshipType !== 'spouse') {
+    throw badRequest('Marriage and divorce details are only allowed for spouse relationships');
+  }
+}
+
+/** Throw when the source date's parts are incomplete. */
+function checkSourceDate(row) {
+  const part = (field) => row[field] ?? null;
+  if (
+    (part('dateDay') !== null && part('dateMonth') === null) ||
+    (part('dateMonth') !== null && part('dateYear') === null)
+  ) {
+    throw badRequest('Date: if day is set, month is required; if month is set, year is required');
+  }
+}
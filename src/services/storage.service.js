@@ -54,6 +54,28 @@ export async function uploadFile(bucket, buffer, extension, mimeType) {
   }
 }
 
+/**
+ * Overwrite an existing object in place, keeping its key.
+ * @param {string} bucket - Bucket name (from BUCKETS constant)
+ * @param {string} objectKey - Object key to overwrite
+ * @param {Buffer} buffer - New file contents
+ * @param {string} mimeType - MIME type
+ */
+export async function replaceFile(bucket, objectKey, buffer, mimeType) {
+  await ensureBucket(bucket);
+
+  try {
+    await minioClient.putObject(bucket, objectKey, buffer, buffer.length, {
+      'Content-Type': mimeType,
+    });
+
+    logger.debug('File replaced in MinIO', { bucket, objectKey, size: buffer.length });
+  } catch (err) {
+    logger.error('MinIO replace failed', { bucket, objectKey, error: err.message });
+    throw internalError('File upload failed');
+  }
+}
+
 /**
  * Generate a presigned URL for reading a file.
  * @param {string} bucket - Bucket name
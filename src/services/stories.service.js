@@ -7,6 +7,7 @@ import { verifyMimeType } from '../utils/mimeVerify.js';
 import { scanFileBuffer } from './virusScan.service.js';
 import { uploadFile, getPresignedUrl, deleteFile, BUCKETS } from './storage.service.js';
 import { sanitizeStory, sanitizeAttachment } from '../utils/sanitize.js';
+import { scrubPhoto } from '../utils/photoMetadata.js';
 import * as commentsService from './comments.service.js';
 import logger from '../utils/logger.js';
 
@@ -78,10 +79,13 @@ async function processAttachmentFiles(files) {
       // 2. Virus scan
       await scanFileBuffer(file.buffer, file.originalname);
 
-      // 3. Classify and upload to correct bucket
+      // 3. Classify; photos are stored without their EXIF/device metadata
       const fileType = classifyMime(mime);
+      const buffer = fileType === 'photo' ? (await scrubPhoto(file.buffer, mime)).buffer : file.buffer;
+
+      // 4. Upload to correct bucket
       const bucket = getBucketForType(fileType);
-      const objectKey = await uploadFile(bucket, file.buffer, ext, mime);
+      const objectKey = await uploadFile(bucket, buffer, ext, mime);
       uploadedKeys.push({ objectKey, bucket });
 
       results.push({ objectKey, fileType, mime });
@@ -223,6 +227,7 @@ export async function createStory(treeId, userId, data, files = []) {
             storyId: story.id,
             fileUrl: f.objectKey,
             fileType: f.fileType,
+            metadataScrubbedAt: f.fileType === 'photo' ? new Date() : null,
             sortOrder: i,
           })),
         );
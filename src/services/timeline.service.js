@@ -0,0 +1,205 @@
+import { eq, and, or, inArray, isNotNull } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import {
+  relatives,
+  relationships,
+  lifeEvents,
+  relativeResidences,
+  photos,
+  stories,
+} from '../db/schema.js';
+import { notFound } from '../utils/errors.js';
+import { verifyTreeAccess } from '../utils/treeAccess.js';
+import {
+  sanitizeRelationship,
+  sanitizeLifeEvent,
+  sanitizeResidence,
+  sanitizeStory,
+} from '../utils/sanitize.js';
+import { buildTimeline } from '../utils/timeline.js';
+import { presentPhoto } from './photos.service.js';
+
+/**
+ * One relative's life in order: birth, life events, residences, marriages,
+ * dated photos, stories about them and death.
+ * Verifies the requesting user has viewer+ access to the relative's tree.
+ * @param {string} relativeId
+ * @param {string} userId
+ * @param {{ types?: string[] }} [options]
+ * @returns {Promise<object[]>} Timeline items, oldest first, undated last
+ */
+export async function getRelativeTimeline(relativeId, userId, { types } = {}) {
+  const [relative] = await db
+    .select()
+    .from(relatives)
+    .where(eq(relatives.id, relativeId))
+    .limit(1);
+
+  if (!relative) {
+    throw notFound('Relative');
+  }
+
+  await verifyTreeAccess(relative.treeId, userId, 'viewer');
+
+  const wants = (type) => !types || types.includes(type);
+
+  const [spouseLinks, events, residences, datedPhotos, relativeStories] = await Promise.all([
+    wants('marriage') || wants('divorce')
+      ? db
+          .select()
+          .from(relationships)
+          .where(
+            and(
+              eq(relationships.relationshipType, 'spouse'),
+              or(eq(relationships.personAId, relativeId), eq(relationships.personBId, relativeId)),
+            ),
+          )
+      : [],
+    wants('life_event')
+      ? db.select().from(lifeEvents).where(eq(lifeEvents.relativeId, relativeId))
+      : [],
+    wants('residence')
+      ? db.select().from(relativeResidences).where(eq(relativeResidences.relativeId, relativeId))
+      : [],
+    wants('photo')
+      ? db
+          .select()
+          .from(photos)
+          .where(and(eq(photos.relativeId, relativeId), isNotNull(photos.dateTakenYear)))
+      : [],
+    wants('story')
+      ? db.select().from(stories).where(eq(stories.relativeId, relativeId))
+      : [],
+  ]);
+
+  const items = buildTimeline(
+    {
+      relatives: [relative],
+      relationships: spouseLinks,
+      lifeEvents: events,
+      residences,
+      photos: datedPhotos,
+      stories: relativeStories,
+    },
+    { types },
+  );
+
+  const spouseIds = spouseLinks.flatMap((r) => [r.personAId, r.personBId]).filter((id) => id !== relativeId);
+  const spouses = spouseIds.length > 0
+    ? await db
+        .select({ id: relatives.id, fullName: relatives.fullName })
+        .from(relatives)
+        .where(inArray(relatives.id, spouseIds))
+    : [];
+  const nameById = new Map([[relative.id, relative.fullName], ...spouses.map((s) => [s.id, s.fullName])]);
+
+  return Promise.all(items.map((item) => presentItem(item, nameById)));
+}
+
+/**
+ * The whole tree's timeline, paginated. `fromYear`/`toYear` keep events
+ * overlapping the range (a 1940–1945 service shows up for 1944).
+ * Assumes viewer+ access has been verified by middleware.
+ * @param {string} treeId
+ * @param {{ types?: string[], fromYear?: number, toYear?: number, page?: number, limit?: number }} [options]
+ * @returns {Promise<{ items: object[], meta: object }>}
+ */
+export async function getTreeTimeline(treeId, { types, fromYear, toYear, page = 1, limit = 50 } = {}) {
+  const wants = (type) => !types || types.includes(type);
+
+  const [treeRelatives, spouseLinks, events, residences, datedPhotos, treeStories] = await Promise.all([
+    db.select().from(relatives).where(eq(relatives.treeId, treeId)),
+    wants('marriage') || wants('divorce')
+      ? db
+          .select()
+          .from(relationships)
+          .where(and(eq(relationships.treeId, treeId), eq(relationships.relationshipType, 'spouse')))
+      : [],
+    wants('life_event')
+      ? db
+          .select({ event: lifeEvents })
+          .from(lifeEvents)
+          .innerJoin(relatives, eq(lifeEvents.relativeId, relatives.id))
+          .where(eq(relatives.treeId, treeId))
+      : [],
+    wants('residence')
+      ? db
+          .select({ residence: relativeResidences })
+          .from(relativeResidences)
+          .innerJoin(relatives, eq(relativeResidences.relativeId, relatives.id))
+          .where(eq(relatives.treeId, treeId))
+      : [],
+    wants('photo')
+      ? db
+          .select({ photo: photos })
+          .from(photos)
+          .innerJoin(relatives, eq(photos.relativeId, relatives.id))
+          .where(and(eq(relatives.treeId, treeId), isNotNull(photos.dateTakenYear)))
+      : [],
+    wants('story')
+      ? db.select().from(stories).where(eq(stories.treeId, treeId))
+      : [],
+  ]);
+
+  const items = buildTimeline(
+    {
+      relatives: wants('birth') || wants('death') ? treeRelatives : [],
+      relationships: spouseLinks,
+      lifeEvents: events.map((r) => r.event),
+      residences: residences.map((r) => r.residence),
+      photos: datedPhotos.map((r) => r.photo),
+      stories: treeStories,
+    },
+    { types, fromYear, toYear },
+  );
+
+  const nameById = new Map(treeRelatives.map((r) => [r.id, r.fullName]));
+  const offset = (page - 1) * limit;
+  const pageItems = await Promise.all(
+    items.slice(offset, offset + limit).map((item) => presentItem(item, nameById)),
+  );
+
+  return {
+    items: pageItems,
+    meta: {
+      total: items.length,
+      page,
+      limit,
+      totalPages: Math.ceil(items.length / limit),
+    },
+  };
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/** Response shape of a timeline item: the people involved plus the sanitized record. */
+async function presentItem(item, nameById) {
+  const { record, relativeIds, ...rest } = item;
+  const result = {
+    ...rest,
+    relatives: relativeIds.map((id) => ({ id, fullName: nameById.get(id) ?? null })),
+  };
+
+  switch (item.type) {
+    case 'marriage':
+    case 'divorce':
+      result.relationship = sanitizeRelationship(record);
+      break;
+    case 'life_event':
+      result.lifeEvent = sanitizeLifeEvent(record);
+      break;
+    case 'residence':
+      result.residence = sanitizeResidence(record);
+      break;
+    case 'photo':
+      result.photo = await presentPhoto(record);
+      break;
+    case 'story':
+      result.story = sanitizeStory(record);
+      break;
+    default:
+      break;
+  }
+
+  return result;
+}
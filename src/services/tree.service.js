@@ -1,10 +1,27 @@
-import { eq, count } from 'drizzle-orm';
+import { eq, and, count, isNotNull, sql } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { familyTrees, treeMembers } from '../db/schema.js';
-import { notFound } from '../utils/errors.js';
+import {
+  familyTrees,
+  treeMembers,
+  relatives,
+  photos,
+  audioRecordings,
+  stories,
+  storyAttachments,
+  notifications,
+  sources,
+} from '../db/schema.js';
+import { notFound, badRequest, conflict } from '../utils/errors.js';
 import { sanitizeTree } from '../utils/sanitize.js';
+import { generateTreeDeletionToken, verifyTreeDeletionToken } from '../utils/tokens.js';
+import { toISODate } from '../utils/date.js';
+import { deleteFile, BUCKETS } from './storage.service.js';
+import { photoObjectKeys } from './photos.service.js';
 import logger from '../utils/logger.js';
 
+const MAX_OWNED_TREES = 20;
+const DELETION_GRACE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
 /**
  * Get all trees the user is a member of.
  * @param {string} userId
@@ -17,6 +34,7 @@ export async function getUserTrees(userId) {
       name: familyTrees.name,
       ownerId: familyTrees.ownerId,
       status: familyTrees.status,
+      deletionScheduledAt: familyTrees.deletionScheduledAt,
       createdAt: familyTrees.createdAt,
       role: treeMembers.role,
     })
@@ -74,3 +92,199 @@ export async function updateTree(treeId, updates) {
 
   return sanitizeTree(updated);
 }
+
+/**
+ * Create a new tree owned by the user (e.g. a separate maternal line).
+ * @param {string} userId
+ * @param {{ name: string }} data
+ * @returns {Promise<object>} Sanitized tree with role 'owner'
+ */
+export async function createTree(userId, { name }) {
+  const [{ value: ownedCount }] = await db
+    .select({ value: count() })
+    .from(familyTrees)
+    .where(eq(familyTrees.ownerId, userId));
+
+  if (ownedCount >= MAX_OWNED_TREES) {
+    throw badRequest(`You can own at most ${MAX_OWNED_TREES} trees`);
+  }
+
+  const tree = await db.transaction(async (tx) => {
+    const [created] = await tx
+      .insert(familyTrees)
+      .values({ name, ownerId: userId })
+      .returning();
+
+    await tx.insert(treeMembers).values({
+      treeId: created.id,
+      userId,
+      role: 'owner',
+    });
+
+    return created;
+  });
+
+  logger.info('Tree created', { treeId: tree.id, userId });
+
+  return sanitizeTree(tree, 'owner');
+}
+
+/**
+ * Issue a short-lived confirmation token for deleting a tree.
+ * Assumes owner access verified by middleware.
+ * @param {string} treeId
+ * @param {string} userId
+ * @returns {{ confirmationToken: string, expiresInSeconds: number }}
+ */
+export function requestTreeDeletion(treeId, userId) {
+  return {
+    confirmationToken: generateTreeDeletionToken({ treeId, userId }),
+    expiresInSeconds: 600,
+  };
+}
+
+/**
+ * Schedule a tree for permanent deletion after a grace period.
+ * Assumes owner access verified by middleware.
+ * Members are notified; the owner can cancel until the deadline,
+ * after which the purgeDeletedTrees job removes the tree and its files.
+ * The tree stays fully usable meanwhile (cancelling keeps everything added),
+ * and its current status is kept so cancelling can restore it.
+ * @param {string} treeId
+ * @param {string} userId
+ * @param {string} confirmationToken - From requestTreeDeletion
+ * @returns {Promise<object>} Sanitized tree with deletionScheduledAt
+ */
+export async function scheduleTreeDeletion(treeId, userId, confirmationToken) {
+  verifyTreeDeletionToken(confirmationToken, { treeId, userId });
+
+  const deletionScheduledAt = new Date(Date.now() + DELETION_GRACE_MS);
+
+  const tree = await db.transaction(async (tx) => {
+    const [updated] = await tx
+      .update(familyTrees)
+      .set({
+        status: 'PENDING_DELETION',
+        // Scheduling again must not overwrite the status saved the first time
+        statusBeforeDeletion: sql`coalesce(${familyTrees.statusBeforeDeletion}, ${familyTrees.status})`,
+        deletionScheduledAt,
+      })
+      .where(eq(familyTrees.id, treeId))
+      .returning();
+
+    if (!updated) {
+      throw notFound('Tree');
+    }
+
+    const members = await tx
+      .select({ userId: treeMembers.userId })
+      .from(treeMembers)
+      .where(eq(treeMembers.treeId, treeId));
+
+    if (members.length > 0) {
+      await tx.insert(notifications).values(
+        members.map((m) => ({
+          userId: m.userId,
+          treeId,
+          type: 'TREE_DELETION_SCHEDULED',
+          title: `Дървото "${updated.name}" ще бъде изтрито`,
+          body: `Дървото и всички снимки, записи и истории в него ще бъдат изтрити окончателно на ${deletionScheduledAt.toLocaleDateString('bg-BG')}. Изтеглете архив, ако искате да ги запазите.`,
+          eventDate: toISODate(new Date()),
+        })),
+      );
+    }
+
+    return updated;
+  });
+
+  logger.info('Tree deletion scheduled', { treeId, userId, deletionScheduledAt });
+
+  return sanitizeTree(tree, 'owner');
+}
+
+/**
+ * Cancel a scheduled tree deletion during the grace period, putting back
+ * the status the tree had before (a dormant tree stays dormant).
+ * Assumes owner access verified by middleware.
+ * @param {string} treeId
+ * @param {string} userId
+ * @returns {Promise<object>} Sanitized tree
+ */
+export async function cancelTreeDeletion(treeId, userId) {
+  const [restored] = await db
+    .update(familyTrees)
+    .set({
+      status: sql`coalesce(${familyTrees.statusBeforeDeletion}, 'ACTIVE')`,
+      statusBeforeDeletion: null,
+      deletionScheduledAt: null,
+    })
+    .where(and(eq(familyTrees.id, treeId), isNotNull(familyTrees.deletionScheduledAt)))
+    .returning();
+
+  if (!restored) {
+    throw conflict('Tree is not scheduled for deletion');
+  }
+
+  logger.info('Tree deletion cancelled', { treeId, userId });
+
+  return sanitizeTree(restored, 'owner');
+}
+
+/**
+ * Permanently delete a tree and every MinIO object its rows reference
+ * (relative avatars, photos and their derivatives, audio, story attachments,
+ * source documents).
+ * Rows go via ON DELETE CASCADE; files are removed after the DB delete
+ * succeeds, so a failed delete never leaves rows pointing at missing files.
+ * @param {string} treeId
+ * @returns {Promise<{ files: number }>}
+ */
+export async function purgeTree(treeId) {
+  const [avatarRows, photoRows, audioRows, attachmentRows, documentRows] = await Promise.all([
+    db
+      .select({ fileUrl: relatives.avatarUrl })
+      .from(relatives)
+      .where(and(eq(relatives.treeId, treeId), isNotNull(relatives.avatarUrl))),
+    db
+      .select({ fileUrl: photos.fileUrl, variants: photos.variants })
+      .from(photos)
+      .innerJoin(relatives, eq(photos.relativeId, relatives.id))
+      .where(eq(relatives.treeId, treeId)),
+    db
+      .select({ fileUrl: audioRecordings.fileUrl })
+      .from(audioRecordings)
+      .innerJoin(relatives, eq(audioRecordings.relativeId, relatives.id))
+      .where(eq(relatives.treeId, treeId)),
+    db
+      .select({ fileUrl: storyAttachments.fileUrl, fileType: storyAttachments.fileType })
+      .from(storyAttachments)
+      .innerJoin(stories, eq(storyAttachments.storyId, stories.id))
+      .where(eq(stories.treeId, treeId)),
+    db
+      .select({ fileUrl: sources.fileUrl })
+      .from(sources)
+      .where(and(eq(sources.treeId, treeId), isNotNull(sources.fileUrl))),
+  ]);
+
+  const files = [
+    ...avatarRows.map((r) => ({ bucket: BUCKETS.AVATARS, key: r.fileUrl })),
+    ...photoRows.flatMap((r) => photoObjectKeys(r).map((key) => ({ bucket: BUCKETS.PHOTOS, key }))),
+    ...audioRows.map((r) => ({ bucket: BUCKETS.AUDIO, key: r.fileUrl })),
+    ...attachmentRows.map((r) => ({
+      bucket: r.fileType === 'audio' ? BUCKETS.AUDIO : BUCKETS.PHOTOS,
+      key: r.fileUrl,
+    })),
+    ...documentRows.map((r) => ({ bucket: BUCKETS.DOCUMENTS, key: r.fileUrl })),
+  ];
+
+  await db.delete(familyTrees).where(eq(familyTrees.id, treeId));
+
+  // Non-fatal: deleteFile logs and continues on failure
+  for (const file of files) {
+    await deleteFile(file.bucket, file.key);
+  }
+
+  logger.info('Tree purged', { treeId, files: files.length });
+
+  return { files: files.length };
+}
@@ -0,0 +1,54 @@
+import sharp from 'sharp';
+import { badRequest } from './errors.js';
+import logger from './logger.js';
+
+const AVATAR_SIZE = 400;
+
+/**
+ * Turn an uploaded image into a 400×400 WebP avatar.
+ * EXIF orientation is applied first, then the optional crop box, then the
+ * resize. Re-encoding to WebP also strips the original image metadata.
+ *
+ * The crop box is given as fractions (0–1) of the oriented image, so clients
+ * can send what the user selected on screen without knowing the pixel size.
+ *
+ * @param {Buffer} buffer - Source image
+ * @param {{ x: number, y: number, width: number, height: number }} [crop]
+ * @returns {Promise<Buffer>} WebP buffer
+ * @throws {AppError} 400 if the image cannot be processed
+ */
+export async function processAvatarImage(buffer, crop) {
+  let output;
+  try {
+    let source = buffer;
+
+    if (crop) {
+      const { data, info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+      const left = Math.floor(crop.x * info.width);
+      const top = Math.floor(crop.y * info.height);
+      source = await sharp(data)
+        .extract({
+          left,
+          top,
+          width: Math.max(1, Math.min(Math.round(crop.width * info.width), info.width - left)),
+          height: Math.max(1, Math.min(Math.round(crop.height * info.height), info.height - top)),
+        })
+        .toBuffer();
+    }
+
+    output = await sharp(source)
+      .rotate()
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover', position: 'centre' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch (err) {
+    logger.error('Image processing failed', { error: err.message });
+    throw badRequest('Invalid image file');
+  }
+
+  if (!output || output.length === 0) {
+    throw badRequest('Invalid image file');
+  }
+
+  return output;
+}
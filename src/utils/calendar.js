@@ -0,0 +1,166 @@
+/**
+ * Historical calendar support. Bulgaria switched from the Julian to the
+ * Gregorian calendar in 1916 (31 March was followed by 14 April), so church
+ * registers before then are Old Style. Dates are stored as recorded, with
+ * a `<prefix>Calendar` flag, and converted to Gregorian whenever they are
+ * compared or placed on today's calendar.
+ *
+ * Qualified dates ("about 1900", "before 1880", "between 1875 and 1878")
+ * use `<prefix>Qualifier`; "between" keeps its upper bound in
+ * `<prefix>ToYear/Month/Day`.
+ */
+
+export const CALENDARS = ['gregorian', 'julian'];
+export const DATE_QUALIFIERS = ['about', 'before', 'after', 'between'];
+
+/**
+ * Whether a day exists in the given month and calendar (Julian has a
+ * 29 February in every fourth year, 1900 included).
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @param {number} day
+ * @param {'gregorian'|'julian'} [calendar]
+ * @returns {boolean}
+ */
+export function isValidDate(year, month, day, calendar = 'gregorian') {
+  return day >= 1 && day <= daysInMonth(year, month, calendar);
+}
+
+/**
+ * Number of days in a month.
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @param {'gregorian'|'julian'} [calendar]
+ * @returns {number}
+ */
+export function daysInMonth(year, month, calendar = 'gregorian') {
+  if (month === 2) return isLeapYear(year, calendar) ? 29 : 28;
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * Convert a full Julian date to the Gregorian calendar
+ * (12 days apart in the 19th century, 13 from March 1900 to 1916).
+ * @param {{ year: number, month: number, day: number }} date
+ * @returns {{ year: number, month: number, day: number }}
+ */
+export function julianToGregorian({ year, month, day }) {
+  return fromDayNumber(toDayNumber(year, month, day, 'julian'));
+}
+
+/**
+ * A stored partial date in Gregorian terms. Only full Julian dates are
+ * converted; a Julian year or month is kept as it is (the shift is under
+ * two weeks, so it can only be off by one month at the edges).
+ * @param {{ year: number, month?: number|null, day?: number|null }} date
+ * @param {string|null} [calendar]
+ * @returns {{ year: number, month: number|null, day: number|null }}
+ */
+export function toGregorian({ year, month = null, day = null }, calendar = 'gregorian') {
+  if (calendar === 'julian' && month != null && day != null) {
+    return julianToGregorian({ year, month, day });
+  }
+  return { year, month: month ?? null, day: day ?? null };
+}
+
+/**
+ * The Gregorian date of an exact, fully known date — birthdays and
+ * anniversaries recur on its month and day, and its year is the one to
+ * count ages from. Qualified or partial dates have no anniversary.
+ * @param {object} row
+ * @param {string} prefix - Column prefix ('birth', 'death', 'marriage', …)
+ * @returns {{ year: number, month: number, day: number }|null}
+ */
+export function anniversaryOf(row, prefix) {
+  const year = row[`${prefix}Year`];
+  const month = row[`${prefix}Month`];
+  const day = row[`${prefix}Day`];
+  if (year == null || month == null || day == null || row[`${prefix}Qualifier`]) return null;
+
+  return toGregorian({ year, month, day }, row[`${prefix}Calendar`]);
+}
+
+/**
+ * Check the qualifier and upper bound of a date as sent by a client:
+ * "between" needs `<prefix>ToYear`, a to-date needs "between", a to-day
+ * needs its month and a to-month its year, and the upper bound can't come
+ * before the date itself. Missing fields are not checked.
+ * @param {object} data
+ * @param {string} prefix - e.g. "birth"
+ * @returns {boolean}
+ */
+export function isValidDateRange(data, prefix) {
+  const part = (field) => data[`${prefix}${field}`] ?? null;
+  const qualifier = data[`${prefix}Qualifier`];
+
+  if (qualifier === 'between' && (part('Year') === null || part('ToYear') === null)) return false;
+  if (part('ToYear') !== null && qualifier !== 'between') return false;
+  if (part('ToDay') !== null && part('ToMonth') === null) return false;
+  if (part('ToMonth') !== null && part('ToYear') === null) return false;
+
+  for (const unit of ['Year', 'Month', 'Day']) {
+    const from = part(unit);
+    const to = part(`To${unit}`);
+    if (from === null || to === null) return true;
+    if (to < from) return false;
+    if (to > from) return true;
+  }
+  return true;
+}
+
+/**
+ * Keep an update from leaving a stale qualifier behind: clearing a date's
+ * year clears its qualifier and upper bound, and changing the qualifier to
+ * anything but "between" clears the upper bound.
+ * @param {object} updates - Validated update fields
+ * @param {string} prefix
+ * @returns {object} updates, with the stale fields set to null
+ */
+export function clearStaleDateRange(updates, prefix) {
+  const range = {
+    [`${prefix}ToYear`]: null,
+    [`${prefix}ToMonth`]: null,
+    [`${prefix}ToDay`]: null,
+  };
+  if (updates[`${prefix}Year`] === null) {
+    return { ...updates, [`${prefix}Qualifier`]: null, ...range };
+  }
+
+  const qualifier = updates[`${prefix}Qualifier`];
+  if (qualifier === undefined || qualifier === 'between') return updates;
+  return { ...updates, ...range };
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+function isLeapYear(year, calendar) {
+  if (calendar === 'julian') return year % 4 === 0;
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/** Julian Day Number of a date. */
+function toDayNumber(year, month, day, calendar) {
+  const a = Math.floor((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  const base = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4);
+  return calendar === 'julian'
+    ? base - 32083
+    : base - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+/** Gregorian date for a Julian Day Number. */
+function fromDayNumber(jdn) {
+  const a = jdn + 32044;
+  const b = Math.floor((4 * a + 3) / 146097);
+  const c = a - Math.floor((146097 * b) / 4);
+  const d = Math.floor((4 * c + 3) / 1461);
+  const e = c - Math.floor((1461 * d) / 4);
+  const m = Math.floor((5 * e + 2) / 153);
+
+  return {
+    year: 100 * b + d - 4800 + Math.floor(m / 10),
+    month: m + 3 - 12 * Math.floor(m / 10),
+    day: e - Math.floor((153 * m + 2) / 5) + 1,
+  };
+}
@@ -0,0 +1,378 @@
+/**
+ * Family chart layout. Each layout function turns a nested family tree
+ * (as returned by pedigree.service.js with format=nested) into a list of
+ * drawing primitives in PDF points (1/72 inch), which chartRender.js draws
+ * as SVG or PDF — so both formats always look the same.
+ *
+ * Primitives:
+ *   { kind: 'rect', x, y, width, height, radius, fill, stroke }
+ *   { kind: 'line', points: [[x, y], ...], stroke }
+ *   { kind: 'path', d, fill, stroke }                 SVG path data
+ *   { kind: 'text', x, y, text, size, bold, color, anchor: 'start'|'middle'|'end', rotate? }
+ *                                                     y is the baseline; rotate (deg) is around (x, y)
+ *   { kind: 'avatar', cx, cy, r, avatarKey }          circle-clipped relative avatar
+ */
+
+/** Paper sizes in points, portrait. */
+export const PAPER_SIZES = {
+  A4: [595.28, 841.89],
+  A3: [841.89, 1190.55],
+  A2: [1190.55, 1683.78],
+  A1: [1683.78, 2383.94],
+  LETTER: [612, 792],
+};
+
+const MARGIN = 36;
+const TITLE_HEIGHT = 44;
+const FOOTER_HEIGHT = 18;
+
+const COLORS = {
+  text: '#2b2b2b',
+  muted: '#6b6b6b',
+  line: '#8a8a8a',
+  cardStroke: '#b9a98f',
+  paternal: '#e3ecf5',
+  maternal: '#f6e4e6',
+  root: '#efe6d2',
+};
+
+/** Average glyph width of DejaVu Sans, as a fraction of the font size. */
+const CHAR_WIDTH = { regular: 0.55, bold: 0.62 };
+
+const TITLES = {
+  pedigree: 'Родословие на',
+  descendant: 'Потомци на',
+  fan: 'Родословно ветрило на',
+};
+
+/**
+ * Lay out a chart on one page.
+ * @param {'pedigree'|'descendant'|'fan'} type
+ * @param {object} root - Nested tree root (`parents` for pedigree/fan, `children` for descendant)
+ * @param {{ generations: number, paper: string, orientation: 'landscape'|'portrait', avatars: boolean }} options
+ * @returns {{ width: number, height: number, items: object[] }}
+ */
+export function layoutChart(type, root, { generations, paper, orientation, avatars }) {
+  const [short, long] = PAPER_SIZES[paper];
+  const [width, height] = orientation === 'portrait' ? [short, long] : [long, short];
+
+  const area = {
+    x: MARGIN,
+    y: MARGIN + TITLE_HEIGHT,
+    width: width - 2 * MARGIN,
+    height: height - 2 * MARGIN - TITLE_HEIGHT - FOOTER_HEIGHT,
+  };
+
+  const items = [
+    text(width / 2, MARGIN + 20, `${TITLES[type]} ${root.fullName}`, 18, { bold: true, anchor: 'middle' }),
+    text(width / 2, MARGIN + 36, lifeYears(root), 11, { color: COLORS.muted, anchor: 'middle' }),
+  ];
+
+  const layouts = { pedigree: layoutPedigree, descendant: layoutDescendants, fan: layoutFan };
+  items.push(...layouts[type](root, area, generations, avatars));
+
+  items.push(
+    text(width - MARGIN, height - MARGIN + 4, `KinTales · ${new Date().toISOString().slice(0, 10)}`, 7, {
+      color: COLORS.muted,
+      anchor: 'end',
+    }),
+  );
+
+  return { width, height, items };
+}
+
+/**
+ * "1920 – 1995", "1950 –", "? – 1995" or "" when nothing is known.
+ * @param {{ birthYear?: number|null, deathYear?: number|null, status?: string }} person
+ * @returns {string}
+ */
+export function lifeYears(person) {
+  const birth = person.birthYear ?? null;
+  const death = person.deathYear ?? null;
+  if (birth === null && death === null) return person.status === 'DECEASED' ? '†' : '';
+  if (death === null) return person.status === 'DECEASED' ? `${birth} – ?` : `${birth} –`;
+  return `${birth ?? '?'} – ${death}`;
+}
+
+// ── Pedigree (ancestors, root on the left) ───────────────────
+
+function layoutPedigree(root, area, generations, avatars) {
+  const items = [];
+  const columnWidth = area.width / (generations + 1);
+  const boxWidth = columnWidth - 24;
+
+  const place = (person, generation, slot, lineage) => {
+    const slotHeight = area.height / 2 ** generation;
+    const boxHeight = Math.min(64, slotHeight - 6);
+    const x = area.x + generation * columnWidth;
+    const cy = area.y + (slot + 0.5) * slotHeight;
+
+    items.push(...card(person, x, cy - boxHeight / 2, boxWidth, boxHeight, {
+      fill: generation === 0 ? COLORS.root : COLORS[lineage],
+      avatars,
+    }));
+
+    if (generation === generations) return;
+
+    const parents = orderParents(person.parents ?? []);
+    parents.forEach((parent, i) => {
+      if (!parent) return;
+      const parentSlot = slot * 2 + i;
+      const parentCy = area.y + (parentSlot + 0.5) * (area.height / 2 ** (generation + 1));
+      const parentX = x + columnWidth;
+      const elbowX = x + boxWidth + (columnWidth - boxWidth) / 2;
+
+      items.push(line([[x + boxWidth, cy], [elbowX, cy], [elbowX, parentCy], [parentX, parentCy]]));
+      place(parent, generation + 1, parentSlot, generation === 0 ? (i === 0 ? 'paternal' : 'maternal') : lineage);
+    });
+  };
+
+  place(root, 0, 0, 'root');
+  return items;
+}
+
+// ── Descendants (root on top) ────────────────────────────────
+
+function layoutDescendants(root, area, generations, avatars) {
+  const items = [];
+
+  const leaves = new Map();
+  const countLeaves = (person, level) => {
+    const children = level < generations ? sortByBirth(person.children ?? []) : [];
+    const count = children.length === 0
+      ? 1
+      : children.reduce((sum, child) => sum + countLeaves(child, level + 1), 0);
+    leaves.set(person, count);
+    return count;
+  };
+  const total = countLeaves(root, 0);
+
+  const unitWidth = area.width / total;
+  const levelHeight = area.height / (generations + 1);
+  const boxWidth = Math.min(160, unitWidth - 8);
+  const boxHeight = Math.min(56, levelHeight - 28);
+
+  const place = (person, level, firstLeaf) => {
+    const cx = area.x + (firstLeaf + leaves.get(person) / 2) * unitWidth;
+    const y = area.y + level * levelHeight;
+
+    items.push(...card(person, cx - boxWidth / 2, y, boxWidth, boxHeight, {
+      fill: level === 0 ? COLORS.root : COLORS.paternal,
+      avatars,
+    }));
+
+    const children = level < generations ? sortByBirth(person.children ?? []) : [];
+    if (children.length === 0) return;
+
+    const barY = y + boxHeight + (levelHeight - boxHeight) / 2;
+    items.push(line([[cx, y + boxHeight], [cx, barY]]));
+
+    let leaf = firstLeaf;
+    const childCenters = [];
+    for (const child of children) {
+      const childCx = area.x + (leaf + leaves.get(child) / 2) * unitWidth;
+      childCenters.push(childCx);
+      items.push(line([[childCx, barY], [childCx, y + levelHeight]]));
+      place(child, level + 1, leaf);
+      leaf += leaves.get(child);
+    }
+
+    if (childCenters.length > 1) {
+      items.push(line([[childCenters[0], barY], [childCenters[childCenters.length - 1], barY]]));
+    }
+  };
+
+  place(root, 0, 0);
+  return items;
+}
+
+// ── Fan (ancestors as a half circle, root at the bottom centre) ──
+
+function layoutFan(root, area, generations, avatars) {
+  const items = [];
+  const radius = Math.min(area.width / 2, area.height - 8);
+  const cx = area.x + area.width / 2;
+  const cy = area.y + area.height - (area.height - radius) / 2;
+  const innerRadius = radius / (generations + 1);
+  const ringWidth = (radius - innerRadius) / generations;
+
+  // Root: half disc
+  items.push({
+    kind: 'path',
+    d: `M ${f(cx - innerRadius)} ${f(cy)} A ${f(innerRadius)} ${f(innerRadius)} 0 0 1 ${f(cx + innerRadius)} ${f(cy)} Z`,
+    fill: COLORS.root,
+    stroke: COLORS.cardStroke,
+  });
+  const rootSize = Math.min(12, innerRadius / 6);
+  if (avatars && root.avatarUrl) {
+    const r = innerRadius * 0.3;
+    items.push({ kind: 'avatar', cx, cy: cy - innerRadius * 0.62, r, avatarKey: root.avatarUrl });
+  }
+  items.push(
+    text(cx, cy - innerRadius * 0.2, fit(root.fullName, innerRadius * 1.6, rootSize, true), rootSize, {
+      bold: true,
+      anchor: 'middle',
+    }),
+    text(cx, cy - innerRadius * 0.2 + rootSize * 1.2, lifeYears(root), rootSize * 0.85, {
+      color: COLORS.muted,
+      anchor: 'middle',
+    }),
+  );
+
+  const place = (person, generation, slot, lineage) => {
+    const span = Math.PI / 2 ** generation;
+    const start = Math.PI + slot * span;
+    const end = start + span;
+    const inner = innerRadius + (generation - 1) * ringWidth;
+    const outer = inner + ringWidth;
+
+    items.push({
+      kind: 'path',
+      d: wedge(cx, cy, inner, outer, start, end),
+      fill: COLORS[lineage],
+      stroke: COLORS.cardStroke,
+    });
+
+    const middle = (start + end) / 2;
+    const middleRadius = (inner + outer) / 2;
+    const degrees = (middle * 180) / Math.PI;
+    const px = cx + middleRadius * Math.cos(middle);
+    const py = cy + middleRadius * Math.sin(middle);
+    const years = lifeYears(person);
+
+    if (generation <= 2) {
+      // Inner rings are wide: text follows the arc
+      const room = middleRadius * span - 8;
+      const size = Math.max(4, Math.min(11, ringWidth / 4));
+      items.push(
+        text(px, py, fit(person.fullName, room, size, true), size, { bold: true, anchor: 'middle', rotate: degrees + 90 }),
+        ...(years
+          ? [rotatedOffset(px, py, degrees + 90, 0, size * 1.2, years, size * 0.85)]
+          : []),
+      );
+    } else {
+      // Outer rings are narrow: text runs along the radius, never upside down
+      const rotate = degrees < 270 ? degrees + 180 : degrees;
+      const room = ringWidth - 8;
+      const size = Math.max(3.5, Math.min(10, middleRadius * span * 0.38));
+      const lineGap = years ? size * 0.55 : 0;
+      items.push(
+        rotatedOffset(px, py, rotate, 0, -lineGap, fit(person.fullName, room, size, true), size, true),
+        ...(years ? [rotatedOffset(px, py, rotate, 0, lineGap + size * 0.8, years, size * 0.85)] : []),
+      );
+    }
+
+    if (generation === generations) return;
+
+    orderParents(person.parents ?? []).forEach((parent, i) => {
+      if (parent) place(parent, generation + 1, slot * 2 + i, lineage);
+    });
+  };
+
+  orderParents(root.parents ?? []).forEach((parent, i) => {
+    if (parent) place(parent, 1, i, i === 0 ? 'paternal' : 'maternal');
+  });
+
+  return items;
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/** A person card: box, optional avatar, name and life years. */
+function card(person, x, y, width, height, { fill, avatars }) {
+  const items = [{ kind: 'rect', x, y, width, height, radius: Math.min(6, height / 4), fill, stroke: COLORS.cardStroke }];
+
+  const size = Math.max(4, Math.min(11, height * 0.26));
+  let textX = x + 6;
+  let room = width - 12;
+
+  if (avatars && person.avatarUrl && height >= 28) {
+    const r = (height - 10) / 2;
+    items.push({ kind: 'avatar', cx: x + 5 + r, cy: y + height / 2, r, avatarKey: person.avatarUrl });
+    textX += 2 * r + 4;
+    room -= 2 * r + 4;
+  }
+
+  const years = lifeYears(person);
+  const nameY = years ? y + height / 2 - size * 0.15 : y + height / 2 + size * 0.35;
+  items.push(text(textX, nameY, fit(person.fullName, room, size, true), size, { bold: true }));
+  if (years) {
+    items.push(text(textX, nameY + size * 1.25, fit(years, room, size * 0.85), size * 0.85, { color: COLORS.muted }));
+  }
+
+  return items;
+}
+
+/**
+ * Two parent slots: father first and mother second when genders are known,
+ * blood parents before adoptive ones. Unknown genders fill whichever slot is free.
+ */
+function orderParents(parents) {
+  const ranked = [...parents].sort(
+    (a, b) => Number(a.relationshipType === 'adopted') - Number(b.relationshipType === 'adopted'),
+  );
+  const slots = [null, null];
+  const father = ranked.find((p) => p.gender === 'MALE');
+  const mother = ranked.find((p) => p.gender === 'FEMALE');
+  if (father) slots[0] = father;
+  if (mother) slots[1] = mother;
+
+  for (const parent of ranked) {
+    if (slots.includes(parent)) continue;
+    const free = slots.indexOf(null);
+    if (free === -1) break;
+    slots[free] = parent;
+  }
+
+  return slots;
+}
+
+function sortByBirth(people) {
+  return [...people].sort((a, b) => (a.birthYear ?? Infinity) - (b.birthYear ?? Infinity));
+}
+
+/** Annular sector between two radii and two angles (radians, clockwise in SVG space). */
+function wedge(cx, cy, inner, outer, start, end) {
+  const point = (r, angle) => `${f(cx + r * Math.cos(angle))} ${f(cy + r * Math.sin(angle))}`;
+  return [
+    `M ${point(outer, start)}`,
+    `A ${f(outer)} ${f(outer)} 0 0 1 ${point(outer, end)}`,
+    `L ${point(inner, end)}`,
+    `A ${f(inner)} ${f(inner)} 0 0 0 ${point(inner, start)}`,
+    'Z',
+  ].join(' ');
+}
+
+/** Text placed at (dx, dy) in a frame rotated around (x, y). */
+function rotatedOffset(x, y, rotate, dx, dy, value, size, bold = false) {
+  const angle = (rotate * Math.PI) / 180;
+  return text(
+    x + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y + dx * Math.sin(angle) + dy * Math.cos(angle),
+    value,
+    size,
+    { bold, anchor: 'middle', rotate, color: bold ? COLORS.text : COLORS.muted },
+  );
+}
+
+/** Truncate text with an ellipsis so it fits `room` points at `size`. */
+function fit(value, room, size, bold = false) {
+  const charWidth = size * (bold ? CHAR_WIDTH.bold : CHAR_WIDTH.regular);
+  const maxChars = Math.floor(room / charWidth);
+  if (value.length <= maxChars) return value;
+  if (maxChars <= 1) return '';
+  return `${value.slice(0, maxChars - 1).trimEnd()}…`;
+}
+
+function text(x, y, value, size, { bold = false, color = COLORS.text, anchor = 'start', rotate } = {}) {
+  return { kind: 'text', x, y, text: value, size, bold, color, anchor, ...(rotate !== undefined && { rotate }) };
+}
+
+function line(points) {
+  return { kind: 'line', points, stroke: COLORS.line };
+}
+
+/** Round coordinates for compact path data. */
+function f(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,149 @@
+/**
+ * Draw a chart layout (see chartLayout.js) as SVG or PDF.
+ * Avatars are passed in already fetched: a Map of avatar object key → PNG buffer.
+ * Keys missing from the map are simply not drawn.
+ */
+
+import PDFDocument from 'pdfkit';
+
+const FONT_FAMILY = "'DejaVu Sans', 'Noto Sans', Arial, sans-serif";
+
+/**
+ * @param {{ width: number, height: number, items: object[] }} layout
+ * @param {Map<string, Buffer>} avatars
+ * @param {string} title - Document title
+ * @returns {string} Standalone SVG document
+ */
+export function renderSvg(layout, avatars, title) {
+  const defs = [];
+  const body = [];
+  let clipId = 0;
+
+  for (const item of layout.items) {
+    switch (item.kind) {
+      case 'rect':
+        body.push(
+          `<rect x="${f(item.x)}" y="${f(item.y)}" width="${f(item.width)}" height="${f(item.height)}" rx="${f(item.radius)}" fill="${item.fill}" stroke="${item.stroke}" stroke-width="0.75"/>`,
+        );
+        break;
+      case 'line':
+        body.push(
+          `<polyline points="${item.points.map(([x, y]) => `${f(x)},${f(y)}`).join(' ')}" fill="none" stroke="${item.stroke}" stroke-width="0.75"/>`,
+        );
+        break;
+      case 'path':
+        body.push(`<path d="${item.d}" fill="${item.fill}" stroke="${item.stroke}" stroke-width="0.75"/>`);
+        break;
+      case 'text': {
+        const anchor = { start: 'start', middle: 'middle', end: 'end' }[item.anchor];
+        const transform = item.rotate !== undefined
+          ? ` transform="rotate(${f(item.rotate)} ${f(item.x)} ${f(item.y)})"`
+          : '';
+        body.push(
+          `<text x="${f(item.x)}" y="${f(item.y)}" font-size="${f(item.size)}"${item.bold ? ' font-weight="bold"' : ''} fill="${item.color}" text-anchor="${anchor}"${transform}>${escapeXml(item.text)}</text>`,
+        );
+        break;
+      }
+      case 'avatar': {
+        const image = avatars.get(item.avatarKey);
+        if (!image) break;
+        clipId += 1;
+        defs.push(`<clipPath id="a${clipId}"><circle cx="${f(item.cx)}" cy="${f(item.cy)}" r="${f(item.r)}"/></clipPath>`);
+        body.push(
+          `<image x="${f(item.cx - item.r)}" y="${f(item.cy - item.r)}" width="${f(2 * item.r)}" height="${f(2 * item.r)}" clip-path="url(#a${clipId})" href="data:image/png;base64,${image.toString('base64')}"/>`,
+        );
+        break;
+      }
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${f(layout.width)}pt" height="${f(layout.height)}pt" viewBox="0 0 ${f(layout.width)} ${f(layout.height)}" font-family="${FONT_FAMILY}">`,
+    `<title>${escapeXml(title)}</title>`,
+    '<rect width="100%" height="100%" fill="#ffffff"/>',
+    ...(defs.length > 0 ? [`<defs>${defs.join('')}</defs>`] : []),
+    ...body,
+    '</svg>',
+  ].join('\n');
+}
+
+/**
+ * @param {{ width: number, height: number, items: object[] }} layout
+ * @param {Map<string, Buffer>} avatars
+ * @param {string} title - Document title
+ * @param {{ regular: string, bold: string }} fonts - TTF paths with Cyrillic glyphs
+ * @returns {Promise<Buffer>} PDF file
+ */
+export function renderPdf(layout, avatars, title, fonts) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [layout.width, layout.height],
+      margin: 0,
+      info: { Title: title, Creator: 'KinTales' },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('regular', fonts.regular);
+    doc.registerFont('bold', fonts.bold);
+    doc.lineWidth(0.75);
+
+    for (const item of layout.items) {
+      switch (item.kind) {
+        case 'rect':
+          doc.roundedRect(item.x, item.y, item.width, item.height, item.radius).fillAndStroke(item.fill, item.stroke);
+          break;
+        case 'line': {
+          const [[x0, y0], ...rest] = item.points;
+          doc.moveTo(x0, y0);
+          for (const [x, y] of rest) doc.lineTo(x, y);
+          doc.stroke(item.stroke);
+          break;
+        }
+        case 'path':
+          doc.path(item.d).fillAndStroke(item.fill, item.stroke);
+          break;
+        case 'text': {
+          doc.font(item.bold ? 'bold' : 'regular').fontSize(item.size).fillColor(item.color);
+          const width = doc.widthOfString(item.text);
+          const dx = { start: 0, middle: -width / 2, end: -width }[item.anchor];
+          doc.save();
+          doc.translate(item.x, item.y);
+          if (item.rotate !== undefined) doc.rotate(item.rotate, { origin: [0, 0] });
+          doc.text(item.text, dx, 0, { lineBreak: false, baseline: 'alphabetic' });
+          doc.restore();
+          break;
+        }
+        case 'avatar': {
+          const image = avatars.get(item.avatarKey);
+          if (!image) break;
+          doc.save();
+          doc.circle(item.cx, item.cy, item.r).clip();
+          doc.image(image, item.cx - item.r, item.cy - item.r, { width: 2 * item.r, height: 2 * item.r });
+          doc.restore();
+          break;
+        }
+      }
+    }
+
+    doc.end();
+  });
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function f(value) {
+  return Math.round(value * 100) / 100;
+}
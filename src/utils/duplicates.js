@@ -0,0 +1,264 @@
+/**
+ * Duplicate relative scoring. Two entries are likely the same person when
+ * their names read alike (after Cyrillic/Latin transliteration, in any word
+ * order), their dates are close, and they are linked to the same people.
+ */
+
+import { normalizeSearchText } from './search.js';
+
+const MIN_NAME_SIMILARITY = 0.75;
+/** Birth or death years further apart than this rule a pair out. */
+const MAX_YEAR_GAP = 10;
+
+const WEIGHTS = { name: 0.6, dates: 0.25, shared: 0.15 };
+
+/**
+ * Most pairs scored per call. Scoring is synchronous and runs inside the
+ * request, so a tree full of namesakes must not stall the event loop;
+ * the closest-dated candidates in each block are scored first.
+ */
+const MAX_COMPARISONS = 50_000;
+
+const SYMMETRIC_TYPES = ['spouse', 'sibling', 'step_sibling'];
+
+/**
+ * Score every plausible pair of relatives.
+ * Pairs are only compared when they share a block: one name word's first
+ * three letters plus another word's initial (any order, so "Петров Иван"
+ * meets "Ivan Petrov"), and a birth decade or the next one (so births up
+ * to MAX_YEAR_GAP apart always meet). People without a birth year are
+ * compared with everyone in their name block. At most MAX_COMPARISONS
+ * pairs are scored.
+ * @param {object[]} people - Relative rows (id, fullName, gender, birth/death years)
+ * @param {object[]} edges - Relationship rows (personAId, personBId, relationshipType)
+ * @returns {{ relativeId: string, duplicateId: string, score: number, reasons: object }[]} Best first
+ */
+export function findDuplicatePairs(people, edges) {
+  const tokensById = new Map(people.map((p) => [p.id, nameTokens(p.fullName)]));
+
+  const neighbours = new Map(people.map((p) => [p.id, new Set()]));
+  const linked = new Set();
+  for (const edge of edges) {
+    neighbours.get(edge.personAId)?.add(edge.personBId);
+    neighbours.get(edge.personBId)?.add(edge.personAId);
+    linked.add(pairKey(edge.personAId, edge.personBId));
+  }
+
+  // Name block → birth decade → people; undated people per name block
+  const blocks = new Map();
+  for (const person of people) {
+    for (const nameKey of blockKeys(tokensById.get(person.id))) {
+      if (!blocks.has(nameKey)) blocks.set(nameKey, { decades: new Map(), dated: [], undated: [] });
+      const block = blocks.get(nameKey);
+      if (person.birthYear === null || person.birthYear === undefined) {
+        block.undated.push(person);
+        continue;
+      }
+      block.dated.push(person);
+      const decade = Math.floor(person.birthYear / 10);
+      for (const key of [decade, decade + 1]) {
+        if (!block.decades.has(key)) block.decades.set(key, []);
+        block.decades.get(key).push(person);
+      }
+    }
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  let comparisons = 0;
+
+  /** Score a pair once; false when the comparison budget is spent. */
+  const compare = (a, b) => {
+    const key = pairKey(a.id, b.id);
+    if (seen.has(key)) return true;
+    seen.add(key);
+
+    // Directly linked people (father and son "Иван Петров") are two people
+    if (linked.has(key)) return true;
+
+    if (comparisons >= MAX_COMPARISONS) return false;
+    comparisons++;
+
+    const pair = scorePair(a, b, tokensById, neighbours);
+    if (pair) pairs.push(pair);
+    return true;
+  };
+
+  for (const block of blocks.values()) {
+    for (const members of block.decades.values()) {
+      if (!eachPair(members, compare)) return sortPairs(pairs);
+    }
+    if (!eachPair(block.undated, compare)) return sortPairs(pairs);
+    for (const a of block.undated) {
+      for (const b of block.dated) {
+        if (!compare(a, b)) return sortPairs(pairs);
+      }
+    }
+  }
+
+  return sortPairs(pairs);
+}
+
+/**
+ * Move a duplicate's relationships onto the relative it is merged into.
+ * Links between the two become self-links and links the survivor already
+ * has become duplicates — both are dropped rather than moved.
+ * @param {object[]} edges - Every relationship row in the tree
+ * @param {string} duplicateId - Relative being merged away
+ * @param {string} survivorId - Relative that remains
+ * @returns {{ repointed: object[], removed: { row: object, reason: 'SELF_LINK'|'DUPLICATE', keptId?: string }[] }}
+ *   repointed rows carry the new personAId/personBId; DUPLICATE removals name the link kept instead
+ */
+export function repointRelationships(edges, duplicateId, survivorId) {
+  const involvesDuplicate = (e) => e.personAId === duplicateId || e.personBId === duplicateId;
+  const existing = new Map(
+    edges.filter((e) => !involvesDuplicate(e)).map((e) => [relationshipKey(e), e.id]),
+  );
+
+  const repointed = [];
+  const removed = [];
+  for (const edge of edges.filter(involvesDuplicate)) {
+    const moved = {
+      ...edge,
+      personAId: edge.personAId === duplicateId ? survivorId : edge.personAId,
+      personBId: edge.personBId === duplicateId ? survivorId : edge.personBId,
+    };
+
+    if (moved.personAId === moved.personBId) {
+      removed.push({ row: edge, reason: 'SELF_LINK' });
+    } else if (existing.has(relationshipKey(moved))) {
+      removed.push({ row: edge, reason: 'DUPLICATE', keptId: existing.get(relationshipKey(moved)) });
+    } else {
+      existing.set(relationshipKey(moved), edge.id);
+      repointed.push(moved);
+    }
+  }
+
+  return { repointed, removed };
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+function scorePair(a, b, tokensById, neighbours) {
+  if (a.gender && b.gender && a.gender !== b.gender) return null;
+
+  const nameSimilarity = compareNames(tokensById.get(a.id), tokensById.get(b.id));
+  if (nameSimilarity < MIN_NAME_SIMILARITY) return null;
+
+  const birthYearGap = yearGap(a.birthYear, b.birthYear);
+  const deathYearGap = yearGap(a.deathYear, b.deathYear);
+  if (birthYearGap > MAX_YEAR_GAP || deathYearGap > MAX_YEAR_GAP) return null;
+
+  const sharedRelativeIds = [...neighbours.get(a.id)].filter((id) => neighbours.get(b.id).has(id));
+
+  const gaps = [birthYearGap, deathYearGap].filter((gap) => gap !== null);
+  // Unknown dates neither help nor hurt
+  const dateScore = gaps.length === 0
+    ? 0.5
+    : gaps.reduce((sum, gap) => sum + (1 - gap / MAX_YEAR_GAP), 0) / gaps.length;
+  const sharedScore = Math.min(1, sharedRelativeIds.length / 2);
+
+  const score = WEIGHTS.name * nameSimilarity + WEIGHTS.dates * dateScore + WEIGHTS.shared * sharedScore;
+
+  return {
+    relativeId: a.id,
+    duplicateId: b.id,
+    score: round(score),
+    reasons: {
+      nameSimilarity: round(nameSimilarity),
+      birthYearGap,
+      deathYearGap,
+      sharedRelativeIds,
+    },
+  };
+}
+
+/**
+ * Blocking keys for a name: each word's first three letters with another
+ * word's initial. A one-word name gets its prefix alone.
+ */
+function blockKeys(tokens) {
+  if (tokens.length === 1) return [tokens[0].slice(0, 3)];
+  const keys = new Set();
+  for (const [i, token] of tokens.entries()) {
+    for (const [j, other] of tokens.entries()) {
+      if (i !== j) keys.add(`${token.slice(0, 3)}|${other[0]}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Call `fn` for every pair in `members`, closest birth years first so a
+ * spent budget drops the least likely pairs. Stops when `fn` returns false.
+ * @returns {boolean} false if stopped early
+ */
+function eachPair(members, fn) {
+  const sorted = [...members].sort((a, b) => (a.birthYear ?? 0) - (b.birthYear ?? 0));
+  for (let distance = 1; distance < sorted.length; distance++) {
+    for (let i = 0; i + distance < sorted.length; i++) {
+      if (!fn(sorted[i], sorted[i + distance])) return false;
+    }
+  }
+  return true;
+}
+
+function sortPairs(pairs) {
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+function nameTokens(fullName) {
+  return normalizeSearchText(fullName).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Similarity of two names in 0–1: the better of the names as written and
+ * with words sorted, so "Петров Иван" matches "Ivan Petrov".
+ */
+function compareNames(tokensA, tokensB) {
+  const asWritten = similarity(tokensA.join(' '), tokensB.join(' '));
+  const sorted = similarity([...tokensA].sort().join(' '), [...tokensB].sort().join(' '));
+  return Math.max(asWritten, sorted);
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 0;
+  return 1 - levenshtein(a, b) / longest;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function yearGap(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  return Math.abs(a - b);
+}
+
+function relationshipKey(edge) {
+  const pair = SYMMETRIC_TYPES.includes(edge.relationshipType)
+    ? pairKey(edge.personAId, edge.personBId)
+    : `${edge.personAId}|${edge.personBId}`;
+  return `${edge.relationshipType}|${pair}`;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
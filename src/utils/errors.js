@@ -29,5 +29,11 @@ export const validationError = (errors) => {
   return err;
 };
 
+export const consistencyError = (errors) => {
+  const err = new AppError('Genealogical consistency check failed', 422, 'CONSISTENCY_ERROR');
+  err.errors = errors;
+  return err;
+};
+
 export const internalError = (message = 'Internal server error') =>
   new AppError(message, 500, 'INTERNAL_ERROR');
@@ -0,0 +1,931 @@
+/**
+ * GEDCOM 5.5.1 / 7.0 helpers — line parser, date and name mapping, writer.
+ * Pure functions only; database work lives in gedcom.service.js and export.service.js.
+ */
+
+import { isValidDate } from './calendar.js';
+
+const LINE_REGEX = /^\s*(\d{1,2})\s+(?:(@[^@\s]+@)\s+)?([A-Za-z0-9_]+)(?: (.*))?$/;
+
+const MONTHS = {
+  JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6,
+  JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12,
+};
+
+// Qualifiers that make a date approximate or a range
+const APPROXIMATE_QUALIFIERS = new Set(['ABT', 'CAL', 'EST', 'BEF', 'AFT', 'INT']);
+const RANGE_QUALIFIERS = new Set(['BET', 'FROM', 'TO']);
+
+// GEDCOM date keyword → date qualifier (INT is an exact date read from a phrase)
+const GEDCOM_QUALIFIERS = {
+  ABT: 'about', CAL: 'about', EST: 'about',
+  BEF: 'before', AFT: 'after',
+  BET: 'between', FROM: 'between',
+};
+
+const MIN_YEAR = 1000;
+const MAX_YEAR = 2100;
+
+const MONTH_NAMES = Object.keys(MONTHS);
+
+// Max characters of a value per physical line before CONC splitting
+const MAX_LINE_VALUE = 200;
+
+// Relationship type → how it maps onto a GEDCOM family.
+// personA is the parent for parent-like types and the child for child-like types.
+const PARENT_TYPES = {
+  parent: { parent: 'A', pedigree: null },
+  child: { parent: 'B', pedigree: null },
+  adopted: { parent: 'A', pedigree: 'adopted' },
+  step_parent: { parent: 'A', pedigree: 'step' },
+  step_child: { parent: 'B', pedigree: 'step' },
+  guardian: { parent: 'A', pedigree: 'foster' },
+};
+// Pedigree → CHIL._FREL/_MREL value, for links PEDI can't express (step, or
+// parents of one family linked differently). Read back by the importer.
+const PARENT_RELATIONS = { birth: 'Natural', adopted: 'Adopted', step: 'Step', foster: 'Foster' };
+// Sibling link type → INDI.ASSO RELA value, for links no FAM record carries
+// (step siblings, and siblings who have parents). Read back by the importer.
+const SIBLING_RELATIONS = { sibling: 'Sibling', step_sibling: 'Step-sibling' };
+
+// Citation confidence → GEDCOM QUAY (3 = direct evidence … 0 = unreliable)
+const QUAY_BY_CONFIDENCE = { primary: 3, secondary: 2, questionable: 1, unreliable: 0 };
+
+// relative_names.name_type → NAME.TYPE (5.5.1 allows user-defined values like "religious")
+const NAME_TYPES = { birth: 'birth', married: 'married', church: 'religious', other: 'aka' };
+
+// Life event types with a GEDCOM tag of their own; the rest are EVEN + TYPE
+const LIFE_EVENT_TAGS = { education: 'EDUC', occupation: 'OCCU', emigration: 'EMIG', baptism: 'BAPM' };
+
+/**
+ * Decode a GEDCOM file buffer to a string.
+ * Supports UTF-8 (with or without BOM) and UTF-16 LE/BE with BOM.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function decodeGedcom(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    // Node has no utf16be decoder — swap bytes and decode as LE
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  const text = buffer.toString('utf8');
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+/**
+ * Parse GEDCOM text into a list of level-0 records.
+ * Each node: { level, xref, tag, value, line, children }.
+ * CONT/CONC continuation lines are folded into their parent's value.
+ * Malformed lines are reported in `errors` and skipped.
+ * @param {string} text
+ * @returns {{ records: object[], errors: { line: number, message: string }[] }}
+ */
+export function parseGedcom(text) {
+  const records = [];
+  const errors = [];
+  const stack = [];
+
+  const lines = text.split(/\r\n|\r|\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    if (raw.trim() === '') continue;
+
+    const lineNo = i + 1;
+    const match = raw.match(LINE_REGEX);
+    if (!match) {
+      errors.push({ line: lineNo, message: 'Malformed GEDCOM line' });
+      continue;
+    }
+
+    const level = parseInt(match[1], 10);
+    const node = {
+      level,
+      xref: match[2] ?? null,
+      tag: match[3].toUpperCase(),
+      value: match[4] ?? '',
+      line: lineNo,
+      children: [],
+    };
+
+    // Pop back to the parent level
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+
+    if (level === 0) {
+      records.push(node);
+      stack.length = 0;
+      stack.push(node);
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    if (!parent || parent.level !== level - 1) {
+      errors.push({ line: lineNo, message: `Unexpected level ${level}` });
+      continue;
+    }
+
+    if (node.tag === 'CONT') {
+      parent.value += `\n${node.value}`;
+      continue;
+    }
+    if (node.tag === 'CONC') {
+      parent.value += node.value;
+      continue;
+    }
+
+    parent.children.push(node);
+    stack.push(node);
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Find the first direct child with the given tag.
+ * @param {object} node
+ * @param {string} tag
+ * @returns {object|undefined}
+ */
+export function findChild(node, tag) {
+  return node.children.find((c) => c.tag === tag);
+}
+
+/**
+ * Find all direct children with the given tag.
+ * @param {object} node
+ * @param {string} tag
+ * @returns {object[]}
+ */
+export function findChildren(node, tag) {
+  return node.children.filter((c) => c.tag === tag);
+}
+
+/**
+ * Parse a GEDCOM date value into the repo's partial-date convention.
+ * Handles plain dates ("12 MAR 1920", "MAR 1920", "1920"), qualifiers
+ * (ABT/CAL/EST/BEF/AFT/INT), ranges (BET … AND …, FROM … TO …) and
+ * dual years ("1750/51"). The first date is returned as year/month/day;
+ * a qualifier maps to the repo's `about`/`before`/`after`/`between`, with
+ * the upper bound of a range in `to`. Qualified and INT dates are flagged
+ * `approximate`.
+ *
+ * @param {string} value - Raw DATE value
+ * @returns {{ year: number, month: number|null, day: number|null, approximate: boolean, calendar: string, qualifier: string|null, to: { year: number, month: number|null, day: number|null }|null }|null}
+ *          null if the value cannot be mapped to a Gregorian/Julian year
+ */
+export function parseGedcomDate(value) {
+  if (!value) return null;
+
+  // INT dates carry a free-text phrase in parentheses; phrase-only dates are unparseable
+  let tokens = value
+    .replace(/\(.*\)/g, ' ')
+    .trim()
+    .toUpperCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (tokens.length === 0) return null;
+
+  // Calendar: 5.5.1 escape (@#DJULIAN@) or 7.0 keyword (JULIAN)
+  let calendar = 'GREGORIAN';
+  const isCalendarToken = (t) => /^@#D[A-Z ]+@$/.test(t) || ['GREGORIAN', 'JULIAN', 'HEBREW', 'FRENCH_R'].includes(t);
+  const calToken = tokens.find(isCalendarToken);
+  if (calToken) {
+    calendar = calToken.replace(/^@#D|@$/g, '');
+    tokens = tokens.filter((t) => !isCalendarToken(t));
+  }
+  if (calendar !== 'GREGORIAN' && calendar !== 'JULIAN') return null;
+
+  // Drop era markers; BCE years are outside the supported range anyway
+  if (tokens.some((t) => t === 'BC' || t === 'B.C.' || t === 'BCE')) return null;
+
+  let keyword = null;
+  if (APPROXIMATE_QUALIFIERS.has(tokens[0]) || RANGE_QUALIFIERS.has(tokens[0])) {
+    keyword = tokens[0];
+    tokens = tokens.slice(1);
+  }
+
+  // Split off the second date of a range
+  let endTokens = [];
+  const rangeEnd = tokens.findIndex((t) => t === 'AND' || t === 'TO');
+  if (rangeEnd !== -1) {
+    endTokens = tokens.slice(rangeEnd + 1);
+    tokens = tokens.slice(0, rangeEnd);
+  }
+
+  const gedcomCalendar = calendar === 'JULIAN' ? 'julian' : 'gregorian';
+  const date = parseDateTokens(tokens, gedcomCalendar);
+  if (!date) return null;
+
+  const to = endTokens.length > 0 ? parseDateTokens(endTokens, gedcomCalendar) : null;
+  let qualifier = GEDCOM_QUALIFIERS[keyword] ?? null;
+  if (qualifier === 'between' && !to) {
+    // "BET 1880 AND ?" or a bare "FROM 1880": all that is known is the start
+    qualifier = 'after';
+  } else if (keyword === 'TO') {
+    qualifier = 'before';
+  }
+
+  return {
+    ...date,
+    approximate: keyword !== null,
+    calendar,
+    qualifier,
+    to: qualifier === 'between' ? to : null,
+  };
+}
+
+/**
+ * Parse a GEDCOM NAME value ("Иван /Петров/") into display parts.
+ * @param {object} nameNode - NAME node (may have GIVN/SURN/NICK children)
+ * @returns {{ fullName: string, given: string|null, surname: string|null }}
+ */
+export function parseGedcomName(nameNode) {
+  const value = nameNode?.value ?? '';
+  const surnameMatch = value.match(/\/([^/]*)\//);
+
+  let given = value.replace(/\/[^/]*\//, ' ').replace(/\s+/g, ' ').trim() || null;
+  let surname = surnameMatch ? surnameMatch[1].trim() || null : null;
+
+  if (nameNode) {
+    given = given ?? (findChild(nameNode, 'GIVN')?.value.trim() || null);
+    surname = surname ?? (findChild(nameNode, 'SURN')?.value.trim() || null);
+  }
+
+  const fullName = value
+    .replace(/\//g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim() || [given, surname].filter(Boolean).join(' ');
+
+  return { fullName, given, surname };
+}
+
+/**
+ * Strip HTML tags and control characters from imported free text.
+ * @param {string} str
+ * @returns {string}
+ */
+export function cleanGedcomText(str) {
+  let result = str;
+  let prev;
+  do {
+    prev = result;
+    result = result.replace(/<[^>]*>/g, '');
+  } while (result !== prev);
+  return result.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '').trim();
+}
+
+// ── Writer ───────────────────────────────────────────────────
+
+/**
+ * Build a GEDCOM 5.5.1 (UTF-8) document from sanitized tree data.
+ * Spouse links and parent → child links are folded into FAM records;
+ * siblings without known parents share a parentless FAM; other sibling and
+ * step-sibling links become ASSO with RELA Sibling/Step-sibling. Partners are
+ * written as HUSB/WIFE by gender, falling back to link order when unknown.
+ * Places become PLAC values (smallest first: "Копривщица, Пирдоп, България");
+ * residences become RESI events and life events EDUC/OCCU/EMIG/BAPM or
+ * EVEN with a TYPE. Name records become extra NAMEs with TYPE, GIVN, SURN,
+ * NICK and ROMN; a maiden surname gets a NAME of its own. Sources become SOUR records, cited under
+ * the event they document (BIRT, DEAT, MARR, …) or the whole INDI/FAM;
+ * death record citations are written on the relative's DEAT.
+ *
+ * @param {{ tree: { name: string }, relatives: object[], relationships: object[], places?: object[], residences?: object[], lifeEvents?: object[], names?: object[], sources?: object[], citations?: object[], deathRecords?: object[] }} data
+ * @param {{ exportedAt?: Date }} [options]
+ * @returns {string} GEDCOM text (CRLF line endings)
+ */
+export function buildGedcom(
+  {
+    tree,
+    relatives,
+    relationships,
+    places = [],
+    residences = [],
+    lifeEvents = [],
+    names = [],
+    sources = [],
+    citations = [],
+    deathRecords = [],
+  },
+  { exportedAt = new Date() } = {},
+) {
+  const lines = [];
+  const push = (level, tag, value, xref) => pushGedcomLine(lines, level, tag, value, xref);
+
+  const xrefById = new Map(relatives.map((r, i) => [r.id, `@I${i + 1}@`]));
+  const families = buildFamilies(relatives, relationships, xrefById);
+  const placeNames = buildPlaceNames(places);
+  const placeOf = (placeId) => (placeId ? placeNames.get(placeId) ?? null : null);
+
+  const sourceXrefById = new Map(sources.map((s, i) => [s.id, `@S${i + 1}@`]));
+  const citationsByFact = groupCitations(citations, sourceXrefById, deathRecords);
+  const citationsFor = (id, fields) => fields.flatMap((field) => citationsByFact.get(`${id}|${field}`) ?? []);
+  const pushCitations = (level, list) => {
+    for (const citation of list) {
+      push(level, 'SOUR', sourceXrefById.get(citation.sourceId));
+      if (citation.page) push(level + 1, 'PAGE', citation.page);
+      if (citation.note) push(level + 1, 'NOTE', citation.note);
+      if (citation.confidence in QUAY_BY_CONFIDENCE) {
+        push(level + 1, 'QUAY', String(QUAY_BY_CONFIDENCE[citation.confidence]));
+      }
+    }
+  };
+
+  const residencesByPerson = new Map();
+  for (const residence of residences) {
+    if (!residencesByPerson.has(residence.relativeId)) residencesByPerson.set(residence.relativeId, []);
+    residencesByPerson.get(residence.relativeId).push(residence);
+  }
+
+  const namesByPerson = new Map();
+  for (const name of names) {
+    if (!namesByPerson.has(name.relativeId)) namesByPerson.set(name.relativeId, []);
+    namesByPerson.get(name.relativeId).push(name);
+  }
+
+  const lifeEventsByPerson = new Map();
+  for (const event of lifeEvents) {
+    if (!lifeEventsByPerson.has(event.relativeId)) lifeEventsByPerson.set(event.relativeId, []);
+    lifeEventsByPerson.get(event.relativeId).push(event);
+  }
+
+  // Sibling links not folded into a family → ASSO on person A
+  const foldedIds = new Set(families.flatMap((fam) => fam.relationshipIds));
+  const siblingLinksByPerson = new Map();
+  for (const link of relationships) {
+    if (!SIBLING_RELATIONS[link.relationshipType] || foldedIds.has(link.id)) continue;
+    if (!xrefById.has(link.personAId) || !xrefById.has(link.personBId)) continue;
+    if (!siblingLinksByPerson.has(link.personAId)) siblingLinksByPerson.set(link.personAId, []);
+    siblingLinksByPerson.get(link.personAId).push(link);
+  }
+
+  // Per-individual family links
+  const famsByPerson = new Map();
+  const famcByPerson = new Map();
+  for (const fam of families) {
+    for (const partner of fam.partners) {
+      if (!famsByPerson.has(partner)) famsByPerson.set(partner, []);
+      famsByPerson.get(partner).push(fam.xref);
+    }
+    for (const child of fam.children) {
+      if (!famcByPerson.has(child.id)) famcByPerson.set(child.id, []);
+      famcByPerson.get(child.id).push({ xref: fam.xref, pedigree: child.pedigree });
+    }
+  }
+
+  // ── Header ──
+  push(0, 'HEAD');
+  push(1, 'SOUR', 'KINTALES');
+  push(2, 'NAME', 'KinTales');
+  push(1, 'DATE', formatGedcomDate({
+    year: exportedAt.getFullYear(),
+    month: exportedAt.getMonth() + 1,
+    day: exportedAt.getDate(),
+  }));
+  push(1, 'SUBM', '@U1@');
+  push(1, 'FILE', tree.name);
+  push(1, 'GEDC');
+  push(2, 'VERS', '5.5.1');
+  push(2, 'FORM', 'LINEAGE-LINKED');
+  push(1, 'CHAR', 'UTF-8');
+  push(0, 'SUBM', null, '@U1@');
+  push(1, 'NAME', 'KinTales');
+
+  // ── Individuals ──
+  for (const rel of relatives) {
+    push(0, 'INDI', null, xrefById.get(rel.id));
+    push(1, 'NAME', formatGedcomName(rel.fullName));
+    pushCitations(2, citationsFor(rel.id, ['fullName']));
+    for (const name of namesByPerson.get(rel.id) ?? []) {
+      const given = [name.givenName, name.patronymic].filter(Boolean).join(' ') || null;
+      if (given || name.surname) {
+        push(1, 'NAME', formatStructuredName(given, name.surname));
+        push(2, 'TYPE', NAME_TYPES[name.nameType] ?? 'aka');
+        if (given) push(2, 'GIVN', given);
+        if (name.surname) push(2, 'SURN', name.surname);
+        if (name.nickname) push(2, 'NICK', name.nickname);
+        if (name.latinName) {
+          push(2, 'ROMN', name.latinName);
+          push(3, 'TYPE', 'latin');
+        }
+      } else if (name.nickname || name.latinName) {
+        push(1, 'NAME', name.nickname ?? name.latinName);
+        push(2, 'TYPE', 'aka');
+        if (name.nickname) push(2, 'NICK', name.nickname);
+      }
+      if (name.maidenSurname) {
+        push(1, 'NAME', formatStructuredName(name.givenName, name.maidenSurname));
+        push(2, 'TYPE', 'maiden');
+        push(2, 'SURN', name.maidenSurname);
+      }
+    }
+    if (rel.gender === 'MALE') push(1, 'SEX', 'M');
+    else if (rel.gender === 'FEMALE') push(1, 'SEX', 'F');
+    push(1, 'REFN', rel.id);
+    push(2, 'TYPE', 'KinTales');
+
+    // Citations of an event that isn't written go on the INDI itself
+    const personCitations = citationsFor(rel.id, ['', 'gender', 'status', 'bio']);
+    const birthCitations = citationsFor(rel.id, ['birth', 'birthPlace']);
+    const deathCitations = citationsFor(rel.id, ['death', 'deathPlace']);
+
+    const birthPlace = placeOf(rel.birthPlaceId);
+    if (rel.birthYear != null || birthPlace) {
+      push(1, 'BIRT');
+      if (rel.birthYear != null) {
+        push(2, 'DATE', formatQualifiedDate(rel, 'birth'));
+      }
+      if (birthPlace) push(2, 'PLAC', birthPlace);
+      pushCitations(2, birthCitations);
+    } else {
+      personCitations.push(...birthCitations);
+    }
+
+    const deathPlace = placeOf(rel.deathPlaceId);
+    if (rel.deathYear != null || deathPlace) {
+      push(1, 'DEAT');
+      if (rel.deathYear != null) {
+        push(2, 'DATE', formatQualifiedDate(rel, 'death'));
+      }
+      if (deathPlace) push(2, 'PLAC', deathPlace);
+      pushCitations(2, deathCitations);
+    } else if (rel.status === 'DECEASED') {
+      push(1, 'DEAT', 'Y');
+      pushCitations(2, deathCitations);
+    } else {
+      personCitations.push(...deathCitations);
+    }
+
+    for (const residence of residencesByPerson.get(rel.id) ?? []) {
+      const place = placeOf(residence.placeId);
+      if (!place) continue;
+      push(1, 'RESI');
+      const period = formatGedcomPeriod(residence);
+      if (period) push(2, 'DATE', period);
+      push(2, 'PLAC', place);
+    }
+
+    for (const event of lifeEventsByPerson.get(rel.id) ?? []) {
+      const tag = LIFE_EVENT_TAGS[event.eventType] ?? 'EVEN';
+      // EDUC and OCCU are attributes: the title ("Teacher") is their value
+      const isAttribute = tag === 'EDUC' || tag === 'OCCU';
+      push(1, tag, isAttribute ? event.title : null);
+      if (tag === 'EVEN') push(2, 'TYPE', event.title ?? 'Military service');
+      else if (!isAttribute && event.title) push(2, 'TYPE', event.title);
+      const date = formatLifeEventDate(event);
+      if (date) push(2, 'DATE', date);
+      const place = placeOf(event.placeId);
+      if (place) push(2, 'PLAC', place);
+      if (event.description) push(2, 'NOTE', event.description);
+    }
+
+    if (rel.bio) {
+      push(1, 'NOTE', rel.bio);
+    }
+    pushCitations(1, personCitations);
+
+    for (const famc of famcByPerson.get(rel.id) ?? []) {
+      push(1, 'FAMC', famc.xref);
+      if (famc.pedigree) push(2, 'PEDI', famc.pedigree);
+    }
+    for (const fams of famsByPerson.get(rel.id) ?? []) {
+      push(1, 'FAMS', fams);
+    }
+    for (const link of siblingLinksByPerson.get(rel.id) ?? []) {
+      push(1, 'ASSO', xrefById.get(link.personBId));
+      push(2, 'RELA', SIBLING_RELATIONS[link.relationshipType]);
+      pushCitations(2, citationsFor(link.id, ['']));
+    }
+  }
+
+  // ── Families ──
+  const genderById = new Map(relatives.map((r) => [r.id, r.gender]));
+  for (const fam of families) {
+    push(0, 'FAM', null, fam.xref);
+    const [first, second] = fam.partners;
+    const swap = genderById.get(first) === 'FEMALE' || genderById.get(second) === 'MALE';
+    const [husband, wife] = swap ? [second, first] : [first, second];
+    if (husband) push(1, 'HUSB', xrefById.get(husband));
+    if (wife) push(1, 'WIFE', xrefById.get(wife));
+    for (const child of fam.children) {
+      push(1, 'CHIL', xrefById.get(child.id));
+      if (child.pedigreeByParent) {
+        if (husband) push(2, '_FREL', PARENT_RELATIONS[child.pedigreeByParent.get(husband) ?? 'birth']);
+        if (wife) push(2, '_MREL', PARENT_RELATIONS[child.pedigreeByParent.get(wife) ?? 'birth']);
+      }
+    }
+    const familyCitations = fam.relationshipIds.flatMap((id) => citationsFor(id, ['']));
+    const marriageCitations = fam.relationshipIds.flatMap((id) => citationsFor(id, ['marriage', 'marriagePlace']));
+    const divorceCitations = fam.relationshipIds.flatMap((id) => citationsFor(id, ['divorce']));
+
+    const marriagePlace = placeOf(fam.marriagePlaceId);
+    if (fam.marriage || marriagePlace) {
+      push(1, 'MARR');
+      if (fam.marriage) push(2, 'DATE', fam.marriage);
+      if (marriagePlace) push(2, 'PLAC', marriagePlace);
+      pushCitations(2, marriageCitations);
+    } else {
+      familyCitations.push(...marriageCitations);
+    }
+    if (fam.divorce) {
+      push(1, 'DIV');
+      push(2, 'DATE', formatGedcomDate(fam.divorce));
+      pushCitations(2, divorceCitations);
+    } else {
+      familyCitations.push(...divorceCitations);
+    }
+    pushCitations(1, familyCitations);
+  }
+
+  // ── Sources ──
+  for (const source of sources) {
+    push(0, 'SOUR', null, sourceXrefById.get(source.id));
+    push(1, 'TITL', source.title);
+    if (source.author) push(1, 'AUTH', source.author);
+    if (source.repository || source.reference) {
+      push(1, 'REPO');
+      if (source.repository) push(2, 'NOTE', source.repository);
+      if (source.reference) push(2, 'CALN', source.reference);
+    }
+    if (source.notes) push(1, 'NOTE', source.notes);
+    push(1, 'REFN', source.id);
+    push(2, 'TYPE', 'KinTales');
+  }
+
+  push(0, 'TRLR');
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Format a partial date as a GEDCOM date ("12 MAR 1920", "MAR 1920", "1920").
+ * @param {{ year: number, month?: number|null, day?: number|null }} date
+ * @returns {string}
+ */
+export function formatGedcomDate({ year, month, day }) {
+  if (month == null) return String(year);
+  const monthName = MONTH_NAMES[month - 1];
+  return day == null ? `${monthName} ${year}` : `${day} ${monthName} ${year}`;
+}
+
+/**
+ * Format a stored date with its calendar and qualifier as a GEDCOM date
+ * ("ABT 1900", "@#DJULIAN@ 12 MAR 1880", "BET 1875 AND 1878").
+ * @param {object} row - Relative, relationship or photo row
+ * @param {string} prefix - Column prefix ('birth', 'death', 'marriage', …)
+ * @returns {string|null} null when the year is unknown
+ */
+export function formatQualifiedDate(row, prefix) {
+  const year = row[`${prefix}Year`];
+  if (year == null) return null;
+
+  const calendar = row[`${prefix}Calendar`] === 'julian' ? '@#DJULIAN@ ' : '';
+  const date = `${calendar}${formatGedcomDate({ year, month: row[`${prefix}Month`], day: row[`${prefix}Day`] })}`;
+
+  switch (row[`${prefix}Qualifier`]) {
+    case 'about':
+      return `ABT ${date}`;
+    case 'before':
+      return `BEF ${date}`;
+    case 'after':
+      return `AFT ${date}`;
+    case 'between': {
+      const toYear = row[`${prefix}ToYear`];
+      if (toYear == null) return `AFT ${date}`;
+      const to = formatGedcomDate({ year: toYear, month: row[`${prefix}ToMonth`], day: row[`${prefix}ToDay`] });
+      return `BET ${date} AND ${calendar}${to}`;
+    }
+    default:
+      return date;
+  }
+}
+
+/**
+ * Format a residence period as a GEDCOM date ("FROM 1950 TO 1962", "FROM MAR 1950", "TO 1962").
+ * @param {{ fromYear?: number|null, fromMonth?: number|null, fromDay?: number|null, toYear?: number|null, toMonth?: number|null, toDay?: number|null }} residence
+ * @returns {string|null} null when neither end is known
+ */
+export function formatGedcomPeriod(residence) {
+  const parts = [];
+  if (residence.fromYear != null) {
+    parts.push(`FROM ${formatGedcomDate({ year: residence.fromYear, month: residence.fromMonth, day: residence.fromDay })}`);
+  }
+  if (residence.toYear != null) {
+    parts.push(`TO ${formatGedcomDate({ year: residence.toYear, month: residence.toMonth, day: residence.toDay })}`);
+  }
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Format given name(s) and surname as a GEDCOM NAME value ("Мария /Иванова/").
+ * @param {string|null} given
+ * @param {string|null} surname
+ * @returns {string}
+ */
+export function formatStructuredName(given, surname) {
+  return [given, surname ? `/${surname}/` : null].filter(Boolean).join(' ');
+}
+
+/**
+ * Format a life event's date: a single date, or a FROM … TO … period when it has an end.
+ * @param {{ eventYear?: number|null, eventMonth?: number|null, eventDay?: number|null, endYear?: number|null, endMonth?: number|null, endDay?: number|null }} event
+ * @returns {string|null} null when undated
+ */
+export function formatLifeEventDate(event) {
+  if (event.endYear == null) {
+    return event.eventYear == null
+      ? null
+      : formatGedcomDate({ year: event.eventYear, month: event.eventMonth, day: event.eventDay });
+  }
+  return formatGedcomPeriod({
+    fromYear: event.eventYear,
+    fromMonth: event.eventMonth,
+    fromDay: event.eventDay,
+    toYear: event.endYear,
+    toMonth: event.endMonth,
+    toDay: event.endDay,
+  });
+}
+
+/**
+ * Format a display name as a GEDCOM NAME value.
+ * Bulgarian names are "given [patronymic] surname", so the last word is the surname.
+ * @param {string} fullName
+ * @returns {string} e.g. "Иван Петров /Иванов/"
+ */
+export function formatGedcomName(fullName) {
+  const parts = fullName.replace(/\//g, '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return parts.join(' ');
+  const surname = parts.pop();
+  return `${parts.join(' ')} /${surname}/`;
+}
+
+/**
+ * GEDCOM PLAC value for every place: its name followed by the places
+ * enclosing it, smallest first.
+ * @param {object[]} places - Sanitized places (id, name, parentId)
+ * @returns {Map<string, string>}
+ */
+function buildPlaceNames(places) {
+  const byId = new Map(places.map((p) => [p.id, p]));
+  const names = new Map();
+  for (const place of places) {
+    const parts = [];
+    const seen = new Set();
+    for (let current = place; current && !seen.has(current.id); current = byId.get(current.parentId)) {
+      seen.add(current.id);
+      parts.push(current.name.replace(/,\s*/g, ' '));
+    }
+    names.set(place.id, parts.join(', '));
+  }
+  return names;
+}
+
+/**
+ * Index citations by "<targetId>|<field>" ("" = the whole record).
+ * Death record citations are filed as the relative's "death"; citations of
+ * sources or death records that aren't exported are dropped.
+ * @param {object[]} citations
+ * @param {Map<string, string>} sourceXrefById
+ * @param {object[]} deathRecords - { id, relativeId }
+ * @returns {Map<string, object[]>}
+ */
+function groupCitations(citations, sourceXrefById, deathRecords) {
+  const ownerOfDeathRecord = new Map(deathRecords.map((d) => [d.id, d.relativeId]));
+  const byFact = new Map();
+  for (const citation of citations) {
+    if (!sourceXrefById.has(citation.sourceId)) continue;
+
+    let key;
+    if (citation.deathRecordId) {
+      const relativeId = ownerOfDeathRecord.get(citation.deathRecordId);
+      if (!relativeId) continue;
+      key = `${relativeId}|death`;
+    } else {
+      key = `${citation.relativeId ?? citation.relationshipId}|${citation.field ?? ''}`;
+    }
+
+    if (!byFact.has(key)) byFact.set(key, []);
+    byFact.get(key).push(citation);
+  }
+  return byFact;
+}
+
+/**
+ * Group relationship edges into GEDCOM families.
+ * @param {object[]} relatives
+ * @param {object[]} relationships
+ * @param {Map<string, string>} xrefById
+ * @returns {{ xref: string, partners: string[], children: { id: string, pedigree: string|null, pedigreeByParent: Map<string, string|null>|null }[], marriage: string|null, marriagePlaceId: string|null, divorce: object|null, relationshipIds: string[] }[]}
+ *   `relationshipIds` are the edges folded into the family; `pedigree` is the
+ *   FAMC.PEDI shared by all parents, `pedigreeByParent` is set instead when
+ *   there is none (step links, or parents linked differently)
+ */
+function buildFamilies(relatives, relationships, xrefById) {
+  const families = new Map();
+  const getFamily = (partners) => {
+    const key = [...partners].sort().join('|');
+    if (!families.has(key)) {
+      families.set(key, {
+        partners,
+        children: [],
+        marriage: null,
+        marriagePlaceId: null,
+        divorce: null,
+        relationshipIds: [],
+      });
+    }
+    return families.get(key);
+  };
+
+  // Only edges between exported relatives
+  const edges = relationships.filter(
+    (r) => xrefById.has(r.personAId) && xrefById.has(r.personBId),
+  );
+
+  // Spouse links → families with marriage/divorce dates
+  const spousePairs = new Set();
+  for (const rel of edges.filter((r) => r.relationshipType === 'spouse')) {
+    const fam = getFamily([rel.personAId, rel.personBId]);
+    spousePairs.add([rel.personAId, rel.personBId].sort().join('|'));
+    fam.relationshipIds.push(rel.id);
+    if (rel.marriageYear != null) {
+      fam.marriage = formatQualifiedDate(rel, 'marriage');
+    }
+    if (rel.marriagePlaceId) {
+      fam.marriagePlaceId = rel.marriagePlaceId;
+    }
+    if (rel.divorceYear != null) {
+      fam.divorce = { year: rel.divorceYear, month: rel.divorceMonth, day: rel.divorceDay };
+    }
+  }
+
+  // Parents per child (deduplicated by parent id)
+  const parentsByChild = new Map();
+  const linkIds = new Map();
+  for (const rel of edges) {
+    const mapping = PARENT_TYPES[rel.relationshipType];
+    if (!mapping) continue;
+    const parentId = mapping.parent === 'A' ? rel.personAId : rel.personBId;
+    const childId = mapping.parent === 'A' ? rel.personBId : rel.personAId;
+    if (!parentsByChild.has(childId)) parentsByChild.set(childId, new Map());
+    const parents = parentsByChild.get(childId);
+    if (!parents.has(parentId)) parents.set(parentId, mapping.pedigree);
+    const link = `${parentId}|${childId}`;
+    if (!linkIds.has(link)) linkIds.set(link, []);
+    linkIds.get(link).push(rel.id);
+  }
+
+  for (const [childId, parents] of parentsByChild) {
+    const remaining = [...parents.keys()];
+
+    // Prefer pairing parents that are spouses of each other
+    while (remaining.length > 0) {
+      const first = remaining.shift();
+      let partnerIndex = remaining.findIndex((p) => spousePairs.has([first, p].sort().join('|')));
+      if (partnerIndex === -1 && remaining.length === 1) partnerIndex = 0;
+
+      const partners = partnerIndex === -1 ? [first] : [first, remaining.splice(partnerIndex, 1)[0]];
+      const pedigreeByParent = new Map(partners.map((p) => [p, parents.get(p)]));
+      const kinds = new Set(pedigreeByParent.values());
+      const [shared] = kinds;
+      // "step" isn't a 5.5.1 PEDI value, so those links are written per parent
+      const hasSharedPedigree = kinds.size === 1 && shared !== 'step';
+      const fam = getFamily(partners);
+      fam.children.push({
+        id: childId,
+        pedigree: hasSharedPedigree ? shared : null,
+        pedigreeByParent: hasSharedPedigree ? null : pedigreeByParent,
+      });
+      for (const parentId of partners) {
+        fam.relationshipIds.push(...linkIds.get(`${parentId}|${childId}`));
+      }
+    }
+  }
+
+  // Siblings with no known parents share a parentless family; step
+  // siblings and siblings with parents are written as ASSO instead
+  const groupOf = new Map();
+  const siblingEdges = [];
+  for (const rel of edges.filter((r) => r.relationshipType === 'sibling')) {
+    if (parentsByChild.has(rel.personAId) || parentsByChild.has(rel.personBId)) continue;
+    siblingEdges.push(rel);
+    const groupA = groupOf.get(rel.personAId);
+    const groupB = groupOf.get(rel.personBId);
+    if (groupA && groupB && groupA !== groupB) {
+      for (const id of groupB) {
+        groupA.add(id);
+        groupOf.set(id, groupA);
+      }
+    } else {
+      const group = groupA ?? groupB ?? new Set();
+      group.add(rel.personAId);
+      group.add(rel.personBId);
+      groupOf.set(rel.personAId, group);
+      groupOf.set(rel.personBId, group);
+    }
+  }
+  for (const group of new Set(groupOf.values())) {
+    families.set(`siblings|${[...group].sort().join('|')}`, {
+      partners: [],
+      children: [...group].map((id) => ({ id, pedigree: null, pedigreeByParent: null })),
+      marriage: null,
+      marriagePlaceId: null,
+      divorce: null,
+      relationshipIds: siblingEdges.filter((r) => groupOf.get(r.personAId) === group).map((r) => r.id),
+    });
+  }
+
+  return [...families.values()].map((fam, i) => ({ xref: `@F${i + 1}@`, ...fam }));
+}
+
+/**
+ * Append a GEDCOM line, splitting multi-line values into CONT lines and
+ * long values into CONC lines.
+ * @param {string[]} lines - Output buffer (mutated)
+ * @param {number} level
+ * @param {string} tag
+ * @param {string|null} [value]
+ * @param {string} [xref]
+ */
+function pushGedcomLine(lines, level, tag, value, xref) {
+  const prefix = xref ? `${level} ${xref} ${tag}` : `${level} ${tag}`;
+  if (value == null || value === '') {
+    lines.push(prefix);
+    return;
+  }
+
+  const [first, ...rest] = String(value).split(/\r\n|\r|\n/);
+  const emit = (head, text) => {
+    const [part, ...tail] = splitLongValue(text);
+    lines.push(part ? `${head} ${part}` : head);
+    for (const more of tail) {
+      lines.push(`${level + 1} CONC ${more}`);
+    }
+  };
+
+  emit(prefix, first);
+  for (const line of rest) {
+    emit(`${level + 1} CONT`, line);
+  }
+}
+
+/** Split a value into chunks of MAX_LINE_VALUE, never starting a chunk with a space. */
+function splitLongValue(text) {
+  const chunks = [];
+  let remaining = text;
+  while (remaining.length > MAX_LINE_VALUE) {
+    let cut = MAX_LINE_VALUE;
+    while (cut > 1 && remaining[cut] === ' ') cut--;
+    chunks.push(remaining.slice(0, cut));
+    remaining = remaining.slice(cut);
+  }
+  chunks.push(remaining);
+  return chunks;
+}
+
+/** Parse a year token, accepting dual years like "1750/51". */
+function parseYear(token) {
+  const match = token.match(/^(\d{3,4})(?:\/\d{1,2})?$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parse "12 MAR 1920", "MAR 1920" or "1920" tokens, or null when unusable.
+ * An impossible day (e.g. 30 FEB) is dropped rather than rejecting the date.
+ */
+function parseDateTokens(tokens, calendar) {
+  let day = null;
+  let month = null;
+  let year = null;
+
+  if (tokens.length === 3) {
+    day = parseInt(tokens[0], 10);
+    month = MONTHS[tokens[1]] ?? null;
+    year = parseYear(tokens[2]);
+    if (!Number.isInteger(day) || month === null) return null;
+  } else if (tokens.length === 2) {
+    month = MONTHS[tokens[0]] ?? null;
+    year = parseYear(tokens[1]);
+    if (month === null) return null;
+  } else if (tokens.length === 1) {
+    year = parseYear(tokens[0]);
+  } else {
+    return null;
+  }
+
+  if (year === null || year < MIN_YEAR || year > MAX_YEAR) return null;
+
+  if (day !== null && !isValidDate(year, month, day, calendar)) {
+    day = null;
+  }
+
+  return { year, month, day };
+}
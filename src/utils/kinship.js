@@ -0,0 +1,372 @@
+/**
+ * Kinship terms (Bulgarian + English) for a path between two relatives.
+ *
+ * A path is a list of steps from the starting person ("me") to the target:
+ *   { move: 'up'|'down'|'spouse'|'sibling', kind: 'blood'|'adoptive'|'step'|'guardian', node, divorced? }
+ * where node is the relative reached by the step ({ id, gender }).
+ * The term always answers "what is the target to me?".
+ */
+
+// ── Relationship edges ───────────────────────────────────────
+
+/**
+ * How each relationship type reads from person A to person B.
+ * parent/adopted/step_parent/guardian store the parent as person A;
+ * child/step_child store the child as person A.
+ */
+const EDGE_TYPES = {
+  parent: { move: 'down', kind: 'blood' },
+  adopted: { move: 'down', kind: 'adoptive' },
+  step_parent: { move: 'down', kind: 'step' },
+  guardian: { move: 'down', kind: 'guardian' },
+  child: { move: 'up', kind: 'blood' },
+  step_child: { move: 'up', kind: 'step' },
+  spouse: { move: 'spouse', kind: 'blood' },
+  sibling: { move: 'sibling', kind: 'blood' },
+  step_sibling: { move: 'sibling', kind: 'step' },
+};
+
+const REVERSE_MOVE = { up: 'down', down: 'up', spouse: 'spouse', sibling: 'sibling' };
+
+/**
+ * Both traversal directions of a relationship row.
+ * @param {{ id: string, personAId: string, personBId: string, relationshipType: string, divorceYear?: number|null }} rel
+ * @returns {{ from: string, to: string, move: string, kind: string, relationshipId: string, relationshipType: string, divorced: boolean }[]}
+ */
+export function relationshipSteps(rel) {
+  const edge = EDGE_TYPES[rel.relationshipType];
+  if (!edge) return [];
+
+  const common = {
+    kind: edge.kind,
+    relationshipId: rel.id,
+    relationshipType: rel.relationshipType,
+    divorced: rel.divorceYear != null,
+  };
+
+  return [
+    { ...common, from: rel.personAId, to: rel.personBId, move: edge.move },
+    { ...common, from: rel.personBId, to: rel.personAId, move: REVERSE_MOVE[edge.move] },
+  ];
+}
+
+// ── Gendered words ───────────────────────────────────────────
+
+/** Pick the male/female form, or "m/f" when the gender is unknown. */
+function byGender(gender, male, female, unknown = `${male}/${female}`) {
+  if (gender === 'MALE') return male;
+  if (gender === 'FEMALE') return female;
+  return unknown;
+}
+
+const BG_ORDINALS_M = ['първи', 'втори', 'трети', 'четвърти', 'пети', 'шести', 'седми'];
+const BG_ORDINALS_F = ['първа', 'втора', 'трета', 'четвърта', 'пета', 'шеста', 'седма'];
+const EN_ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+function bgOrdinal(n, gender) {
+  const male = BG_ORDINALS_M[n - 1] ?? `${n}-ти`;
+  const female = BG_ORDINALS_F[n - 1] ?? `${n}-та`;
+  return byGender(gender, male, female);
+}
+
+function enOrdinal(n) {
+  return EN_ORDINALS[n - 1] ?? `${n}th`;
+}
+
+function bgGenerations(n) {
+  if (n === 1) return 'едно поколение';
+  if (n === 2) return 'две поколения';
+  return `${n} поколения`;
+}
+
+function enRemoved(n) {
+  if (n === 1) return 'once removed';
+  if (n === 2) return 'twice removed';
+  return `${n} times removed`;
+}
+
+/** "great-" prefix: 1 → "great-", 2 → "great-great-", 3+ → "3x great-". */
+function enGreat(n) {
+  if (n <= 0) return '';
+  if (n <= 2) return 'great-'.repeat(n);
+  return `${n}x great-`;
+}
+
+// ── Blood terms ──────────────────────────────────────────────
+
+/**
+ * Term for a blood relative `up` generations above the common ancestor
+ * line and `down` generations below it.
+ * @param {number} up
+ * @param {number} down
+ * @param {string|null} gender - Target's gender
+ * @param {{ parentGender?: string|null, siblingGender?: string|null, ancestorGender?: string|null }} context
+ * @returns {{ bg: string, en: string }}
+ */
+function bloodTerm(up, down, gender, { parentGender, siblingGender, ancestorGender } = {}) {
+  // Direct ancestors
+  if (down === 0) {
+    if (up === 1) return { bg: byGender(gender, 'баща', 'майка', 'родител'), en: byGender(gender, 'father', 'mother', 'parent') };
+    return {
+      bg: 'пра'.repeat(up - 2) + byGender(gender, 'дядо', 'баба'),
+      en: `${enGreat(up - 2)}${byGender(gender, 'grandfather', 'grandmother', 'grandparent')}`,
+    };
+  }
+
+  // Direct descendants
+  if (up === 0) {
+    if (down === 1) return { bg: byGender(gender, 'син', 'дъщеря', 'дете'), en: byGender(gender, 'son', 'daughter', 'child') };
+    return {
+      bg: 'пра'.repeat(down - 2) + byGender(gender, 'внук', 'внучка'),
+      en: `${enGreat(down - 2)}${byGender(gender, 'grandson', 'granddaughter', 'grandchild')}`,
+    };
+  }
+
+  if (up === 1 && down === 1) {
+    return { bg: byGender(gender, 'брат', 'сестра'), en: byGender(gender, 'brother', 'sister', 'sibling') };
+  }
+
+  // Uncles and aunts: father's brother is "чичо", mother's brother "вуйчо"
+  if (down === 1) {
+    if (up === 2) {
+      const uncle = byGender(parentGender, 'чичо', 'вуйчо', 'чичо/вуйчо');
+      return {
+        bg: byGender(gender, uncle, 'леля', `${uncle}/леля`),
+        en: byGender(gender, 'uncle', 'aunt', 'uncle/aunt'),
+      };
+    }
+    const ancestor = bloodTerm(up - 1, 0, ancestorGender).bg;
+    return {
+      bg: `${byGender(gender, 'брат', 'сестра')} на ${ancestor}`,
+      en: `${enGreat(up - 2)}${byGender(gender, 'uncle', 'aunt', 'uncle/aunt')}`,
+    };
+  }
+
+  // Nephews and nieces
+  if (up === 1) {
+    const nephew = byGender(gender, 'nephew', 'niece', 'nephew/niece');
+    if (down === 2) return { bg: byGender(gender, 'племенник', 'племенница'), en: nephew };
+    const en = `${enGreat(down - 3)}grand${nephew}`;
+    if (down === 3) return { bg: byGender(gender, 'внучат племенник', 'внучата племенница'), en };
+    const descendant = bloodTerm(0, down - 1, gender).bg;
+    return { bg: `${descendant} на ${byGender(siblingGender, 'брат', 'сестра')}`, en };
+  }
+
+  // Cousins: degree from the shorter side, "removed" from the difference
+  const degree = Math.min(up, down) - 1;
+  const removed = Math.abs(up - down);
+
+  const bgBase = degree === 1
+    ? byGender(gender, 'братовчед', 'братовчедка')
+    : `${bgOrdinal(degree, gender)} ${byGender(gender, 'братовчед', 'братовчедка')}`;
+  const enBase = `${enOrdinal(degree)} cousin`;
+
+  if (removed === 0) return { bg: bgBase, en: enBase };
+
+  return {
+    bg: `${bgBase}, ${bgGenerations(removed)} ${up > down ? 'по-горе' : 'по-долу'}`,
+    en: `${enBase} ${enRemoved(removed)}`,
+  };
+}
+
+// ── Path → term ──────────────────────────────────────────────
+
+/**
+ * Expand sibling steps into up + down so every path reads as
+ * [spouse] up* down* [spouse]. The virtual shared parent has no node.
+ */
+function toMoves(steps) {
+  const moves = [];
+  for (const step of steps) {
+    if (step.move === 'sibling') {
+      moves.push({ move: 'up', kind: step.kind, node: null });
+      moves.push({ move: 'down', kind: step.kind, node: step.node });
+    } else {
+      moves.push(step);
+    }
+  }
+  return moves;
+}
+
+/**
+ * Overall character of a path.
+ * @returns {'blood'|'adoptive'|'step'|'marriage'|'guardianship'}
+ */
+function lineageOf(steps) {
+  const kinds = new Set(steps.map((s) => (s.move === 'spouse' ? 'marriage' : s.kind)));
+  if (kinds.has('guardian')) return 'guardianship';
+  if (kinds.has('marriage')) return 'marriage';
+  if (kinds.has('step')) return 'step';
+  if (kinds.has('adoptive')) return 'adoptive';
+  return 'blood';
+}
+
+const RELATIVE = { bg: 'роднина', en: 'relative' };
+const IN_LAW = { bg: 'роднина по сватовство', en: 'relative by marriage' };
+
+/**
+ * Single non-blood parent/child/sibling link, which has its own word
+ * ("пастрок", "осиновителка", "настойник", "доведена сестра", ...).
+ */
+function directLinkTerm(step, gender) {
+  const { move, kind } = step;
+
+  if (kind === 'step') {
+    if (move === 'up') return { bg: byGender(gender, 'пастрок', 'мащеха'), en: byGender(gender, 'stepfather', 'stepmother', 'stepparent') };
+    if (move === 'down') return { bg: byGender(gender, 'доведен син', 'доведена дъщеря', 'доведено дете'), en: byGender(gender, 'stepson', 'stepdaughter', 'stepchild') };
+    return { bg: byGender(gender, 'доведен брат', 'доведена сестра'), en: byGender(gender, 'stepbrother', 'stepsister', 'stepsibling') };
+  }
+
+  if (kind === 'adoptive') {
+    if (move === 'up') return { bg: byGender(gender, 'осиновител', 'осиновителка'), en: byGender(gender, 'adoptive father', 'adoptive mother', 'adoptive parent') };
+    return { bg: byGender(gender, 'осиновен син', 'осиновена дъщеря', 'осиновено дете'), en: byGender(gender, 'adopted son', 'adopted daughter', 'adopted child') };
+  }
+
+  if (kind === 'guardian') {
+    if (move === 'up') return { bg: byGender(gender, 'настойник', 'настойница'), en: 'guardian' };
+    return { bg: byGender(gender, 'повереник', 'повереница'), en: 'ward' };
+  }
+
+  return null;
+}
+
+/**
+ * In-law terms. Bulgarian distinguishes the husband's and the wife's side,
+ * so the spouse's gender matters as much as the target's.
+ */
+function inLawTerm(pattern, moves, gender) {
+  const spouseGender = moves[0].node?.gender;
+
+  switch (pattern) {
+    case 'S':
+      if (moves[0].divorced) {
+        return { bg: byGender(gender, 'бивш съпруг', 'бивша съпруга'), en: byGender(gender, 'former husband', 'former wife', 'former spouse') };
+      }
+      return { bg: byGender(gender, 'съпруг', 'съпруга'), en: byGender(gender, 'husband', 'wife', 'spouse') };
+
+    // Spouse's parent: husband's side свекър/свекърва, wife's side тъст/тъща
+    case 'SU':
+      return {
+        bg: spouseGender === 'FEMALE'
+          ? byGender(gender, 'тъст', 'тъща')
+          : spouseGender === 'MALE'
+            ? byGender(gender, 'свекър', 'свекърва')
+            : byGender(gender, 'тъст/свекър', 'тъща/свекърва'),
+        en: byGender(gender, 'father-in-law', 'mother-in-law', 'parent-in-law'),
+      };
+
+    // Child's spouse
+    case 'DS':
+      return { bg: byGender(gender, 'зет', 'снаха'), en: byGender(gender, 'son-in-law', 'daughter-in-law', 'child-in-law') };
+
+    // Spouse's child (not mine) and parent's spouse (not my parent)
+    case 'SD':
+      return directLinkTerm({ move: 'down', kind: 'step' }, gender);
+    case 'US':
+      return directLinkTerm({ move: 'up', kind: 'step' }, gender);
+
+    // Spouse's sibling: девер/зълва (husband's), шурей/балдъза (wife's)
+    case 'SUD':
+      return {
+        bg: spouseGender === 'FEMALE'
+          ? byGender(gender, 'шурей', 'балдъза')
+          : spouseGender === 'MALE'
+            ? byGender(gender, 'девер', 'зълва')
+            : byGender(gender, 'девер/шурей', 'зълва/балдъза'),
+        en: byGender(gender, 'brother-in-law', 'sister-in-law', 'sibling-in-law'),
+      };
+
+    // Sibling's spouse: brother's wife is "снаха", sister's husband "зет"
+    case 'UDS':
+      return { bg: byGender(gender, 'зет', 'снаха'), en: byGender(gender, 'brother-in-law', 'sister-in-law', 'sibling-in-law') };
+
+    // Spouse's sibling's spouse: wives' husbands are "баджанак", husbands' wives "етърва"
+    case 'SUDS': {
+      const siblingGender = moves[2].node?.gender;
+      if (gender === 'MALE' && spouseGender === 'FEMALE' && siblingGender === 'FEMALE') {
+        return { bg: 'баджанак', en: 'brother-in-law' };
+      }
+      if (gender === 'FEMALE' && spouseGender === 'MALE' && siblingGender === 'MALE') {
+        return { bg: 'етърва', en: 'sister-in-law' };
+      }
+      return IN_LAW;
+    }
+
+    // Parents of my child's spouse
+    case 'DSU':
+      return { bg: byGender(gender, 'сват', 'сватя'), en: byGender(gender, 'co-father-in-law', 'co-mother-in-law', 'co-parent-in-law') };
+
+    // Uncle's wife: стрина (father's brother), вуйна (mother's brother); aunt's husband: калеко
+    case 'UUDS': {
+      const parentGender = moves[0].node?.gender;
+      const auntOrUncleGender = moves[2].node?.gender;
+      if (auntOrUncleGender === 'FEMALE') {
+        return { bg: byGender(gender, 'калеко', 'леля'), en: byGender(gender, 'uncle', 'aunt', 'uncle/aunt') };
+      }
+      return {
+        bg: byGender(gender, 'чичо', byGender(parentGender, 'стрина', 'вуйна', 'стрина/вуйна'), 'стрина/вуйна'),
+        en: byGender(gender, 'uncle', 'aunt', 'uncle/aunt'),
+      };
+    }
+
+    default:
+      return IN_LAW;
+  }
+}
+
+/**
+ * Work out what the target is to the starting person.
+ * @param {{ move: string, kind: string, node: { id: string, gender: string|null } }[]} steps
+ * @param {string|null} gender - Target's gender
+ * @returns {{ bg: string, en: string, lineage: string, generation: number }}
+ *   generation: how many generations the target is above (+) or below (-)
+ */
+export function describeKinship(steps, gender) {
+  const lineage = lineageOf(steps);
+  const moves = toMoves(steps);
+  const generation = moves.reduce(
+    (sum, m) => sum + (m.move === 'up' ? 1 : m.move === 'down' ? -1 : 0),
+    0,
+  );
+
+  const result = (term) => ({ ...term, lineage, generation });
+
+  // A single step/adoptive/guardian link has its own word
+  if (steps.length === 1) {
+    const direct = directLinkTerm(steps[0], gender);
+    if (direct) return result(direct);
+  }
+
+  const pattern = moves.map((m) => m.move[0].toUpperCase()).join('');
+
+  // Co-parents-in-law are the one in-law pattern that goes down and back up
+  if (pattern !== 'DSU' && !/^S?U*D*S?$/.test(pattern)) {
+    return result(pattern.includes('S') ? IN_LAW : RELATIVE);
+  }
+
+  if (pattern.includes('S')) {
+    return result(inLawTerm(pattern, moves, gender));
+  }
+
+  const up = moves.filter((m) => m.move === 'up').length;
+  const down = moves.length - up;
+
+  const term = bloodTerm(up, down, gender, {
+    parentGender: moves[0]?.node?.gender,
+    siblingGender: moves[up]?.node?.gender,
+    ancestorGender: moves[up - 2]?.node?.gender,
+  });
+
+  // Longer paths through step or adoptive links keep the blood word, qualified
+  if (lineage === 'step') {
+    return result({ bg: `${byGender(gender, 'доведен', 'доведена', 'доведен(а)')} ${term.bg}`, en: `step-${term.en}` });
+  }
+  if (lineage === 'adoptive') {
+    return result({ bg: `${term.bg} (по осиновяване)`, en: `adoptive ${term.en}` });
+  }
+  if (lineage === 'guardianship') {
+    return result(RELATIVE);
+  }
+
+  return result(term);
+}
@@ -0,0 +1,153 @@
+import sharp from 'sharp';
+import { badRequest } from './errors.js';
+import { isValidDate } from './calendar.js';
+import logger from './logger.js';
+
+// Photos taken before this can't carry an EXIF date worth trusting
+const MIN_PHOTO_YEAR = 1800;
+
+// EXIF tags (TIFF 6.0 / EXIF 2.3)
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+const TYPE_ASCII = 2;
+const TYPE_RATIONAL = 5;
+
+/**
+ * Read what a photo's EXIF says and return a copy of the file without it.
+ *
+ * The stored copy is re-encoded in its own format with EXIF orientation
+ * applied to the pixels, so GPS coordinates, camera serial numbers and
+ * editing software never reach anyone who opens the file. Only the
+ * colour profile is kept.
+ *
+ * @param {Buffer} buffer - Uploaded image (MIME already verified)
+ * @param {'image/jpeg'|'image/png'|'image/webp'} mime
+ * @returns {Promise<{ buffer: Buffer, dateTaken: { year: number, month: number, day: number }|null, orientation: 'landscape'|'portrait'|'square', location: { latitude: number, longitude: number }|null }>}
+ * @throws {AppError} 400 if the image cannot be processed
+ */
+export async function scrubPhoto(buffer, mime) {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    const exif = parseExif(metadata.exif);
+
+    let image = sharp(buffer).rotate().keepIccProfile();
+    if (mime === 'image/png') {
+      image = image.png();
+    } else if (mime === 'image/webp') {
+      image = image.webp({ quality: 92 });
+    } else {
+      image = image.jpeg({ quality: 92 });
+    }
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      dateTaken: exif.dateTaken ?? null,
+      orientation: info.width > info.height ? 'landscape' : info.width < info.height ? 'portrait' : 'square',
+      location: exif.location ?? null,
+    };
+  } catch (err) {
+    logger.error('Photo metadata processing failed', { error: err.message });
+    throw badRequest('Invalid image file');
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * The capture date and GPS position from a raw EXIF block (as returned by
+ * sharp, "Exif\0\0" + TIFF). Anything missing, malformed or implausible
+ * is left out rather than guessed.
+ */
+function parseExif(raw) {
+  if (!raw || raw.length < 14) return {};
+
+  try {
+    const tiff = raw.toString('latin1', 0, 6) === 'Exif\0\0' ? raw.subarray(6) : raw;
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return {};
+    const little = byteOrder === 'II';
+    const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    /** IFD entries by tag: { type, count, at } where `at` is where the value lives. */
+    const readIfd = (offset) => {
+      const entries = new Map();
+      if (!offset || offset + 2 > tiff.length) return entries;
+      const total = u16(offset);
+      for (let i = 0; i < total; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        const type = u16(entry + 2);
+        const count = u32(entry + 4);
+        const size = (type === TYPE_RATIONAL ? 8 : 1) * count;
+        entries.set(u16(entry), { type, count, at: size > 4 ? u32(entry + 8) : entry + 8 });
+      }
+      return entries;
+    };
+
+    const ascii = (entry) => {
+      if (!entry || entry.type !== TYPE_ASCII) return null;
+      return tiff.toString('latin1', entry.at, entry.at + entry.count).replace(/\0.*$/, '').trim();
+    };
+    const rationals = (entry) => {
+      if (!entry || entry.type !== TYPE_RATIONAL) return null;
+      return Array.from({ length: entry.count }, (_, i) => {
+        const denominator = u32(entry.at + i * 8 + 4);
+        return denominator === 0 ? NaN : u32(entry.at + i * 8) / denominator;
+      });
+    };
+
+    const ifd0 = readIfd(u32(4));
+    const exifIfd = readIfd(ifd0.get(TAG_EXIF_IFD) && u32(ifd0.get(TAG_EXIF_IFD).at));
+    const gpsIfd = readIfd(ifd0.get(TAG_GPS_IFD) && u32(ifd0.get(TAG_GPS_IFD).at));
+
+    return {
+      dateTaken: parseExifDate(
+        ascii(exifIfd.get(TAG_DATE_TIME_ORIGINAL)) ?? ascii(exifIfd.get(TAG_DATE_TIME_DIGITIZED)),
+      ),
+      location: parseGpsPosition(
+        ascii(gpsIfd.get(TAG_GPS_LATITUDE_REF)),
+        rationals(gpsIfd.get(TAG_GPS_LATITUDE)),
+        ascii(gpsIfd.get(TAG_GPS_LONGITUDE_REF)),
+        rationals(gpsIfd.get(TAG_GPS_LONGITUDE)),
+      ),
+    };
+  } catch {
+    // Offsets pointing outside the block — treat as no EXIF
+    return {};
+  }
+}
+
+/** "2004:07:15 18:03:22" → { year, month, day }, or null. */
+function parseExifDate(value) {
+  const match = value?.match(/^(\d{4}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  if (year < MIN_PHOTO_YEAR || year > new Date().getFullYear()) return null;
+  if (month < 1 || month > 12 || !isValidDate(year, month, day)) return null;
+  return { year, month, day };
+}
+
+/** Degrees/minutes/seconds with N/S, E/W references → signed decimal degrees, or null. */
+function parseGpsPosition(latRef, lat, lonRef, lon) {
+  if (!lat || !lon || lat.length < 3 || lon.length < 3) return null;
+
+  const toDegrees = ([d, m, s]) => d + m / 60 + s / 3600;
+  const latitude = toDegrees(lat) * (latRef === 'S' ? -1 : 1);
+  const longitude = toDegrees(lon) * (lonRef === 'W' ? -1 : 1);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  // 0,0 is what some cameras write when they have no fix
+  if (latitude === 0 && longitude === 0) return null;
+  return { latitude, longitude };
+}
@@ -0,0 +1,43 @@
+import sharp from 'sharp';
+import { badRequest } from './errors.js';
+import logger from './logger.js';
+
+/**
+ * Derivative sizes stored next to every photo original, by longest edge.
+ * `thumb` is for gallery grids, `medium` for phone screens and `full` for
+ * zoomed viewing — none of them is ever larger than the original.
+ */
+export const PHOTO_VARIANTS = {
+  thumb: { size: 320, quality: 75 },
+  medium: { size: 1280, quality: 80 },
+  full: { size: 2560, quality: 85 },
+};
+
+/**
+ * Render every photo derivative as WebP.
+ * EXIF orientation is applied first; re-encoding strips the original
+ * image metadata.
+ *
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Record<string, Buffer>>} WebP buffers keyed by variant name
+ * @throws {AppError} 400 if the image cannot be processed
+ */
+export async function renderPhotoVariants(buffer) {
+  const variants = {};
+  try {
+    // Decode and orient once; every size is resized from the same pixels
+    const oriented = await sharp(buffer).rotate().toBuffer();
+
+    for (const [name, { size, quality }] of Object.entries(PHOTO_VARIANTS)) {
+      variants[name] = await sharp(oriented)
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer();
+    }
+  } catch (err) {
+    logger.error('Photo variant rendering failed', { error: err.message });
+    throw badRequest('Invalid image file');
+  }
+
+  return variants;
+}
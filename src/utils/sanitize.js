@@ -28,6 +28,7 @@ export function sanitizeTree(tree, role) {
     name: tree.name,
     ownerId: tree.ownerId,
     status: tree.status,
+    deletionScheduledAt: tree.deletionScheduledAt ?? null,
     createdAt: tree.createdAt,
     ...(role !== undefined && { role }),
   };
@@ -36,20 +37,34 @@ export function sanitizeTree(tree, role) {
 /**
  * Sanitize a relative row — strip createdBy, causeOfDeath (sensitive).
  * @param {object} relative - Drizzle relatives row
+ * @param {string|null} [presignedAvatarUrl] - Replaces the avatar object key when given
  * @returns {object} Safe relative object for API responses
  */
-export function sanitizeRelative(relative) {
+export function sanitizeRelative(relative, presignedAvatarUrl) {
   return {
     id: relative.id,
     treeId: relative.treeId,
     fullName: relative.fullName,
+    gender: relative.gender,
     birthYear: relative.birthYear,
     birthMonth: relative.birthMonth,
     birthDay: relative.birthDay,
+    birthCalendar: relative.birthCalendar,
+    birthQualifier: relative.birthQualifier,
+    birthToYear: relative.birthToYear,
+    birthToMonth: relative.birthToMonth,
+    birthToDay: relative.birthToDay,
     deathYear: relative.deathYear,
     deathMonth: relative.deathMonth,
     deathDay: relative.deathDay,
-    avatarUrl: relative.avatarUrl,
+    deathCalendar: relative.deathCalendar,
+    deathQualifier: relative.deathQualifier,
+    deathToYear: relative.deathToYear,
+    deathToMonth: relative.deathToMonth,
+    deathToDay: relative.deathToDay,
+    birthPlaceId: relative.birthPlaceId,
+    deathPlaceId: relative.deathPlaceId,
+    avatarUrl: presignedAvatarUrl !== undefined ? presignedAvatarUrl : relative.avatarUrl,
     bio: relative.bio,
     status: relative.status,
     createdAt: relative.createdAt,
@@ -72,6 +87,12 @@ export function sanitizeRelationship(rel) {
     marriageYear: rel.marriageYear,
     marriageMonth: rel.marriageMonth,
     marriageDay: rel.marriageDay,
+    marriageCalendar: rel.marriageCalendar,
+    marriageQualifier: rel.marriageQualifier,
+    marriageToYear: rel.marriageToYear,
+    marriageToMonth: rel.marriageToMonth,
+    marriageToDay: rel.marriageToDay,
+    marriagePlaceId: rel.marriagePlaceId,
     divorceYear: rel.divorceYear,
     divorceMonth: rel.divorceMonth,
     divorceDay: rel.divorceDay,
@@ -82,24 +103,54 @@ export function sanitizeRelationship(rel) {
 /**
  * Sanitize a photo row — replace fileUrl with presigned URL.
  * @param {object} photo - Drizzle photos row
- * @param {string|null} presignedUrl - Presigned URL for the file
+ * @param {string|null} presignedUrl - Presigned URL for the original
+ * @param {Record<string, string|null>|null} [variantUrls] - Presigned URLs of the
+ *   thumb/medium/full derivatives, or null while they are not generated yet
  * @returns {object} Safe photo object for API responses
  */
-export function sanitizePhoto(photo, presignedUrl) {
+export function sanitizePhoto(photo, presignedUrl, variantUrls = null) {
   return {
     id: photo.id,
     relativeId: photo.relativeId,
     fileUrl: presignedUrl,
+    variants: variantUrls,
     caption: photo.caption,
     dateTakenYear: photo.dateTakenYear,
     dateTakenMonth: photo.dateTakenMonth,
     dateTakenDay: photo.dateTakenDay,
+    dateTakenCalendar: photo.dateTakenCalendar,
+    dateTakenQualifier: photo.dateTakenQualifier,
+    dateTakenToYear: photo.dateTakenToYear,
+    dateTakenToMonth: photo.dateTakenToMonth,
+    dateTakenToDay: photo.dateTakenToDay,
+    orientation: photo.orientation,
+    latitude: photo.latitude,
+    longitude: photo.longitude,
     sortOrder: photo.sortOrder,
     uploadedBy: photo.uploadedBy,
     createdAt: photo.createdAt,
   };
 }
 
+/**
+ * Sanitize a photo_tags row — the box columns become one `box` object
+ * (null when the tag has no region).
+ * @param {object} tag - Drizzle photo_tags row
+ * @returns {object} Safe photo tag for API responses
+ */
+export function sanitizePhotoTag(tag) {
+  return {
+    id: tag.id,
+    photoId: tag.photoId,
+    relativeId: tag.relativeId,
+    box: tag.boxX == null
+      ? null
+      : { x: tag.boxX, y: tag.boxY, width: tag.boxWidth, height: tag.boxHeight },
+    taggedBy: tag.taggedBy,
+    createdAt: tag.createdAt,
+  };
+}
+
 /**
  * Sanitize an audio recording row — replace fileUrl with presigned URL.
  * @param {object} audio - Drizzle audio_recordings row
@@ -228,10 +279,13 @@ export function sanitizeAttachment(attachment, presignedUrl) {
 
 /**
  * Sanitize a tree guardian row.
+ * A PENDING invitation past its expiry is reported as EXPIRED.
  * @param {object} guardian - Drizzle tree_guardians row
  * @returns {object} Safe guardian object for API responses
  */
 export function sanitizeGuardian(guardian) {
+  const expired =
+    guardian.status === 'PENDING' && guardian.expiresAt && guardian.expiresAt < new Date();
   return {
     id: guardian.id,
     treeId: guardian.treeId,
@@ -239,8 +293,10 @@ export function sanitizeGuardian(guardian) {
     guardianEmail: guardian.guardianEmail,
     guardianName: guardian.guardianName,
     assignedBy: guardian.assignedBy,
-    status: guardian.status,
+    status: expired ? 'EXPIRED' : guardian.status,
     permissions: guardian.permissions,
+    expiresAt: guardian.expiresAt,
+    respondedAt: guardian.respondedAt,
     createdAt: guardian.createdAt,
   };
 }
@@ -265,3 +321,223 @@ export function sanitizeLegacyKey(key) {
     createdAt: key.createdAt,
   };
 }
+
+/**
+ * Sanitize a tree member (tree_members joined with profiles).
+ * Email is only included for callers who manage membership (owner).
+ * @param {object} member - { userId, role, joinedAt, fullName, email }
+ * @param {string|null} presignedAvatarUrl - Presigned URL for the profile avatar
+ * @param {{ showEmail?: boolean }} [options]
+ * @returns {object} Safe member object for API responses
+ */
+export function sanitizeMember(member, presignedAvatarUrl, { showEmail = false } = {}) {
+  return {
+    userId: member.userId,
+    fullName: member.fullName,
+    avatarUrl: presignedAvatarUrl,
+    role: member.role,
+    joinedAt: member.joinedAt,
+    ...(showEmail && { email: member.email }),
+  };
+}
+
+/**
+ * Sanitize a tree invitation row — strip tokenHash.
+ * A PENDING invitation past its expiry is reported as EXPIRED.
+ * @param {object} invitation - Drizzle tree_invitations row
+ * @returns {object} Safe invitation object for API responses
+ */
+export function sanitizeInvitation(invitation) {
+  const expired = invitation.status === 'PENDING' && invitation.expiresAt < new Date();
+  return {
+    id: invitation.id,
+    treeId: invitation.treeId,
+    email: invitation.email,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy,
+    status: expired ? 'EXPIRED' : invitation.status,
+    expiresAt: invitation.expiresAt,
+    acceptedBy: invitation.acceptedBy,
+    respondedAt: invitation.respondedAt,
+    createdAt: invitation.createdAt,
+  };
+}
+
+/**
+ * Sanitize a tree ownership transfer row.
+ * A PENDING transfer past its expiry is reported as EXPIRED.
+ * @param {object} transfer - Drizzle tree_ownership_transfers row
+ * @returns {object} Safe transfer object for API responses
+ */
+export function sanitizeOwnershipTransfer(transfer) {
+  const expired = transfer.status === 'PENDING' && transfer.expiresAt < new Date();
+  return {
+    id: transfer.id,
+    treeId: transfer.treeId,
+    fromUserId: transfer.fromUserId,
+    toUserId: transfer.toUserId,
+    status: expired ? 'EXPIRED' : transfer.status,
+    expiresAt: transfer.expiresAt,
+    respondedAt: transfer.respondedAt,
+    createdAt: transfer.createdAt,
+  };
+}
+
+/**
+ * Sanitize a relative_merges row. Relative snapshots go through
+ * sanitizeRelative with no avatar: the files may no longer exist.
+ * @param {object} merge - Drizzle relative_merges row
+ * @returns {object} Safe merge record for API responses
+ */
+export function sanitizeRelativeMerge(merge) {
+  return {
+    id: merge.id,
+    treeId: merge.treeId,
+    survivorId: merge.survivorId,
+    mergedRelativeId: merge.mergedRelativeId,
+    merged: sanitizeRelative(merge.mergedSnapshot, null),
+    survivorBefore: sanitizeRelative(merge.survivorBefore, null),
+    moved: merge.moved,
+    mergedBy: merge.mergedBy,
+    createdAt: merge.createdAt,
+  };
+}
+
+/**
+ * Sanitize a place row — strip createdBy.
+ * @param {object} place - Drizzle places row
+ * @returns {object} Safe place object for API responses
+ */
+export function sanitizePlace(place) {
+  return {
+    id: place.id,
+    treeId: place.treeId,
+    name: place.name,
+    alternateNames: place.alternateNames ?? [],
+    placeType: place.placeType,
+    parentId: place.parentId,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    createdAt: place.createdAt,
+    updatedAt: place.updatedAt,
+  };
+}
+
+/**
+ * Sanitize a relative_residences row — strip createdBy.
+ * @param {object} residence - Drizzle relative_residences row
+ * @param {object|null} [sanitizedPlace] - The place, when the caller loaded it
+ * @returns {object} Safe residence object for API responses
+ */
+export function sanitizeResidence(residence, sanitizedPlace) {
+  return {
+    id: residence.id,
+    relativeId: residence.relativeId,
+    placeId: residence.placeId,
+    fromYear: residence.fromYear,
+    fromMonth: residence.fromMonth,
+    fromDay: residence.fromDay,
+    toYear: residence.toYear,
+    toMonth: residence.toMonth,
+    toDay: residence.toDay,
+    note: residence.note,
+    createdAt: residence.createdAt,
+    ...(sanitizedPlace !== undefined && { place: sanitizedPlace }),
+  };
+}
+
+/**
+ * Sanitize a source row — strip createdBy, replace fileUrl with presigned URL.
+ * @param {object} source - Drizzle sources row
+ * @param {string|null} [presignedUrl] - Presigned URL for the scanned document
+ * @returns {object} Safe source object for API responses
+ */
+export function sanitizeSource(source, presignedUrl = null) {
+  return {
+    id: source.id,
+    treeId: source.treeId,
+    title: source.title,
+    sourceType: source.sourceType,
+    author: source.author,
+    repository: source.repository,
+    reference: source.reference,
+    dateYear: source.dateYear,
+    dateMonth: source.dateMonth,
+    dateDay: source.dateDay,
+    notes: source.notes,
+    hasDocument: Boolean(source.fileUrl),
+    fileUrl: presignedUrl,
+    fileMimeType: source.fileMimeType,
+    createdAt: source.createdAt,
+    updatedAt: source.updatedAt,
+  };
+}
+
+/**
+ * Sanitize a citation row — strip createdBy.
+ * @param {object} citation - Drizzle citations row
+ * @param {object|null} [sanitizedSource] - The cited source, when the caller loaded it
+ * @returns {object} Safe citation object for API responses
+ */
+export function sanitizeCitation(citation, sanitizedSource) {
+  return {
+    id: citation.id,
+    sourceId: citation.sourceId,
+    relativeId: citation.relativeId,
+    relationshipId: citation.relationshipId,
+    deathRecordId: citation.deathRecordId,
+    field: citation.field,
+    page: citation.page,
+    note: citation.note,
+    confidence: citation.confidence,
+    createdAt: citation.createdAt,
+    updatedAt: citation.updatedAt,
+    ...(sanitizedSource !== undefined && { source: sanitizedSource }),
+  };
+}
+
+/**
+ * Sanitize a life_events row — strip createdBy.
+ * @param {object} event - Drizzle life_events row
+ * @returns {object} Safe life event object for API responses
+ */
+export function sanitizeLifeEvent(event) {
+  return {
+    id: event.id,
+    relativeId: event.relativeId,
+    eventType: event.eventType,
+    title: event.title,
+    description: event.description,
+    eventYear: event.eventYear,
+    eventMonth: event.eventMonth,
+    eventDay: event.eventDay,
+    endYear: event.endYear,
+    endMonth: event.endMonth,
+    endDay: event.endDay,
+    placeId: event.placeId,
+    createdAt: event.createdAt,
+    updatedAt: event.updatedAt,
+  };
+}
+
+/**
+ * Sanitize a relative_names row — strip createdBy.
+ * @param {object} name - Drizzle relative_names row
+ * @returns {object} Safe name record for API responses
+ */
+export function sanitizeRelativeName(name) {
+  return {
+    id: name.id,
+    relativeId: name.relativeId,
+    nameType: name.nameType,
+    givenName: name.givenName,
+    patronymic: name.patronymic,
+    surname: name.surname,
+    maidenSurname: name.maidenSurname,
+    nickname: name.nickname,
+    nameDayName: name.nameDayName,
+    latinName: name.latinName,
+    createdAt: name.createdAt,
+    updatedAt: name.updatedAt,
+  };
+}
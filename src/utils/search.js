@@ -0,0 +1,102 @@
+/**
+ * Search text normalization shared by the search service and the
+ * kt_search_normalize() SQL function (migration 0005_tree_search.sql).
+ * Both MUST produce the same output — change them together.
+ *
+ * Cyrillic is transliterated with the official Bulgarian system
+ * (щ → sht, ъ → a, ь → y, ...), so "Ivan" and "Иван" both become "ivan".
+ * A few Latin spellings are folded as well (j → y, w → v, x → ks) so
+ * "Jordan" finds "Йордан".
+ */
+
+const MULTI_CHAR = [
+  ['щ', 'sht'],
+  ['ж', 'zh'],
+  ['ц', 'ts'],
+  ['ч', 'ch'],
+  ['ш', 'sh'],
+  ['ю', 'yu'],
+  ['я', 'ya'],
+  ['j', 'y'],
+  ['x', 'ks'],
+];
+
+const SINGLE_FROM = 'абвгдезийклмнопрстуфхъьэыw';
+const SINGLE_TO = 'abvgdeziyklmnoprstufhayeyv';
+
+const SINGLE_MAP = new Map([...SINGLE_FROM].map((ch, i) => [ch, SINGLE_TO[i]]));
+
+const MAX_QUERY_TERMS = 8;
+const SNIPPET_RADIUS = 60;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Lowercase and transliterate text for searching.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+  let result = text.toLowerCase();
+  for (const [from, to] of MULTI_CHAR) {
+    result = result.replaceAll(from, to);
+  }
+  return [...result].map((ch) => SINGLE_MAP.get(ch) ?? ch).join('');
+}
+
+/**
+ * Split a user query into normalized search terms.
+ * @param {string} query
+ * @returns {string[]} Up to 8 terms of [a-z0-9] (other scripts are dropped)
+ */
+export function toSearchTerms(query) {
+  const terms = normalizeSearchText(query)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  return [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Build a prefix-matching to_tsquery() string — every term must match
+ * the start of some word ("iva" finds "Иванова").
+ * @param {string[]} terms - Output of toSearchTerms
+ * @returns {string} e.g. "ivan:* & petrov:*"
+ */
+export function toPrefixTsQuery(terms) {
+  return terms.map((term) => `${term}:*`).join(' & ');
+}
+
+/**
+ * Cut a short excerpt around the first matching word and report where the
+ * matches are, so clients can highlight them without parsing markup.
+ * @param {string} text - Original (untransliterated) text
+ * @param {string[]} terms - Output of toSearchTerms
+ * @returns {{ snippet: string, highlights: { start: number, length: number }[] }}
+ */
+export function buildSnippet(text, terms) {
+  const matches = [];
+  for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const normalized = normalizeSearchText(word[0]);
+    if (terms.some((term) => normalized.startsWith(term))) {
+      matches.push({ start: word.index, length: word[0].length });
+    }
+  }
+
+  let start = 0;
+  if (matches.length > 0 && text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, matches[0].start - SNIPPET_RADIUS);
+    // Don't start in the middle of a word
+    const space = text.lastIndexOf(' ', start);
+    start = start > 0 && space !== -1 ? space + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter((m) => m.start >= start && m.start + m.length <= end)
+      .map((m) => ({ start: m.start - start + prefix.length, length: m.length })),
+  };
+}
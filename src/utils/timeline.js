@@ -0,0 +1,134 @@
+/**
+ * Life timeline assembly — births, deaths, marriages, life events,
+ * residences, dated photos and stories in one chronological list.
+ *
+ * An item is:
+ *   { type, date: { year, month, day }|null, endDate: {…}|null, qualifier, relativeIds, placeId, record }
+ * where `record` is the raw row it came from (the service sanitizes it).
+ * Dates are Gregorian (Julian ones are converted); a qualified date keeps
+ * its qualifier, and "between" puts its upper bound in `endDate`.
+ * Pure functions only; database work lives in timeline.service.js.
+ */
+
+import { toGregorian } from './calendar.js';
+
+// Tie-break for items on the same date: a life starts with birth and ends with death
+const TYPE_ORDER = ['birth', 'life_event', 'residence', 'marriage', 'divorce', 'photo', 'story', 'death'];
+
+/**
+ * Build a sorted timeline. Birth, death, marriage, divorce and photo items
+ * need at least a year; undated life events and residences go last.
+ * Stories are placed on the day they were shared.
+ *
+ * @param {{ relatives?: object[], relationships?: object[], lifeEvents?: object[], residences?: object[], photos?: object[], stories?: object[] }} data
+ *   Rows as stored; only spouse relationships are used
+ * @param {{ types?: string[], fromYear?: number, toYear?: number }} [options]
+ *   `fromYear`/`toYear` keep items overlapping the range and drop undated ones
+ * @returns {object[]}
+ */
+export function buildTimeline(
+  { relatives = [], relationships = [], lifeEvents = [], residences = [], photos = [], stories = [] },
+  { types, fromYear, toYear } = {},
+) {
+  const items = [];
+  const add = (type, date, record, { endDate = null, qualifier = null, relativeIds = [], placeId = null } = {}) => {
+    if (types && !types.includes(type)) return;
+    items.push({ type, date, endDate, qualifier, relativeIds, placeId, record });
+  };
+  // Birth, death, marriage and photo dates can carry a calendar and qualifier
+  const addQualified = (type, row, prefix, options) => {
+    const date = partialDate(row, prefix);
+    if (!date) return;
+    add(type, date, row, {
+      ...options,
+      endDate: partialDate(row, `${prefix}To`, row[`${prefix}Calendar`]),
+      qualifier: row[`${prefix}Qualifier`] ?? null,
+    });
+  };
+
+  for (const relative of relatives) {
+    addQualified('birth', relative, 'birth', { relativeIds: [relative.id], placeId: relative.birthPlaceId });
+    addQualified('death', relative, 'death', { relativeIds: [relative.id], placeId: relative.deathPlaceId });
+  }
+
+  for (const rel of relationships) {
+    if (rel.relationshipType !== 'spouse') continue;
+    const spouses = [rel.personAId, rel.personBId];
+
+    addQualified('marriage', rel, 'marriage', { relativeIds: spouses, placeId: rel.marriagePlaceId });
+
+    const divorce = partialDate(rel, 'divorce');
+    if (divorce) add('divorce', divorce, rel, { relativeIds: spouses });
+  }
+
+  for (const event of lifeEvents) {
+    add('life_event', partialDate(event, 'event'), event, {
+      endDate: partialDate(event, 'end'),
+      relativeIds: [event.relativeId],
+      placeId: event.placeId,
+    });
+  }
+
+  for (const residence of residences) {
+    add('residence', partialDate(residence, 'from'), residence, {
+      endDate: partialDate(residence, 'to'),
+      relativeIds: [residence.relativeId],
+      placeId: residence.placeId,
+    });
+  }
+
+  for (const photo of photos) {
+    addQualified('photo', photo, 'dateTaken', { relativeIds: [photo.relativeId] });
+  }
+
+  for (const story of stories) {
+    const shared = new Date(story.createdAt);
+    add('story', {
+      year: shared.getUTCFullYear(),
+      month: shared.getUTCMonth() + 1,
+      day: shared.getUTCDate(),
+    }, story, { relativeIds: story.relativeId ? [story.relativeId] : [] });
+  }
+
+  const inRange = (item) => {
+    if (fromYear === undefined && toYear === undefined) return true;
+    if (!item.date) return false;
+    const endYear = item.endDate?.year ?? item.date.year;
+    return (toYear === undefined || item.date.year <= toYear) &&
+      (fromYear === undefined || endYear >= fromYear);
+  };
+
+  return items.filter(inRange).sort(compareItems);
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Gregorian `{ year, month, day }` from prefixed columns, or null without
+ * a year. The calendar is read from `<prefix>Calendar` unless given.
+ */
+function partialDate(row, prefix, calendar = row[`${prefix}Calendar`]) {
+  const year = row[`${prefix}Year`];
+  if (year == null) return null;
+  return toGregorian(
+    { year, month: row[`${prefix}Month`] ?? null, day: row[`${prefix}Day`] ?? null },
+    calendar ?? 'gregorian',
+  );
+}
+
+/**
+ * Oldest first; undated last. A less precise date sorts before a more
+ * precise one in the same period ("1950" before "March 1950").
+ */
+function compareItems(a, b) {
+  if (!a.date || !b.date) {
+    if (a.date || b.date) return a.date ? -1 : 1;
+  } else {
+    for (const unit of ['year', 'month', 'day']) {
+      const x = a.date[unit] ?? 0;
+      const y = b.date[unit] ?? 0;
+      if (x !== y) return x - y;
+    }
+  }
+  return TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type);
+}
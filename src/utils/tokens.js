@@ -1,6 +1,6 @@
 import { randomBytes, createHash } from 'node:crypto';
 import jwt from 'jsonwebtoken';
-import { unauthorized } from './errors.js';
+import { unauthorized, badRequest } from './errors.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_ACCESS_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
@@ -126,3 +126,40 @@ export function verifyPasswordResetToken(token, currentPasswordHash) {
     throw unauthorized('Invalid or expired reset token');
   }
 }
+
+/**
+ * Generate a short-lived confirmation token for deleting a tree.
+ * Bound to both the tree and the requesting owner.
+ * @param {{ treeId: string, userId: string }} params
+ * @returns {string}
+ */
+export function generateTreeDeletionToken({ treeId, userId }) {
+  return jwt.sign({ treeId, userId, purpose: 'tree-deletion' }, JWT_SECRET, {
+    algorithm: JWT_ALGORITHM,
+    expiresIn: '10m',
+  });
+}
+
+/**
+ * Verify a tree-deletion confirmation token for the given tree and user.
+ * @param {string} token
+ * @param {{ treeId: string, userId: string }} expected
+ * @throws {AppError} 400 if the token is invalid, expired or for another tree/user
+ */
+export function verifyTreeDeletionToken(token, { treeId, userId }) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, {
+      algorithms: [JWT_ALGORITHM],
+    });
+    if (
+      payload.purpose !== 'tree-deletion' ||
+      payload.treeId !== treeId ||
+      payload.userId !== userId
+    ) {
+      throw badRequest('Invalid confirmation token');
+    }
+  } catch (err) {
+    if (err.isOperational) throw err;
+    throw badRequest('Invalid or expired confirmation token');
+  }
+}
@@ -0,0 +1,483 @@
+/**
+ * Genealogical consistency checks over a whole tree held in memory.
+ *
+ * Every check returns issues of the shape
+ *   { code, severity: 'error'|'warning', message, relativeIds, relationshipIds }
+ * Errors describe something that cannot be true (a person being their own
+ * ancestor, a child born before their parent); warnings describe something
+ * unlikely enough to be worth a second look (a 75-year-old mother).
+ */
+
+import { relationshipSteps } from './kinship.js';
+import { toGregorian } from './calendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+/** A father may die up to ~10 months before his child is born. */
+const POSTHUMOUS_BIRTH_MS = 300 * DAY_MS;
+const MIN_PARENT_AGE = 12;
+const MAX_MOTHER_AGE = 55;
+const MAX_FATHER_AGE = 80;
+const MIN_MARRIAGE_AGE = 14;
+const MAX_LIFESPAN = 120;
+/** How far either way an "about" date may be off. */
+const ABOUT_YEARS = 5;
+
+/**
+ * Run every check over a tree.
+ * @param {object[]} people - Relative rows (id, fullName, gender, status, birth/death date parts)
+ * @param {object[]} edges - Relationship rows (id, personAId, personBId, relationshipType, marriage/divorce date parts)
+ * @param {Date} [now]
+ * @returns {object[]} Issues, errors first
+ */
+export function checkTreeConsistency(people, edges, now = new Date()) {
+  const byId = new Map(people.map((p) => [p.id, p]));
+  const links = parentLinks(edges).filter((l) => byId.has(l.parentId) && byId.has(l.childId));
+
+  const issues = [
+    ...people.flatMap((person) => checkLifespan(person, now)),
+    ...findAncestryCycles(links, byId),
+    ...links.flatMap((link) => checkParentLink(link, byId)),
+    ...checkParentCounts(links, byId),
+    ...checkConflictingLinks(links, edges, byId),
+    ...edges
+      .filter((e) => e.relationshipType === 'spouse' && byId.has(e.personAId) && byId.has(e.personBId))
+      .flatMap((edge) => checkSpouseLink(edge, byId)),
+  ];
+
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * Stable identity of an issue, used to tell issues a change introduces
+ * apart from ones the tree already had.
+ * @param {object} issue
+ * @returns {string}
+ */
+export function issueKey(issue) {
+  return [
+    issue.code,
+    [...issue.relativeIds].sort().join(','),
+    [...issue.relationshipIds].sort().join(','),
+  ].join('|');
+}
+
+// ── Checks ───────────────────────────────────────────────────
+
+function checkLifespan(person, now) {
+  const birth = dateBounds(person, 'birth');
+  const death = dateBounds(person, 'death');
+  const issues = [];
+
+  if (birth && death && death.max < birth.min) {
+    issues.push(issue('DEATH_BEFORE_BIRTH', 'error', `${person.fullName} died before they were born`, [person]));
+  } else if (birth && death && death.min - birth.max > MAX_LIFESPAN * YEAR_MS) {
+    issues.push(
+      issue('IMPLAUSIBLE_LIFESPAN', 'warning', `${person.fullName} lived more than ${MAX_LIFESPAN} years`, [person]),
+    );
+  } else if (birth && !death && person.status === 'ALIVE' && now - birth.max > MAX_LIFESPAN * YEAR_MS) {
+    issues.push(
+      issue(
+        'IMPLAUSIBLE_LIFESPAN',
+        'warning',
+        `${person.fullName} is marked alive but was born more than ${MAX_LIFESPAN} years ago`,
+        [person],
+      ),
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Strongly connected components of the parent → child graph: any component
+ * with more than one person contains someone who is their own ancestor.
+ */
+function findAncestryCycles(links, byId) {
+  const children = new Map();
+  for (const link of links) {
+    if (!children.has(link.parentId)) children.set(link.parentId, []);
+    children.get(link.parentId).push(link.childId);
+  }
+
+  // Tarjan's algorithm, iterative so deep pedigrees can't overflow the stack
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of children.keys()) {
+    if (index.has(start)) continue;
+
+    const work = [{ node: start, next: 0 }];
+    index.set(start, counter);
+    low.set(start, counter);
+    counter += 1;
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const targets = children.get(frame.node) ?? [];
+
+      if (frame.next < targets.length) {
+        const target = targets[frame.next];
+        frame.next += 1;
+        if (!index.has(target)) {
+          index.set(target, counter);
+          low.set(target, counter);
+          counter += 1;
+          stack.push(target);
+          onStack.add(target);
+          work.push({ node: target, next: 0 });
+        } else if (onStack.has(target)) {
+          low.set(frame.node, Math.min(low.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.node)));
+      }
+
+      if (low.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        if (component.length > 1) components.push(new Set(component));
+      }
+    }
+  }
+
+  return components.map((component) => {
+    const members = [...component].map((id) => byId.get(id));
+    const cycleLinks = links.filter((l) => component.has(l.parentId) && component.has(l.childId));
+    return issue(
+      'ANCESTRY_CYCLE',
+      'error',
+      `${members.map((p) => p.fullName).join(', ')} are each other's ancestors`,
+      members,
+      cycleLinks.map((l) => l.relationshipId),
+    );
+  });
+}
+
+function checkParentLink(link, byId) {
+  const parent = byId.get(link.parentId);
+  const child = byId.get(link.childId);
+  const parentBirth = dateBounds(parent, 'birth');
+  const parentDeath = dateBounds(parent, 'death');
+  const childBirth = dateBounds(child, 'birth');
+  const people = [parent, child];
+  const ids = [link.relationshipId];
+  const isBlood = link.kind === 'blood';
+  const issues = [];
+
+  if (!childBirth) return issues;
+
+  if (parentBirth && parentBirth.min > childBirth.max) {
+    // A step-parent can be younger than a step-child; anyone else cannot
+    issues.push(
+      issue(
+        'PARENT_BORN_AFTER_CHILD',
+        link.kind === 'step' ? 'warning' : 'error',
+        `${parent.fullName} was born after their child ${child.fullName}`,
+        people,
+        ids,
+      ),
+    );
+  } else if (isBlood && parentBirth) {
+    const youngest = (childBirth.max - parentBirth.min) / YEAR_MS;
+    const oldest = (childBirth.min - parentBirth.max) / YEAR_MS;
+    const maxAge = parent.gender === 'FEMALE' ? MAX_MOTHER_AGE : MAX_FATHER_AGE;
+
+    if (youngest < MIN_PARENT_AGE) {
+      issues.push(
+        issue(
+          'PARENT_TOO_YOUNG',
+          'warning',
+          `${parent.fullName} was younger than ${MIN_PARENT_AGE} when ${child.fullName} was born`,
+          people,
+          ids,
+        ),
+      );
+    } else if (oldest > maxAge) {
+      issues.push(
+        issue(
+          'PARENT_TOO_OLD',
+          'warning',
+          `${parent.fullName} was older than ${maxAge} when ${child.fullName} was born`,
+          people,
+          ids,
+        ),
+      );
+    }
+  }
+
+  if (parentDeath && (link.kind === 'blood' || link.kind === 'adoptive')) {
+    // Mothers can't die before the birth; fathers can, by up to ~10 months
+    const grace = isBlood && parent.gender !== 'FEMALE' ? POSTHUMOUS_BIRTH_MS : 0;
+    if (childBirth.min > parentDeath.max + grace) {
+      issues.push(
+        issue(
+          'CHILD_BORN_AFTER_PARENT_DEATH',
+          isBlood ? 'error' : 'warning',
+          `${child.fullName} was born after their parent ${parent.fullName} died`,
+          people,
+          ids,
+        ),
+      );
+    }
+  }
+
+  return issues;
+}
+
+/** At most two biological and two adoptive parents per person. */
+function checkParentCounts(links, byId) {
+  const parentsOf = new Map();
+  for (const link of links) {
+    if (link.kind !== 'blood' && link.kind !== 'adoptive') continue;
+    const key = `${link.childId}|${link.kind}`;
+    if (!parentsOf.has(key)) parentsOf.set(key, new Map());
+    // Keyed by parent: "A parent of B" and "B child of A" are one parent
+    const parents = parentsOf.get(key);
+    if (!parents.has(link.parentId)) parents.set(link.parentId, []);
+    parents.get(link.parentId).push(link.relationshipId);
+  }
+
+  const issues = [];
+  for (const [key, parents] of parentsOf) {
+    if (parents.size <= 2) continue;
+
+    const [childId, kind] = key.split('|');
+    const child = byId.get(childId);
+    const isBlood = kind === 'blood';
+    issues.push(
+      issue(
+        isBlood ? 'TOO_MANY_PARENTS' : 'TOO_MANY_ADOPTIVE_PARENTS',
+        isBlood ? 'error' : 'warning',
+        `${child.fullName} has ${parents.size} ${isBlood ? 'biological' : 'adoptive'} parents`,
+        [child, ...[...parents.keys()].map((id) => byId.get(id))],
+        [...parents.values()].flat(),
+      ),
+    );
+  }
+
+  return issues;
+}
+
+/**
+ * Two people linked both as parent and child and as spouses/siblings,
+ * or the same parent link stored twice.
+ */
+function checkConflictingLinks(links, edges, byId) {
+  const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+  const lineal = new Map();
+  for (const link of links) {
+    if (link.kind === 'step') continue;
+    const key = pairKey(link.parentId, link.childId);
+    if (!lineal.has(key)) lineal.set(key, []);
+    lineal.get(key).push(link);
+  }
+
+  const issues = [];
+
+  for (const edge of edges) {
+    if (edge.relationshipType !== 'spouse' && edge.relationshipType !== 'sibling') continue;
+    const conflicting = lineal.get(pairKey(edge.personAId, edge.personBId));
+    if (!conflicting) continue;
+
+    const a = byId.get(edge.personAId);
+    const b = byId.get(edge.personBId);
+    if (!a || !b) continue;
+
+    issues.push(
+      issue(
+        'CONFLICTING_RELATIONSHIPS',
+        'error',
+        `${a.fullName} and ${b.fullName} are linked both as parent and child and as ${edge.relationshipType === 'spouse' ? 'spouses' : 'siblings'}`,
+        [a, b],
+        [edge.id, ...conflicting.map((l) => l.relationshipId)],
+      ),
+    );
+  }
+
+  for (const pairLinks of lineal.values()) {
+    const sameDirection = pairLinks.filter(
+      (l) => l.parentId === pairLinks[0].parentId && l.kind === pairLinks[0].kind,
+    );
+    if (sameDirection.length < 2) continue;
+
+    const parent = byId.get(sameDirection[0].parentId);
+    const child = byId.get(sameDirection[0].childId);
+    issues.push(
+      issue(
+        'DUPLICATE_PARENT_LINK',
+        'warning',
+        `${parent.fullName} is linked as parent of ${child.fullName} more than once`,
+        [parent, child],
+        sameDirection.map((l) => l.relationshipId),
+      ),
+    );
+  }
+
+  return issues;
+}
+
+function checkSpouseLink(edge, byId) {
+  const spouses = [byId.get(edge.personAId), byId.get(edge.personBId)];
+  const marriage = dateBounds(edge, 'marriage');
+  const divorce = dateBounds(edge, 'divorce');
+  const ids = [edge.id];
+  const issues = [];
+
+  if (marriage && divorce && divorce.max < marriage.min) {
+    issues.push(issue('DIVORCE_BEFORE_MARRIAGE', 'error', 'Divorce date is before the marriage date', spouses, ids));
+  }
+
+  for (const person of spouses) {
+    const birth = dateBounds(person, 'birth');
+    const death = dateBounds(person, 'death');
+
+    if (marriage && birth && marriage.max < birth.min) {
+      issues.push(
+        issue('MARRIAGE_BEFORE_BIRTH', 'error', `${person.fullName} married before they were born`, spouses, ids),
+      );
+    } else if (marriage && birth && (marriage.max - birth.min) / YEAR_MS < MIN_MARRIAGE_AGE) {
+      issues.push(
+        issue(
+          'MARRIED_TOO_YOUNG',
+          'warning',
+          `${person.fullName} married younger than ${MIN_MARRIAGE_AGE}`,
+          spouses,
+          ids,
+        ),
+      );
+    }
+
+    if (marriage && death && marriage.min > death.max) {
+      issues.push(
+        issue('MARRIAGE_AFTER_DEATH', 'error', `${person.fullName} married after they died`, spouses, ids),
+      );
+    }
+    if (divorce && death && divorce.min > death.max) {
+      issues.push(
+        issue(
+          'DIVORCE_AFTER_DEATH',
+          'warning',
+          `${person.fullName} divorced after they died — the marriage ended with their death`,
+          spouses,
+          ids,
+        ),
+      );
+    }
+  }
+
+  // Without a marriage date, the spouses must at least have been alive at the same time
+  if (!marriage) {
+    const [a, b] = spouses;
+    const aBirth = dateBounds(a, 'birth');
+    const aDeath = dateBounds(a, 'death');
+    const bBirth = dateBounds(b, 'birth');
+    const bDeath = dateBounds(b, 'death');
+    if ((aDeath && bBirth && aDeath.max < bBirth.min) || (bDeath && aBirth && bDeath.max < aBirth.min)) {
+      issues.push(
+        issue(
+          'SPOUSES_NEVER_ALIVE_TOGETHER',
+          'error',
+          `${a.fullName} and ${b.fullName} were never alive at the same time`,
+          spouses,
+          ids,
+        ),
+      );
+    }
+  }
+
+  return issues;
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/** Parent → child links of every non-guardian relationship, both storage directions. */
+function parentLinks(edges) {
+  return edges.flatMap((edge) =>
+    relationshipSteps(edge)
+      .filter((step) => step.move === 'down' && step.kind !== 'guardian')
+      .map((step) => ({
+        parentId: step.from,
+        childId: step.to,
+        kind: step.kind,
+        relationshipId: step.relationshipId,
+      })),
+  );
+}
+
+/**
+ * Earliest and latest instant a partial date can mean ("1950" spans the
+ * whole year), in Gregorian terms, or null when the year is unknown.
+ * Qualifiers widen the span: "about" by a few years either side, "before"
+ * and "after" are open-ended, and "between" runs to its upper bound.
+ * @param {object} row
+ * @param {'birth'|'death'|'marriage'|'divorce'} prefix
+ * @returns {{ min: number, max: number }|null}
+ */
+function dateBounds(row, prefix) {
+  const year = row[`${prefix}Year`];
+  if (year === null || year === undefined) return null;
+
+  const calendar = row[`${prefix}Calendar`];
+  const span = partialDateSpan(
+    toGregorian({ year, month: row[`${prefix}Month`], day: row[`${prefix}Day`] }, calendar),
+  );
+
+  switch (row[`${prefix}Qualifier`]) {
+    case 'about':
+      return { min: span.min - ABOUT_YEARS * YEAR_MS, max: span.max + ABOUT_YEARS * YEAR_MS };
+    case 'before':
+      return { min: -Infinity, max: span.max };
+    case 'after':
+      return { min: span.min, max: Infinity };
+    case 'between': {
+      const toYear = row[`${prefix}ToYear`];
+      if (toYear === null || toYear === undefined) return span;
+      const to = partialDateSpan(
+        toGregorian({ year: toYear, month: row[`${prefix}ToMonth`], day: row[`${prefix}ToDay`] }, calendar),
+      );
+      return { min: span.min, max: to.max };
+    }
+    default:
+      return span;
+  }
+}
+
+function partialDateSpan({ year, month, day }) {
+  if (month === null) {
+    return { min: Date.UTC(year, 0, 1), max: Date.UTC(year, 11, 31) };
+  }
+  if (day === null) {
+    return { min: Date.UTC(year, month - 1, 1), max: Date.UTC(year, month, 0) };
+  }
+  const exact = Date.UTC(year, month - 1, day);
+  return { min: exact, max: exact };
+}
+
+function issue(code, severity, message, people, relationshipIds = []) {
+  return {
+    code,
+    severity,
+    message,
+    relativeIds: [...new Set(people.map((p) => p.id))],
+    relationshipIds: [...new Set(relationshipIds)],
+  };
+}
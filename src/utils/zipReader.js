@@ -0,0 +1,85 @@
+import yauzl from 'yauzl';
+import { badRequest } from './errors.js';
+
+/**
+ * Open a ZIP archive held in memory and index its file entries.
+ * Entries are read on demand so only one decompressed file is in memory at a time.
+ * Entry sizes are checked against the central directory and enforced while
+ * inflating (yauzl validates declared sizes), which guards against ZIP bombs.
+ *
+ * @param {Buffer} buffer - ZIP file contents
+ * @param {{ maxEntries: number, maxEntrySize: number }} limits
+ * @returns {Promise<{ names: string[], has: (name: string) => boolean, read: (name: string) => Promise<Buffer|null>, close: () => void }>}
+ * @throws {AppError} 400 if the archive is malformed or exceeds the limits
+ */
+export async function openZip(buffer, { maxEntries, maxEntrySize }) {
+  const zipfile = await new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, autoClose: false }, (err, zip) => {
+      if (err) reject(badRequest('Invalid ZIP archive'));
+      else resolve(zip);
+    });
+  });
+
+  if (zipfile.entryCount > maxEntries) {
+    zipfile.close();
+    throw badRequest(`Archive has too many entries (${zipfile.entryCount}, max ${maxEntries})`);
+  }
+
+  const entries = new Map();
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('entry', (entry) => {
+        // Skip directories
+        if (!entry.fileName.endsWith('/')) {
+          entries.set(entry.fileName, entry);
+        }
+        zipfile.readEntry();
+      });
+      zipfile.on('end', resolve);
+      zipfile.on('error', () => reject(badRequest('Invalid ZIP archive')));
+      zipfile.readEntry();
+    });
+  } catch (err) {
+    zipfile.close();
+    throw err;
+  }
+
+  /**
+   * Read a single entry fully into memory.
+   * @param {string} name
+   * @returns {Promise<Buffer|null>} null if the entry does not exist
+   */
+  async function read(name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    if (entry.uncompressedSize > maxEntrySize) {
+      throw badRequest(`Archive entry too large: ${name}`);
+    }
+
+    const stream = await new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (err, readStream) => {
+        if (err) reject(badRequest(`Corrupt archive entry: ${name}`));
+        else resolve(readStream);
+      });
+    });
+
+    const chunks = [];
+    try {
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+    } catch {
+      throw badRequest(`Corrupt archive entry: ${name}`);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  return {
+    names: [...entries.keys()],
+    has: (name) => entries.has(name),
+    read,
+    close: () => zipfile.close(),
+  };
+}